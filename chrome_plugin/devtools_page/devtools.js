@@ -41,4 +41,12 @@ chrome.devtools.panels.create(
       console.log("Panel hidden");
     });
   }
-);
\ No newline at end of file
+);
+// Add a sidebar pane to the Elements panel showing the selected element's accessible name
+chrome.devtools.panels.elements.createSidebarPane(
+  "Accessible Name", // Sidebar pane title
+  (sidebar) => {
+    console.log("Accessible Name sidebar pane created");
+    sidebar.setPage("../panel/sidebar.html");
+  }
+);
@@ -25,6 +25,9 @@
  * and the content script that runs on the page being tested.
  */
 
+// Shared with the panel: buildElementLookupExpression
+importScripts("element_lookup.js");
+
 // When the extension is installed or updated
 chrome.runtime.onInstalled.addListener(() => {
   console.log("Carnforth Accessible Name Tester installed");
@@ -33,31 +36,50 @@ chrome.runtime.onInstalled.addListener(() => {
 // Store an array of DevTools panel connections
 let devToolsPanelConnections = [];
 
+// Extra rule files injected after content.js, e.g. "js/rules/team_rules.js"
+// Each file registers its rules with window.CarnforthRules.register()
+const ADDITIONAL_RULE_FILES = [];
+
 // Listen for navigation events and notify connected DevTools panels
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   // Only send notification when the page has finished loading
   // or when the URL changes (for single-page applications)
   if (changeInfo.status === 'complete' || changeInfo.url) {
-    // Notify all connected DevTools panels about the navigation
-    devToolsPanelConnections.forEach(connection => {
-      try {
-        // Only notify the panels for the tab that has been updated
-        if (connection.tabId === tabId) {
-          connection.port.postMessage({
-            action: "pageNavigated",
-            url: tab.url
-          });
-        }
-      } catch (err) {
-        console.error("Error notifying panel of navigation:", err);
-      }
-    });
+    notifyPageNavigated(tabId, tab.url, tab.status === 'loading');
+  }
+});
+
+// Single-page applications change routes with history.pushState, which doesn't load a new page
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  // Route changes inside frames don't change the page being tested
+  if (details.frameId === 0) {
+    notifyPageNavigated(details.tabId, details.url, false);
   }
 });
 
+// Tell the DevTools panels for a tab that its page has changed
+// loading is true while the new page is still loading, so panels can wait for it to settle
+function notifyPageNavigated(tabId, url, loading) {
+  devToolsPanelConnections.forEach(connection => {
+    try {
+      // Only notify the panels for the tab that has been updated
+      if (connection.tabId === tabId) {
+        connection.port.postMessage({
+          action: "pageNavigated",
+          url: url,
+          loading: loading
+        });
+      }
+    } catch (err) {
+      console.error("Error notifying panel of navigation:", err);
+    }
+  });
+}
+
 // Helper function to safely send messages to tabs
 // This prevents the "Receiving end does not exist" error
-function safelySendMessage(tabId, message, callback) {
+// If frameId is given, the message only goes to that frame; otherwise every frame receives it
+function safelySendMessage(tabId, message, callback, frameId) {
   if (!tabId) {
     console.log("Cannot send message: No tab ID provided");
     if (callback) callback(null);
@@ -65,7 +87,8 @@ function safelySendMessage(tabId, message, callback) {
   }
   
   try {
-    chrome.tabs.sendMessage(tabId, message, response => {
+    const options = frameId !== undefined ? { frameId: frameId } : {};
+    chrome.tabs.sendMessage(tabId, message, options, response => {
       // Check for error and handle it silently if no callback provided
       if (chrome.runtime.lastError) {
         console.log(`Error sending message to tab ${tabId}:`, chrome.runtime.lastError.message);
@@ -106,7 +129,10 @@ function tabExists(tabId, callback) {
 }
 
 // Helper function to run a test on a specific tab
-function runTestOnTab(tabId, responsePort, sendResponseFn) {
+// options.compareWithChrome cross-checks each name against Chrome's accessibility tree
+// options.scopeToSelection limits the test to the element stored by the panel (see runSelectedSubtreeTest)
+// options.watch starts watch mode in every frame before testing it
+function runTestOnTab(tabId, responsePort, sendResponseFn, options = {}) {
   console.log("Running test on tab ID:", tabId);
   
   // First check if the tab exists
@@ -136,83 +162,453 @@ function runTestOnTab(tabId, responsePort, sendResponseFn) {
       }
     );
 
-    // Execute the content script on the active tab
-    try {
-      chrome.scripting.executeScript(
-        {
-          target: { tabId: tabId },
-          files: ["js/content.js"]
-        },
+    // Execute the content script in every frame of the tab
+    injectContentScripts(tabId, (errorMessage) => {
+      if (errorMessage) {
+        // Send error response appropriately based on how this function was called
+        if (responsePort) {
+          responsePort.postMessage({
+            action: "testResults",
+            results: { error: errorMessage }
+          });
+        } else if (sendResponseFn) {
+          sendResponseFn({ error: errorMessage });
+        }
+        return;
+      }
+
+      // After loading the content script, run the test in each frame
+      runTestInAllFrames(
+        tabId,
         (results) => {
-          if (chrome.runtime.lastError) {
-            console.error("Error executing script:", chrome.runtime.lastError);
+          if (!results) {
+            // Handle the case where no results were returned
+            const errorMessage = "Error running test: Content script not available or failed to respond";
             
-            // Send error response appropriately based on how this function was called
             if (responsePort) {
               responsePort.postMessage({
                 action: "testResults",
-                results: { error: "Error executing script: " + chrome.runtime.lastError.message }
+                results: { error: errorMessage }
               });
             } else if (sendResponseFn) {
-              sendResponseFn({ error: "Error executing script: " + chrome.runtime.lastError.message });
+              sendResponseFn({ error: errorMessage });
             }
             return;
           }
 
-          // After loading the content script, send a message to it to run the test
-          safelySendMessage(
-            tabId,
-            { action: "runAccessibilityTest" },
-            (results) => {
-              if (!results) {
-                // Handle the case where no results were returned
-                const errorMessage = "Error running test: Content script not available or failed to respond";
-                
-                if (responsePort) {
-                  responsePort.postMessage({
-                    action: "testResults",
-                    results: { error: errorMessage }
-                  });
-                } else if (sendResponseFn) {
-                  sendResponseFn({ error: errorMessage });
-                }
-                return;
-              }
-
-              // Forward the results back using the appropriate channel
-              if (responsePort) {
-                responsePort.postMessage({ action: "testResults", results: results });
-              } else if (sendResponseFn) {
-                sendResponseFn(results);
-              }
+          // Forward the results back using the appropriate channel
+          const sendResults = (finalResults) => {
+            if (responsePort) {
+              responsePort.postMessage({ action: "testResults", results: finalResults });
+            } else if (sendResponseFn) {
+              sendResponseFn(finalResults);
             }
-          );
+          };
+
+          if (options.compareWithChrome) {
+            compareWithChromeAccessibilityTree(tabId, results, sendResults);
+          } else {
+            sendResults(results);
+          }
+        },
+        { scopeToSelection: !!options.scopeToSelection, watch: !!options.watch }
+      );
+    });
+  });
+}
+
+// Inject the content script (and any additional rule files) into every frame of a tab
+// The callback receives an error message, or null on success
+function injectContentScripts(tabId, callback) {
+  try {
+    chrome.scripting.executeScript(
+      {
+        target: { tabId: tabId, allFrames: true },
+        files: ["js/issue_codes.js", "js/content.js", ...ADDITIONAL_RULE_FILES]
+      },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.error("Error executing script:", chrome.runtime.lastError);
+          callback("Error executing script: " + chrome.runtime.lastError.message);
+          return;
         }
+        callback(null);
+      }
+    );
+  } catch (err) {
+    console.error("Error in chrome.scripting.executeScript:", err);
+    callback("Error executing script: " + err.message);
+  }
+}
+
+// Run the accessibility test in every frame of a tab and merge the results
+// The callback receives the merged results, or null if the top frame did not respond
+function runTestInAllFrames(tabId, callback, options = {}) {
+  sendToAllFrames(
+    tabId,
+    { action: "runAccessibilityTest", scopeToSelection: !!options.scopeToSelection, watch: !!options.watch },
+    (frames, frameResults) => {
+      callback(mergeFrameResults(frames, frameResults));
+    }
+  );
+}
+
+// Send a message to every frame of a tab and collect the responses
+// The callback receives the frames and an object mapping each frameId to its response
+function sendToAllFrames(tabId, message, callback) {
+  chrome.webNavigation.getAllFrames({ tabId: tabId }, (frames) => {
+    if (chrome.runtime.lastError || !frames || frames.length === 0) {
+      console.log("Could not list frames, using the top frame only:",
+                  chrome.runtime.lastError ? chrome.runtime.lastError.message : "no frames");
+      frames = [{ frameId: 0, parentFrameId: -1, url: "" }];
+    }
+
+    const frameResponses = {};
+    let pendingFrames = frames.length;
+
+    frames.forEach(frame => {
+      safelySendMessage(
+        tabId,
+        message,
+        (response) => {
+          frameResponses[frame.frameId] = response;
+          pendingFrames--;
+
+          if (pendingFrames === 0) {
+            callback(frames, frameResponses);
+          }
+        },
+        frame.frameId
       );
+    });
+  });
+}
+
+// Combine per-frame results into a single results object
+// Each element is tagged with the frame it came from so it can be highlighted and inspected there
+function mergeFrameResults(frames, frameResults) {
+  const topResults = frameResults[0];
+  if (!topResults) {
+    return null;
+  }
+
+  const elements = [];
+  const untestedFrames = [];
+
+  frames.forEach(frame => {
+    const results = frameResults[frame.frameId];
+
+    if (!results || !results.elements) {
+      // Frames that don't allow script injection (e.g. about:blank or browser pages) are reported separately
+      untestedFrames.push({ frameId: frame.frameId, url: frame.url });
+      return;
+    }
+
+    const framePath = getFramePath(frames, frame);
+
+    results.elements.forEach(element => {
+      elements.push({
+        ...element,
+        frameId: frame.frameId,
+        frameUrl: results.url || frame.url,
+        framePath: framePath
+      });
+    });
+  });
+
+  // A run scoped to the selected element only has a scope in the frame holding it
+  const scopedResults = frames.map(frame => frameResults[frame.frameId]).find(results => results && results.scope);
+
+  return {
+    url: topResults.url,
+    timestamp: topResults.timestamp,
+    scope: scopedResults ? scopedResults.scope : null,
+    elements: elements,
+    untestedFrames: untestedFrames,
+    counts: {
+      total: elements.length,
+      failed: elements.filter(el => el.result === "fail").length,
+      warnings: elements.filter(el => el.result === "warn").length,
+      passing: elements.filter(el => el.result === "pass").length
+    }
+  };
+}
+
+// Inject the content script, send a message to every frame of a tab and merge the responses
+// The callback receives the merged result and an error message, one of which is null
+function collectFromAllFrames(tabId, message, merge, callback) {
+  injectContentScripts(tabId, (errorMessage) => {
+    if (errorMessage) {
+      callback(null, errorMessage);
+      return;
+    }
+
+    sendToAllFrames(tabId, message, (frames, frameResponses) => {
+      const merged = merge(frames, frameResponses);
+      callback(merged, merged ? null : "The page did not respond");
+    });
+  });
+}
+
+// Combine per-frame rotor lists into a single rotor
+// Entries from child frames follow the top frame's entries, tagged with the frame they came from
+function mergeFrameRotors(frames, frameRotors) {
+  const topRotor = frameRotors[0];
+  if (!topRotor) {
+    return null;
+  }
+
+  const rotor = {
+    url: topRotor.url,
+    timestamp: topRotor.timestamp,
+    links: [],
+    formFields: [],
+    headings: [],
+    landmarks: [],
+    buttons: []
+  };
+
+  frames.forEach(frame => {
+    const frameRotor = frameRotors[frame.frameId];
+    if (!frameRotor) return;
+
+    const framePath = getFramePath(frames, frame);
+
+    Object.keys(rotor).forEach(list => {
+      if (!Array.isArray(rotor[list]) || !frameRotor[list]) return;
+
+      frameRotor[list].forEach(entry => {
+        rotor[list].push({ ...entry, frameId: frame.frameId, framePath: framePath });
+      });
+    });
+  });
+
+  return rotor;
+}
+
+// Combine per-frame transcripts into a single transcript
+// A frame's lines follow the top frame's lines, between lines marking where the frame starts and ends
+function mergeFrameTranscripts(frames, frameTranscripts) {
+  const topTranscript = frameTranscripts[0];
+  if (!topTranscript) {
+    return null;
+  }
+
+  const lines = [];
+
+  frames.forEach(frame => {
+    const transcript = frameTranscripts[frame.frameId];
+    if (!transcript || !transcript.lines) return;
+
+    const framePath = getFramePath(frames, frame);
+    const isChildFrame = frame.frameId !== 0;
+    const tagLine = line => ({
+      ...line,
+      depth: line.depth + (isChildFrame ? 1 : 0),
+      frameId: frame.frameId,
+      framePath: framePath
+    });
+
+    if (isChildFrame) {
+      lines.push({ type: 'start', text: `frame, ${transcript.title || transcript.url}`, depth: 0, selector: null });
+    }
+    lines.push(...transcript.lines.map(tagLine));
+    if (isChildFrame) {
+      lines.push({ type: 'end', text: 'end of frame', depth: 0, selector: null });
+    }
+  });
+
+  return {
+    url: topTranscript.url,
+    timestamp: topTranscript.timestamp,
+    title: topTranscript.title,
+    lines: lines
+  };
+}
+
+// Combine per-frame landmark outlines into a single outline
+// Each frame is a separate document, so its landmarks are checked on their own and listed after the top frame's
+function mergeFrameOutlines(frames, frameOutlines) {
+  const topOutline = frameOutlines[0];
+  if (!topOutline) {
+    return null;
+  }
+
+  const outline = {
+    url: topOutline.url,
+    timestamp: topOutline.timestamp,
+    landmarks: [],
+    outsideContent: []
+  };
+
+  frames.forEach(frame => {
+    const frameOutline = frameOutlines[frame.frameId];
+    if (!frameOutline) return;
+
+    const framePath = getFramePath(frames, frame);
+    const frameUrl = frame.frameId !== 0 ? (frameOutline.url || frame.url) : null;
+
+    frameOutline.landmarks.forEach(landmark => {
+      outline.landmarks.push({ ...landmark, frameId: frame.frameId, framePath: framePath, frameUrl: frameUrl });
+    });
+    frameOutline.outsideContent.forEach(content => {
+      outline.outsideContent.push({ ...content, frameId: frame.frameId, framePath: framePath, frameUrl: frameUrl });
+    });
+  });
+
+  return outline;
+}
+
+// Look up the frame path (see getFramePath) of a single frame in a tab
+function getFramePathForFrame(tabId, frameId, callback) {
+  chrome.webNavigation.getAllFrames({ tabId: tabId }, (frames) => {
+    const frame = (frames || []).find(f => f.frameId === frameId);
+    callback(frame ? getFramePath(frames, frame) : []);
+  });
+}
+
+// Post a message to every DevTools panel connected to a tab
+function postToTabPanels(tabId, message) {
+  devToolsPanelConnections.forEach(connection => {
+    if (connection.tabId !== tabId) return;
+
+    try {
+      connection.port.postMessage(message);
     } catch (err) {
-      console.error("Error in chrome.scripting.executeScript:", err);
-      const errorMessage = "Error executing script: " + err.message;
-      
-      if (responsePort) {
-        responsePort.postMessage({
-          action: "testResults",
-          results: { error: errorMessage }
-        });
-      } else if (sendResponseFn) {
-        sendResponseFn({ error: errorMessage });
+      console.error("Error posting to panel:", err);
+    }
+  });
+}
+
+// Get the URLs of the frames from the top frame's child down to the given frame
+// The top frame itself has an empty path
+function getFramePath(frames, frame) {
+  const path = [];
+  let current = frame;
+
+  while (current && current.frameId !== 0) {
+    path.unshift(current.url);
+    const parentFrameId = current.parentFrameId;
+    current = frames.find(f => f.frameId === parentFrameId);
+  }
+
+  return path;
+}
+
+// Cross-check each computed name against the name in Chrome's own accessibility tree
+// Attaches chrome.debugger to the tab, adds chromeAccessibleName and nameMismatch to
+// each element, then detaches and calls back with the updated results
+function compareWithChromeAccessibilityTree(tabId, results, callback) {
+  const target = { tabId: tabId };
+
+  chrome.debugger.attach(target, "1.3", () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error attaching debugger:", chrome.runtime.lastError.message);
+      results.chromeComparisonError = "Could not attach to the page: " + chrome.runtime.lastError.message;
+      callback(results);
+      return;
+    }
+
+    chrome.debugger.sendCommand(target, "Accessibility.enable", {}, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error enabling accessibility domain:", chrome.runtime.lastError.message);
       }
+
+      const elements = results.elements;
+      let index = 0;
+
+      // Elements are compared one at a time to keep the debugger protocol traffic ordered
+      const compareNext = () => {
+        if (index >= elements.length) {
+          chrome.debugger.sendCommand(target, "Runtime.releaseObjectGroup", { objectGroup: "carnforth" }, () => {
+            chrome.debugger.detach(target, () => {
+              if (chrome.runtime.lastError) {
+                console.log("Error detaching debugger:", chrome.runtime.lastError.message);
+              }
+              results.nameMismatchCount = elements.filter(el => el.nameMismatch).length;
+              callback(results);
+            });
+          });
+          return;
+        }
+
+        const element = elements[index++];
+
+        // Runtime.evaluate runs in the top frame, so elements in other frames can't be resolved
+        if (element.frameId) {
+          element.chromeNameUnavailable = "Only elements in the top frame can be compared with Chrome";
+          compareNext();
+          return;
+        }
+
+        getChromeAccessibleName(target, element.selector, (chromeNode, error) => {
+          if (error) {
+            element.chromeNameUnavailable = error;
+          } else if (chromeNode.ignored) {
+            // Chrome leaves hidden and presentational elements out of the tree, so there is no name to compare
+            element.chromeAccessibleName = "";
+            element.chromeIgnored = true;
+          } else {
+            element.chromeAccessibleName = chromeNode.name;
+            element.nameMismatch = normalizeName(element.accessibleName) !== normalizeName(chromeNode.name);
+          }
+          compareNext();
+        });
+      };
+
+      compareNext();
+    });
+  });
+}
+
+// Look up an element by selector and get its node from Chrome's accessibility tree
+// The callback receives ({ name, ignored }, null) or (null, errorMessage)
+function getChromeAccessibleName(target, selector, callback) {
+  chrome.debugger.sendCommand(target, "Runtime.evaluate", {
+    expression: buildElementLookupExpression(selector),
+    objectGroup: "carnforth"
+  }, (evaluation) => {
+    if (chrome.runtime.lastError || !evaluation || !evaluation.result || !evaluation.result.objectId) {
+      callback(null, "Element not found in the page");
+      return;
     }
+
+    chrome.debugger.sendCommand(target, "Accessibility.getPartialAXTree", {
+      objectId: evaluation.result.objectId,
+      fetchRelatives: false
+    }, (axTree) => {
+      if (chrome.runtime.lastError || !axTree || !axTree.nodes || axTree.nodes.length === 0) {
+        callback(null, "Element not found in Chrome's accessibility tree");
+        return;
+      }
+
+      const axNode = axTree.nodes[0];
+      callback({
+        name: axNode.name && axNode.name.value !== undefined ? String(axNode.name.value) : "",
+        ignored: !!axNode.ignored
+      }, null);
+    });
   });
 }
 
+// Collapse whitespace so names that only differ in spacing are treated as equal
+function normalizeName(name) {
+  return (name || "").replace(/\s+/g, " ").trim();
+}
+
 // Handle messages from the DevTools panel
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "runTest") {
     console.log("Received request to run accessibility test via chrome.runtime.onMessage");
 
     // Get the current active tab or use provided tabId
+    const options = {
+      compareWithChrome: !!message.compareWithChrome,
+      scopeToSelection: !!message.scopeToSelection
+    };
+
     if (message.tabId) {
-      runTestOnTab(message.tabId, null, sendResponse);
+      runTestOnTab(message.tabId, null, sendResponse, options);
     } else {
       chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
         if (tabs.length === 0) {
@@ -221,14 +617,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         }
         
         const activeTab = tabs[0];
-        runTestOnTab(activeTab.id, null, sendResponse);
+        runTestOnTab(activeTab.id, null, sendResponse, options);
       });
     }
 
     // Keep the message channel open for the async response
     return true;
   }
-  
+
+  if (message.action === "injectContentScript") {
+    // The Elements panel sidebar pane needs the content script before it can
+    // evaluate the selected element
+    if (!message.tabId) {
+      sendResponse({ error: "No tab to test" });
+      return;
+    }
+
+    injectContentScripts(message.tabId, (errorMessage) => {
+      sendResponse({ error: errorMessage });
+    });
+
+    // Keep the message channel open for the async response
+    return true;
+  }
+
   if (message.action === "highlightElement") {
     // When the user selects an issue in the DevTools panel, highlight the element on the page
     if (message.tabId) {
@@ -241,7 +653,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           scrollIntoView: !!message.scrollIntoView,
           additionalData: message.additionalData
         },
-        null // No callback needed
+        null, // No callback needed
+        message.frameId || 0
       );
     } else {
       // Fall back to querying for the active tab
@@ -257,7 +670,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             scrollIntoView: !!message.scrollIntoView,
             additionalData: message.additionalData
           },
-          null // No callback needed
+          null, // No callback needed
+          message.frameId || 0
         );
       });
     }
@@ -297,7 +711,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           action: "getDebugInfo",
           selector: message.selector
         },
-        null // No callback needed - response sent via runtime.sendMessage
+        null, // No callback needed - response sent via runtime.sendMessage
+        message.frameId || 0
       );
     } else {
       // Fall back to querying for the active tab
@@ -311,12 +726,72 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             action: "getDebugInfo",
             selector: message.selector
           },
-          null // No callback needed - response sent via runtime.sendMessage
+          null, // No callback needed - response sent via runtime.sendMessage
+          message.frameId || 0
         );
       });
     }
   }
 
+  if (message.action === "watchUpdate" && sender.tab) {
+    // Forward re-tested results from a watching frame to the panels watching its tab
+    const tabId = sender.tab.id;
+    const watchingConnections = devToolsPanelConnections.filter(conn => conn.tabId === tabId && conn.watching);
+
+    if (watchingConnections.length === 0) {
+      // The panel stopped watching or was closed
+      safelySendMessage(tabId, { action: "stopWatch" }, null, sender.frameId);
+      return;
+    }
+
+    getFramePathForFrame(tabId, sender.frameId, (framePath) => {
+      watchingConnections.forEach(connection => {
+        try {
+          connection.port.postMessage({
+            action: "watchUpdate",
+            frameId: sender.frameId,
+            frameUrl: message.update.url,
+            framePath: framePath,
+            update: message.update
+          });
+        } catch (err) {
+          console.error("Error forwarding watch update:", err);
+        }
+      });
+    });
+  }
+
+  if (message.action === "elementPicked" && sender.tab) {
+    // An element was clicked while picking: stop picking in every frame and
+    // send the element's result to the panels for the tab
+    const tabId = sender.tab.id;
+    safelySendMessage(tabId, { action: "stopPicker" }, null);
+
+    getFramePathForFrame(tabId, sender.frameId, (framePath) => {
+      postToTabPanels(tabId, {
+        action: "elementPicked",
+        url: sender.tab.url,
+        element: {
+          ...message.element,
+          frameId: sender.frameId,
+          frameUrl: sender.url,
+          framePath: framePath
+        }
+      });
+    });
+  }
+
+  if (message.action === "pickerCancelled" && sender.tab) {
+    // Escape was pressed in one frame, so stop picking in the others too
+    safelySendMessage(sender.tab.id, { action: "stopPicker" }, null);
+    postToTabPanels(sender.tab.id, { action: "pickerCancelled" });
+  }
+
+  if (message.action === "annotationClicked" && sender.tab) {
+    // A badge was clicked on the page, so select the matching item in the panel
+    postToTabPanels(sender.tab.id, { action: "annotationClicked", number: message.number });
+  }
+
   if (message.action === "debugInfoResponse") {
     // Forward debug info from content script to the panel
     chrome.runtime.sendMessage({
@@ -332,7 +807,9 @@ chrome.runtime.onConnect.addListener(function(port) {
     // Create a connection object
     let connection = {
       port: port,
-      tabId: null // We don't know the tabId yet - it will be set via message
+      tabId: null, // We don't know the tabId yet - it will be set via message
+      watching: false, // Set while the panel is in watch mode
+      picking: false // Set while the panel has asked the page to pick an element
     };
     
     // Add this connection to our list
@@ -342,6 +819,16 @@ chrome.runtime.onConnect.addListener(function(port) {
     port.onDisconnect.addListener(function() {
       // Remove the disconnected panel from our list
       devToolsPanelConnections = devToolsPanelConnections.filter(conn => conn.port !== port);
+
+      // Nobody is left to receive watch updates
+      if (connection.watching && connection.tabId) {
+        safelySendMessage(connection.tabId, { action: "stopWatch" }, null);
+      }
+
+      // Leave the page usable if the panel closes while picking
+      if (connection.picking && connection.tabId) {
+        safelySendMessage(connection.tabId, { action: "stopPicker" }, null);
+      }
     });
     
     // Listen for messages from the DevTools panel
@@ -359,16 +846,40 @@ chrome.runtime.onConnect.addListener(function(port) {
         });
       }
       
+      // Inject the content script without running the test, so the panel can
+      // store the selected element in the content script's context first
+      if (message.action === "injectContentScript") {
+        const tabId = message.tabId || connection.tabId;
+        if (!tabId) {
+          port.postMessage({ action: "contentScriptInjected", error: "No tab to test" });
+          return;
+        }
+
+        injectContentScripts(tabId, (errorMessage) => {
+          port.postMessage({ action: "contentScriptInjected", error: errorMessage });
+        });
+      }
+      
       // Handle runTest message
       if (message.action === "runTest") {
         console.log("Received request to run accessibility test via port.onMessage");
         
         // Either use the provided tabId or the connection's tabId
         const tabId = message.tabId || connection.tabId;
+        const options = {
+          compareWithChrome: !!message.compareWithChrome,
+          scopeToSelection: !!message.scopeToSelection,
+          watch: !!message.watch
+        };
+
+        // Remember that this panel is watching, so watch mode can be stopped when it closes
+        if (options.watch) {
+          connection.watching = true;
+        }
         
         if (tabId) {
           // Use the specific tabId 
-          runTestOnTab(tabId, port);
+          runTestOnTab(tabId, port, null, options);
         } else {
           // Fall back to querying for the active tab
           chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
@@ -383,11 +894,116 @@ chrome.runtime.onConnect.addListener(function(port) {
             // Store this tab ID with the connection for future use
             connection.tabId = tabs[0].id;
             
-            runTestOnTab(tabs[0].id, port);
+            runTestOnTab(tabs[0].id, port, null, options);
           });
         }
       }
       
+      // Start picking an element in every frame of the tab
+      if (message.action === "startPicker") {
+        const tabId = message.tabId || connection.tabId;
+        if (!tabId) {
+          port.postMessage({ action: "pickerCancelled", error: "No tab to test" });
+          return;
+        }
+
+        injectContentScripts(tabId, (errorMessage) => {
+          if (errorMessage) {
+            port.postMessage({ action: "pickerCancelled", error: errorMessage });
+            return;
+          }
+          connection.picking = true;
+          safelySendMessage(tabId, { action: "startPicker" }, null);
+        });
+      }
+
+      // Stop picking without choosing an element
+      if (message.action === "stopPicker") {
+        const tabId = message.tabId || connection.tabId;
+        connection.picking = false;
+
+        if (tabId) {
+          safelySendMessage(tabId, { action: "stopPicker" }, null);
+        }
+      }
+
+      // Annotate every issue on the page, sending each frame its own annotations
+      if (message.action === "showAnnotations") {
+        const tabId = message.tabId || connection.tabId;
+        if (!tabId) return;
+
+        chrome.webNavigation.getAllFrames({ tabId: tabId }, (frames) => {
+          (frames || [{ frameId: 0 }]).forEach(frame => {
+            safelySendMessage(
+              tabId,
+              {
+                action: "showAnnotations",
+                annotations: message.annotations.filter(annotation => (annotation.frameId || 0) === frame.frameId)
+              },
+              null,
+              frame.frameId
+            );
+          });
+        });
+      }
+
+      // Remove the annotations from every frame of the tab
+      if (message.action === "hideAnnotations") {
+        const tabId = message.tabId || connection.tabId;
+        if (tabId) {
+          safelySendMessage(tabId, { action: "hideAnnotations" }, null);
+        }
+      }
+
+      // List the links, form fields, headings, landmarks and buttons in every frame of the tab
+      if (message.action === "getRotor") {
+        const tabId = message.tabId || connection.tabId;
+        if (!tabId) {
+          port.postMessage({ action: "rotorResults", error: "No tab to test" });
+          return;
+        }
+
+        collectFromAllFrames(tabId, { action: "getRotor" }, mergeFrameRotors, (rotor, errorMessage) => {
+          port.postMessage({ action: "rotorResults", rotor: rotor, error: errorMessage });
+        });
+      }
+
+      // Read every frame of the tab the way a screen reader's virtual cursor does
+      if (message.action === "getTranscript") {
+        const tabId = message.tabId || connection.tabId;
+        if (!tabId) {
+          port.postMessage({ action: "transcriptResults", error: "No tab to test" });
+          return;
+        }
+
+        collectFromAllFrames(tabId, { action: "getTranscript" }, mergeFrameTranscripts, (transcript, errorMessage) => {
+          port.postMessage({ action: "transcriptResults", transcript: transcript, error: errorMessage });
+        });
+      }
+
+      // Outline the landmarks in every frame of the tab
+      if (message.action === "getLandmarkOutline") {
+        const tabId = message.tabId || connection.tabId;
+        if (!tabId) {
+          port.postMessage({ action: "landmarkOutlineResults", error: "No tab to test" });
+          return;
+        }
+
+        collectFromAllFrames(tabId, { action: "getLandmarkOutline" }, mergeFrameOutlines, (outline, errorMessage) => {
+          port.postMessage({ action: "landmarkOutlineResults", outline: outline, error: errorMessage });
+        });
+      }
+
+      // Stop watch mode in every frame of the tab
+      if (message.action === "stopWatch") {
+        const tabId = message.tabId || connection.tabId;
+        connection.watching = false;
+
+        if (tabId) {
+          safelySendMessage(tabId, { action: "stopWatch" }, null);
+        }
+      }
+      
       // Handle highlightElement message
       if (message.action === "highlightElement") {
         // Get tabId either from message, connection, or active tab
@@ -402,7 +1018,8 @@ chrome.runtime.onConnect.addListener(function(port) {
               scrollIntoView: !!message.scrollIntoView,
               additionalData: message.additionalData
             },
-            null // No callback needed
+            null, // No callback needed
+            message.frameId || 0
           );
         } else {
           // Fall back to querying for the active tab
@@ -420,7 +1037,8 @@ chrome.runtime.onConnect.addListener(function(port) {
                 scrollIntoView: !!message.scrollIntoView,
                 additionalData: message.additionalData
               },
-              null // No callback needed
+              null, // No callback needed
+              message.frameId || 0
             );
           });
         }
@@ -31,14 +31,103 @@ let highlightOverlay = null;
 // Track if removal is in progress to prevent race conditions
 let removalInProgress = false;
 
+// Watch mode state: the observer, the mutations waiting to be tested, and an
+// id for each tested element so the panel can replace its results
+let watchObserver = null;
+let watchTimer = null;
+let watchBatchStart = 0;
+let pendingWatchMutations = [];
+const watchIds = new WeakMap();
+let nextWatchId = 1;
+
+// Link purpose results last sent for each link in watch mode (see
+// getLinkPurposeSignature), so links affected by a change to another link are re-sent
+let watchLinkPurpose = new WeakMap();
+
+// Whether each element was rendered when last checked (see getVisibilityState),
+// so watch mode can tell when a class or style change shows or hides it
+let watchVisibility = new WeakMap();
+
+// Picker state: whether the page is being picked from, and the element under the pointer
+let pickerActive = false;
+let pickerTarget = null;
+
+// Annotation state: the container of numbered badges, the annotated elements
+// and the pending repositioning frame
+let annotationContainer = null;
+let annotationTargets = [];
+let annotationFrame = null;
+
+// Open shadow roots under each searched root, collected once while a test
+// runs (see getShadowRoots)
+let runShadowRoots = null;
+
 // Listen for messages from the background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "runAccessibilityTest") {
-    const results = runAccessibilityTest();
+    // Watch mode starts before the test so every result gets a watch id
+    if (message.watch) {
+      startWatching();
+    }
+
+    let results;
+    if (message.scopeToSelection) {
+      // The panel stores the element selected in the Elements panel in
+      // window.carnforthTestScope; frames without it have nothing to test
+      const scope = window.carnforthTestScope;
+      results = scope && scope.isConnected ? runAccessibilityTest(scope) : buildTestResults([], null);
+    } else {
+      results = runAccessibilityTest();
+    }
     sendResponse(results);
     return true;
   }
 
+  if (message.action === "startPicker") {
+    startPicker();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.action === "stopPicker") {
+    stopPicker();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.action === "showAnnotations") {
+    showAnnotations(message.annotations || []);
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.action === "hideAnnotations") {
+    hideAnnotations();
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.action === "getRotor") {
+    sendResponse(buildRotor());
+    return true;
+  }
+
+  if (message.action === "getTranscript") {
+    sendResponse(buildTranscript());
+    return true;
+  }
+
+  if (message.action === "getLandmarkOutline") {
+    sendResponse(buildLandmarkOutline());
+    return true;
+  }
+
+  if (message.action === "stopWatch") {
+    stopWatching();
+    sendResponse({ success: true });
+    return true;
+  }
+
   if (message.action === "highlightElement") {
     try {
       console.log("Highlight request received:", message.selector, "scrollIntoView:", message.scrollIntoView);
@@ -47,8 +136,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       let element = null;
 
       try {
-        // Method 1: Try direct querySelector (most efficient)
-        element = document.querySelector(message.selector);
+        // Method 1: Resolve the selector, following ' >>> ' into open shadow roots
+        element = findElementBySelector(message.selector);
       } catch (queryError) {
         console.warn("Error with querySelector, trying alternative methods:", queryError);
       }
@@ -200,7 +289,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === "getDebugInfo") {
     // Generate and return debug information for an element
     try {
-      const element = document.querySelector(message.selector);
+      const element = findElementBySelector(message.selector);
       if (element) {
         const debugData = generateDebugInfo(element);
         chrome.runtime.sendMessage({
@@ -227,99 +316,362 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Rule registry
+ *
+ * Each rule tests one kind of element. A rule is an object with:
+ *   - id: unique string identifying the rule (e.g. "button-name")
+ *   - selector: CSS selector for the elements the rule applies to (optional)
+ *   - matcher: function(element) returning true if the rule applies (optional)
+ *   - roles: ARIA roles the rule applies to (optional); elements must have one
+ *     of these roles as well as matching the selector, and rules without a
+ *     selector find elements by role alone
+ *   - wcag: WCAG success criteria the rule checks (e.g. ["4.1.2"])
+ *   - act: W3C ACT rule IDs the rule implements (e.g. ["97a4e1"])
+ *   - description: short human-readable summary of the rule
+ *   - test: function(element) returning a result object, or null to skip the element
+ *
+ * Rules are run in registration order. When several rules test the same
+ * element, its results are merged so each issue is reported once (see
+ * mergeElementResults). Additional rules can be registered from
+ * other content scripts through window.CarnforthRules (see registerRule).
+ */
+const ruleRegistry = new Map();
+
+/**
+ * Register a rule, replacing any existing rule with the same id
+ * @param {Object} rule - Rule definition (see ruleRegistry)
+ * @returns {string} The id of the registered rule
+ */
+function registerRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) {
+    throw new Error("Rule must have a string id");
+  }
+  if (typeof rule.test !== 'function') {
+    throw new Error(`Rule "${rule.id}" must have a test function`);
+  }
+  if (!rule.selector && typeof rule.matcher !== 'function' && !(rule.roles && rule.roles.length > 0)) {
+    throw new Error(`Rule "${rule.id}" needs a selector, matcher or roles to find elements`);
+  }
+
+  if (ruleRegistry.has(rule.id)) {
+    console.warn(`Replacing existing rule "${rule.id}"`);
+  }
+
+  ruleRegistry.set(rule.id, {
+    id: rule.id,
+    selector: rule.selector || null,
+    matcher: typeof rule.matcher === 'function' ? rule.matcher : null,
+    roles: Array.isArray(rule.roles) ? rule.roles.slice() : [],
+    wcag: Array.isArray(rule.wcag) ? rule.wcag.slice() : [],
+    act: Array.isArray(rule.act) ? rule.act.slice() : [],
+    description: rule.description || '',
+    test: rule.test
+  });
+
+  return rule.id;
+}
+
+/**
+ * Remove a rule from the registry
+ * @param {string} id - Id of the rule to remove
+ * @returns {boolean} True if the rule was registered
+ */
+function unregisterRule(id) {
+  return ruleRegistry.delete(id);
+}
+
+/**
+ * Get a registered rule
+ * @param {string} id - Id of the rule
+ * @returns {Object|null} The rule, or null if it isn't registered
+ */
+function getRule(id) {
+  return ruleRegistry.get(id) || null;
+}
+
+/**
+ * List all registered rules in the order they run
+ * @returns {Array} Array of rules
+ */
+function listRules() {
+  return Array.from(ruleRegistry.values());
+}
+
+// Public API for registering team-specific rules from other content scripts
+window.CarnforthRules = {
+  register: registerRule,
+  unregister: unregisterRule,
+  get: getRule,
+  list: listRules
+};
+
+// Built-in rules
+registerRule({
+  id: 'image-name',
+  selector: 'img:not([role="presentation"], [role="none"])',
+  // img elements with empty alt text have the presentation role
+  roles: ['img', 'presentation'],
+  wcag: ['1.1.1'],
+  act: ['23a2a8'],
+  description: 'Images have appropriate alternative text',
+  test: testImage
+});
+
+registerRule({
+  id: 'form-control-name',
+  // Special input types are handled by their own rules
+  selector: 'input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="radio"]):not([type="image"]), textarea, [role="textbox"]',
+  roles: ['textbox', 'searchbox', 'checkbox', 'combobox', 'slider', 'spinbutton'],
+  wcag: ['1.3.1', '4.1.2'],
+  act: ['e086e5'],
+  description: 'Form controls have an accessible name',
+  test: testFormControl
+});
+
+registerRule({
+  id: 'radio-name',
+  selector: 'input[type="radio"]',
+  roles: ['radio'],
+  wcag: ['1.3.1', '4.1.2'],
+  act: ['e086e5'],
+  description: 'Radio buttons have an accessible name',
+  test: testRadioButton
+});
+
+registerRule({
+  id: 'image-input-name',
+  selector: 'input[type="image"]',
+  roles: ['button'],
+  wcag: ['1.1.1', '4.1.2'],
+  act: ['59796f'],
+  description: 'Image buttons have alternative text',
+  test: testImageInput
+});
+
+registerRule({
+  id: 'select-name',
+  selector: 'select',
+  roles: ['combobox', 'listbox'],
+  wcag: ['1.3.1', '4.1.2'],
+  act: ['e086e5'],
+  description: 'Select elements have an accessible name',
+  test: testSelect
+});
+
+registerRule({
+  id: 'group-name',
+  selector: 'fieldset, [role="group"]',
+  roles: ['group'],
+  wcag: ['1.3.1'],
+  description: 'Groups of form controls have an accessible name',
+  test: testFieldset
+});
+
+registerRule({
+  id: 'form-name',
+  selector: 'form, [role="form"]',
+  roles: ['form'],
+  wcag: ['1.3.1', '4.1.2'],
+  description: 'Forms have an accessible name',
+  test: testForm
+});
+
+registerRule({
+  id: 'button-name',
+  selector: 'button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]',
+  roles: ['button'],
+  wcag: ['4.1.2'],
+  act: ['97a4e1'],
+  description: 'Buttons have an accessible name',
+  test: testButton
+});
+
+registerRule({
+  id: 'link-name',
+  selector: 'a[href], [role="link"]',
+  roles: ['link'],
+  wcag: ['2.4.4', '4.1.2'],
+  act: ['c487ae'],
+  description: 'Links have a descriptive accessible name',
+  test: testLink
+});
+
+registerRule({
+  id: 'area-name',
+  selector: 'area[href]',
+  roles: ['link'],
+  wcag: ['1.1.1', '2.4.4', '4.1.2'],
+  act: ['c487ae'],
+  description: 'Image map areas have alternative text',
+  test: testArea
+});
+
+registerRule({
+  id: 'landmark-name',
+  selector: 'header, [role="banner"], aside, [role="complementary"], footer, [role="contentinfo"], ' +
+            'main, [role="main"], nav, [role="navigation"], ' +
+            'section[aria-label], section[aria-labelledby], [role="region"][aria-label], [role="region"][aria-labelledby], ' +
+            '[role="search"], form',
+  roles: ['banner', 'complementary', 'contentinfo', 'main', 'navigation', 'region', 'search', 'form'],
+  wcag: ['1.3.1'],
+  description: 'Landmarks have an accessible name when needed',
+  test: testLandmark
+});
+
+registerRule({
+  id: 'progressbar-name',
+  selector: 'progress, [role="progressbar"]',
+  roles: ['progressbar'],
+  wcag: ['1.1.1', '4.1.2'],
+  description: 'Progress bars have an accessible name',
+  test: testProgress
+});
+
+registerRule({
+  id: 'meter-name',
+  selector: 'meter, [role="meter"]',
+  roles: ['meter'],
+  wcag: ['1.1.1', '4.1.2'],
+  description: 'Meters have an accessible name',
+  test: testMeter
+});
+
+registerRule({
+  id: 'svg-img-name',
+  selector: 'svg[role="img"]',
+  roles: ['img'],
+  wcag: ['1.1.1'],
+  act: ['7d6734'],
+  description: 'SVG images have an accessible name',
+  test: testSVGImage
+});
+
+registerRule({
+  id: 'role-img-name',
+  selector: '[role="img"]:not(svg)',
+  roles: ['img'],
+  wcag: ['1.1.1'],
+  act: ['23a2a8'],
+  description: 'Elements with role="img" have an accessible name',
+  test: testElementWithRoleImg
+});
+
+registerRule({
+  id: 'aria-widget-name',
+  selector: '[role="checkbox"], [role="combobox"], [role="listbox"], [role="menu"], [role="menuitem"], ' +
+            '[role="menuitemcheckbox"], [role="menuitemradio"], [role="radio"], [role="radiogroup"], ' +
+            '[role="slider"], [role="switch"], [role="tab"], [role="tablist"], [role="tabpanel"], ' +
+            '[role="tree"], [role="treeitem"]',
+  roles: ['checkbox', 'combobox', 'listbox', 'menu', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'radio',
+          'radiogroup', 'slider', 'switch', 'tab', 'tablist', 'tabpanel', 'tree', 'treeitem'],
+  wcag: ['4.1.2'],
+  description: 'ARIA widgets have an accessible name',
+  test: testAriaWidget
+});
+
+registerRule({
+  id: 'dialog-name',
+  selector: '[role="dialog"]',
+  roles: ['dialog'],
+  wcag: ['4.1.2'],
+  description: 'Dialogs have an accessible name',
+  test: testDialog
+});
+
+registerRule({
+  id: 'iframe-name',
+  selector: 'iframe',
+  roles: [],
+  wcag: ['4.1.2'],
+  act: ['cae760'],
+  description: 'Frames have an accessible name',
+  test: testIframe
+});
+
+registerRule({
+  id: 'media-name',
+  selector: 'audio[controls], video[controls], [role="video"]',
+  roles: [],
+  wcag: ['1.1.1', '4.1.2'],
+  description: 'Audio and video players have an accessible name',
+  test: testMedia
+});
+
+registerRule({
+  id: 'focusable-element-name',
+  selector: '[tabindex]:not([tabindex="-1"])',
+  roles: [],
+  wcag: ['4.1.2'],
+  description: 'Focusable elements have an accessible name',
+  test: testElementWithTabindex
+});
+
+registerRule({
+  id: 'label-in-name',
+  // Only elements whose name can come from their content or a visible label
+  selector: 'button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"], ' +
+            'a[href], [role="link"], [role="checkbox"], [role="menuitem"], [role="menuitemcheckbox"], ' +
+            '[role="menuitemradio"], [role="option"], [role="radio"], [role="switch"], [role="tab"], ' +
+            '[role="treeitem"], input:not([type="hidden"]):not([type="image"]), select, textarea',
+  roles: ['button', 'link', 'checkbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio',
+          'switch', 'tab', 'treeitem', 'textbox', 'searchbox', 'combobox', 'listbox', 'slider', 'spinbutton'],
+  wcag: ['2.5.3'],
+  act: ['2ee8b8'],
+  description: 'The accessible name contains the visible label',
+  test: testLabelInName
+});
+
 /**
  * Main function to run accessibility tests on the page
+ * Runs every registered rule (see ruleRegistry) in registration order.
+ * @param {Document|Element} root - Subtree to test (defaults to the whole document)
  * @returns {Object} Test results with elements and issues
  */
-function runAccessibilityTest() {
+function runAccessibilityTest(root = document) {
   console.log("Running accessible name tests");
 
-  // Find all elements that should have accessible names
-  const elementsToTest = [
-    // Images
-    ...findAndTestElements('img:not([role="presentation"], [role="none"])', testImage),
-
-    // Form controls (except special input types that are handled separately)
-    ...findAndTestElements('input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="radio"]):not([type="image"])', testFormControl),
-    ...findAndTestElements('input[type="radio"]', testRadioButton),
-    ...findAndTestElements('input[type="image"]', testImageInput),
-    ...findAndTestElements('textarea', testFormControl),
-    ...findAndTestElements('select', testSelect),
-
-    // Fieldset groups
-    ...findAndTestElements('fieldset', testFieldset),
-    ...findAndTestElements('[role="group"]', testFieldset),
-
-    // Forms and form roles
-    ...findAndTestElements('form', testForm),
-    ...findAndTestElements('[role="form"]', testForm),
-
-    // Buttons and button-like inputs
-    ...findAndTestElements('button', testButton),
-    ...findAndTestElements('[role="button"]', testButton),
-    ...findAndTestElements('input[type="button"]', testButton),
-    ...findAndTestElements('input[type="submit"]', testButton),
-    ...findAndTestElements('input[type="reset"]', testButton),
-
-    // Links
-    ...findAndTestElements('a[href]', testLink),
-    ...findAndTestElements('[role="link"]', testLink),
-
-    // Image map areas
-    ...findAndTestElements('area[href]', testArea),
-
-    // Form element
-    ...findAndTestElements('form', testLandmark),
-    
-    // Landmarks
-    ...findAndTestElements('header, [role="banner"]', testLandmark),
-    ...findAndTestElements('aside, [role="complementary"]', testLandmark),
-    ...findAndTestElements('footer, [role="contentinfo"]', testLandmark),
-    ...findAndTestElements('main, [role="main"]', testLandmark),
-    ...findAndTestElements('nav, [role="navigation"]', testLandmark),
-    ...findAndTestElements('section[aria-label], section[aria-labelledby], [role="region"][aria-label], [role="region"][aria-labelledby]', testLandmark),
-    ...findAndTestElements('[role="search"]', testLandmark),
-    
-    // Progress and meter elements
-    ...findAndTestElements('progress', testProgress),
-    ...findAndTestElements('[role="progressbar"]', testProgress),
-    ...findAndTestElements('meter', testMeter),
-    ...findAndTestElements('[role="meter"]', testMeter),
-
-    // SVG images
-    ...findAndTestElements('svg[role="img"]', testSVGImage),
-    ...findAndTestElements('div[role="img"]', testElementWithRoleImg),
-    ...findAndTestElements('span[role="img"]', testElementWithRoleImg),
-    ...findAndTestElements('[role="img"]:not(svg):not(div):not(span)', testElementWithRoleImg),
-
-    // ARIA widgets that require accessible names
-    ...findAndTestElements('[role="checkbox"]', testAriaWidget),
-    ...findAndTestElements('[role="combobox"]', testAriaWidget),
-    ...findAndTestElements('[role="dialog"]', testDialog), // Dialog elements need special handling
-    ...findAndTestElements('[role="listbox"]', testAriaWidget),
-    ...findAndTestElements('[role="menu"]', testAriaWidget),
-    ...findAndTestElements('[role="menuitem"]', testAriaWidget),
-    ...findAndTestElements('[role="radio"]', testAriaWidget),
-    ...findAndTestElements('[role="radiogroup"]', testAriaWidget),
-    ...findAndTestElements('[role="slider"]', testAriaWidget),
-    ...findAndTestElements('[role="tab"]', testAriaWidget),
-    ...findAndTestElements('[role="tablist"]', testAriaWidget),
-    ...findAndTestElements('[role="tabpanel"]', testAriaWidget),
-    ...findAndTestElements('[role="textbox"]', testFormControl),
-    ...findAndTestElements('[role="tree"]', testAriaWidget),
-    ...findAndTestElements('[role="treeitem"]', testAriaWidget),
-    // Note: [role="meter"] is now handled above
-    
-    // Other interactive elements that require accessible names
-    ...findAndTestElements('iframe', testIframe),
-    ...findAndTestElements('audio[controls]', testMedia),
-    ...findAndTestElements('video[controls]', testMedia),
-    ...findAndTestElements('[role="video"]', testMedia),
-    
-    // Elements with tabindex
-    ...findAndTestElements('[tabindex]:not([tabindex="-1"])', testElementWithTabindex)
-  ];
-  
+  // Test every element each rule applies to, keeping each element's results together
+  const resultsByElement = new Map();
+  runShadowRoots = new Map();
+  try {
+    for (const rule of listRules()) {
+      runRule(rule, root).forEach(({ element, result }) => {
+        if (!resultsByElement.has(element)) {
+          resultsByElement.set(element, []);
+        }
+        resultsByElement.get(element).push(result);
+      });
+    }
+  } finally {
+    runShadowRoots = null;
+  }
+
+  // Link purpose compares links with each other, so it runs once every rule has
+  const linkPurposeResults = getLinkPurposeResults(Array.from(resultsByElement.keys()));
+  watchLinkPurpose = new WeakMap();
+  linkPurposeResults.forEach((results, link) => {
+    resultsByElement.get(link).push(...results);
+    if (watchObserver) {
+      watchLinkPurpose.set(link, getLinkPurposeSignature(results));
+    }
+  });
+
+  const elementsToTest = [];
+  resultsByElement.forEach((results, element) => {
+    elementsToTest.push(...addDescriptionResults(element, mergeElementResults(results)));
+  });
+
+  return buildTestResults(elementsToTest, root === document ? null : root);
+}
+
+/**
+ * Build the results object for a test run
+ * @param {Array} elementsToTest - Test results for each element
+ * @param {Element|null} scope - Element the run was limited to, or null for the whole document
+ * @returns {Object} Test results with elements and issues
+ */
+function buildTestResults(elementsToTest, scope) {
   // Process results
   const failedElements = elementsToTest.filter(el => el.result === "fail");
   const warningElements = elementsToTest.filter(el => el.result === "warn");
@@ -328,6 +680,7 @@ function runAccessibilityTest() {
   return {
     url: window.location.href,
     timestamp: new Date().toISOString(),
+    scope: scope ? { selector: generateSelector(scope), tagName: scope.tagName.toLowerCase() } : null,
     elements: elementsToTest,
     counts: {
       total: elementsToTest.length,
@@ -339,404 +692,2704 @@ function runAccessibilityTest() {
 }
 
 /**
- * Find elements matching a selector and test each one
+ * Find the elements a rule applies to
+ * Elements inside open shadow roots are included.
+ * @param {Object} rule - Registered rule
+ * @param {Document|Element} root - Subtree to search (defaults to the whole document)
+ * @returns {Array} Array of elements
+ */
+function findRuleElements(rule, root = document) {
+  let elements;
+
+  elements = querySelectorAllInScope(rule.selector || '*', root);
+
+  if (rule.roles.length > 0) {
+    elements = elements.filter(element => rule.roles.includes(getElementRole(element)));
+  }
+
+  if (rule.matcher) {
+    elements = elements.filter(element => rule.matcher(element));
+  }
+
+  return elements;
+}
+
+/**
+ * Find all elements matching a selector in a subtree, including the subtree's
+ * root element and the contents of its shadow root
  * @param {string} selector - CSS selector for elements
- * @param {function} testFunction - Function to test each element
- * @returns {Array} Array of test results
+ * @param {Document|Element} root - Subtree to search
+ * @returns {Array} Array of matching elements
+ */
+function querySelectorAllInScope(selector, root) {
+  if (root.nodeType !== Node.ELEMENT_NODE) {
+    return querySelectorAllDeep(selector, root);
+  }
+
+  if (!root.shadowRoot) {
+    return [
+      ...(root.matches(selector) ? [root] : []),
+      ...querySelectorAllDeep(selector, root)
+    ];
+  }
+
+  return sortInFlatTreeOrder([
+    ...(root.matches(selector) ? [root] : []),
+    ...querySelectorAllDeep(selector, root.shadowRoot),
+    ...querySelectorAllDeep(selector, root)
+  ]);
+}
+
+/**
+ * Run a rule against every element it applies to
+ * Every result is stamped with its rule id, issue code and severity.
+ * Results from rules that don't set an issue code fall back to 'name-ok'
+ * when passing and to the rule id otherwise.
+ * @param {Object} rule - Registered rule
+ * @param {Document|Element} root - Subtree to test (defaults to the whole document)
+ * @returns {Array} Array of { element, result } pairs
  */
-function findAndTestElements(selector, testFunction) {
+function runRule(rule, root = document) {
   try {
-    const elements = document.querySelectorAll(selector);
+    const elements = findRuleElements(rule, root);
     const results = [];
     
     for (const element of elements) {
-      const result = testFunction(element);
+      const result = testElementWithRule(rule, element);
       if (result) {
-        results.push(result);
+        results.push({ element: element, result: result });
       }
     }
     
     return results;
   } catch (error) {
-    console.error(`Error finding elements with selector ${selector}:`, error);
+    console.error(`Error running rule ${rule.id}:`, error);
     return [];
   }
 }
 
 /**
- * Test an image element for an accessible name
- * @param {HTMLElement} element - Image element
- * @returns {Object} Test result
+ * Test a single element with a rule and stamp the shared result fields
+ * @param {Object} rule - Registered rule
+ * @param {Element} element - Element the rule applies to
+ * @returns {Object|null} Test result, or null if the rule reported nothing
  */
+function testElementWithRule(rule, element) {
+  const result = rule.test(element);
+  if (!result) return null;
+
+  return stampRuleResult(rule, element, result);
+}
+
+// Severity reported for each result value (see ISSUE_CODES in issue_codes.js)
+const RESULT_SEVERITY = {
+  fail: 'error',
+  warn: 'warning',
+  pass: 'none'
+};
+
 /**
- * Test an SVG element with role="img" for an accessible name
- * @param {SVGElement} element - SVG element with role="img"
- * @returns {Object} Test result
+ * Stamp the fields shared by every result: name trace, rule id, location,
+ * fingerprint, issue code, severity and conformance mapping
+ * @param {Object} rule - Rule that produced the result
+ * @param {Element} element - Element the result is for
+ * @param {Object} result - Result returned by the rule's test
+ * @returns {Object} The result
  */
-function testSVGImage(element) {
-  const accessibleName = computeAccessibleName(element);
+function stampRuleResult(rule, element, result) {
+  result.nameTrace = element._accessibleNameTrace || [];
+  result.ruleId = rule.id;
+  result.xpath = getXPath(element);
+  result.fingerprint = getElementFingerprint(element);
+  result.issueCode = result.issueCode || (result.result === 'pass' ? 'name-ok' : rule.id);
+  result.severity = RESULT_SEVERITY[result.result] || 'none';
+  addConformanceMapping(result, rule);
+
+  // In watch mode, later updates replace results by element
+  if (watchObserver) {
+    result.watchId = getWatchId(element);
+  }
+  return result;
+}
 
-  // Check if the element is hidden using our helper function
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+/**
+ * Check whether a rule applies to an element, using the same selector, role
+ * and matcher checks as findRuleElements
+ * @param {Object} rule - Registered rule
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the rule would test the element
+ */
+function ruleAppliesToElement(rule, element) {
+  if (rule.selector && !element.matches(rule.selector)) return false;
+  if (rule.roles.length > 0 && !rule.roles.includes(getElementRole(element))) return false;
 
-  const result = {
+  return !rule.matcher || rule.matcher(element);
+}
+
+/**
+ * Run every rule that applies to a single element
+ * @param {Element} element - Element to test
+ * @param {Array} linkPurposeResults - The element's link purpose results, if it
+ *   is a link (see getLinkPurposeResults)
+ * @returns {Array} Array of test results, including any description result
+ */
+function testElement(element, linkPurposeResults = []) {
+  const results = [];
+
+  for (const rule of listRules()) {
+    try {
+      if (ruleAppliesToElement(rule, element)) {
+        const result = testElementWithRule(rule, element);
+        if (result) {
+          results.push(result);
+        }
+      }
+    } catch (error) {
+      console.error(`Error running rule ${rule.id}:`, error);
+    }
+  }
+
+  results.push(...linkPurposeResults);
+  return addDescriptionResults(element, mergeElementResults(results));
+}
+
+/**
+ * Merge the results of every rule that tested the same element
+ * Results repeating an issue code already reported for the element are
+ * dropped, and so are passes when another rule found a problem. An element
+ * every rule passes keeps a single pass.
+ * @param {Array} results - The element's results, in rule order
+ * @returns {Array} The merged results
+ */
+function mergeElementResults(results) {
+  const issueCodes = new Set();
+  const unique = results.filter(result => {
+    if (issueCodes.has(result.issueCode)) return false;
+    issueCodes.add(result.issueCode);
+    return true;
+  });
+
+  const problems = unique.filter(result => result.result !== 'pass');
+  return problems.length > 0 ? problems : unique.slice(0, 1);
+}
+
+/**
+ * Report on a single element for the Elements panel sidebar pane
+ * Runs every rule that applies to the element, then computes its name and
+ * description.
+ * @param {Element} element - Element selected in the Elements panel
+ * @returns {Object} Name, name source, description, role and rule results
+ */
+function getElementReport(element) {
+  const results = testElement(element);
+  const accessibleName = computeAccessibleName(element);
+  const nameTrace = element._accessibleNameTrace || [];
+  const accessibleDescription = computeAccessibleDescription(element);
+
+  return {
     tagName: element.tagName.toLowerCase(),
+    role: getElementRole(element),
     selector: generateSelector(element),
-    outerHTML: element.outerHTML,
     accessibleName: accessibleName,
-    isVisible: isVisible
+    nameSource: getAccessibleNameSource(nameTrace),
+    nameTrace: nameTrace,
+    accessibleDescription: accessibleDescription,
+    accessibleDescriptionSource: element._accessibleDescriptionSource,
+    announcement: computeAnnouncement(element, accessibleName, accessibleDescription),
+    results: results
   };
+}
 
-  // Determine if the element is explicitly marked as decorative
-  const isDecorative = (element.hasAttribute('aria-hidden') && element.getAttribute('aria-hidden') === 'true') ||
-                      (element.hasAttribute('role') && element.getAttribute('role') === 'presentation') ||
-                      (element.hasAttribute('role') && element.getAttribute('role') === 'none');
+/**
+ * Find the source that supplied an element's accessible name
+ * @param {Array} nameTrace - Derivation trace from computeAccessibleName
+ * @returns {Object|null} The step and source, e.g. { step: '2D', source: 'aria-label' }, or null
+ */
+function getAccessibleNameSource(nameTrace) {
+  const entry = nameTrace.find(item =>
+    item.depth === 0 && item.step !== 'Result' && !item.skipped && item.text);
+  return entry ? { step: entry.step, source: entry.source } : null;
+}
 
-  // Check for a <title> element in the SVG
-  const hasTitle = element.querySelector('title') !== null;
-  const titleElement = element.querySelector('title');
-  const titleContent = titleElement ? titleElement.textContent : null;
-  result.hasTitleElement = hasTitle;
-  result.titleContent = titleContent;
+// The roles listed under each rotor list, as a screen reader's rotor or elements list groups them
+const ROTOR_ROLES = {
+  links: ['link'],
+  formFields: ['textbox', 'searchbox', 'combobox', 'listbox', 'checkbox', 'radio', 'switch', 'slider', 'spinbutton'],
+  headings: ['heading'],
+  landmarks: ['banner', 'navigation', 'main', 'contentinfo', 'complementary', 'region', 'form', 'search'],
+  buttons: ['button']
+};
 
-  // If the element is decorative, it should have no accessible name
-  if (isDecorative) {
-    if (accessibleName === '') {
-      result.result = "pass";
-      result.description = "Decorative SVG image correctly has no accessible name";
-    } else {
-      result.result = "warn";
-      result.description = "Decorative SVG image (with role='presentation' or 'none') should not have an accessible name";
-    }
-    return result;
-  }
+/**
+ * List the links, form fields, headings, landmarks and buttons on the page in
+ * DOM order with their accessible names, like a screen reader's rotor
+ * @returns {Object} URL, timestamp and one array of entries per rotor list
+ */
+function buildRotor() {
+  const rotor = {
+    url: window.location.href,
+    timestamp: new Date().toISOString(),
+    links: [],
+    formFields: [],
+    headings: [],
+    landmarks: [],
+    buttons: []
+  };
 
-  // Check for broken aria-labelledby references first
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+  getRotorElements(document.documentElement).forEach(element => {
+    const role = getElementRole(element);
+    const list = Object.keys(ROTOR_ROLES).find(key => ROTOR_ROLES[key].includes(role));
+    if (!list) return;
 
-    // Create a specific error message for broken aria-labelledby
-    let resultObj = {
-      result: "fail",
-      description: "Broken aria-labelledby references",
-      details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
+    const accessibleName = computeAccessibleName(element).replace(/\s+/g, ' ').trim();
+
+    // Regions and forms are only landmarks when they have a name
+    if ((role === 'region' || role === 'form') && !accessibleName) return;
+
+    const entry = {
+      selector: generateSelector(element),
+      tagName: element.tagName.toLowerCase(),
+      role: role,
+      accessibleName: accessibleName
     };
 
-    // Apply the result
-    if (!isVisible && resultObj.result === "fail") {
-      result.result = "warn";
-      result.description = resultObj.description + " (hidden element)";
-      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
-    } else {
-      result.result = resultObj.result;
-      result.description = resultObj.description;
-      if (resultObj.details) {
-        result.details = resultObj.details;
-      }
+    if (role === 'heading') {
+      entry.level = getHeadingLevel(element);
+    }
+    if (role === 'link') {
+      entry.href = element.hasAttribute('href') ? element.href : '';
     }
 
-    return result;
-  }
+    rotor[list].push(entry);
+  });
 
-  // Determine result based on accessible name
-  let resultObj;
+  return rotor;
+}
 
-  if (!accessibleName) {
-    resultObj = {
-      result: "fail",
-      description: "Missing accessible name",
-      details: "SVG images with role=\"img\" need an accessible name to make their content available to screen reader users. Add a <title> element as the first child of the SVG, or use aria-label or aria-labelledby attributes."
-    };
-  } else if (accessibleName.trim() === '') {
-    resultObj = {
+/**
+ * Collect the elements a screen reader can reach, in DOM order
+ * Shadow roots are walked before an element's light DOM children. Subtrees
+ * hidden with aria-hidden, the hidden attribute or display: none are skipped;
+ * elements hidden with visibility are left out but their children are kept,
+ * since they can be made visible again.
+ * @param {Element} root - Element to start from
+ * @returns {Array<Element>} The elements
+ */
+function getRotorElements(root) {
+  const elements = [];
+
+  const visit = (parent) => {
+    Array.from(parent.children).forEach(child => {
+      if (child.getAttribute('aria-hidden') === 'true' || child.hasAttribute('hidden')) return;
+
+      const style = window.getComputedStyle(child);
+      if (style.display === 'none') return;
+
+      if (style.visibility !== 'hidden' && style.visibility !== 'collapse') {
+        elements.push(child);
+      }
+
+      if (child.shadowRoot) {
+        visit(child.shadowRoot);
+      }
+      visit(child);
+    });
+  };
+
+  visit(root);
+  return elements;
+}
+
+// Roles a virtual cursor reads as a single item, from their accessible name, without reading their content
+const TRANSCRIPT_ITEM_ROLES = [
+  'link', 'button', 'checkbox', 'radio', 'switch', 'textbox', 'searchbox', 'combobox', 'listbox',
+  'slider', 'spinbutton', 'img', 'heading', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+  'option', 'progressbar', 'meter', 'separator'
+];
+
+// Roles announced when the virtual cursor enters and leaves them
+const TRANSCRIPT_CONTAINER_ROLES = [...ROTOR_ROLES.landmarks, 'list', 'table', 'dialog', 'alertdialog'];
+
+// Elements whose content is never read
+const TRANSCRIPT_SKIPPED_TAGS = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE'];
+
+/**
+ * Check whether an element starts a new line of text (display: block, flex, list-item, etc.)
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element is not displayed inline
+ */
+function isBlockElement(element) {
+  const display = window.getComputedStyle(element).display;
+  return !!display && !display.startsWith('inline') && display !== 'contents';
+}
+
+/**
+ * Check whether an element is hidden with visibility: hidden or collapse
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element itself isn't rendered
+ */
+function isVisibilityHidden(element) {
+  const visibility = window.getComputedStyle(element).visibility;
+  return visibility === 'hidden' || visibility === 'collapse';
+}
+
+/**
+ * Read the page in reading order the way a screen reader's virtual cursor does
+ * Content hidden from screen readers (aria-hidden, the hidden attribute,
+ * display: none or visibility: hidden) is skipped. Controls, links, headings
+ * and images are read as their announcement (name, role and states), landmarks,
+ * lists and tables are announced on entry and exit, and other text is read as
+ * it appears, one line per block.
+ * @returns {Object} URL, timestamp and the transcript lines
+ */
+function buildTranscript() {
+  const lines = [];
+  let text = '';
+  let textElement = null;
+  let depth = 0;
+
+  const addLine = (type, lineText, element) => {
+    lines.push({
+      type: type,
+      text: lineText,
+      depth: depth,
+      selector: element ? generateSelector(element) : null
+    });
+  };
+
+  const flushText = () => {
+    const line = text.replace(/\s+/g, ' ').trim();
+    if (line) {
+      addLine('text', line, textElement);
+    }
+    text = '';
+    textElement = null;
+  };
+
+  const visit = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const parent = getFlatTreeParent(node);
+      if (parent && isVisibilityHidden(parent)) return;
+      if (!textElement) {
+        textElement = node.parentElement;
+      }
+      text += node.textContent;
+      return;
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || TRANSCRIPT_SKIPPED_TAGS.includes(node.tagName) || isOwnNode(node)) return;
+
+    // Only what screen readers skip is left out: content that is transparent
+    // (opacity: 0) or clipped off screen is still read
+    if (node.getAttribute('aria-hidden') === 'true' || node.hasAttribute('hidden') ||
+        window.getComputedStyle(node).display === 'none') return;
+
+    if (node.tagName === 'BR') {
+      flushText();
+      return;
+    }
+
+    const role = getElementRole(node);
+    const isBlock = isBlockElement(node);
+
+    // Descendants of an element hidden with visibility can be made visible
+    // again, so only the element itself is skipped
+    if (isVisibilityHidden(node)) {
+      if (isBlock) flushText();
+      getFlatTreeChildren(node).forEach(visit);
+      if (isBlock) flushText();
+      return;
+    }
+
+    if (role === 'presentation' && node.tagName === 'IMG') return;
+
+    if (TRANSCRIPT_ITEM_ROLES.includes(role) || node.tagName === 'IFRAME') {
+      flushText();
+      const name = computeAccessibleName(node);
+      const announcement = node.tagName === 'IFRAME'
+        ? [name.trim(), 'frame'].filter(Boolean).join(', ')
+        : computeAnnouncement(node, name, computeAccessibleDescription(node));
+      if (announcement) {
+        addLine('item', announcement, node);
+      }
+      return;
+    }
+
+    let isContainer = TRANSCRIPT_CONTAINER_ROLES.includes(role);
+    const name = isContainer ? computeAccessibleName(node) : '';
+
+    // Regions and forms are only landmarks when they have a name
+    if ((role === 'region' || role === 'form') && !name.trim()) {
+      isContainer = false;
+    }
+
+    if (isContainer || isBlock) {
+      flushText();
+    }
+
+    if (isContainer) {
+      let announcement = computeAnnouncement(node, name, '');
+      if (role === 'list') {
+        const itemCount = getFlatTreeChildren(node).filter(child =>
+          child.nodeType === Node.ELEMENT_NODE && getElementRole(child) === 'listitem').length;
+        announcement += `, ${itemCount} ${itemCount === 1 ? 'item' : 'items'}`;
+      }
+      addLine('start', announcement, node);
+      depth++;
+    }
+
+    getFlatTreeChildren(node).forEach(visit);
+
+    if (isContainer || isBlock) {
+      flushText();
+    }
+
+    if (isContainer) {
+      depth--;
+      addLine('end', `end of ${ROLE_ANNOUNCEMENTS[role] || role}`, node);
+    }
+  };
+
+  if (document.body) {
+    visit(document.body);
+  }
+  flushText();
+
+  return {
+    url: window.location.href,
+    timestamp: new Date().toISOString(),
+    title: document.title,
+    lines: lines
+  };
+}
+
+// Landmarks that should appear at most once and only at the top level of the page
+const TOP_LEVEL_LANDMARK_ROLES = ['banner', 'main', 'contentinfo'];
+
+/**
+ * Get an element's landmark role
+ * @param {Element} element - Element to check
+ * @returns {string|null} The landmark role, or null if the element is not a landmark
+ */
+function getLandmarkRole(element) {
+  const role = getElementRole(element);
+  if (!ROTOR_ROLES.landmarks.includes(role)) {
+    return null;
+  }
+
+  // Regions and forms are only landmarks when they have a name
+  if ((role === 'region' || role === 'form') && !computeAccessibleName(element).trim()) {
+    return null;
+  }
+
+  return role;
+}
+
+/**
+ * Build an outline of the page's landmarks and flag structural problems:
+ * more than one banner, main or contentinfo, banner, main or contentinfo
+ * nested inside another landmark, landmarks of the same role that can't be
+ * told apart by name, and content outside any landmark
+ * @returns {Object} URL, timestamp, the landmarks in DOM order (each with its
+ *   nesting depth and issues) and the content found outside landmarks
+ */
+function buildLandmarkOutline() {
+  const landmarks = [];
+  const outsideContent = [];
+
+  const addOutsideContent = (element, text) => {
+    const last = outsideContent[outsideContent.length - 1];
+    if (last && last.element.contains(element)) return;
+    outsideContent.push({ element: element, text: text });
+  };
+
+  const visit = (parent, parentLandmark) => {
+    getFlatTreeChildren(parent).forEach(node => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        const text = node.textContent.replace(/\s+/g, ' ').trim();
+        if (!parentLandmark && text && node.parentElement) {
+          addOutsideContent(node.parentElement, text);
+        }
+        return;
+      }
+
+      if (node.nodeType !== Node.ELEMENT_NODE || TRANSCRIPT_SKIPPED_TAGS.includes(node.tagName) || isOwnNode(node)) return;
+      if (node.getAttribute('aria-hidden') === 'true' || isElementHidden(node)) return;
+
+      const role = getLandmarkRole(node);
+      if (role) {
+        const landmark = {
+          element: node,
+          role: role,
+          accessibleName: computeAccessibleName(node).replace(/\s+/g, ' ').trim(),
+          depth: parentLandmark ? parentLandmark.depth + 1 : 0,
+          parentRole: parentLandmark ? parentLandmark.role : null,
+          issues: []
+        };
+        landmarks.push(landmark);
+        visit(node, landmark);
+        return;
+      }
+
+      // Skip links before the first landmark are expected to be outside landmarks
+      const isSkipLink = node.tagName === 'A' && (node.getAttribute('href') || '').startsWith('#') && landmarks.length === 0;
+
+      if (!parentLandmark && !isSkipLink && TRANSCRIPT_ITEM_ROLES.includes(getElementRole(node))) {
+        addOutsideContent(node, computeAccessibleName(node).replace(/\s+/g, ' ').trim());
+        return;
+      }
+
+      if (!isSkipLink) {
+        visit(node, parentLandmark);
+      }
+    });
+  };
+
+  if (document.body) {
+    visit(document.body, null);
+  }
+
+  TOP_LEVEL_LANDMARK_ROLES.forEach(role => {
+    const matches = landmarks.filter(landmark => landmark.role === role);
+    if (matches.length > 1) {
+      matches.forEach(landmark => {
+        landmark.issues.push(`The page has ${matches.length} ${role} landmarks; it should have only one`);
+      });
+    }
+  });
+
+  landmarks.forEach(landmark => {
+    if (TOP_LEVEL_LANDMARK_ROLES.includes(landmark.role) && landmark.parentRole) {
+      landmark.issues.push(`A ${landmark.role} landmark should not be nested inside a ${landmark.parentRole} landmark`);
+    }
+
+    // Repeated banner, main and contentinfo landmarks are already flagged above
+    if (TOP_LEVEL_LANDMARK_ROLES.includes(landmark.role)) return;
+
+    const sameName = landmarks.filter(other => other !== landmark && other.role === landmark.role &&
+      other.accessibleName.toLowerCase() === landmark.accessibleName.toLowerCase());
+    if (sameName.length > 0) {
+      landmark.issues.push(landmark.accessibleName
+        ? `Another ${landmark.role} landmark has the same name`
+        : `Another ${landmark.role} landmark also has no name, so they can't be told apart`);
+    }
+  });
+
+  return {
+    url: window.location.href,
+    timestamp: new Date().toISOString(),
+    landmarks: landmarks.map(({ element, parentRole, ...landmark }) => ({
+      ...landmark,
+      tagName: element.tagName.toLowerCase(),
+      selector: generateSelector(element)
+    })),
+    outsideContent: outsideContent.map(({ element, text }) => ({
+      tagName: element.tagName.toLowerCase(),
+      selector: generateSelector(element),
+      text: text.length > 80 ? text.substring(0, 77) + '...' : text
+    }))
+  };
+}
+
+// Wait this long after the last mutation before re-testing
+const WATCH_DEBOUNCE_MS = 500;
+
+// Re-test at least this often while the page keeps changing
+const WATCH_MAX_WAIT_MS = 2000;
+
+// Attributes that change the names and visibility of every descendant
+// Class and style changes only do when they show or hide the element.
+const WATCH_SUBTREE_ATTRIBUTES = ['hidden', 'aria-hidden', 'inert'];
+
+const WATCH_OBSERVER_OPTIONS = {
+  subtree: true,
+  childList: true,
+  attributes: true,
+  characterData: true
+};
+
+/**
+ * Start watching the page for changes
+ * Changed parts of the page are re-tested after a short pause and the results
+ * are sent to the panel as watchUpdate messages.
+ */
+function startWatching() {
+  if (watchObserver) return;
+
+  watchObserver = new MutationObserver(mutations => {
+    if (pendingWatchMutations.length === 0) {
+      watchBatchStart = Date.now();
+    }
+    pendingWatchMutations.push(...mutations);
+
+    clearTimeout(watchTimer);
+    const wait = Date.now() - watchBatchStart >= WATCH_MAX_WAIT_MS ? 0 : WATCH_DEBOUNCE_MS;
+    watchTimer = setTimeout(flushWatchMutations, wait);
+  });
+
+  watchObserver.observe(document.documentElement, WATCH_OBSERVER_OPTIONS);
+  observeShadowRoots(document.documentElement);
+  recordVisibility(document.documentElement);
+}
+
+/**
+ * Stop watching the page for changes
+ */
+function stopWatching() {
+  if (!watchObserver) return;
+
+  watchObserver.disconnect();
+  watchObserver = null;
+  clearTimeout(watchTimer);
+  watchTimer = null;
+  pendingWatchMutations = [];
+}
+
+/**
+ * Observe the open shadow roots in a subtree, which the document observer
+ * doesn't see into
+ * @param {Element} root - Subtree to search
+ */
+function observeShadowRoots(root) {
+  for (const element of querySelectorAllInScope('*', root)) {
+    if (element.shadowRoot) {
+      watchObserver.observe(element.shadowRoot, WATCH_OBSERVER_OPTIONS);
+    }
+  }
+}
+
+/**
+ * Get whether an element is rendered: 'none' when it isn't displayed,
+ * otherwise its computed visibility
+ * @param {Element} element - Element to check
+ * @returns {string} Visibility state
+ */
+function getVisibilityState(element) {
+  const computedStyle = window.getComputedStyle(element);
+  return computedStyle.display === 'none' ? 'none' : computedStyle.visibility;
+}
+
+/**
+ * Record the visibility state of every element in a subtree
+ * @param {Element} root - Subtree to record
+ */
+function recordVisibility(root) {
+  for (const element of querySelectorAllInScope('*', root)) {
+    watchVisibility.set(element, getVisibilityState(element));
+  }
+}
+
+/**
+ * Check whether an attribute mutation can change results below its target
+ * Class and style changes only count when they show or hide the target;
+ * other attributes only affect the target and the elements naming it.
+ * @param {MutationRecord} mutation - Attribute mutation
+ * @param {Element} target - Changed element
+ * @returns {boolean} True if the target's whole subtree should be re-tested
+ */
+function changesSubtree(mutation, target) {
+  if (WATCH_SUBTREE_ATTRIBUTES.includes(mutation.attributeName)) {
+    return true;
+  }
+  if (mutation.attributeName !== 'class' && mutation.attributeName !== 'style') {
+    return false;
+  }
+
+  const state = getVisibilityState(target);
+  const changed = state !== watchVisibility.get(target);
+  watchVisibility.set(target, state);
+  return changed;
+}
+
+/**
+ * Get the watch id of an element, assigning one if it has none
+ * @param {Element} element - Tested element
+ * @returns {number} Id, unique within this frame
+ */
+function getWatchId(element) {
+  if (!watchIds.has(element)) {
+    watchIds.set(element, nextWatchId++);
+  }
+  return watchIds.get(element);
+}
+
+/**
+ * Check whether a mutation was made by the extension itself, e.g. by the
+ * highlight overlay
+ * @param {MutationRecord} mutation - Observed mutation
+ * @returns {boolean} True if the mutation should be ignored
+ */
+function isOwnMutation(mutation) {
+  if (mutation.type === 'attributes' && mutation.attributeName === 'data-animation-id') {
+    return true;
+  }
+
+  if (mutation.type === 'childList') {
+    const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+    return nodes.length > 0 && nodes.every(isOwnNode);
+  }
+
+  return isOwnNode(mutation.target);
+}
+
+/**
+ * Check whether a node was added to the page by the extension
+ * @param {Node} node - Node to check
+ * @returns {boolean} True for the highlight overlay, annotations, their styles and their contents
+ */
+function isOwnNode(node) {
+  return node.nodeType === Node.ELEMENT_NODE &&
+    !!node.closest('[id^="carnforth-"], .carnforth-highlight-overlay');
+}
+
+/**
+ * Re-test the elements affected by the pending mutations and send the results
+ * to the panel
+ * The update holds the new results for every re-tested element, plus the ids
+ * of re-tested and removed elements whose old results should be dropped.
+ */
+function flushWatchMutations() {
+  const mutations = pendingWatchMutations;
+  pendingWatchMutations = [];
+  watchTimer = null;
+
+  const affected = new Set();
+  const removed = new Set();
+
+  for (const mutation of mutations) {
+    if (isOwnMutation(mutation)) continue;
+
+    const target = mutation.target.nodeType === Node.ELEMENT_NODE
+      ? mutation.target
+      : getFlatTreeParent(mutation.target);
+    if (!target) continue;
+
+    if (mutation.type === 'attributes' && changesSubtree(mutation, target)) {
+      // Hiding or showing an element changes results throughout its subtree
+      querySelectorAllInScope('*', target).forEach(element => affected.add(element));
+      recordVisibility(target);
+    }
+
+    // Names computed from content depend on every descendant
+    for (let ancestor = target; ancestor; ancestor = getFlatTreeParent(ancestor)) {
+      affected.add(ancestor);
+    }
+
+    if (mutation.type === 'childList') {
+      mutation.addedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        querySelectorAllInScope('*', node).forEach(element => affected.add(element));
+        observeShadowRoots(node);
+        recordVisibility(node);
+      });
+      mutation.removedNodes.forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        querySelectorAllInScope('*', node).forEach(element => removed.add(element));
+      });
+    }
+  }
+
+  // Names and descriptions can also come from elements elsewhere on the page
+  for (const element of Array.from(affected)) {
+    addReferencingElements(element, affected);
+  }
+
+  // Link purpose compares every link on the page, so a change to one link can
+  // add or clear warnings on links that didn't change themselves
+  const links = querySelectorAllDeep('a[href], area[href]');
+  const linkPurposeResults = getLinkPurposeResults(links);
+  links.forEach(link => {
+    const signature = getLinkPurposeSignature(linkPurposeResults.get(link) || []);
+    if (signature !== (watchLinkPurpose.get(link) || '')) {
+      affected.add(link);
+    }
+    watchLinkPurpose.set(link, signature);
+  });
+
+  const elements = [];
+  const retestedIds = [];
+
+  for (const element of affected) {
+    if (!element.isConnected) continue;
+
+    elements.push(...testElement(element, linkPurposeResults.get(element)));
+    if (watchIds.has(element)) {
+      retestedIds.push(watchIds.get(element));
+    }
+  }
+
+  const removedIds = Array.from(removed)
+    .filter(element => !element.isConnected && watchIds.has(element))
+    .map(element => watchIds.get(element));
+
+  if (retestedIds.length === 0 && removedIds.length === 0) {
+    return;
+  }
+
+  try {
+    chrome.runtime.sendMessage({
+      action: "watchUpdate",
+      update: {
+        url: window.location.href,
+        timestamp: new Date().toISOString(),
+        elements: elements,
+        retestedIds: retestedIds,
+        removedIds: removedIds
+      }
+    });
+  } catch (error) {
+    // The extension was reloaded or removed, so nothing is listening any more
+    console.warn("Stopping watch mode:", error);
+    stopWatching();
+  }
+}
+
+/**
+ * Add the elements that take their name or description from an element, via
+ * aria-labelledby, aria-describedby or a label
+ * @param {Element} element - Changed element
+ * @param {Set} affected - Set of affected elements to add to
+ */
+function addReferencingElements(element, affected) {
+  if (element.tagName === 'LABEL' && element.control) {
+    affected.add(element.control);
+  }
+
+  if (!element.id) return;
+
+  const id = CSS.escape(element.id);
+  const root = element.getRootNode();
+  root.querySelectorAll(`[aria-labelledby~="${id}"], [aria-describedby~="${id}"]`)
+    .forEach(referencing => affected.add(referencing));
+}
+
+// Tooltip colours for each verdict, matching the panel's result colours
+const PICKER_VERDICT_COLORS = {
+  fail: '#c5221f',
+  warn: '#9c5700',
+  pass: '#137333'
+};
+
+/**
+ * Start picking an element: hovering shows a tooltip with the element's role,
+ * name and verdict, and clicking sends its result to the panel as an
+ * elementPicked message
+ */
+function startPicker() {
+  if (pickerActive) return;
+
+  pickerActive = true;
+  document.addEventListener('mousemove', handlePickerMove, true);
+  document.addEventListener('click', handlePickerClick, true);
+  document.addEventListener('keydown', handlePickerKeydown, true);
+  ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+    document.addEventListener(type, blockPickerEvent, true);
+  });
+}
+
+/**
+ * Stop picking and remove the tooltip overlay
+ */
+function stopPicker() {
+  if (!pickerActive) return;
+
+  pickerActive = false;
+  pickerTarget = null;
+  document.removeEventListener('mousemove', handlePickerMove, true);
+  document.removeEventListener('click', handlePickerClick, true);
+  document.removeEventListener('keydown', handlePickerKeydown, true);
+  ['mousedown', 'mouseup', 'pointerdown', 'pointerup'].forEach(type => {
+    document.removeEventListener(type, blockPickerEvent, true);
+  });
+
+  removePickerOverlay();
+}
+
+/**
+ * Find the element to pick for the node under the pointer
+ * Text inside a link or button belongs to the link or button, so this is the
+ * nearest element (including the node itself) that a rule applies to.
+ * @param {Element} node - Element under the pointer
+ * @returns {Element} Element to pick
+ */
+function getPickerTarget(node) {
+  for (let element = node; element; element = getFlatTreeParent(element)) {
+    if (listRules().some(rule => ruleAppliesToElement(rule, element))) {
+      return element;
+    }
+  }
+  return node;
+}
+
+/**
+ * Pick the most severe of an element's results
+ * @param {Array} results - Results from testElement
+ * @returns {Object|null} The first failure, else the first warning, else the first result
+ */
+function getWorstResult(results) {
+  return results.find(result => result.result === 'fail') ||
+    results.find(result => result.result === 'warn') ||
+    results[0] ||
+    null;
+}
+
+/**
+ * Show the tooltip overlay for the element under the pointer
+ * @param {MouseEvent} event - mousemove event
+ */
+function handlePickerMove(event) {
+  const node = event.composedPath()[0];
+  if (!node || node.nodeType !== Node.ELEMENT_NODE) return;
+
+  const target = getPickerTarget(node);
+  if (target === pickerTarget) return;
+
+  pickerTarget = target;
+  removePickerOverlay();
+
+  const result = getWorstResult(testElement(target));
+  const role = getElementRole(target) || target.tagName.toLowerCase();
+  const name = computeAccessibleName(target);
+  const label = result
+    ? `${role}: ${name ? `"${name}"` : '(no name)'} - ${result.result.toUpperCase()}`
+    : `${role}: no accessible name test applies`;
+
+  createHighlightOverlay(target.getBoundingClientRect(), {
+    label: label,
+    labelColor: result ? PICKER_VERDICT_COLORS[result.result] : null,
+    animate: false
+  });
+}
+
+/**
+ * Pin the clicked element: stop picking and send its result to the panel
+ * @param {MouseEvent} event - click event
+ */
+function handlePickerClick(event) {
+  blockPickerEvent(event);
+
+  const target = getPickerTarget(event.composedPath()[0]);
+  const result = getWorstResult(testElement(target));
+
+  // Keep picking if no rule applies, as the tooltip says
+  if (!result) return;
+
+  stopPicker();
+  chrome.runtime.sendMessage({ action: "elementPicked", element: result });
+}
+
+/**
+ * Cancel picking with Escape
+ * @param {KeyboardEvent} event - keydown event
+ */
+function handlePickerKeydown(event) {
+  if (event.key !== 'Escape') return;
+
+  blockPickerEvent(event);
+  stopPicker();
+  chrome.runtime.sendMessage({ action: "pickerCancelled" });
+}
+
+/**
+ * Stop the page from handling an event while picking
+ * @param {Event} event - Event to block
+ */
+function blockPickerEvent(event) {
+  event.preventDefault();
+  event.stopPropagation();
+  event.stopImmediatePropagation();
+}
+
+/**
+ * Remove the picker's overlay straight away, without the fade used for highlights
+ */
+function removePickerOverlay() {
+  if (highlightOverlay && highlightOverlay.parentNode) {
+    highlightOverlay.parentNode.removeChild(highlightOverlay);
+  }
+  highlightOverlay = null;
+}
+
+/**
+ * Draw a numbered badge and an outline on every annotated element
+ * Unlike the single highlight overlay, annotations stay on the page until
+ * hidden, and are repositioned when the page scrolls or resizes. Clicking a
+ * badge sends an annotationClicked message so the panel can select the item.
+ * @param {Array} annotations - Objects with number, selector, result and accessibleName
+ */
+function showAnnotations(annotations) {
+  hideAnnotations();
+  if (annotations.length === 0) return;
+
+  addAnnotationStyles();
+
+  annotationContainer = document.createElement('div');
+  annotationContainer.id = 'carnforth-annotations';
+  annotationContainer.className = 'carnforth-annotations';
+
+  annotations.forEach(annotation => {
+    const element = findElementBySelector(annotation.selector);
+    if (!element) return;
+
+    const outline = document.createElement('div');
+    outline.className = `carnforth-annotation-outline carnforth-annotation-${annotation.result}`;
+
+    const badge = document.createElement('div');
+    badge.className = `carnforth-annotation-badge carnforth-annotation-${annotation.result}`;
+    badge.textContent = annotation.number;
+    badge.title = `${annotation.number}. ${annotation.result === 'fail' ? 'Failure' : 'Warning'}: ` +
+      (annotation.accessibleName ? `"${annotation.accessibleName}"` : 'no accessible name');
+    badge.addEventListener('click', (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      chrome.runtime.sendMessage({ action: "annotationClicked", number: annotation.number });
+    });
+
+    annotationContainer.appendChild(outline);
+    annotationContainer.appendChild(badge);
+    annotationTargets.push({ element, outline, badge });
+  });
+
+  document.documentElement.appendChild(annotationContainer);
+  positionAnnotations();
+
+  // Scroll events from any scrolling element are caught in the capture phase
+  window.addEventListener('scroll', scheduleAnnotationUpdate, true);
+  window.addEventListener('resize', scheduleAnnotationUpdate);
+}
+
+/**
+ * Remove all annotations from the page
+ */
+function hideAnnotations() {
+  window.removeEventListener('scroll', scheduleAnnotationUpdate, true);
+  window.removeEventListener('resize', scheduleAnnotationUpdate);
+  cancelAnimationFrame(annotationFrame);
+  annotationFrame = null;
+
+  if (annotationContainer && annotationContainer.parentNode) {
+    annotationContainer.parentNode.removeChild(annotationContainer);
+  }
+  annotationContainer = null;
+  annotationTargets = [];
+}
+
+/**
+ * Reposition the annotations at most once per frame
+ */
+function scheduleAnnotationUpdate() {
+  if (annotationFrame) return;
+
+  annotationFrame = requestAnimationFrame(() => {
+    annotationFrame = null;
+    positionAnnotations();
+  });
+}
+
+/**
+ * Move each outline and badge to its element's current position in the viewport
+ * Annotations for elements that are gone or have no size are hidden.
+ */
+function positionAnnotations() {
+  annotationTargets.forEach(({ element, outline, badge }) => {
+    const rect = element.getBoundingClientRect();
+    const visible = element.isConnected && (rect.width > 0 || rect.height > 0);
+
+    outline.style.display = visible ? '' : 'none';
+    badge.style.display = visible ? '' : 'none';
+    if (!visible) return;
+
+    outline.style.left = `${rect.left}px`;
+    outline.style.top = `${rect.top}px`;
+    outline.style.width = `${rect.width}px`;
+    outline.style.height = `${rect.height}px`;
+
+    // Keep badges for elements at the edge of the viewport fully visible
+    badge.style.left = `${Math.max(rect.left, 12)}px`;
+    badge.style.top = `${Math.max(rect.top, 12)}px`;
+  });
+}
+
+/**
+ * Add the stylesheet for annotations
+ * Only positions are set inline, so cleanupAllHighlights doesn't mistake
+ * annotations for stray highlight overlays.
+ */
+function addAnnotationStyles() {
+  if (document.getElementById('carnforth-annotation-styles')) return;
+
+  const styleEl = document.createElement('style');
+  styleEl.id = 'carnforth-annotation-styles';
+  styleEl.textContent = `
+    .carnforth-annotations {
+      position: fixed !important;
+      top: 0 !important;
+      left: 0 !important;
+      width: 0 !important;
+      height: 0 !important;
+      overflow: visible !important;
+      z-index: 2147483646 !important;
+      pointer-events: none !important;
+      margin: 0 !important;
+      padding: 0 !important;
+      border: 0 !important;
+    }
+    .carnforth-annotation-outline {
+      position: absolute !important;
+      box-sizing: border-box !important;
+      border: 2px solid !important;
+      pointer-events: none !important;
+      margin: 0 !important;
+      padding: 0 !important;
+    }
+    .carnforth-annotation-badge {
+      position: absolute !important;
+      transform: translate(-50%, -50%) !important;
+      min-width: 22px !important;
+      height: 22px !important;
+      margin: 0 !important;
+      padding: 0 5px !important;
+      box-sizing: border-box !important;
+      border-radius: 11px !important;
+      box-shadow: 0 0 0 2px white !important;
+      color: white !important;
+      font: bold 13px/22px sans-serif !important;
+      text-align: center !important;
+      cursor: pointer !important;
+      pointer-events: auto !important;
+    }
+    .carnforth-annotation-outline.carnforth-annotation-fail { border-color: #c5221f !important; }
+    .carnforth-annotation-outline.carnforth-annotation-warn { border-color: #9c5700 !important; }
+    .carnforth-annotation-badge.carnforth-annotation-fail { background-color: #c5221f !important; }
+    .carnforth-annotation-badge.carnforth-annotation-warn { background-color: #9c5700 !important; }
+  `;
+  document.head.appendChild(styleEl);
+}
+
+/**
+ * Attach the WCAG success criteria and ACT rules a result relates to
+ * The issue code's mapping is used when it has one, otherwise the rule's.
+ * An issue that maps to its own criteria only inherits the rule's ACT rules
+ * if it names them, since those rules test for the rule's criteria.
+ * @param {Object} result - Test result with an issue code
+ * @param {Object} rule - Rule that produced the result
+ */
+function addConformanceMapping(result, rule) {
+  const issue = ISSUE_CODES[result.issueCode] || {};
+
+  result.wcag = (issue.wcag || rule.wcag).slice();
+  result.wcagCriteria = result.wcag.map(sc => ({
+    sc: sc,
+    name: WCAG_CRITERIA[sc] ? WCAG_CRITERIA[sc].name : '',
+    level: WCAG_CRITERIA[sc] ? WCAG_CRITERIA[sc].level : ''
+  }));
+  result.act = (issue.act || (issue.wcag ? [] : rule.act)).slice();
+}
+
+/**
+ * Find all elements matching a selector in a document or shadow root,
+ * including elements inside nested open shadow roots
+ * Matches are returned in flat tree order, so shadow content and slotted
+ * children appear where they are rendered.
+ * @param {string} selector - CSS selector for elements
+ * @param {Document|ShadowRoot} root - Root to search from (defaults to the document)
+ * @returns {Array} Array of matching elements
+ */
+function querySelectorAllDeep(selector, root = document) {
+  const shadowRoots = getShadowRoots(root);
+  const matches = Array.from(root.querySelectorAll(selector));
+  if (shadowRoots.length === 0) {
+    return matches;
+  }
+
+  shadowRoots.forEach(shadowRoot => {
+    matches.push(...shadowRoot.querySelectorAll(selector));
+  });
+  return sortInFlatTreeOrder(matches);
+}
+
+/**
+ * Get the open shadow roots under a root, including nested ones
+ * While a test runs the roots are collected once per searched root and reused
+ * by every rule.
+ * @param {Document|ShadowRoot|Element} root - Root to search from
+ * @returns {Array} Array of shadow roots
+ */
+function getShadowRoots(root) {
+  if (runShadowRoots && runShadowRoots.has(root)) {
+    return runShadowRoots.get(root);
+  }
+
+  const shadowRoots = [];
+  for (const element of root.querySelectorAll('*')) {
+    if (element.shadowRoot) {
+      shadowRoots.push(element.shadowRoot, ...getShadowRoots(element.shadowRoot));
+    }
+  }
+
+  if (runShadowRoots) {
+    runShadowRoots.set(root, shadowRoots);
+  }
+  return shadowRoots;
+}
+
+/**
+ * Sort elements from several trees into flat tree order
+ * @param {Array} elements - Elements to sort
+ * @returns {Array} The sorted elements
+ */
+function sortInFlatTreeOrder(elements) {
+  const paths = new Map(elements.map(element => [element, getFlatTreePath(element)]));
+
+  return elements.sort((a, b) => {
+    const pathA = paths.get(a);
+    const pathB = paths.get(b);
+    let i = 0;
+    while (i < pathA.length && i < pathB.length && pathA[i] === pathB[i]) {
+      i++;
+    }
+
+    // An ancestor comes before its descendants
+    if (i === pathA.length || i === pathB.length) {
+      return pathA.length - pathB.length;
+    }
+
+    // Siblings in the flat tree share a node tree, except that a host's
+    // shadow content comes before any of its unslotted children
+    const nodeA = pathA[i];
+    const nodeB = pathB[i];
+    if (nodeA.getRootNode() !== nodeB.getRootNode()) {
+      return nodeA.getRootNode().host === pathA[i - 1] ? -1 : 1;
+    }
+    return nodeA.compareDocumentPosition(nodeB) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+  });
+}
+
+/**
+ * Get the flat tree ancestors of a node, outermost first, ending with the node
+ * @param {Node} node - Node to get the path of
+ * @returns {Array} Array of nodes
+ */
+function getFlatTreePath(node) {
+  const path = [];
+  for (let current = node; current; current = getFlatTreeParent(current)) {
+    path.unshift(current);
+  }
+  return path;
+}
+
+/**
+ * Find an element from a selector generated by generateSelector
+ * Selectors for elements inside shadow roots are chains joined by ' >>> ',
+ * where each part is resolved inside the shadow root of the previous match.
+ * @param {string} selector - Selector, possibly containing ' >>> ' separators
+ * @returns {Element|null} The matching element
+ */
+function findElementBySelector(selector) {
+  const parts = selector.split(' >>> ');
+  let scope = document;
+
+  for (let i = 0; i < parts.length - 1; i++) {
+    const host = scope.querySelector(parts[i]);
+    if (!host || !host.shadowRoot) {
+      return null;
+    }
+    scope = host.shadowRoot;
+  }
+
+  return scope.querySelector(parts[parts.length - 1]);
+}
+
+/**
+ * Get the parent of a node in the flat tree, crossing slots and shadow roots
+ * @param {Node} node - Node to get the parent of
+ * @returns {Element|null} The flat tree parent
+ */
+function getFlatTreeParent(node) {
+  if (node.assignedSlot) {
+    return node.assignedSlot;
+  }
+  if (node.parentElement) {
+    return node.parentElement;
+  }
+
+  const rootNode = node.parentNode;
+  return rootNode && rootNode.host ? rootNode.host : null;
+}
+
+/**
+ * Test an image element for an accessible name
+ * @param {HTMLElement} element - Image element
+ * @returns {Object} Test result
+ */
+/**
+ * Test an SVG element with role="img" for an accessible name
+ * @param {SVGElement} element - SVG element with role="img"
+ * @returns {Object} Test result
+ */
+function testSVGImage(element) {
+  const accessibleName = computeAccessibleName(element);
+
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  const result = {
+    tagName: element.tagName.toLowerCase(),
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
+
+  // Determine if the element is explicitly marked as decorative
+  const isDecorative = (element.hasAttribute('aria-hidden') && element.getAttribute('aria-hidden') === 'true') ||
+                      (element.hasAttribute('role') && element.getAttribute('role') === 'presentation') ||
+                      (element.hasAttribute('role') && element.getAttribute('role') === 'none');
+
+  // Check for a <title> element in the SVG
+  const hasTitle = element.querySelector('title') !== null;
+  const titleElement = element.querySelector('title');
+  const titleContent = titleElement ? titleElement.textContent : null;
+  result.hasTitleElement = hasTitle;
+  result.titleContent = titleContent;
+
+  // If the element is decorative, it should have no accessible name
+  if (isDecorative) {
+    if (accessibleName === '') {
+      result.result = "pass";
+      result.description = "Decorative SVG image correctly has no accessible name";
+      result.issueCode = 'decorative-ok';
+    } else {
+      result.result = "warn";
+      result.description = "Decorative SVG image (with role='presentation' or 'none') should not have an accessible name";
+      result.issueCode = 'img-decorative-has-alt';
+    }
+    return result;
+  }
+
+  // Check for broken aria-labelledby references first
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+
+    // Create a specific error message for broken aria-labelledby
+    let resultObj = {
+      result: "fail",
+      issueCode: 'labelledby-broken-ref',
+      description: "Broken aria-labelledby references",
+      details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
+    };
+
+    // Apply the result
+    if (!isVisible && resultObj.result === "fail") {
+      result.result = "warn";
+      result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
+      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
+    } else {
+      result.result = resultObj.result;
+      result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
+      if (resultObj.details) {
+        result.details = resultObj.details;
+      }
+    }
+
+    return result;
+  }
+
+  // Determine result based on accessible name
+  let resultObj;
+
+  if (!accessibleName) {
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-missing-alt',
+      description: "Missing accessible name",
+      details: "SVG images with role=\"img\" need an accessible name to make their content available to screen reader users. Add a <title> element as the first child of the SVG, or use aria-label or aria-labelledby attributes."
+    };
+  } else if (accessibleName.trim() === '') {
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-whitespace-alt',
+      description: "Whitespace-only accessible name",
+      details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the image inaccessible to screen reader users."
+    };
+  } else if (isPunctuation(accessibleName)) {
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-punctuation-alt',
+      description: "Punctuation-only accessible name",
+      details: "Accessible names consisting only of punctuation characters don't provide meaningful information to screen reader users."
+    };
+  } else if (accessibleName.includes('<') && accessibleName.includes('>')) {
+    // Don't include the actual accessible name in the result for HTML markup
+    result.accessibleName = ''; // Override the accessibleName in the result
+
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-html-alt',
+      description: "HTML markup in SVG accessible name",
+      details: "HTML tags in accessible names are not rendered properly by screen readers and can cause confusion. Use plain text without markup in accessible names."
+    };
+  } else if (isFilenameInText(accessibleName)) {
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-filename-alt',
+      description: "Filename as accessible name",
+      details: "Filenames do not adequately describe the content or purpose of an image to screen reader users."
+    };
+  } else if (isGenericLabel(accessibleName)) {
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-generic-alt',
+      description: "Generic accessible name",
+      details: "Generic terms don't adequately describe the content or purpose of an image to screen reader users.",
+      title: "Generic image description"
+    };
+  } else if (hasTitle && titleContent && titleContent.trim() === '' && accessibleName) {
+    resultObj = {
+      result: "warn",
+      issueCode: 'svg-empty-title',
+      description: "Empty title element with alternative accessible name",
+      details: "Having an empty <title> element along with other accessible name sources can create confusion. It's better to either use the <title> element properly or remove it.",
+      title: "Empty title element"
+    };
+  } else {
+    resultObj = {
+      result: "pass",
+      issueCode: 'name-ok',
+      description: "SVG image has an appropriate accessible name"
+    };
+  }
+
+  // If the element has an accessibility issue but is hidden, downgrade to a warning
+  if (!isVisible && resultObj.result === "fail") {
+    result.result = "warn";
+    result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
+  } else {
+    result.result = resultObj.result;
+    result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+    if (resultObj.details) {
+      result.details = resultObj.details;
+    }
+    if (resultObj.title) {
+      result.title = resultObj.title;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Test an image element for an accessible name
+ * @param {HTMLElement} element - Image element
+ * @returns {Object} Test result
+ */
+function testImage(element) {
+  const accessibleName = computeAccessibleName(element);
+
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  // Check if this is an image map
+  const isImageMap = element.hasAttribute('usemap') && element.getAttribute('usemap').trim() !== '';
+
+  const result = {
+    tagName: element.tagName.toLowerCase(),
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible,
+    isImageMap: isImageMap
+  };
+
+  // Determine if the element is explicitly marked as decorative
+  // This includes elements with role="presentation", role="none", aria-hidden="true"
+  // OR elements with an empty alt attribute (alt="")
+  const hasEmptyAlt = element.hasAttribute('alt') && element.getAttribute('alt') === '';
+  const isDecorative = hasEmptyAlt ||
+                      (element.hasAttribute('aria-hidden') && element.getAttribute('aria-hidden') === 'true') ||
+                      (element.hasAttribute('role') && element.getAttribute('role') === 'presentation') ||
+                      (element.hasAttribute('role') && element.getAttribute('role') === 'none');
+
+  // If the image is decorative, it should have no accessible name
+  if (isDecorative) {
+    if (accessibleName === '') {
+      result.result = "pass";
+      result.description = "Decorative image correctly has empty alt text";
+      result.issueCode = 'decorative-ok';
+    } else {
+      result.result = "warn";
+      result.description = hasEmptyAlt
+        ? "Image with empty alt text is named by its title attribute - Screen readers announce it even though the empty alt marks it as decorative. Remove the title, or put the text in the alt attribute"
+        : "Decorative image should have empty alt text";
+      result.issueCode = 'img-decorative-has-alt';
+    }
+    return result;
+  }
+
+  // Case where image has empty alt="" but is not caught above due to other attributes
+  // This is also considered a valid way to mark decorative images
+  if (hasEmptyAlt) {
+    result.result = "pass";
+    result.description = "Decorative image correctly has empty alt text";
+    result.issueCode = 'decorative-ok';
+    return result;
+  }
+
+  // Determine result based on accessible name
+  let resultObj = {
+    result: "fail",
+    issueCode: 'img-missing-alt',
+    description: "Image is missing an accessible name (alt text) - Invisible to screen reader users. Add descriptive alt text that conveys purpose or content"
+  };
+
+  if (!accessibleName) {
+    if (isImageMap) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-missing-alt',
+        description: "Image map is missing an accessible name - Screen readers can't provide context for the interactive areas. Add descriptive alt text that explains the map's purpose and available options",
+        details: "Image maps need descriptive alt text that provides context for the interactive areas within them. Without it, screen reader users won't understand what the map represents."
+      };
+    } else {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-missing-alt',
+        description: "Image is missing an accessible name (alt text) - Invisible to screen reader users. Add descriptive alt text that conveys purpose or content"
+      };
+    }
+  } else if (isFilenameInText(accessibleName)) {
+    // Don't include the actual filename in the result
+    result.accessibleName = ''; // Override the accessibleName in the result
+
+    if (isImageMap) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-filename-alt',
+        description: `Image map has a filename as its accessible name - Not descriptive of its purpose. Add alt text that explains the map's purpose and available interactive options`,
+        details: "Image maps should have descriptive alt text that explains their purpose and provides context for the interactive areas."
+      };
+    } else {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-filename-alt',
+        description: "Image has a filename as its accessible name - Filenames are not meaningful to users. Replace with descriptive alt text that conveys image content or purpose"
+      };
+    }
+  } else if (accessibleName.trim() === '') {
+    // This case handles situations where the accessible name computation results in an empty string
+    // but the image isn't explicitly marked as decorative with alt=""
+
+    // Don't include the whitespace in the result
+    result.accessibleName = ''; // Override the accessibleName in the result
+
+    if (isImageMap) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-whitespace-alt',
+        description: "Image map has empty accessible name - Screen readers can't provide context for the interactive areas. Add descriptive alt text that explains the map's purpose",
+        details: "Image maps should never be marked as decorative since they contain interactive elements."
+      };
+    } else {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-whitespace-alt',
+        description: "Image has whitespace-only alt text - This effectively creates a blank accessible name. Use empty alt attribute (alt=\"\") for decorative images or add descriptive alt text for meaningful images",
+        details: "Whitespace-only alt text (alt=\" \") is different from empty alt text (alt=\"\"). Screen readers will still try to announce this image but won't have any content to read. If the image is decorative, use alt=\"\"; if it's meaningful, provide descriptive alt text."
+      };
+    }
+  } else if (isPunctuation(accessibleName)) {
+    // Don't include the punctuation in the result
+    result.accessibleName = ''; // Override the accessibleName in the result
+
+    if (isImageMap) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-punctuation-alt',
+        description: `Image map has only punctuation as its accessible name - Not meaningful to screen reader users. Add descriptive alt text that explains the map's purpose`,
+        details: "Punctuation characters don't convey meaning about the purpose of an image map or provide context for its interactive areas."
+      };
+    } else {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-punctuation-alt',
+        description: "Image has only punctuation as its accessible name - Punctuation alone is not meaningful. Add descriptive alt text that conveys image content or purpose"
+      };
+    }
+  } else if (accessibleName.includes('<') && accessibleName.includes('>')) {
+    // Don't include the actual accessible name in the result for HTML markup
+    result.accessibleName = ''; // Override the accessibleName in the result
+
+    if (isImageMap) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-html-alt',
+        description: "HTML markup in image map alt text",
+        details: "HTML tags in alt text are not rendered properly by screen readers and can cause confusion. Use plain text without markup in alt text."
+      };
+    } else {
+      resultObj = {
+        result: "fail",
+        issueCode: 'img-html-alt',
+        description: "HTML markup in alt text",
+        details: "HTML tags in alt text are not rendered properly by screen readers and can cause confusion. Use plain text without markup in alt text."
+      };
+    }
+  } else if (accessibleName.toLowerCase().startsWith('image ') ||
+             accessibleName.toLowerCase().includes('image of')) {
+    // Check for redundant "image" or "image of" in alt text
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-redundant-alt',
+      description: "Redundant 'image' in alt text",
+      details: "Screen readers already announce the element as an image, so including 'image' or 'image of' in the accessible name is redundant and creates a poor user experience.",
+      title: "Redundant alt text"
+    };
+  } else if (isGenericLabel(accessibleName)) {
+    // Check for generic labels for all images, not just image maps
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-generic-alt',
+      description: `Generic alt text "${accessibleName}"`,
+      details: "Generic terms don't adequately describe the content or purpose of an image to screen reader users.",
+      title: "Generic image description"
+    };
+  } else if (isGenericLabel(accessibleName) && isImageMap) {
+    // Special check for generic names on image maps
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-generic-alt',
+      description: `Image map has generic alt text "${accessibleName}" - Not sufficiently descriptive. Add alt text that explains the map's purpose and available interactive options`,
+      details: "Image maps need descriptive alt text that explains their purpose and provides context for the contained interactive areas.",
+      title: "Generic image map description"
+    };
+  } else if (accessibleName.length < 10 && isImageMap) {
+    // Warn about very short descriptions for image maps
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-short-alt',
+      description: `Image map has a very short accessible name "${accessibleName}" - May not provide sufficient context. Consider adding more descriptive alt text that explains the map's purpose and available options`,
+      details: "Image maps typically benefit from more detailed descriptions to provide context for the interactive areas.",
+      title: "Brief image map description"
+    };
+  } else {
+    resultObj = {
+      result: "pass",
+      issueCode: 'name-ok',
+      description: isImageMap ?
+        "Image map has an appropriate accessible name" :
+        "Image has a descriptive accessible name"
+    };
+  }
+
+  // If the element has an accessibility issue but is hidden, downgrade to a warning
+  if (!isVisible && resultObj.result === "fail") {
+    result.result = "warn";
+    result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                     "This is reported as a warning rather than an error because the element is not visible " +
+                     "to users, but would fail accessibility requirements if it becomes visible.";
+  } else {
+    result.result = resultObj.result;
+    result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+  }
+
+  return result;
+}
+
+/**
+ * Test a form control for an accessible name
+ * @param {HTMLElement} element - Form control element
+ * @returns {Object} Test result
+ */
+function testFormControl(element) {
+  const accessibleName = computeAccessibleName(element);
+  const tagName = element.tagName.toLowerCase();
+  const role = element.getAttribute('role');
+  const isARIATextbox = role === 'textbox';
+  const elementType = isARIATextbox ? 'ARIA textbox' : capitalizeFirstLetter(tagName);
+
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  const result = {
+    tagName: tagName,
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
+
+  // Check for broken aria-labelledby references first
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+
+    // Create a specific error message for broken aria-labelledby
+    let resultObj = {
+      result: "fail",
+      issueCode: 'labelledby-broken-ref',
+      description: `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`
+    };
+
+    // Apply the result, downgrading to warning if hidden
+    if (!isVisible && resultObj.result === "fail") {
+      result.result = "warn";
+      result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
+      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                     "This is reported as a warning rather than an error because the element is not visible " +
+                     "to users, but would fail accessibility requirements if it becomes visible.";
+    } else {
+      result.result = resultObj.result;
+      result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
+    }
+
+    return result;
+  }
+
+  // Special handling for hidden inputs or elements not requiring a label
+  if (element.type === 'hidden' || element.type === 'button' || element.type === 'submit' || element.type === 'reset') {
+    // These types don't always need accessible names
+    let resultObj = { result: "pass", issueCode: 'name-not-required', description: "Hidden input doesn't require an accessible name" };
+
+    if (element.type === 'button' || element.type === 'submit' || element.type === 'reset') {
+      if (!accessibleName) {
+        resultObj = {
+          result: "fail",
+          issueCode: 'control-missing-name',
+          description: `${capitalizeFirstLetter(element.type)} input is missing an accessible name - Users cannot identify its purpose. Add a value attribute, aria-label, or aria-labelledby`
+        };
+      } else {
+        resultObj = {
+          result: "pass",
+          issueCode: 'name-ok',
+          description: `${capitalizeFirstLetter(element.type)} input has an accessible name`
+        };
+      }
+    } else {
+      // Hidden inputs don't need accessible names
+      resultObj = {
+        result: "pass",
+        issueCode: 'name-not-required',
+        description: "Hidden input doesn't require an accessible name"
+      };
+    }
+
+    // Apply the result, downgrading to warning if hidden
+    if (!isVisible && resultObj.result === "fail") {
+      result.result = "warn";
+      result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
+      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                     "This is reported as a warning rather than an error because the element is not visible " +
+                     "to users, but would fail accessibility requirements if it becomes visible.";
+    } else {
+      result.result = resultObj.result;
+      result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
+    }
+
+    return result;
+  }
+
+  // For visible form controls, determine the result based on accessible name
+  let resultObj = { result: "pass", issueCode: 'name-ok', description: `${elementType} has an accessible name` };
+
+  // For radio buttons, we'll do additional checks in the testRadioButton function
+
+  if (!accessibleName || element._accessibleNameFromPlaceholder) {
+    // Placeholder is only a last-resort name source, so placeholder-only inputs should specifically fail
+    if (element._accessibleNameFromPlaceholder) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'control-placeholder-only',
+        description: `${elementType} has placeholder but no accessible name - Placeholder text is not part of the accessible name calculation. Add a properly associated label, aria-label, or aria-labelledby`,
+        details: "Placeholder text is not included in the accessible name, disappears when users start typing, often has low contrast ratios, and is not a substitute for a proper label. Form controls must have a proper accessible name to meet WCAG success criteria."
+      };
+    } else {
+      resultObj = {
+        result: "fail",
+        issueCode: 'control-missing-name',
+        description: `${elementType} is missing an accessible name - Users cannot identify its purpose. Add a properly associated label, aria-label, or aria-labelledby`
+      };
+    }
+  } else if (accessibleName.trim() === '') {
+    resultObj = {
+      result: "fail",
+      issueCode: 'control-whitespace-name',
+      description: `${elementType} has empty or whitespace-only accessible name`
+    };
+  } else if (isPunctuation(accessibleName)) {
+    resultObj = {
+      result: "fail",
+      issueCode: 'control-punctuation-name',
+      description: `${elementType} has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive text that identifies the input's purpose`
+    };
+  } else if (isGenericLabel(accessibleName)) {
+    resultObj = {
+      result: "fail",
+      issueCode: 'control-generic-name',
+      description: `${elementType} has generic accessible name "${accessibleName}" - This doesn't describe the input's purpose. Use descriptive text that clearly identifies what information is expected`
+    };
+  } else if (isFilenameInText(accessibleName)) {
+    resultObj = {
+      result: "warn",
+      issueCode: 'control-filename-name',
+      description: `${elementType} has a filename-like accessible name "${accessibleName}" - This may not be descriptive of the input's purpose. Consider using a more descriptive label that explains what information is expected`,
+      details: "Filename-like labels are often system-oriented rather than user-oriented and may not clearly communicate what information the user should enter."
+    };
+  } else if (isUrlLike(accessibleName)) {
+    resultObj = {
+      result: "warn",
+      issueCode: 'control-url-name',
+      description: `${elementType} has a URL-like accessible name "${accessibleName}" - This may not be descriptive of the input's purpose. Consider using a more descriptive label that explains what information is expected`,
+      details: "URL-like labels are often system-oriented rather than user-oriented and may not clearly communicate what information the user should enter."
+    };
+  } else if (element._accessibleNameFromTitleOnly) {
+    resultObj = {
+      result: "warn",
+      issueCode: 'name-from-title-only',
+      description: `${elementType} uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use a label element or aria-label instead`,
+      details: "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues."
+    };
+  } else {
+    // Check if the input has an implicit label (parent label without 'for' attribute)
+    const hasImplicitLabel = hasImplicitLabelParent(element);
+
+    if (hasImplicitLabel) {
+      resultObj = {
+        result: "warn",
+        issueCode: 'label-wrapped',
+        description: `${elementType} uses implicit label (nested within label element) - This may cause issues with some voice-control technologies like Dragon Naturally Speaking, which look for explicit for/id associations. Consider using explicit label with matching for/id attributes instead`,
+        details: "Voice control technologies often look specifically for the 'for' attribute in labels, and implicit labeling can limit functionality for some assistive technology users. While implicit labels are technically valid, explicit labels with matching for/id attributes are more broadly supported across assistive technologies."
+      };
+    } else {
+      resultObj = {
+        result: "pass",
+        issueCode: 'name-ok',
+        description: `${elementType} has an accessible name`
+      };
+    }
+  }
+
+  // Apply the result, downgrading to warning if hidden
+  if (!isVisible && resultObj.result === "fail") {
+    result.result = "warn";
+    result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
+  } else {
+    result.result = resultObj.result;
+    result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+  }
+  
+  return result;
+}
+
+/**
+ * Test a fieldset for an accessible name
+ * @param {HTMLElement} element - Fieldset element
+ * @returns {Object} Test result
+ */
+/**
+ * Test a form for an accessible name
+ * @param {HTMLElement} element - Form element or element with role="form"
+ * @returns {Object} Test result
+ */
+function testForm(element) {
+  const accessibleName = computeAccessibleName(element);
+  const tagName = element.tagName.toLowerCase();
+  const role = element.getAttribute('role');
+  const elementType = role === 'form' ? 'Element with role="form"' : 'Form';
+
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  const result = {
+    tagName: tagName,
+    role: role,
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
+
+  // Check for broken aria-labelledby references
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+
+    result.result = "fail";
+    result.description = `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - These referenced elements do not exist in the document. Fix these IDs or add an aria-label attribute`;
+    result.issueCode = 'labelledby-broken-ref';
+  }
+  // Check for aria-labelledby referencing an empty element
+  else if (element.hasAttribute('aria-labelledby') && accessibleName === '') {
+    result.result = "fail";
+    result.description = `${elementType} references an element with empty content via aria-labelledby - The referenced element exists but has no text content. Add text to the referenced element or use aria-label instead`;
+    result.issueCode = 'labelledby-empty-ref';
+  }
+  // Check for empty aria-label
+  else if (element.hasAttribute('aria-label') && element.getAttribute('aria-label').trim() === '') {
+    result.result = "fail";
+    result.description = `${elementType} has empty aria-label attribute - This doesn't provide an accessible name. Add text to the aria-label or use aria-labelledby instead`;
+    result.issueCode = 'aria-label-empty';
+  }
+  // Check for punctuation-only aria-label
+  else if (element.hasAttribute('aria-label') && isPunctuation(element.getAttribute('aria-label'))) {
+    result.result = "fail";
+    result.description = `${elementType} has punctuation-only aria-label "${element.getAttribute('aria-label')}" - Not meaningful to screen reader users. Use descriptive text instead`;
+    result.issueCode = 'aria-label-punctuation-only';
+  }
+  // Check for missing accessible name entirely
+  else if (!accessibleName) {
+    result.result = "fail";
+    result.description = `${elementType} is missing an accessible name - Essential for landmark navigation with screen readers. Add aria-label or aria-labelledby referencing a heading`;
+    result.issueCode = 'form-missing-name';
+  }
+  // Check for empty accessible name
+  else if (accessibleName.trim() === '') {
+    result.result = "fail";
+    result.description = `${elementType} has empty or whitespace-only accessible name - Not helpful for screen reader users. Add descriptive text to the aria-label`;
+    result.issueCode = 'form-whitespace-name';
+  }
+  // Check for punctuation-only accessible name
+  else if (isPunctuation(accessibleName)) {
+    result.result = "fail";
+    result.description = `${elementType} has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Use descriptive text that indicates the form's purpose`;
+    result.issueCode = 'form-punctuation-name';
+  }
+  // Check for filename-like accessible name
+  else if (isFilenameInText(accessibleName)) {
+    result.result = "fail";
+    result.description = `${elementType} has a filename as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the form's purpose`;
+    result.issueCode = 'form-filename-name';
+  }
+  // Check for URL-like accessible name
+  else if (isUrlLike(accessibleName)) {
+    result.result = "fail";
+    result.description = `${elementType} has a URL-like string as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the form's purpose`;
+    result.issueCode = 'form-url-name';
+  }
+  // Check for title-only accessible names
+  else if (element._accessibleNameFromTitleOnly) {
+    result.result = "warn";
+    result.description = `${elementType} uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use aria-label or aria-labelledby instead`;
+    result.issueCode = 'name-from-title-only';
+    result.details = "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues.";
+  }
+  // Valid accessible name present
+  else {
+    result.result = "pass";
+    result.description = `${elementType} has a proper accessible name`;
+    result.issueCode = 'name-ok';
+  }
+
+  // If the element is hidden and has a failure, downgrade to warning
+  if (!isVisible && result.result === "fail") {
+    result.result = "warn";
+    result.description += " (hidden element)";
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                  "This is reported as a warning rather than an error because the element is not visible " +
+                  "to users, but would fail accessibility requirements if it becomes visible.";
+  }
+
+  return result;
+}
+
+/**
+ * Test a fieldset for an accessible name
+ * @param {HTMLElement} element - Fieldset element
+ * @returns {Object} Test result
+ */
+function testFieldset(element) {
+  const accessibleName = computeAccessibleName(element);
+  const tagName = element.tagName.toLowerCase();
+  const role = element.getAttribute('role');
+  const elementType = role === 'group' ? 'Group' : 'Fieldset';
+
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  const result = {
+    tagName: tagName,
+    role: role,
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
+
+  // Check for the presence of a legend element
+  // A legend is only considered the accessible name if it's the first child
+  const hasLegend = element.querySelector('legend') !== null;
+  const legend = element.querySelector('legend');
+  const isFirstChild = legend && legend === element.firstElementChild;
+  const emptyLegend = legend && legend.textContent.trim() === '';
+
+  // Check for legend that is not the first child (critical error)
+  if (hasLegend && !isFirstChild) {
+    result.result = "fail";
+    result.description = `${elementType} has legend that is not the first child element - The legend must be the first child of fieldset to be properly associated. Move the legend to be the first element in the fieldset`;
+    result.issueCode = 'group-legend-not-first';
+  }
+  // Check for broken aria-labelledby references
+  else if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+
+    result.result = "fail";
+    result.description = `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - These referenced elements do not exist in the document. Fix these IDs or use a legend element instead`;
+    result.issueCode = 'labelledby-broken-ref';
+  }
+  // Check for aria-labelledby referencing an empty element
+  else if (element.hasAttribute('aria-labelledby') && accessibleName === '') {
+    result.result = "fail";
+    result.description = `${elementType} references an element with empty content via aria-labelledby - The referenced element exists but has no text content. Add text to the referenced element or use a legend element instead`;
+    result.issueCode = 'labelledby-empty-ref';
+  }
+  // Check for fieldset with both legend and aria-label/aria-labelledby (warning)
+  else if (hasLegend && isFirstChild && !emptyLegend &&
+          (element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby'))) {
+    result.result = "warn";
+    result.description = `${elementType} has both a legend and ${element.hasAttribute('aria-label') ? 'aria-label' : 'aria-labelledby'} - This creates redundant announcements in screen readers. Use either a legend OR aria-label/aria-labelledby, but not both`;
+    result.issueCode = 'group-redundant-label';
+  }
+  // Check for empty aria-label
+  else if (element.hasAttribute('aria-label') && element.getAttribute('aria-label').trim() === '') {
+    result.result = "fail";
+    result.description = `${elementType} has empty aria-label attribute - This doesn't provide an accessible name. Add text to the aria-label or use a legend element instead`;
+    result.issueCode = 'aria-label-empty';
+  }
+  // Check for punctuation-only aria-label
+  else if (element.hasAttribute('aria-label') && isPunctuation(element.getAttribute('aria-label'))) {
+    result.result = "fail";
+    result.description = `${elementType} has punctuation-only aria-label "${element.getAttribute('aria-label')}" - Not meaningful to screen reader users. Use descriptive text or a legend element`;
+    result.issueCode = 'aria-label-punctuation-only';
+  }
+  // Check for empty legends
+  else if (hasLegend && emptyLegend) {
+    result.result = "fail";
+    result.description = `${elementType} has empty legend element - This doesn't provide an accessible name. Add text to the legend element`;
+    result.issueCode = 'group-empty-legend';
+  }
+  // Check for missing accessible name entirely
+  else if (!accessibleName) {
+    result.result = "fail";
+    result.description = `${elementType} is missing an accessible name - Groups of form controls need labels for screen reader users. Add a legend element, aria-label, or aria-labelledby attribute`;
+    result.issueCode = 'group-missing-name';
+  }
+  // Check for empty accessible name
+  else if (accessibleName.trim() === '') {
+    result.result = "fail";
+    result.description = `${elementType} has empty or whitespace-only accessible name - Not helpful for screen reader users. Add descriptive text to the legend or aria-label`;
+    result.issueCode = 'group-whitespace-name';
+  }
+  // Check for punctuation-only accessible name
+  else if (isPunctuation(accessibleName)) {
+    result.result = "fail";
+    result.description = `${elementType} has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Use descriptive text that indicates the ${elementType.toLowerCase()}'s purpose`;
+    result.issueCode = 'group-punctuation-name';
+  }
+  // Check for filename-like accessible name
+  else if (isFilenameInText(accessibleName)) {
+    result.result = "fail";
+    result.description = `${elementType} has a filename as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the ${elementType.toLowerCase()}'s purpose`;
+    result.issueCode = 'group-filename-name';
+  }
+  // Check for URL-like accessible name
+  else if (isUrlLike(accessibleName)) {
+    result.result = "fail";
+    result.description = `${elementType} has a URL-like string as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the ${elementType.toLowerCase()}'s purpose`;
+    result.issueCode = 'group-url-name';
+  }
+  // Check for title-only accessible names
+  else if (element._accessibleNameFromTitleOnly) {
+    result.result = "warn";
+    result.description = `${elementType} uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use a legend element or aria-label instead`;
+    result.issueCode = 'name-from-title-only';
+    result.details = "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues.";
+  }
+  // Valid accessible name present
+  else {
+    result.result = "pass";
+    result.description = `${elementType} has a proper accessible name`;
+    result.issueCode = 'name-ok';
+  }
+
+  // If the element is hidden and has a failure, downgrade to warning
+  if (!isVisible && result.result === "fail") {
+    result.result = "warn";
+    result.description += " (hidden element)";
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
+  }
+
+  return result;
+}
+
+/**
+ * Test a button for an accessible name
+ * @param {HTMLElement} element - Button element
+ * @returns {Object} Test result
+ */
+function testButton(element) {
+  const accessibleName = computeAccessibleName(element);
+
+  // Determine the type of button element for reporting
+  const isAriaButton = element.getAttribute('role') === 'button';
+  const isInputButton = element.tagName === 'INPUT' &&
+                       (element.type === 'button' || element.type === 'submit' || element.type === 'reset');
+
+  let elementType;
+  if (isAriaButton) {
+    elementType = 'ARIA button';
+  } else if (isInputButton) {
+    elementType = `${capitalizeFirstLetter(element.type)} input`;
+  } else {
+    elementType = 'Button';
+  }
+
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  const result = {
+    tagName: element.tagName.toLowerCase(),
+    role: isAriaButton ? 'button' : null,
+    type: isInputButton ? element.type : null,
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
+
+  // Initialize the resultObj
+  let resultObj;
+
+  // Check for broken aria-labelledby references (set by computeAccessibleName)
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+
+    // Create a specific error message for broken aria-labelledby
+    resultObj = {
+      result: "fail",
+      issueCode: 'labelledby-broken-ref',
+      description: `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`
+    };
+
+    // Skip other checks since broken aria-labelledby is the primary issue
+    // Note: Still check visibility below to potentially downgrade to warning
+  } else {
+    // Special check for input buttons without value
+    if (element.tagName === 'INPUT' &&
+        (element.type === 'button' || element.type === 'submit' || element.type === 'reset') &&
+        !element.hasAttribute('value')) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'button-missing-value',
+        description: `${elementType} is missing value attribute which provides its accessible name - Screen readers cannot announce this button's purpose. Add a value attribute to define button text`
+      };
+    }
+    // Check for empty aria-label
+    else if (element._hasEmptyAriaLabel) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'aria-label-empty',
+        description: `${elementType} has empty or whitespace-only aria-label attribute`
+      };
+    }
+    // Check for punctuation-only aria-label
+    else if (element._hasPunctuationOnlyAriaLabel) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'aria-label-punctuation-only',
+        description: `${elementType} has aria-label with only punctuation "${element.getAttribute('aria-label')}", which may not be announced by screen readers`
+      };
+    }
+    // Determine result based on accessible name for other cases
+    else if (!accessibleName) {
+      // Check what specific issue causes the missing accessible name
+      if (element.textContent.trim() === '') {
+        if (element.tagName === 'BUTTON') {
+          resultObj = {
+            result: "fail",
+            issueCode: 'button-missing-name',
+            description: `${elementType} has no text content and no aria-label/aria-labelledby attributes`
+          };
+        } else if (element.tagName === 'INPUT' &&
+                  (element.type === 'button' || element.type === 'submit' || element.type === 'reset')) {
+          resultObj = {
+            result: "fail",
+            issueCode: 'button-missing-value',
+            description: `${elementType} is missing value attribute and has no aria-label/aria-labelledby`
+          };
+        } else if (element.getAttribute('role') === 'button') {
+          resultObj = {
+            result: "fail",
+            issueCode: 'button-missing-name',
+            description: `${elementType} has no text content and no aria-label/aria-labelledby attributes`
+          };
+        } else {
+          resultObj = {
+            result: "fail",
+            issueCode: 'button-missing-name',
+            description: `${elementType} is missing an accessible name (no content and no aria attributes) - Screen reader users cannot determine this button's purpose. Add text content or aria-label attribute`
+          };
+        }
+      } else {
+        resultObj = {
+          result: "fail",
+          issueCode: 'button-missing-name',
+          description: `${elementType} is missing an accessible name - Not announced properly by screen readers. Add text content, aria-label, or aria-labelledby`
+        };
+      }
+    }
+    else if (accessibleName.trim() === '') {
+      // Check what's causing the empty accessible name
+      if (element.textContent.trim() === '') {
+        if (element.hasAttribute('aria-label') && element.getAttribute('aria-label').trim() === '') {
+          resultObj = {
+            result: "fail",
+            issueCode: 'button-whitespace-name',
+            description: `${elementType} has whitespace-only text content and aria-label attribute`
+          };
+        } else {
+          resultObj = {
+            result: "fail",
+            issueCode: 'button-whitespace-name',
+            description: `${elementType} has whitespace-only text content and no aria attributes`
+          };
+        }
+      } else {
+        resultObj = {
+          result: "fail",
+          issueCode: 'button-whitespace-name',
+          description: `${elementType} has empty or whitespace-only accessible name`
+        };
+      }
+    }
+    else if (isIconOnly(element, accessibleName)) {
+      resultObj = {
+        result: "fail",
+        issueCode: 'button-icon-only',
+        description: `${elementType} has only an icon ("${accessibleName}") - add aria-label with descriptive text`
+      };
+    } else if (isGenericText(accessibleName)) {
+      resultObj = {
+        result: "warn",
+        issueCode: 'button-generic-name',
+        description: `${elementType} text "${accessibleName}" is too generic - use more descriptive text`
+      };
+    } else {
+      resultObj = {
+        result: "pass",
+        issueCode: 'name-ok',
+        description: `${elementType} has an accessible name`
+      };
+    }
+  }
+
+  // Apply the result, downgrading to warning if hidden
+  if (!isVisible && resultObj.result === "fail") {
+    result.result = "warn";
+    result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
+  } else {
+    result.result = resultObj.result;
+    result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+  }
+
+  return result;
+}
+
+/**
+ * Test a radio button for both an accessible name and proper grouping
+ * @param {HTMLElement} element - Radio button element
+ * @returns {Object} Test result
+ */
+function testRadioButton(element) {
+  // First do the regular form control test for accessible name
+  const formControlResult = testFormControl(element);
+
+  // If the form control already failed, return that result
+  if (formControlResult.result === 'fail') {
+    return formControlResult;
+  }
+
+  // Otherwise, also check for proper grouping context
+  const isInFieldset = element.closest('fieldset') !== null;
+  const isInARIAGroup = element.closest('[role="radiogroup"]') !== null;
+
+  // If neither in a fieldset nor in an element with role="radiogroup"
+  if (!isInFieldset && !isInARIAGroup) {
+    return {
+      ...formControlResult,
+      result: "fail",
+      issueCode: 'radio-no-group',
+      description: "Radio button is not contained within a fieldset or element with role=\"radiogroup\" - Radio buttons need a grouping context with a descriptive label to help users understand what they're selecting between",
+      details: "Radio buttons should be grouped within a fieldset with a legend (or an element with role=\"radiogroup\" and aria-labelledby/aria-label) to provide context about what the options represent. This is essential for screen reader users to understand the purpose of the radio button group."
+    };
+  }
+
+  // If it passed all tests
+  return formControlResult;
+}
+
+/**
+ * Test a select element for accessible names and proper options
+ * @param {HTMLElement} element - Select element
+ * @returns {Object} Test result
+ */
+function testSelect(element) {
+  // First do the regular form control test for accessible name
+  const formControlResult = testFormControl(element);
+
+  // If the form control already failed, return that result
+  if (formControlResult.result === 'fail') {
+    return formControlResult;
+  }
+
+  // Otherwise, also check for issues with options
+  const options = Array.from(element.querySelectorAll('option'));
+  let hasEmptyOption = false;
+  let hasWhitespaceOption = false;
+
+  // Check the first option specifically
+  const firstOption = options[0];
+  if (firstOption) {
+    // Check for empty option (no text)
+    if (firstOption.textContent.trim() === '') {
+      hasEmptyOption = true;
+    }
+  }
+
+  // Check all options
+  for (const option of options) {
+    // Check for options with only whitespace
+    if (option.textContent !== '' && option.textContent.trim() === '') {
+      hasWhitespaceOption = true;
+    }
+  }
+
+  // Report issues with select options
+  if (hasEmptyOption) {
+    return {
+      ...formControlResult,
       result: "fail",
-      description: "Whitespace-only accessible name",
-      details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the image inaccessible to screen reader users."
+      issueCode: 'select-empty-first-option',
+      description: "Select has an empty first option - This doesn't provide a clear instruction or placeholder. Add descriptive text to the first option such as 'Choose a category' or 'Select an option'",
+      details: "The first option in a select element should have descriptive text that explains what the user is selecting. Empty options don't provide adequate information to screen reader users about what they're expected to choose."
     };
-  } else if (isPunctuation(accessibleName)) {
-    resultObj = {
+  } else if (hasWhitespaceOption) {
+    return {
+      ...formControlResult,
       result: "fail",
-      description: "Punctuation-only accessible name",
-      details: "Accessible names consisting only of punctuation characters don't provide meaningful information to screen reader users."
+      issueCode: 'select-whitespace-option',
+      description: "Select has an option with only whitespace characters - This doesn't provide a meaningful option label. Add descriptive text to all options",
+      details: "All options in a select element need descriptive text for screen reader users to understand what they're selecting. Whitespace-only options are not accessible and should be avoided."
     };
-  } else if (accessibleName.includes('<') && accessibleName.includes('>')) {
-    // Don't include the actual accessible name in the result for HTML markup
-    result.accessibleName = ''; // Override the accessibleName in the result
+  }
+
+  // If it passed all tests
+  return formControlResult;
+}
+
+/**
+ * Test an input[type="image"] element for an accessible name via alt attribute
+ * @param {HTMLElement} element - Image input element
+ * @returns {Object} Test result
+ */
+function testImageInput(element) {
+  const accessibleName = computeAccessibleName(element);
+  const alt = element.getAttribute('alt');
+  const hasAlt = element.hasAttribute('alt');
+
+  // Check if the element is hidden
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
+
+  const result = {
+    tagName: 'input',
+    type: 'image',
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
+
+  // Determine result based on accessible name and alt attribute
+  let resultObj;
 
+  if (!hasAlt) {
+    // No alt attribute at all
     resultObj = {
       result: "fail",
-      description: "HTML markup in SVG accessible name",
-      details: "HTML tags in accessible names are not rendered properly by screen readers and can cause confusion. Use plain text without markup in accessible names."
+      issueCode: 'image-input-missing-alt',
+      description: "Image input is missing alt attribute - Images used as buttons must have descriptive alt text. Add an alt attribute that describes the action or purpose of the button",
+      details: "Image inputs are functional controls that need descriptive alt text that explains what action will occur when the button is activated. Missing alt text prevents screen reader users from understanding the button's purpose."
     };
-  } else if (isFilenameInText(accessibleName)) {
+  } else if (alt === '') {
+    // Empty alt attribute - inappropriate for functional images like submit buttons
     resultObj = {
       result: "fail",
-      description: "Filename as accessible name",
-      details: "Filenames do not adequately describe the content or purpose of an image to screen reader users."
+      issueCode: 'image-input-empty-alt',
+      description: "Image input has empty alt attribute - Functional images like submit buttons must have descriptive alt text, not empty alt attributes. Add descriptive alt text that explains the button's purpose",
+      details: "Empty alt attributes (alt=\"\") are used to hide decorative images from screen readers. Since image inputs are functional controls, they should never have empty alt text."
     };
-  } else if (isGenericLabel(accessibleName)) {
+  } else if (alt.trim() === '') {
+    // Whitespace-only alt attribute
     resultObj = {
-      result: "warn",
-      description: "Generic accessible name",
-      details: "Generic terms don't adequately describe the content or purpose of an image to screen reader users.",
-      title: "Generic image description"
+      result: "fail",
+      issueCode: 'image-input-whitespace-alt',
+      description: "Image input has whitespace-only alt text - This doesn't provide an accessible name. Add descriptive alt text that explains the button's purpose",
+      details: "Alt text consisting only of whitespace characters is not announced by screen readers, making the control unusable for screen reader users."
     };
-  } else if (hasTitle && titleContent && titleContent.trim() === '' && accessibleName) {
+  } else if (isPunctuation(alt)) {
+    // Punctuation-only alt attribute
+    resultObj = {
+      result: "fail",
+      issueCode: 'image-input-punctuation-alt',
+      description: `Image input has punctuation-only alt text "${alt}" - Not meaningful to screen reader users. Add descriptive alt text that explains the button's purpose`,
+      details: "Alt text consisting only of punctuation characters doesn't convey the purpose of the control to screen reader users."
+    };
+  } else if (isGenericLabel(alt)) {
+    // Generic alt text like "button" or "image" - treating as a warning, not a failure
     resultObj = {
       result: "warn",
-      description: "Empty title element with alternative accessible name",
-      details: "Having an empty <title> element along with other accessible name sources can create confusion. It's better to either use the <title> element properly or remove it.",
-      title: "Empty title element"
+      issueCode: 'image-input-generic-alt',
+      description: `Image input has generic alt text "${alt}" - Not descriptive of its function. Add alt text that describes what action the button performs (e.g., "Submit form", "Search", "Add to cart")`,
+      details: "Generic terms like 'button' or 'image' don't explain what the button does when activated. Alt text should describe the action that will occur when the button is used.",
+      title: "Generic accessible name" // Custom title to override the default "Missing accessible name"
+    };
+  } else if (isFilenameInText(alt)) {
+    // Filename-like alt text
+    resultObj = {
+      result: "fail",
+      issueCode: 'image-input-filename-alt',
+      description: `Image input has a filename as alt text "${alt}" - Not descriptive of its function. Add alt text that describes what action the button performs`,
+      details: "Filenames don't convey the purpose of a control to users. Alt text should describe what the button does when activated, not technical details about the image file."
     };
   } else {
+    // Valid alt text
     resultObj = {
       result: "pass",
-      description: "SVG image has an appropriate accessible name"
+      issueCode: 'name-ok',
+      description: "Image input has appropriate alt text"
     };
   }
 
-  // If the element has an accessibility issue but is hidden, downgrade to a warning
+  // Apply the result, downgrading to warning if hidden
   if (!isVisible && resultObj.result === "fail") {
     result.result = "warn";
     result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
     result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                    "This is reported as a warning rather than an error because the element is not visible " +
                    "to users, but would fail accessibility requirements if it becomes visible.";
   } else {
     result.result = resultObj.result;
     result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
     if (resultObj.details) {
       result.details = resultObj.details;
     }
-    if (resultObj.title) {
-      result.title = resultObj.title;
-    }
   }
 
   return result;
 }
 
 /**
- * Test an image element for an accessible name
- * @param {HTMLElement} element - Image element
+ * Test an image map area for an accessible name
+ * @param {HTMLElement} element - Area element
  * @returns {Object} Test result
  */
-function testImage(element) {
+function testArea(element) {
   const accessibleName = computeAccessibleName(element);
 
-  // Check if the element is hidden using our helper function
+  // Check if the element is hidden
   const isHidden = isElementHidden(element);
   const isVisible = !isHidden;
 
-  // Check if this is an image map
-  const isImageMap = element.hasAttribute('usemap') && element.getAttribute('usemap').trim() !== '';
-
   const result = {
-    tagName: element.tagName.toLowerCase(),
+    tagName: 'area',
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
-    isVisible: isVisible,
-    isImageMap: isImageMap
+    isVisible: isVisible
   };
 
-  // Determine if the element is explicitly marked as decorative
-  // This includes elements with role="presentation", role="none", aria-hidden="true"
-  // OR elements with an empty alt attribute (alt="")
-  const hasEmptyAlt = element.hasAttribute('alt') && element.getAttribute('alt') === '';
-  const isDecorative = hasEmptyAlt ||
-                      (element.hasAttribute('aria-hidden') && element.getAttribute('aria-hidden') === 'true') ||
-                      (element.hasAttribute('role') && element.getAttribute('role') === 'presentation') ||
-                      (element.hasAttribute('role') && element.getAttribute('role') === 'none');
+  // Check for broken aria-labelledby references first
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
-  // If the image is decorative, it should have no accessible name
-  if (isDecorative) {
-    if (accessibleName === '') {
-      result.result = "pass";
-      result.description = "Decorative image correctly has empty alt text";
-    } else {
+    // Create a specific error message for broken aria-labelledby
+    let resultObj = {
+      result: "fail",
+      issueCode: 'labelledby-broken-ref',
+      description: `Image map area has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - Users cannot determine the area's purpose`
+    };
+
+    // Apply the result, downgrading to warning if hidden
+    if (!isVisible && resultObj.result === "fail") {
       result.result = "warn";
-      result.description = "Decorative image should have empty alt text";
+      result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
+      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                    "This is reported as a warning rather than an error because the element is not visible " +
+                    "to users, but would fail accessibility requirements if it becomes visible.";
+    } else {
+      result.result = resultObj.result;
+      result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
     }
-    return result;
-  }
 
-  // Case where image has empty alt="" but is not caught above due to other attributes
-  // This is also considered a valid way to mark decorative images
-  if (hasEmptyAlt) {
-    result.result = "pass";
-    result.description = "Decorative image correctly has empty alt text";
     return result;
   }
 
-  // Determine result based on accessible name
-  let resultObj = {
-    result: "fail",
-    description: "Image is missing an accessible name (alt text) - Invisible to screen reader users. Add descriptive alt text that conveys purpose or content"
-  };
-
-  if (!accessibleName) {
-    if (isImageMap) {
-      resultObj = {
-        result: "fail",
-        description: "Image map is missing an accessible name - Screen readers can't provide context for the interactive areas. Add descriptive alt text that explains the map's purpose and available options",
-        details: "Image maps need descriptive alt text that provides context for the interactive areas within them. Without it, screen reader users won't understand what the map represents."
-      };
-    } else {
-      resultObj = {
-        result: "fail",
-        description: "Image is missing an accessible name (alt text) - Invisible to screen reader users. Add descriptive alt text that conveys purpose or content"
-      };
-    }
-  } else if (isFilenameInText(accessibleName)) {
-    // Don't include the actual filename in the result
-    result.accessibleName = ''; // Override the accessibleName in the result
-
-    if (isImageMap) {
-      resultObj = {
-        result: "fail",
-        description: `Image map has a filename as its accessible name - Not descriptive of its purpose. Add alt text that explains the map's purpose and available interactive options`,
-        details: "Image maps should have descriptive alt text that explains their purpose and provides context for the interactive areas."
-      };
-    } else {
-      resultObj = {
-        result: "fail",
-        description: "Image has a filename as its accessible name - Filenames are not meaningful to users. Replace with descriptive alt text that conveys image content or purpose"
-      };
-    }
-  } else if (accessibleName.trim() === '') {
-    // This case handles situations where the accessible name computation results in an empty string
-    // but the image isn't explicitly marked as decorative with alt=""
-
-    // Don't include the whitespace in the result
-    result.accessibleName = ''; // Override the accessibleName in the result
-
-    if (isImageMap) {
-      resultObj = {
-        result: "fail",
-        description: "Image map has empty accessible name - Screen readers can't provide context for the interactive areas. Add descriptive alt text that explains the map's purpose",
-        details: "Image maps should never be marked as decorative since they contain interactive elements."
-      };
-    } else {
-      resultObj = {
-        result: "fail",
-        description: "Image has whitespace-only alt text - This effectively creates a blank accessible name. Use empty alt attribute (alt=\"\") for decorative images or add descriptive alt text for meaningful images",
-        details: "Whitespace-only alt text (alt=\" \") is different from empty alt text (alt=\"\"). Screen readers will still try to announce this image but won't have any content to read. If the image is decorative, use alt=\"\"; if it's meaningful, provide descriptive alt text."
-      };
-    }
-  } else if (isPunctuation(accessibleName)) {
-    // Don't include the punctuation in the result
-    result.accessibleName = ''; // Override the accessibleName in the result
-
-    if (isImageMap) {
-      resultObj = {
-        result: "fail",
-        description: `Image map has only punctuation as its accessible name - Not meaningful to screen reader users. Add descriptive alt text that explains the map's purpose`,
-        details: "Punctuation characters don't convey meaning about the purpose of an image map or provide context for its interactive areas."
-      };
-    } else {
-      resultObj = {
-        result: "fail",
-        description: "Image has only punctuation as its accessible name - Punctuation alone is not meaningful. Add descriptive alt text that conveys image content or purpose"
-      };
-    }
-  } else if (accessibleName.includes('<') && accessibleName.includes('>')) {
-    // Don't include the actual accessible name in the result for HTML markup
-    result.accessibleName = ''; // Override the accessibleName in the result
+  let resultObj;
 
-    if (isImageMap) {
-      resultObj = {
-        result: "fail",
-        description: "HTML markup in image map alt text",
-        details: "HTML tags in alt text are not rendered properly by screen readers and can cause confusion. Use plain text without markup in alt text."
-      };
-    } else {
-      resultObj = {
-        result: "fail",
-        description: "HTML markup in alt text",
-        details: "HTML tags in alt text are not rendered properly by screen readers and can cause confusion. Use plain text without markup in alt text."
-      };
-    }
-  } else if (accessibleName.toLowerCase().startsWith('image ') ||
-             accessibleName.toLowerCase().includes('image of')) {
-    // Check for redundant "image" or "image of" in alt text
+  // Check for presence of accessible name
+  if (!accessibleName) {
+    // No accessible name at all
     resultObj = {
-      result: "warn",
-      description: "Redundant 'image' in alt text",
-      details: "Screen readers already announce the element as an image, so including 'image' or 'image of' in the accessible name is redundant and creates a poor user experience.",
-      title: "Redundant alt text"
+      result: "fail",
+      issueCode: 'area-missing-name',
+      description: "Image map area is missing an accessible name - Users cannot determine the area's purpose. Add alt text or aria-label to describe the area's purpose",
+      details: "Image map areas without accessible names prevent screen reader users from understanding the purpose of each clickable region."
+    };
+  } else if (accessibleName.trim() === '') {
+    // Empty or whitespace-only accessible name
+    resultObj = {
+      result: "fail",
+      issueCode: 'area-whitespace-name',
+      description: "Image map area has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive alt text or aria-label",
+      details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the area unusable for screen reader users."
+    };
+  } else if (isPunctuation(accessibleName)) {
+    // Punctuation-only accessible name
+    resultObj = {
+      result: "fail",
+      issueCode: 'area-punctuation-name',
+      description: `Image map area has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive alt text or aria-label`,
+      details: "Accessible names consisting only of punctuation characters don't convey the purpose of the area to screen reader users."
+    };
+  } else if (isFilenameInText(accessibleName)) {
+    // Filename-like accessible name
+    resultObj = {
+      result: "fail",
+      issueCode: 'area-filename-name',
+      description: `Image map area has a filename as accessible name "${accessibleName}" - Not descriptive of its purpose. Add descriptive alt text or aria-label`,
+      details: "Filenames don't convey the purpose of a clickable area to users. The accessible name should describe the area's destination or purpose."
     };
   } else if (isGenericLabel(accessibleName)) {
-    // Check for generic labels for all images, not just image maps
+    // Generic accessible name
     resultObj = {
       result: "warn",
-      description: `Generic alt text "${accessibleName}"`,
-      details: "Generic terms don't adequately describe the content or purpose of an image to screen reader users.",
-      title: "Generic image description"
+      issueCode: 'area-generic-name',
+      description: `Image map area has generic accessible name "${accessibleName}" - Not descriptive of its purpose. Add more descriptive alt text or aria-label`,
+      details: "Generic terms don't adequately describe the purpose or destination of the area. The accessible name should be more specific.",
+      title: "Generic accessible name"
     };
-  } else if (isGenericLabel(accessibleName) && isImageMap) {
-    // Special check for generic names on image maps
+  } else if (isGenericText(accessibleName)) {
+    // Generic link text like "click here"
     resultObj = {
       result: "warn",
-      description: `Image map has generic alt text "${accessibleName}" - Not sufficiently descriptive. Add alt text that explains the map's purpose and available interactive options`,
-      details: "Image maps need descriptive alt text that explains their purpose and provides context for the contained interactive areas.",
-      title: "Generic image map description"
+      issueCode: 'area-generic-name',
+      description: `Image map area has generic text "${accessibleName}" - Not descriptive of its destination. Add more specific text that indicates the destination`,
+      details: "Generic phrases like 'click here' or 'read more' don't indicate where the link will take users. This makes navigation difficult for screen reader users who often navigate by scanning lists of links.",
+      title: "Generic link text"
     };
-  } else if (accessibleName.length < 10 && isImageMap) {
-    // Warn about very short descriptions for image maps
+  } else if (element._accessibleNameFromTitleOnly) {
+    // Accessible name from title attribute only (not ideal but allowed)
     resultObj = {
       result: "warn",
-      description: `Image map has a very short accessible name "${accessibleName}" - May not provide sufficient context. Consider adding more descriptive alt text that explains the map's purpose and available options`,
-      details: "Image maps typically benefit from more detailed descriptions to provide context for the interactive areas.",
-      title: "Brief image map description"
+      issueCode: 'name-from-title-only',
+      description: `Image map area uses only title attribute for accessible name "${accessibleName}" - Screen readers handle title inconsistently. Use alt attribute or aria-label instead`,
+      details: "The title attribute is not reliably announced by all screen readers and is not visible on mobile devices. It's better to use alt or aria-label for accessible names.",
+      title: "Relies on title attribute"
     };
   } else {
+    // Has a valid accessible name
     resultObj = {
       result: "pass",
-      description: isImageMap ?
-        "Image map has an appropriate accessible name" :
-        "Image has a descriptive accessible name"
+      issueCode: 'name-ok',
+      description: "Image map area has an appropriate accessible name"
     };
   }
 
-  // If the element has an accessibility issue but is hidden, downgrade to a warning
+  // Apply the result, downgrading to warning if hidden
   if (!isVisible && resultObj.result === "fail") {
     result.result = "warn";
     result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
     result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                     "This is reported as a warning rather than an error because the element is not visible " +
-                     "to users, but would fail accessibility requirements if it becomes visible.";
+                  "This is reported as a warning rather than an error because the element is not visible " +
+                  "to users, but would fail accessibility requirements if it becomes visible.";
   } else {
     result.result = resultObj.result;
     result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+    if (resultObj.details) {
+      result.details = resultObj.details;
+    }
+    if (resultObj.title) {
+      result.title = resultObj.title;
+    }
   }
 
   return result;
 }
 
 /**
- * Test a form control for an accessible name
- * @param {HTMLElement} element - Form control element
+ * Test a link for an accessible name
+ * @param {HTMLElement} element - Link element
  * @returns {Object} Test result
  */
-function testFormControl(element) {
+function testLink(element) {
   const accessibleName = computeAccessibleName(element);
-  const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
-  const isARIATextbox = role === 'textbox';
-  const elementType = isARIATextbox ? 'ARIA textbox' : capitalizeFirstLetter(tagName);
+  const isAriaLink = element.getAttribute('role') === 'link';
+  const elementType = isAriaLink ? 'ARIA link' : 'Link';
 
   // Check if the element is hidden using our helper function
   const isHidden = isElementHidden(element);
   const isVisible = !isHidden;
 
   const result = {
-    tagName: tagName,
+    tagName: element.tagName.toLowerCase(),
+    role: isAriaLink ? 'link' : null,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
@@ -750,394 +3403,348 @@ function testFormControl(element) {
     result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
     // Create a specific error message for broken aria-labelledby
-    let resultObj = {
-      result: "fail",
-      description: `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`
-    };
-
-    // Apply the result, downgrading to warning if hidden
-    if (!isVisible && resultObj.result === "fail") {
-      result.result = "warn";
-      result.description = resultObj.description + " (hidden element)";
-      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                     "This is reported as a warning rather than an error because the element is not visible " +
-                     "to users, but would fail accessibility requirements if it becomes visible.";
-    } else {
-      result.result = resultObj.result;
-      result.description = resultObj.description;
-    }
-
-    return result;
-  }
-
-  // Special handling for hidden inputs or elements not requiring a label
-  if (element.type === 'hidden' || element.type === 'button' || element.type === 'submit' || element.type === 'reset') {
-    // These types don't always need accessible names
-    let resultObj = { result: "pass", description: "Hidden input doesn't require an accessible name" };
-
-    if (element.type === 'button' || element.type === 'submit' || element.type === 'reset') {
-      if (!accessibleName) {
-        resultObj = {
-          result: "fail",
-          description: `${capitalizeFirstLetter(element.type)} input is missing an accessible name - Users cannot identify its purpose. Add a value attribute, aria-label, or aria-labelledby`
-        };
-      } else {
-        resultObj = {
-          result: "pass",
-          description: `${capitalizeFirstLetter(element.type)} input has an accessible name`
-        };
-      }
-    } else {
-      // Hidden inputs don't need accessible names
-      resultObj = {
-        result: "pass",
-        description: "Hidden input doesn't require an accessible name"
-      };
-    }
+    result.result = "fail";
+    result.description = "Broken aria-labelledby attribute";
+    result.issueCode = 'labelledby-broken-ref';
+    result.details = `The aria-labelledby attribute references IDs that don't exist in the document: "${element._brokenAriaLabelledbyIds.join(', ')}". This causes the element's accessible name to fall back to text content or other sources.`;
 
-    // Apply the result, downgrading to warning if hidden
-    if (!isVisible && resultObj.result === "fail") {
+    // Downgrade to warning if hidden
+    if (!isVisible) {
       result.result = "warn";
-      result.description = resultObj.description + " (hidden element)";
-      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+      result.description += " (hidden element)";
+      const hiddenDetails = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                      "This is reported as a warning rather than an error because the element is not visible " +
                      "to users, but would fail accessibility requirements if it becomes visible.";
-    } else {
-      result.result = resultObj.result;
-      result.description = resultObj.description;
+      result.details = result.details ? result.details + "\n\n" + hiddenDetails : hiddenDetails;
     }
 
     return result;
   }
 
-  // For visible form controls, determine the result based on accessible name
-  let resultObj = { result: "pass", description: `${elementType} has an accessible name` };
-
-  // For radio buttons, we'll do additional checks in the testRadioButton function
+  // Check if link contains an image with alt text
+  const containsImage = element.querySelector('img') !== null;
+  const imageWithAlt = element.querySelector('img[alt]:not([alt=""])');
 
+  // If no broken aria-labelledby issues, check if the link has an accessible name
   if (!accessibleName) {
-    // Check for placeholder-only inputs, which should specifically fail
-    const hasPlaceholder = element.hasAttribute('placeholder');
-
-    if (hasPlaceholder && tagName === 'input') {
-      resultObj = {
-        result: "fail",
-        description: `${elementType} has placeholder but no accessible name - Placeholder text is not part of the accessible name calculation. Add a properly associated label, aria-label, or aria-labelledby`,
-        details: "Placeholder text is not included in the accessible name, disappears when users start typing, often has low contrast ratios, and is not a substitute for a proper label. Form controls must have a proper accessible name to meet WCAG success criteria."
-      };
+    // Special case for links with images
+    if (containsImage && !imageWithAlt) {
+      result.result = "fail";
+      result.description = `${elementType} contains an image without alt text - Screen readers can't determine the link's purpose. Add alt text to the image or descriptive text to the link`;
+      result.issueCode = 'link-img-missing-alt';
     } else {
-      resultObj = {
-        result: "fail",
-        description: `${elementType} is missing an accessible name - Users cannot identify its purpose. Add a properly associated label, aria-label, or aria-labelledby`
-      };
+      result.result = "fail";
+      result.description = `${elementType} is missing an accessible name - Provides no information to screen reader users. Add descriptive text content, aria-label, or aria-labelledby`;
+      result.issueCode = 'link-missing-name';
     }
   } else if (accessibleName.trim() === '') {
-    resultObj = {
-      result: "fail",
-      description: `${elementType} has empty or whitespace-only accessible name`
-    };
+    result.result = "fail";
+    result.description = `${elementType} has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive text that indicates where the link leads`;
+    result.issueCode = 'link-whitespace-name';
   } else if (isPunctuation(accessibleName)) {
-    resultObj = {
-      result: "fail",
-      description: `${elementType} has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive text that identifies the input's purpose`
-    };
-  } else if (isGenericLabel(accessibleName)) {
-    resultObj = {
-      result: "fail",
-      description: `${elementType} has generic accessible name "${accessibleName}" - This doesn't describe the input's purpose. Use descriptive text that clearly identifies what information is expected`
-    };
-  } else if (isFilenameInText(accessibleName)) {
-    resultObj = {
-      result: "warn",
-      description: `${elementType} has a filename-like accessible name "${accessibleName}" - This may not be descriptive of the input's purpose. Consider using a more descriptive label that explains what information is expected`,
-      details: "Filename-like labels are often system-oriented rather than user-oriented and may not clearly communicate what information the user should enter."
-    };
+    result.result = "fail";
+    result.description = "Punctuation-only accessible name";
+    result.issueCode = 'link-punctuation-name';
+    result.details = "Accessible names consisting only of punctuation characters are not meaningful to screen reader users. Use descriptive text that indicates where the link leads.";
+  } else if (isIconOnly(element, accessibleName)) {
+    result.result = "fail";
+    result.description = "Icon-only link";
+    result.issueCode = 'link-icon-only';
+    result.details = `This link appears to contain only an icon or symbol ("${accessibleName}") without descriptive text. Add aria-label with descriptive text that explains the link's destination or purpose.`;
+  } else if (isGenericLinkText(accessibleName)) {
+    // Generic link text is a best practice issue rather than a WCAG failure
+    result.result = "warn";
+    result.description = "Generic link text";
+    result.issueCode = 'link-generic-text';
+    result.details = `The text "${accessibleName}" is not descriptive of the link's purpose. This makes navigation difficult for screen reader users who browse by link lists. Replace with text that clearly describes the link's destination.`;
   } else if (isUrlLike(accessibleName)) {
-    resultObj = {
-      result: "warn",
-      description: `${elementType} has a URL-like accessible name "${accessibleName}" - This may not be descriptive of the input's purpose. Consider using a more descriptive label that explains what information is expected`,
-      details: "URL-like labels are often system-oriented rather than user-oriented and may not clearly communicate what information the user should enter."
-    };
-  } else if (element._accessibleNameFromTitleOnly) {
-    resultObj = {
-      result: "warn",
-      description: `${elementType} uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use a label element or aria-label instead`,
-      details: "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues."
-    };
+    // Special case for links with URL as text - this is a best practice issue, not a WCAG failure
+    result.result = "warn";
+    result.description = "URL as text";
+    result.issueCode = 'link-url-text';
+    result.details = "URLs as link text may be difficult for screen reader users to listen to. Consider using descriptive text that explains the link's purpose instead.";
   } else {
-    // Check if the input has an implicit label (parent label without 'for' attribute)
-    const hasImplicitLabel = hasImplicitLabelParent(element);
+    // Check if this is a link with an image that has proper alt text
+    const hasImgWithMatchingAlt = containsImage && imageWithAlt &&
+                                 imageWithAlt.getAttribute('alt') === accessibleName;
 
-    if (hasImplicitLabel) {
-      resultObj = {
-        result: "warn",
-        description: `${elementType} uses implicit label (nested within label element) - This may cause issues with some voice-control technologies like Dragon Naturally Speaking, which look for explicit for/id associations. Consider using explicit label with matching for/id attributes instead`,
-        details: "Voice control technologies often look specifically for the 'for' attribute in labels, and implicit labeling can limit functionality for some assistive technology users. While implicit labels are technically valid, explicit labels with matching for/id attributes are more broadly supported across assistive technologies."
-      };
+    if (hasImgWithMatchingAlt) {
+      // This is a good pattern - link with an image that has proper alt text
+      result.result = "pass";
+      result.description = `${elementType} with image has a descriptive accessible name from alt text`;
+      result.issueCode = 'name-ok';
     } else {
-      resultObj = {
-        result: "pass",
-        description: `${elementType} has an accessible name`
-      };
+      result.result = "pass";
+      result.description = `${elementType} has a descriptive accessible name`;
+      result.issueCode = 'name-ok';
     }
   }
 
-  // Apply the result, downgrading to warning if hidden
-  if (!isVisible && resultObj.result === "fail") {
+  // Downgrade to warning if hidden and there's a failure
+  if (!isVisible && result.result === "fail") {
     result.result = "warn";
-    result.description = resultObj.description + " (hidden element)";
+    result.description += " (hidden element)";
     result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                    "This is reported as a warning rather than an error because the element is not visible " +
                    "to users, but would fail accessibility requirements if it becomes visible.";
-  } else {
-    result.result = resultObj.result;
-    result.description = resultObj.description;
   }
   
   return result;
 }
-
-/**
- * Test a fieldset for an accessible name
- * @param {HTMLElement} element - Fieldset element
- * @returns {Object} Test result
- */
+
 /**
- * Test a form for an accessible name
- * @param {HTMLElement} element - Form element or element with role="form"
+ * Test a landmark element for an accessible name
+ * @param {HTMLElement} element - Landmark element
  * @returns {Object} Test result
  */
-function testForm(element) {
+function testLandmark(element) {
   const accessibleName = computeAccessibleName(element);
   const tagName = element.tagName.toLowerCase();
   const role = element.getAttribute('role');
-  const elementType = role === 'form' ? 'Element with role="form"' : 'Form';
 
-  // Check if the element is hidden using our helper function
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+  // Determine the type of landmark
+  let landmarkType = role;
+  if (!landmarkType) {
+    if (tagName === 'header') landmarkType = 'banner';
+    else if (tagName === 'footer') landmarkType = 'contentinfo';
+    else if (tagName === 'aside') landmarkType = 'complementary';
+    else if (tagName === 'nav') landmarkType = 'navigation';
+    else if (tagName === 'main') landmarkType = 'main';
+    else if (tagName === 'section') landmarkType = 'region';
+    else if (tagName === 'form') landmarkType = 'form';
+  }
 
   const result = {
     tagName: tagName,
     role: role,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
-    accessibleName: accessibleName,
-    isVisible: isVisible
+    accessibleName: accessibleName
   };
 
-  // Check for broken aria-labelledby references
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+  // Special case for landmark elements that are in the page only once
+  // This matches the implementation in project_tester's accessible_names.py
 
-    result.result = "fail";
-    result.description = `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - These referenced elements do not exist in the document. Fix these IDs or add an aria-label attribute`;
+  // Check for header/banner elements
+  if (tagName === 'header' || landmarkType === 'banner') {
+    const bannerElements = querySelectorAllDeep('header, [role="banner"]');
+    if (bannerElements.length <= 1 && !accessibleName) {
+      result.result = "pass";
+      result.description = "Single banner landmark doesn't require an accessible name";
+      result.issueCode = 'name-not-required';
+      return result;
+    }
   }
-  // Check for aria-labelledby referencing an empty element
-  else if (element.hasAttribute('aria-labelledby') && accessibleName === '') {
-    result.result = "fail";
-    result.description = `${elementType} references an element with empty content via aria-labelledby - The referenced element exists but has no text content. Add text to the referenced element or use aria-label instead`;
+
+  // Check for footer/contentinfo elements
+  if (tagName === 'footer' || landmarkType === 'contentinfo') {
+    const contentinfoElements = querySelectorAllDeep('footer, [role="contentinfo"]');
+    if (contentinfoElements.length <= 1 && !accessibleName) {
+      result.result = "pass";
+      result.description = "Single contentinfo landmark doesn't require an accessible name";
+      result.issueCode = 'name-not-required';
+      return result;
+    }
   }
-  // Check for empty aria-label
-  else if (element.hasAttribute('aria-label') && element.getAttribute('aria-label').trim() === '') {
-    result.result = "fail";
-    result.description = `${elementType} has empty aria-label attribute - This doesn't provide an accessible name. Add text to the aria-label or use aria-labelledby instead`;
+
+  // Check for main elements
+  if (tagName === 'main' || landmarkType === 'main') {
+    const mainElements = querySelectorAllDeep('main, [role="main"]');
+    if (mainElements.length <= 1 && !accessibleName) {
+      result.result = "pass";
+      result.description = "Single main landmark doesn't require an accessible name";
+      result.issueCode = 'name-not-required';
+      return result;
+    }
   }
-  // Check for punctuation-only aria-label
-  else if (element.hasAttribute('aria-label') && isPunctuation(element.getAttribute('aria-label'))) {
-    result.result = "fail";
-    result.description = `${elementType} has punctuation-only aria-label "${element.getAttribute('aria-label')}" - Not meaningful to screen reader users. Use descriptive text instead`;
+
+  // Check for nav elements - special case that generates a warning
+  if (tagName === 'nav' || landmarkType === 'navigation') {
+    const navElements = querySelectorAllDeep('nav, [role="navigation"]');
+    if (navElements.length <= 1 && !accessibleName) {
+      result.result = "warn";
+      result.description = "Single navigation landmark should have an accessible name for better user experience";
+      result.issueCode = 'landmark-nav-unnamed';
+      result.details = "While a single navigation landmark does not require an accessible name per WCAG, " +
+                       "providing one improves user experience with screen readers. The default announcement of " +
+                       "'navigation' is not as helpful as a descriptive name like 'Main Menu' or 'Site Navigation'.";
+      return result;
+    }
   }
-  // Check for missing accessible name entirely
-  else if (!accessibleName) {
+
+  // Check if the landmark has an accessible name when needed
+  if (!accessibleName && (landmarkType === 'region' || landmarkType === 'form' ||
+      querySelectorAllDeep(`[role="${landmarkType}"], ${tagName}`).length > 1)) {
     result.result = "fail";
-    result.description = `${elementType} is missing an accessible name - Essential for landmark navigation with screen readers. Add aria-label or aria-labelledby referencing a heading`;
-  }
-  // Check for empty accessible name
-  else if (accessibleName.trim() === '') {
+
+    // Provide more specific guidance based on landmark type with explanations of why it matters
+    if (landmarkType === 'form') {
+      result.description = `Form is missing an accessible name - Essential for landmark navigation with screen readers. Add aria-label, aria-labelledby referencing a heading, or use a legend element with a fieldset`;
+      result.issueCode = 'form-missing-name';
+    } else if (landmarkType === 'region') {
+      result.description = `Region landmark needs an accessible name - Without a name, users cannot distinguish between regions. Add aria-label or aria-labelledby referencing a heading`;
+      result.issueCode = 'landmark-missing-name';
+    } else if (querySelectorAllDeep(`[role="${landmarkType}"], ${tagName}`).length > 1) {
+      result.description = `${capitalizeFirstLetter(landmarkType)} landmark (${tagName}) requires a name when multiple instances exist - Users need to distinguish between multiple landmarks of the same type. Add aria-label or aria-labelledby referencing a heading`;
+      result.issueCode = 'landmark-multiple-unnamed';
+    } else {
+      result.description = `${capitalizeFirstLetter(landmarkType)} landmark is missing an accessible name`;
+      result.issueCode = 'landmark-missing-name';
+    }
+  } else if (accessibleName && accessibleName.trim() === '') {
     result.result = "fail";
-    result.description = `${elementType} has empty or whitespace-only accessible name - Not helpful for screen reader users. Add descriptive text to the aria-label`;
-  }
-  // Check for punctuation-only accessible name
-  else if (isPunctuation(accessibleName)) {
+    result.description = `${capitalizeFirstLetter(landmarkType)} landmark has empty or whitespace-only accessible name`;
+    result.issueCode = 'landmark-whitespace-name';
+  } else if (!accessibleName) {
+    result.result = "pass";
+    result.description = `${capitalizeFirstLetter(landmarkType)} landmark doesn't require an accessible name`;
+    result.issueCode = 'name-not-required';
+  } else if (landmarkType === 'form' && isPunctuation(accessibleName)) {
+    // Check for punctuation-only accessible name in forms
     result.result = "fail";
-    result.description = `${elementType} has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Use descriptive text that indicates the form's purpose`;
-  }
-  // Check for filename-like accessible name
-  else if (isFilenameInText(accessibleName)) {
+    result.description = `Form has only punctuation as its accessible name: "${accessibleName}" - Punctuation alone is not meaningful to screen reader users. Add a descriptive accessible name that explains the form's purpose`;
+    result.issueCode = 'form-punctuation-name';
+  } else if (landmarkType === 'form' && isFilenameInText(accessibleName)) {
+    // Check for filename-like accessible name in forms
     result.result = "fail";
-    result.description = `${elementType} has a filename as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the form's purpose`;
-  }
-  // Check for URL-like accessible name
-  else if (isUrlLike(accessibleName)) {
+    result.description = `Form has a filename as its accessible name: "${accessibleName}" - Filenames are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
+    result.issueCode = 'form-filename-name';
+  } else if (landmarkType === 'form' && isUrlLike(accessibleName)) {
+    // Check for URL-like accessible name in forms
     result.result = "fail";
-    result.description = `${elementType} has a URL-like string as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the form's purpose`;
-  }
-  // Check for title-only accessible names
-  else if (element._accessibleNameFromTitleOnly) {
+    result.description = `Form has a URL-like string as its accessible name: "${accessibleName}" - URLs are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
+    result.issueCode = 'form-url-name';
+  } else if (role === 'form' && isPunctuation(accessibleName)) {
+    // Check for punctuation-only accessible name in forms with role="form"
+    result.result = "fail";
+    result.description = `Form (role="form") has only punctuation as its accessible name: "${accessibleName}" - Punctuation alone is not meaningful to screen reader users. Add a descriptive accessible name that explains the form's purpose`;
+    result.issueCode = 'form-punctuation-name';
+  } else if (role === 'form' && isFilenameInText(accessibleName)) {
+    // Check for filename-like accessible name in forms with role="form"
+    result.result = "fail";
+    result.description = `Form (role="form") has a filename as its accessible name: "${accessibleName}" - Filenames are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
+    result.issueCode = 'form-filename-name';
+  } else if (role === 'form' && isUrlLike(accessibleName)) {
+    // Check for URL-like accessible name in forms with role="form"
+    result.result = "fail";
+    result.description = `Form (role="form") has a URL-like string as its accessible name: "${accessibleName}" - URLs are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
+    result.issueCode = 'form-url-name';
+  } else if (element._accessibleNameFromTitleOnly) {
+    // Warning for title-only accessible names
     result.result = "warn";
-    result.description = `${elementType} uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use aria-label or aria-labelledby instead`;
+    result.description = `${capitalizeFirstLetter(landmarkType)} landmark uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use aria-label or aria-labelledby instead`;
+    result.issueCode = 'name-from-title-only';
     result.details = "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues.";
-  }
-  // Valid accessible name present
-  else {
+  } else {
     result.result = "pass";
-    result.description = `${elementType} has a proper accessible name`;
-  }
-
-  // If the element is hidden and has a failure, downgrade to warning
-  if (!isVisible && result.result === "fail") {
-    result.result = "warn";
-    result.description += " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                  "This is reported as a warning rather than an error because the element is not visible " +
-                  "to users, but would fail accessibility requirements if it becomes visible.";
+    result.description = `${capitalizeFirstLetter(landmarkType)} landmark has an accessible name`;
+    result.issueCode = 'name-ok';
   }
-
+  
   return result;
 }
 
 /**
- * Test a fieldset for an accessible name
- * @param {HTMLElement} element - Fieldset element
+ * Test an ARIA widget for an accessible name
+ * @param {HTMLElement} element - ARIA widget element
  * @returns {Object} Test result
  */
-function testFieldset(element) {
+/**
+ * Test a dialog element for an accessible name and check for common dialog accessibility issues
+ * @param {HTMLElement} element - Dialog element
+ * @returns {Object} Test result
+ */
+function testDialog(element) {
   const accessibleName = computeAccessibleName(element);
-  const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
-  const elementType = role === 'group' ? 'Group' : 'Fieldset';
 
   // Check if the element is hidden using our helper function
   const isHidden = isElementHidden(element);
   const isVisible = !isHidden;
 
   const result = {
-    tagName: tagName,
-    role: role,
+    tagName: element.tagName.toLowerCase(),
+    role: "dialog",
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
     isVisible: isVisible
   };
 
-  // Check for the presence of a legend element
-  // A legend is only considered the accessible name if it's the first child
-  const hasLegend = element.querySelector('legend') !== null;
-  const legend = element.querySelector('legend');
-  const isFirstChild = legend && legend === element.firstElementChild;
-  const emptyLegend = legend && legend.textContent.trim() === '';
-
-  // Check for legend that is not the first child (critical error)
-  if (hasLegend && !isFirstChild) {
-    result.result = "fail";
-    result.description = `${elementType} has legend that is not the first child element - The legend must be the first child of fieldset to be properly associated. Move the legend to be the first element in the fieldset`;
-  }
   // Check for broken aria-labelledby references
-  else if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
     result.brokenAriaLabelledby = true;
     result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
+    // Create a specific error message for broken aria-labelledby
     result.result = "fail";
-    result.description = `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - These referenced elements do not exist in the document. Fix these IDs or use a legend element instead`;
-  }
-  // Check for aria-labelledby referencing an empty element
-  else if (element.hasAttribute('aria-labelledby') && accessibleName === '') {
-    result.result = "fail";
-    result.description = `${elementType} references an element with empty content via aria-labelledby - The referenced element exists but has no text content. Add text to the referenced element or use a legend element instead`;
-  }
-  // Check for fieldset with both legend and aria-label/aria-labelledby (warning)
-  else if (hasLegend && isFirstChild && !emptyLegend &&
-          (element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby'))) {
-    result.result = "warn";
-    result.description = `${elementType} has both a legend and ${element.hasAttribute('aria-label') ? 'aria-label' : 'aria-labelledby'} - This creates redundant announcements in screen readers. Use either a legend OR aria-label/aria-labelledby, but not both`;
-  }
-  // Check for empty aria-label
-  else if (element.hasAttribute('aria-label') && element.getAttribute('aria-label').trim() === '') {
-    result.result = "fail";
-    result.description = `${elementType} has empty aria-label attribute - This doesn't provide an accessible name. Add text to the aria-label or use a legend element instead`;
-  }
-  // Check for punctuation-only aria-label
-  else if (element.hasAttribute('aria-label') && isPunctuation(element.getAttribute('aria-label'))) {
-    result.result = "fail";
-    result.description = `${elementType} has punctuation-only aria-label "${element.getAttribute('aria-label')}" - Not meaningful to screen reader users. Use descriptive text or a legend element`;
-  }
-  // Check for empty legends
-  else if (hasLegend && emptyLegend) {
-    result.result = "fail";
-    result.description = `${elementType} has empty legend element - This doesn't provide an accessible name. Add text to the legend element`;
+    result.description = "Broken aria-labelledby attribute";
+    result.issueCode = 'labelledby-broken-ref';
+    result.details = `The dialog has an aria-labelledby attribute that references IDs that don't exist in the document: "${element._brokenAriaLabelledbyIds.join(', ')}". This causes the dialog's accessible name to be missing, making it difficult for screen reader users to identify the dialog's purpose.`;
   }
-  // Check for missing accessible name entirely
+  // If no broken aria-labelledby issues, check for missing accessible name
   else if (!accessibleName) {
     result.result = "fail";
-    result.description = `${elementType} is missing an accessible name - Groups of form controls need labels for screen reader users. Add a legend element, aria-label, or aria-labelledby attribute`;
+    result.description = "Dialog missing accessible name";
+    result.issueCode = 'dialog-missing-name';
+    result.details = "Dialogs require an accessible name via aria-label or aria-labelledby for screen reader users to understand the dialog's purpose. This is especially important for modal dialogs that capture focus.";
   }
   // Check for empty accessible name
   else if (accessibleName.trim() === '') {
     result.result = "fail";
-    result.description = `${elementType} has empty or whitespace-only accessible name - Not helpful for screen reader users. Add descriptive text to the legend or aria-label`;
+    result.description = "Dialog has empty accessible name";
+    result.issueCode = 'dialog-whitespace-name';
+    result.details = "The dialog has an accessible name that is empty or contains only whitespace. This doesn't provide any meaningful information to screen reader users.";
   }
   // Check for punctuation-only accessible name
   else if (isPunctuation(accessibleName)) {
     result.result = "fail";
-    result.description = `${elementType} has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Use descriptive text that indicates the ${elementType.toLowerCase()}'s purpose`;
-  }
-  // Check for filename-like accessible name
-  else if (isFilenameInText(accessibleName)) {
-    result.result = "fail";
-    result.description = `${elementType} has a filename as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the ${elementType.toLowerCase()}'s purpose`;
-  }
-  // Check for URL-like accessible name
-  else if (isUrlLike(accessibleName)) {
-    result.result = "fail";
-    result.description = `${elementType} has a URL-like string as its accessible name "${accessibleName}" - Not helpful to screen reader users. Use descriptive text that indicates the ${elementType.toLowerCase()}'s purpose`;
-  }
-  // Check for title-only accessible names
-  else if (element._accessibleNameFromTitleOnly) {
-    result.result = "warn";
-    result.description = `${elementType} uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use a legend element or aria-label instead`;
-    result.details = "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues.";
+    result.description = "Punctuation-only accessible name";
+    result.issueCode = 'dialog-punctuation-name';
+    result.details = `The dialog has an accessible name consisting only of punctuation characters ("${accessibleName}"). This doesn't provide meaningful information to screen reader users.`;
   }
-  // Valid accessible name present
-  else {
-    result.result = "pass";
-    result.description = `${elementType} has a proper accessible name`;
+  // Check for redundant dialog label compared to visible heading
+  else {
+    // Check for redundancy between aria-label and visible heading
+    const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
+    let hasRedundantHeading = false;
+
+    if (headings.length > 0 && element.hasAttribute('aria-label')) {
+      // Check if any heading text matches the aria-label
+      for (const heading of headings) {
+        const headingText = heading.textContent.trim();
+        if (headingText === accessibleName) {
+          hasRedundantHeading = true;
+          break;
+        }
+      }
+    }
+
+    if (hasRedundantHeading) {
+      result.result = "warn";
+      result.description = "Dialog has redundant accessible name";
+      result.issueCode = 'dialog-redundant-name';
+      result.details = `The dialog's aria-label "${accessibleName}" duplicates visible heading text. This creates redundant announcements for screen reader users. Consider using aria-labelledby to reference the heading instead of duplicating the text in aria-label.`;
+    } else {
+      result.result = "pass";
+      result.description = "Dialog has appropriate accessible name";
+      result.issueCode = 'name-ok';
+    }
   }
 
-  // If the element is hidden and has a failure, downgrade to warning
+  // Downgrade to warning if the element is hidden
   if (!isVisible && result.result === "fail") {
     result.result = "warn";
-    result.description += " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
+    result.description = result.description + " (hidden element)";
+    result.details = (result.details || "") + "\n\nThis element is currently hidden (display: none, visibility: hidden, or opacity: 0). This is reported as a warning rather than an error because the element is not visible to users, but would fail accessibility requirements if it becomes visible.";
   }
 
   return result;
 }
 
-/**
- * Test a button for an accessible name
- * @param {HTMLElement} element - Button element
- * @returns {Object} Test result
- */
-function testButton(element) {
+function testAriaWidget(element) {
   const accessibleName = computeAccessibleName(element);
-
-  // Determine the type of button element for reporting
-  const isAriaButton = element.getAttribute('role') === 'button';
-  const isInputButton = element.tagName === 'INPUT' &&
-                       (element.type === 'button' || element.type === 'submit' || element.type === 'reset');
-
-  let elementType;
-  if (isAriaButton) {
-    elementType = 'ARIA button';
-  } else if (isInputButton) {
-    elementType = `${capitalizeFirstLetter(element.type)} input`;
-  } else {
-    elementType = 'Button';
-  }
+  const role = element.getAttribute('role');
 
   // Check if the element is hidden using our helper function
   const isHidden = isElementHidden(element);
@@ -1145,17 +3752,13 @@ function testButton(element) {
 
   const result = {
     tagName: element.tagName.toLowerCase(),
-    role: isAriaButton ? 'button' : null,
-    type: isInputButton ? element.type : null,
+    role: role,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
     isVisible: isVisible
   };
 
-  // Initialize the resultObj
-  let resultObj;
-
   // Check for broken aria-labelledby references (set by computeAccessibleName)
   if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
     // Add the broken IDs to the result
@@ -1163,287 +3766,331 @@ function testButton(element) {
     result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
     // Create a specific error message for broken aria-labelledby
-    resultObj = {
-      result: "fail",
-      description: `${elementType} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`
-    };
+    result.result = "fail";
+    result.description = `${capitalizeFirstLetter(role)} widget has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - fix these IDs or use aria-label instead`;
+    result.issueCode = 'labelledby-broken-ref';
+  }
+  // Otherwise check if the ARIA widget has an accessible name
+  else if (!accessibleName) {
+    result.result = "fail";
 
-    // Skip other checks since broken aria-labelledby is the primary issue
-    // Note: Still check visibility below to potentially downgrade to warning
-  } else {
-    // Special check for input buttons without value
-    if (element.tagName === 'INPUT' &&
-        (element.type === 'button' || element.type === 'submit' || element.type === 'reset') &&
-        !element.hasAttribute('value')) {
-      resultObj = {
-        result: "fail",
-        description: `${elementType} is missing value attribute which provides its accessible name - Screen readers cannot announce this button's purpose. Add a value attribute to define button text`
-      };
-    }
-    // Check for empty aria-label
-    else if (element._hasEmptyAriaLabel) {
-      resultObj = {
-        result: "fail",
-        description: `${elementType} has empty or whitespace-only aria-label attribute`
-      };
-    }
-    // Check for punctuation-only aria-label
-    else if (element._hasPunctuationOnlyAriaLabel) {
-      resultObj = {
-        result: "fail",
-        description: `${elementType} has aria-label with only punctuation "${element.getAttribute('aria-label')}", which may not be announced by screen readers`
-      };
-    }
-    // Determine result based on accessible name for other cases
-    else if (!accessibleName) {
-      // Check what specific issue causes the missing accessible name
-      if (element.textContent.trim() === '') {
-        if (element.tagName === 'BUTTON') {
-          resultObj = {
-            result: "fail",
-            description: `${elementType} has no text content and no aria-label/aria-labelledby attributes`
-          };
-        } else if (element.tagName === 'INPUT' &&
-                  (element.type === 'button' || element.type === 'submit' || element.type === 'reset')) {
-          resultObj = {
-            result: "fail",
-            description: `${elementType} is missing value attribute and has no aria-label/aria-labelledby`
-          };
-        } else if (element.getAttribute('role') === 'button') {
-          resultObj = {
-            result: "fail",
-            description: `${elementType} has no text content and no aria-label/aria-labelledby attributes`
-          };
-        } else {
-          resultObj = {
-            result: "fail",
-            description: `${elementType} is missing an accessible name (no content and no aria attributes) - Screen reader users cannot determine this button's purpose. Add text content or aria-label attribute`
-          };
-        }
-      } else {
-        resultObj = {
-          result: "fail",
-          description: `${elementType} is missing an accessible name - Not announced properly by screen readers. Add text content, aria-label, or aria-labelledby`
-        };
-      }
-    }
-    else if (accessibleName.trim() === '') {
-      // Check what's causing the empty accessible name
-      if (element.textContent.trim() === '') {
-        if (element.hasAttribute('aria-label') && element.getAttribute('aria-label').trim() === '') {
-          resultObj = {
-            result: "fail",
-            description: `${elementType} has whitespace-only text content and aria-label attribute`
-          };
-        } else {
-          resultObj = {
-            result: "fail",
-            description: `${elementType} has whitespace-only text content and no aria attributes`
-          };
-        }
-      } else {
-        resultObj = {
-          result: "fail",
-          description: `${elementType} has empty or whitespace-only accessible name`
-        };
-      }
+    // Provide specific guidance based on widget type
+    if (role === 'checkbox' || role === 'radio' || role === 'switch') {
+      result.description = `${capitalizeFirstLetter(role)} is missing an accessible name - Screen reader users cannot identify its purpose. Add aria-label, aria-labelledby, or wrapped text content`;
+      result.issueCode = 'widget-missing-name';
+    } else if (role === 'combobox' || role === 'textbox' || role === 'listbox') {
+      result.description = `${capitalizeFirstLetter(role)} control needs an accessible name - Screen reader users cannot identify its purpose. Add aria-label, aria-labelledby, or a properly associated label`;
+      result.issueCode = 'widget-missing-name';
+    } else if (role === 'tab' || role === 'tabpanel') {
+      result.description = `${capitalizeFirstLetter(role)} requires a descriptive accessible name - Needed for navigation and orientation. Add aria-label or aria-labelledby referencing a heading`;
+      result.issueCode = 'widget-missing-name';
+    } else if (role === 'menu' || role === 'menuitem') {
+      result.description = `${capitalizeFirstLetter(role)} needs text content or an aria-label for proper identification - Menu items require descriptive names for screen reader users to navigate menus effectively`;
+      result.issueCode = 'widget-missing-name';
+    } else {
+      result.description = `${capitalizeFirstLetter(role)} widget is missing an accessible name - Screen reader users cannot identify its purpose. Add aria-label or aria-labelledby`;
+      result.issueCode = 'widget-missing-name';
     }
-    else if (isIconOnly(element, accessibleName)) {
-      resultObj = {
-        result: "fail",
-        description: `${elementType} has only an icon ("${accessibleName}") - add aria-label with descriptive text`
-      };
-    } else if (isGenericText(accessibleName)) {
-      resultObj = {
-        result: "warn",
-        description: `${elementType} text "${accessibleName}" is too generic - use more descriptive text`
-      };
+  } else if (accessibleName.trim() === '') {
+    result.result = "fail";
+    result.description = `${capitalizeFirstLetter(role)} widget has empty or whitespace-only accessible name - add meaningful text`;
+    result.issueCode = 'widget-whitespace-name';
+  } else if (isPunctuation(accessibleName)) {
+    // Handle punctuation-only accessible names
+    result.result = "fail";
+    result.description = "Punctuation-only accessible name";
+    result.issueCode = 'widget-punctuation-name';
+    result.details = `The ${role} has an accessible name consisting only of punctuation characters ("${accessibleName}"). This does not provide meaningful information to screen reader users. Use descriptive text instead.`;
+  } else if (role === 'tab' && hasAriaHiddenContent(element)) {
+    // Special check for tabs with only aria-hidden content (icon-only tabs)
+    result.result = "fail";
+    result.description = "Icon-only tab without accessible name";
+    result.issueCode = 'tab-icon-only';
+    result.details = `This tab contains content that is hidden from screen readers with aria-hidden="true" but has no accessible text alternative. Screen reader users cannot determine the tab's purpose. Add text content outside the aria-hidden element or use aria-label to provide an accessible name.`;
+  } else if (role === 'tabpanel' && tabpanelReferencesEmptyName(element)) {
+    // Get more specific information about the referenced elements to provide a better error message
+    const labelledbyIds = element.getAttribute('aria-labelledby').split(/\s+/);
+    const labelledbyInfo = getLabelledbyElementsInfo(element);
+
+    // Special check for tabpanels that reference elements with no accessible name
+    result.result = "fail";
+
+    // Create a specific description based on the referenced elements
+    if (labelledbyInfo.hasEmptyAccessibleName) {
+      result.description = "Tabpanel references element with empty accessible name";
+      result.issueCode = 'tabpanel-ref-empty-name';
+    } else if (labelledbyInfo.hasAriaHiddenContentOnly) {
+      result.description = "Tabpanel references element with only aria-hidden content";
+      result.issueCode = 'tabpanel-ref-hidden-content';
+    } else if (labelledbyInfo.hasNoAccessibleName) {
+      result.description = "Tabpanel references element with no accessible name";
+      result.issueCode = 'tabpanel-ref-no-name';
     } else {
-      resultObj = {
-        result: "pass",
-        description: `${elementType} has an accessible name`
-      };
+      result.description = "Tabpanel references element with inaccessible content";
+      result.issueCode = 'tabpanel-ref-inaccessible';
     }
-  }
 
-  // Apply the result, downgrading to warning if hidden
-  if (!isVisible && resultObj.result === "fail") {
-    result.result = "warn";
-    result.description = resultObj.description + " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
-  } else {
-    result.result = resultObj.result;
-    result.description = resultObj.description;
-  }
+    // Don't use the hidden content as the accessible name
+    result.accessibleName = '';
 
-  return result;
-}
+    // Build detailed error message
+    let detailsMessage = `This tabpanel uses aria-labelledby="${element.getAttribute('aria-labelledby')}" to reference `;
 
-/**
- * Test a radio button for both an accessible name and proper grouping
- * @param {HTMLElement} element - Radio button element
- * @returns {Object} Test result
- */
-function testRadioButton(element) {
-  // First do the regular form control test for accessible name
-  const formControlResult = testFormControl(element);
+    if (labelledbyInfo.hasEmptyAccessibleName) {
+      detailsMessage += `element(s) with empty accessible names. `;
+    } else if (labelledbyInfo.hasAriaHiddenContentOnly) {
+      detailsMessage += `element(s) that contain only aria-hidden content (like icon-only tabs). `;
+    } else if (labelledbyInfo.hasNoAccessibleName) {
+      detailsMessage += `element(s) with no accessible name or text content. `;
+    } else {
+      detailsMessage += `element(s) with inaccessible content. `;
+    }
 
-  // If the form control already failed, return that result
-  if (formControlResult.result === 'fail') {
-    return formControlResult;
-  }
+    detailsMessage += `This creates an association that provides no meaningful information to screen reader users. `;
 
-  // Otherwise, also check for proper grouping context
-  const isInFieldset = element.closest('fieldset') !== null;
-  const isInARIAGroup = element.closest('[role="radiogroup"]') !== null;
+    if (labelledbyInfo.hasAriaHiddenContentOnly) {
+      detailsMessage += `Add visible text content outside the aria-hidden elements or provide aria-label on the referenced elements. `;
+    } else {
+      detailsMessage += `Ensure the referenced elements have proper accessible names. `;
+    }
+
+    detailsMessage += `Alternatively, use aria-label to provide a direct name for this tabpanel.`;
+
+    result.details = detailsMessage;
+  } else {
+    result.result = "pass";
+    result.description = `${capitalizeFirstLetter(role)} widget has an accessible name`;
+    result.issueCode = 'name-ok';
+  }
 
-  // If neither in a fieldset nor in an element with role="radiogroup"
-  if (!isInFieldset && !isInARIAGroup) {
-    return {
-      ...formControlResult,
-      result: "fail",
-      description: "Radio button is not contained within a fieldset or element with role=\"radiogroup\" - Radio buttons need a grouping context with a descriptive label to help users understand what they're selecting between",
-      details: "Radio buttons should be grouped within a fieldset with a legend (or an element with role=\"radiogroup\" and aria-labelledby/aria-label) to provide context about what the options represent. This is essential for screen reader users to understand the purpose of the radio button group."
-    };
+  // Downgrade to warning if the element is hidden
+  if (!isVisible && result.result === "fail") {
+    result.result = "warn";
+    result.description = result.description + " (hidden element)";
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
   }
 
-  // If it passed all tests
-  return formControlResult;
+  return result;
 }
 
 /**
- * Test a select element for accessible names and proper options
- * @param {HTMLElement} element - Select element
+ * Test an iframe for an accessible name
+ * @param {HTMLElement} element - iframe element
  * @returns {Object} Test result
  */
-function testSelect(element) {
-  // First do the regular form control test for accessible name
-  const formControlResult = testFormControl(element);
+function testIframe(element) {
+  const accessibleName = computeAccessibleName(element);
 
-  // If the form control already failed, return that result
-  if (formControlResult.result === 'fail') {
-    return formControlResult;
-  }
+  // Check if the element is hidden using our helper function
+  const isHidden = isElementHidden(element);
+  const isVisible = !isHidden;
 
-  // Otherwise, also check for issues with options
-  const options = Array.from(element.querySelectorAll('option'));
-  let hasEmptyOption = false;
-  let hasWhitespaceOption = false;
+  const result = {
+    tagName: element.tagName.toLowerCase(),
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    isVisible: isVisible
+  };
 
-  // Check the first option specifically
-  const firstOption = options[0];
-  if (firstOption) {
-    // Check for empty option (no text)
-    if (firstOption.textContent.trim() === '') {
-      hasEmptyOption = true;
-    }
-  }
+  // Initialize resultObj
+  let resultObj;
 
-  // Check all options
-  for (const option of options) {
-    // Check for options with only whitespace
-    if (option.textContent !== '' && option.textContent.trim() === '') {
-      hasWhitespaceOption = true;
-    }
-  }
+  // Check for broken aria-labelledby references (set by computeAccessibleName)
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
-  // Report issues with select options
-  if (hasEmptyOption) {
-    return {
-      ...formControlResult,
+    // Create a specific error message for broken aria-labelledby
+    resultObj = {
       result: "fail",
-      description: "Select has an empty first option - This doesn't provide a clear instruction or placeholder. Add descriptive text to the first option such as 'Choose a category' or 'Select an option'",
-      details: "The first option in a select element should have descriptive text that explains what the user is selecting. Empty options don't provide adequate information to screen reader users about what they're expected to choose."
+      issueCode: 'labelledby-broken-ref',
+      description: `iframe has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`
     };
-  } else if (hasWhitespaceOption) {
-    return {
-      ...formControlResult,
+  }
+  // Otherwise determine result based on accessible name
+  else if (!accessibleName) {
+    resultObj = {
       result: "fail",
-      description: "Select has an option with only whitespace characters - This doesn't provide a meaningful option label. Add descriptive text to all options",
-      details: "All options in a select element need descriptive text for screen reader users to understand what they're selecting. Whitespace-only options are not accessible and should be avoided."
+      issueCode: 'iframe-missing-title',
+      description: "iframe is missing an accessible name - Screen readers announce frames with no context. Add a title attribute that describes the frame's purpose or content"
+    };
+  } else if (accessibleName.trim() === '') {
+    resultObj = {
+      result: "fail",
+      issueCode: 'iframe-whitespace-title',
+      description: "iframe has empty or whitespace-only title attribute - add meaningful description"
+    };
+  } else if (isPunctuation(accessibleName)) {
+    resultObj = {
+      result: "fail",
+      issueCode: 'iframe-punctuation-title',
+      description: `iframe has punctuation-only title "${accessibleName}" - Screen readers may not announce this. Add a descriptive title that explains the frame's purpose`,
+      details: "Titles consisting only of punctuation characters are not meaningful to screen reader users and may not be announced at all by some assistive technologies."
+    };
+  } else if (accessibleName.length < 5) {
+    resultObj = {
+      result: "warn",
+      issueCode: 'iframe-short-title',
+      description: `iframe title "${accessibleName}" is too short - use a more descriptive title`
+    };
+  } else {
+    resultObj = {
+      result: "pass",
+      issueCode: 'name-ok',
+      description: "iframe has an accessible name"
     };
   }
 
-  // If it passed all tests
-  return formControlResult;
+  // If the element has an accessibility issue but is hidden, downgrade to a warning
+  if (!isVisible && resultObj.result === "fail") {
+    result.result = "warn";
+    result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
+    result.details = "This iframe is currently hidden (display: none, visibility: hidden, zero dimensions, or opacity: 0). " +
+                     "This is reported as a warning rather than an error because the element is not visible " +
+                     "to users, but would fail accessibility requirements if it becomes visible.";
+  } else {
+    result.result = resultObj.result;
+    result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+  }
+
+  return result;
 }
 
 /**
- * Test an input[type="image"] element for an accessible name via alt attribute
- * @param {HTMLElement} element - Image input element
+ * Test a progress element for an accessible name
+ * @param {HTMLElement} element - Progress element
  * @returns {Object} Test result
  */
-function testImageInput(element) {
+function testProgress(element) {
   const accessibleName = computeAccessibleName(element);
-  const alt = element.getAttribute('alt');
-  const hasAlt = element.hasAttribute('alt');
+  const tagName = element.tagName.toLowerCase();
+  const role = element.getAttribute('role');
+  const isAriaProgress = role === 'progressbar' || role === 'meter';
+  const elementType = isAriaProgress ?
+    (role === 'meter' ? 'ARIA meter' : 'ARIA progressbar') :
+    'Progress';
 
   // Check if the element is hidden
   const isHidden = isElementHidden(element);
   const isVisible = !isHidden;
 
+  // Get current value information if available
+  const hasValue = element.hasAttribute('value');
+  const value = hasValue ? element.getAttribute('value') : null;
+  const max = element.hasAttribute('max') ? element.getAttribute('max') : 100;
+  const percentValue = hasValue ? Math.round((parseInt(value) / parseInt(max)) * 100) + '%' : 'Unknown';
+
   const result = {
-    tagName: 'input',
-    type: 'image',
+    tagName: tagName,
+    role: role,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
-    isVisible: isVisible
+    isVisible: isVisible,
+    value: value,
+    percentValue: percentValue
   };
 
-  // Determine result based on accessible name and alt attribute
+  // Check for broken aria-labelledby references first
+  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
+    // Add the broken IDs to the result
+    result.brokenAriaLabelledby = true;
+    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+
+    // Create a specific error message for broken aria-labelledby
+    let resultObj = {
+      result: "fail",
+      issueCode: 'labelledby-broken-ref',
+      description: `${elementType} element has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - Users cannot determine the progress bar's purpose`,
+      details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
+    };
+
+    // Apply the result, downgrading to warning if hidden
+    if (!isVisible && resultObj.result === "fail") {
+      result.result = "warn";
+      result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
+      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                    "This is reported as a warning rather than an error because the element is not visible " +
+                    "to users, but would fail accessibility requirements if it becomes visible.";
+    } else {
+      result.result = resultObj.result;
+      result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
+      if (resultObj.details) {
+        result.details = resultObj.details;
+      }
+    }
+
+    return result;
+  }
+
   let resultObj;
 
-  if (!hasAlt) {
-    // No alt attribute at all
+  // Check for presence of accessible name
+  if (!accessibleName) {
+    // No accessible name at all
     resultObj = {
       result: "fail",
-      description: "Image input is missing alt attribute - Images used as buttons must have descriptive alt text. Add an alt attribute that describes the action or purpose of the button",
-      details: "Image inputs are functional controls that need descriptive alt text that explains what action will occur when the button is activated. Missing alt text prevents screen reader users from understanding the button's purpose."
+      issueCode: 'progress-missing-name',
+      description: `${elementType} element is missing an accessible name - Screen reader users cannot determine its purpose. Add aria-label, aria-labelledby, or a proper <label>`,
+      details: `Progress indicators need accessible names to identify what is being measured (e.g., "Download progress", "Upload status", etc). The current value is ${percentValue}.`
     };
-  } else if (alt === '') {
-    // Empty alt attribute - inappropriate for functional images like submit buttons
+  } else if (accessibleName.trim() === '') {
+    // Empty or whitespace-only accessible name
     resultObj = {
       result: "fail",
-      description: "Image input has empty alt attribute - Functional images like submit buttons must have descriptive alt text, not empty alt attributes. Add descriptive alt text that explains the button's purpose",
-      details: "Empty alt attributes (alt=\"\") are used to hide decorative images from screen readers. Since image inputs are functional controls, they should never have empty alt text."
+      issueCode: 'progress-whitespace-name',
+      description: `${elementType} element has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
+      details: `Empty accessible names are not announced by screen readers, making it impossible for users to understand the purpose of the progress bar. The current value is ${percentValue}.`
     };
-  } else if (alt.trim() === '') {
-    // Whitespace-only alt attribute
+  } else if (isPunctuation(accessibleName)) {
+    // Punctuation-only accessible name
     resultObj = {
       result: "fail",
-      description: "Image input has whitespace-only alt text - This doesn't provide an accessible name. Add descriptive alt text that explains the button's purpose",
-      details: "Alt text consisting only of whitespace characters is not announced by screen readers, making the control unusable for screen reader users."
+      issueCode: 'progress-punctuation-name',
+      description: `${elementType} element has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
+      details: `Accessible names consisting only of punctuation characters don't convey the purpose of the progress bar to screen reader users. The current value is ${percentValue}.`
     };
-  } else if (isPunctuation(alt)) {
-    // Punctuation-only alt attribute
+  } else if (isGenericLabel(accessibleName)) {
+    // Generic accessible name
     resultObj = {
-      result: "fail",
-      description: `Image input has punctuation-only alt text "${alt}" - Not meaningful to screen reader users. Add descriptive alt text that explains the button's purpose`,
-      details: "Alt text consisting only of punctuation characters doesn't convey the purpose of the control to screen reader users."
+      result: "warn",
+      issueCode: 'progress-generic-name',
+      description: `${elementType} element has generic accessible name "${accessibleName}" - Not descriptive of its purpose. Add more specific text that indicates what is being measured`,
+      details: `Generic terms don't adequately describe what the progress indicator is measuring. The current value is ${percentValue}.`,
+      title: "Generic progress description"
     };
-  } else if (isGenericLabel(alt)) {
-    // Generic alt text like "button" or "image" - treating as a warning, not a failure
+  } else if (element._accessibleNameFromTitleOnly) {
+    // Accessible name from title attribute only (not ideal but allowed)
     resultObj = {
       result: "warn",
-      description: `Image input has generic alt text "${alt}" - Not descriptive of its function. Add alt text that describes what action the button performs (e.g., "Submit form", "Search", "Add to cart")`,
-      details: "Generic terms like 'button' or 'image' don't explain what the button does when activated. Alt text should describe the action that will occur when the button is used.",
-      title: "Generic accessible name" // Custom title to override the default "Missing accessible name"
+      issueCode: 'name-from-title-only',
+      description: `${elementType} element uses only title attribute for accessible name "${accessibleName}" - Screen readers handle title inconsistently. Use aria-label or aria-labelledby instead`,
+      details: "The title attribute is not reliably announced by all screen readers and is not visible on mobile devices. It's better to use aria-label or aria-labelledby for accessible names.",
+      title: "Relies on title attribute"
     };
-  } else if (isFilenameInText(alt)) {
-    // Filename-like alt text
+  } else if (element._accessibleNameFromLabel && element._labelType === 'wrapped') {
+    // Wrapped labels can be problematic for voice control software
     resultObj = {
-      result: "fail",
-      description: `Image input has a filename as alt text "${alt}" - Not descriptive of its function. Add alt text that describes what action the button performs`,
-      details: "Filenames don't convey the purpose of a control to users. Alt text should describe what the button does when activated, not technical details about the image file."
+      result: "warn",
+      issueCode: 'label-wrapped',
+      description: `${elementType} element is wrapped by a label - May not work with voice control software. Use label with 'for' attribute instead`,
+      details: "When a progress element is wrapped inside a label element, some voice control assistive technologies like Dragon Naturally Speaking may not recognize the association. Using a separate label with a 'for' attribute is more reliable.",
+      title: "Wrapped label may cause issues"
     };
   } else {
-    // Valid alt text
+    // Has a valid accessible name
     resultObj = {
       result: "pass",
-      description: "Image input has appropriate alt text"
+      issueCode: 'name-ok',
+      description: `${elementType} element has an appropriate accessible name`
     };
   }
 
@@ -1451,38 +4098,68 @@ function testImageInput(element) {
   if (!isVisible && resultObj.result === "fail") {
     result.result = "warn";
     result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
     result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
+                  "This is reported as a warning rather than an error because the element is not visible " +
+                  "to users, but would fail accessibility requirements if it becomes visible.";
   } else {
     result.result = resultObj.result;
     result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
     if (resultObj.details) {
       result.details = resultObj.details;
     }
+    if (resultObj.title) {
+      result.title = resultObj.title;
+    }
   }
 
   return result;
 }
 
 /**
- * Test an image map area for an accessible name
- * @param {HTMLElement} element - Area element
+ * Test a meter element for an accessible name
+ * @param {HTMLElement} element - Meter element
  * @returns {Object} Test result
  */
-function testArea(element) {
+function testMeter(element) {
   const accessibleName = computeAccessibleName(element);
+  const tagName = element.tagName.toLowerCase();
+  const role = element.getAttribute('role');
+  const isAriaMeter = role === 'meter';
+  const elementType = isAriaMeter ? 'ARIA meter' : 'Meter';
 
   // Check if the element is hidden
   const isHidden = isElementHidden(element);
   const isVisible = !isHidden;
 
+  // Get current value information if available
+  const hasValue = element.hasAttribute('value');
+  const value = hasValue ? element.getAttribute('value') : null;
+  const min = element.hasAttribute('min') ? element.getAttribute('min') : 0;
+  const max = element.hasAttribute('max') ? element.getAttribute('max') : 1;
+  let percentValue = 'Unknown';
+
+  // Calculate percentage if we have all values
+  if (hasValue && min !== null && max !== null) {
+    const rawValue = parseFloat(value);
+    const rawMin = parseFloat(min);
+    const rawMax = parseFloat(max);
+    if (!isNaN(rawValue) && !isNaN(rawMin) && !isNaN(rawMax) && rawMax > rawMin) {
+      const percentage = ((rawValue - rawMin) / (rawMax - rawMin)) * 100;
+      percentValue = Math.round(percentage) + '%';
+    }
+  }
+
   const result = {
-    tagName: 'area',
+    tagName: tagName,
+    role: role,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
-    isVisible: isVisible
+    isVisible: isVisible,
+    value: value,
+    percentValue: percentValue
   };
 
   // Check for broken aria-labelledby references first
@@ -1494,19 +4171,26 @@ function testArea(element) {
     // Create a specific error message for broken aria-labelledby
     let resultObj = {
       result: "fail",
-      description: `Image map area has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - Users cannot determine the area's purpose`
+      issueCode: 'labelledby-broken-ref',
+      description: `${elementType} element has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - Users cannot determine the meter's purpose`,
+      details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
     };
 
     // Apply the result, downgrading to warning if hidden
     if (!isVisible && resultObj.result === "fail") {
       result.result = "warn";
       result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
       result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                     "This is reported as a warning rather than an error because the element is not visible " +
                     "to users, but would fail accessibility requirements if it becomes visible.";
     } else {
       result.result = resultObj.result;
       result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
+      if (resultObj.details) {
+        result.details = resultObj.details;
+      }
     }
 
     return result;
@@ -1519,59 +4203,59 @@ function testArea(element) {
     // No accessible name at all
     resultObj = {
       result: "fail",
-      description: "Image map area is missing an accessible name - Users cannot determine the area's purpose. Add alt text or aria-label to describe the area's purpose",
-      details: "Image map areas without accessible names prevent screen reader users from understanding the purpose of each clickable region."
+      issueCode: 'meter-missing-name',
+      description: `${elementType} element is missing an accessible name - Screen reader users cannot determine its purpose. Add aria-label, aria-labelledby, or a proper <label>`,
+      details: `Meter elements need accessible names to identify what is being measured (e.g., "Battery level", "Storage space used", etc). The current value is ${percentValue}.`
     };
   } else if (accessibleName.trim() === '') {
     // Empty or whitespace-only accessible name
     resultObj = {
       result: "fail",
-      description: "Image map area has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive alt text or aria-label",
-      details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the area unusable for screen reader users."
+      issueCode: 'meter-whitespace-name',
+      description: `${elementType} element has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
+      details: `Empty accessible names are not announced by screen readers, making it impossible for users to understand the purpose of the meter. The current value is ${percentValue}.`
     };
   } else if (isPunctuation(accessibleName)) {
     // Punctuation-only accessible name
     resultObj = {
       result: "fail",
-      description: `Image map area has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive alt text or aria-label`,
-      details: "Accessible names consisting only of punctuation characters don't convey the purpose of the area to screen reader users."
-    };
-  } else if (isFilenameInText(accessibleName)) {
-    // Filename-like accessible name
-    resultObj = {
-      result: "fail",
-      description: `Image map area has a filename as accessible name "${accessibleName}" - Not descriptive of its purpose. Add descriptive alt text or aria-label`,
-      details: "Filenames don't convey the purpose of a clickable area to users. The accessible name should describe the area's destination or purpose."
+      issueCode: 'meter-punctuation-name',
+      description: `${elementType} element has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
+      details: `Accessible names consisting only of punctuation characters don't convey the purpose of the meter to screen reader users. The current value is ${percentValue}.`
     };
   } else if (isGenericLabel(accessibleName)) {
     // Generic accessible name
     resultObj = {
       result: "warn",
-      description: `Image map area has generic accessible name "${accessibleName}" - Not descriptive of its purpose. Add more descriptive alt text or aria-label`,
-      details: "Generic terms don't adequately describe the purpose or destination of the area. The accessible name should be more specific.",
-      title: "Generic accessible name"
-    };
-  } else if (isGenericText(accessibleName)) {
-    // Generic link text like "click here"
-    resultObj = {
-      result: "warn",
-      description: `Image map area has generic text "${accessibleName}" - Not descriptive of its destination. Add more specific text that indicates the destination`,
-      details: "Generic phrases like 'click here' or 'read more' don't indicate where the link will take users. This makes navigation difficult for screen reader users who often navigate by scanning lists of links.",
-      title: "Generic link text"
+      issueCode: 'meter-generic-name',
+      description: `${elementType} element has generic accessible name "${accessibleName}" - Not descriptive of its purpose. Add more specific text that indicates what is being measured`,
+      details: `Generic terms don't adequately describe what the meter is measuring. The current value is ${percentValue}.`,
+      title: "Generic meter description"
     };
   } else if (element._accessibleNameFromTitleOnly) {
     // Accessible name from title attribute only (not ideal but allowed)
     resultObj = {
       result: "warn",
-      description: `Image map area uses only title attribute for accessible name "${accessibleName}" - Screen readers handle title inconsistently. Use alt attribute or aria-label instead`,
-      details: "The title attribute is not reliably announced by all screen readers and is not visible on mobile devices. It's better to use alt or aria-label for accessible names.",
+      issueCode: 'name-from-title-only',
+      description: `${elementType} element uses only title attribute for accessible name "${accessibleName}" - Screen readers handle title inconsistently. Use aria-label or aria-labelledby instead`,
+      details: "The title attribute is not reliably announced by all screen readers and is not visible on mobile devices. It's better to use aria-label or aria-labelledby for accessible names.",
       title: "Relies on title attribute"
     };
+  } else if (element._accessibleNameFromLabel && element._labelType === 'wrapped') {
+    // Wrapped labels can be problematic for voice control software
+    resultObj = {
+      result: "warn",
+      issueCode: 'label-wrapped',
+      description: `${elementType} element is wrapped by a label - May not work with voice control software. Use label with 'for' attribute instead`,
+      details: "When a meter element is wrapped inside a label element, some voice control assistive technologies like Dragon Naturally Speaking may not recognize the association. Using a separate label with a 'for' attribute is more reliable.",
+      title: "Wrapped label may cause issues"
+    };
   } else {
     // Has a valid accessible name
     resultObj = {
       result: "pass",
-      description: "Image map area has an appropriate accessible name"
+      issueCode: 'name-ok',
+      description: `${elementType} element has an appropriate accessible name`
     };
   }
 
@@ -1579,12 +4263,14 @@ function testArea(element) {
   if (!isVisible && resultObj.result === "fail") {
     result.result = "warn";
     result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
     result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                   "This is reported as a warning rather than an error because the element is not visible " +
                   "to users, but would fail accessibility requirements if it becomes visible.";
   } else {
     result.result = resultObj.result;
     result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
     if (resultObj.details) {
       result.details = resultObj.details;
     }
@@ -1597,14 +4283,16 @@ function testArea(element) {
 }
 
 /**
- * Test a link for an accessible name
- * @param {HTMLElement} element - Link element
- * @returns {Object} Test result
+ * Test a generic element with role="img" for an accessible name
+ * @param {HTMLElement} element - Element with role="img" that is not an SVG
+ * @returns {Object} Result object with pass/fail status and details
  */
-function testLink(element) {
+function testElementWithRoleImg(element) {
+  // More detailed debugging
+  console.log(`Testing element with role="img": ${element.tagName}, id="${element.id}", class="${element.className}"`);
+
   const accessibleName = computeAccessibleName(element);
-  const isAriaLink = element.getAttribute('role') === 'link';
-  const elementType = isAriaLink ? 'ARIA link' : 'Link';
+  console.log(`  Accessible name: "${accessibleName}"`);
 
   // Check if the element is hidden using our helper function
   const isHidden = isElementHidden(element);
@@ -1612,245 +4300,222 @@ function testLink(element) {
 
   const result = {
     tagName: element.tagName.toLowerCase(),
-    role: isAriaLink ? 'link' : null,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
     isVisible: isVisible
   };
 
+  let resultObj = null;
+
+  // Create a more descriptive element label (div[role="img"], span[role="img"], etc.)
+  // Make it very prominent with uppercase and brackets for visibility in reports
+  const elementLabel = `【${element.tagName.toUpperCase()}[role="img"]】`;
+
   // Check for broken aria-labelledby references first
   if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
     // Add the broken IDs to the result
     result.brokenAriaLabelledby = true;
     result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
-    // Create a specific error message for broken aria-labelledby
-    result.result = "fail";
-    result.description = "Broken aria-labelledby attribute";
-    result.details = `The aria-labelledby attribute references IDs that don't exist in the document: "${element._brokenAriaLabelledbyIds.join(', ')}". This causes the element's accessible name to fall back to text content or other sources.`;
+    resultObj = {
+      result: "fail",
+      issueCode: 'labelledby-broken-ref',
+      description: `${elementLabel}: Broken aria-labelledby reference`,
+      details: `The aria-labelledby attribute references IDs that don't exist: "${element._brokenAriaLabelledbyIds.join(', ')}". Screen readers cannot determine the element's purpose.`
+    };
+  } else if (!accessibleName) {
+    // Missing accessible name
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-missing-alt',
+      description: `${elementLabel}: Missing accessible name`,
+      details: "Elements with role=\"img\" must have an accessible name via aria-label, aria-labelledby, or other accessible name computation."
+    };
+  } else if (isWhitespaceOnly(accessibleName)) {
+    // Whitespace-only accessible name
+    // Override the accessibleName completely to prevent it from appearing in reports
+    result.accessibleName = '';
 
-    // Downgrade to warning if hidden
-    if (!isVisible) {
-      result.result = "warn";
-      result.description += " (hidden element)";
-      const hiddenDetails = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                     "This is reported as a warning rather than an error because the element is not visible " +
-                     "to users, but would fail accessibility requirements if it becomes visible.";
-      result.details = result.details ? result.details + "\n\n" + hiddenDetails : hiddenDetails;
-    }
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-whitespace-alt',
+      description: `${elementLabel}: Whitespace-only accessible name`,
+      details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the element inaccessible to screen reader users."
+    };
+  } else if (isPunctuation(accessibleName)) {
+    // Punctuation-only accessible name
+    // Override the accessibleName completely to prevent it from appearing in reports
+    result.accessibleName = '';
 
-    return result;
-  }
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-punctuation-alt',
+      description: `${elementLabel}: Punctuation-only accessible name`,
+      details: "Accessible names consisting only of punctuation characters don't provide meaningful information to screen reader users."
+    };
+  } else if (accessibleName.includes('<') && accessibleName.includes('>')) {
+    // Don't include the actual accessible name in the result for HTML markup
+    result.accessibleName = ''; // Override the accessibleName in the result
 
-  // Check if link contains an image with alt text
-  const containsImage = element.querySelector('img') !== null;
-  const imageWithAlt = element.querySelector('img[alt]:not([alt=""])');
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-html-alt',
+      description: `${elementLabel}: HTML markup in accessible name`,
+      details: "HTML tags in accessible names are not rendered properly by screen readers and can cause confusion. Use plain text without markup in accessible names."
+    };
+  } else if (isFilenameInText(accessibleName)) {
+    // Filename as accessible name
+    // Override the accessibleName completely to prevent it from appearing in reports
+    result.accessibleName = '';
 
-  // If no broken aria-labelledby issues, check if the link has an accessible name
-  if (!accessibleName) {
-    // Special case for links with images
-    if (containsImage && !imageWithAlt) {
-      result.result = "fail";
-      result.description = `${elementType} contains an image without alt text - Screen readers can't determine the link's purpose. Add alt text to the image or descriptive text to the link`;
-    } else {
-      result.result = "fail";
-      result.description = `${elementType} is missing an accessible name - Provides no information to screen reader users. Add descriptive text content, aria-label, or aria-labelledby`;
-    }
-  } else if (accessibleName.trim() === '') {
-    result.result = "fail";
-    result.description = `${elementType} has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive text that indicates where the link leads`;
-  } else if (isPunctuation(accessibleName)) {
-    result.result = "fail";
-    result.description = "Punctuation-only accessible name";
-    result.details = "Accessible names consisting only of punctuation characters are not meaningful to screen reader users. Use descriptive text that indicates where the link leads.";
-  } else if (isIconOnly(element, accessibleName)) {
-    result.result = "fail";
-    result.description = "Icon-only link";
-    result.details = `This link appears to contain only an icon or symbol ("${accessibleName}") without descriptive text. Add aria-label with descriptive text that explains the link's destination or purpose.`;
-  } else if (isGenericLinkText(accessibleName)) {
-    // Generic link text is a best practice issue rather than a WCAG failure
-    result.result = "warn";
-    result.description = "Generic link text";
-    result.details = `The text "${accessibleName}" is not descriptive of the link's purpose. This makes navigation difficult for screen reader users who browse by link lists. Replace with text that clearly describes the link's destination.`;
-  } else if (isUrlLike(accessibleName)) {
-    // Special case for links with URL as text - this is a best practice issue, not a WCAG failure
-    result.result = "warn";
-    result.description = "URL as text";
-    result.details = "URLs as link text may be difficult for screen reader users to listen to. Consider using descriptive text that explains the link's purpose instead.";
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-filename-alt',
+      description: `${elementLabel}: Filename as accessible name`,
+      details: "Filenames do not adequately describe the content or purpose of an element to screen reader users."
+    };
+  } else if (isUrlInText(accessibleName)) {
+    // URL as accessible name
+    // Override the accessibleName completely to prevent it from appearing in reports
+    result.accessibleName = '';
+
+    resultObj = {
+      result: "fail",
+      issueCode: 'img-url-alt',
+      description: `${elementLabel}: URL as accessible name`,
+      details: "URLs do not adequately describe the content or purpose of an element to screen reader users."
+    };
+  } else if (accessibleName.toLowerCase().startsWith('image ') ||
+             accessibleName.toLowerCase().includes('image of')) {
+    // Redundant "image" text in accessible name
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-redundant-alt',
+      description: `${elementLabel}: Redundant "image" in accessible name`,
+      details: "Screen readers already announce the element as an image, so including 'image' or 'image of' in the accessible name is redundant and creates a poor user experience.",
+      title: "Redundant text"
+    };
+  } else if (isGenericLabel(accessibleName)) {
+    // Generic accessible name
+    resultObj = {
+      result: "warn",
+      issueCode: 'img-generic-alt',
+      description: `${elementLabel}: Generic accessible name`,
+      details: "Generic terms don't adequately describe the content or purpose of an element to screen reader users.",
+      title: "Generic description"
+    };
   } else {
-    // Check if this is a link with an image that has proper alt text
-    const hasImgWithMatchingAlt = containsImage && imageWithAlt &&
-                                 imageWithAlt.getAttribute('alt') === accessibleName;
+    // Has an appropriate accessible name
+    resultObj = {
+      result: "pass",
+      issueCode: 'name-ok',
+      description: `${elementLabel}: Has appropriate accessible name`
+    };
+  }
 
-    if (hasImgWithMatchingAlt) {
-      // This is a good pattern - link with an image that has proper alt text
-      result.result = "pass";
-      result.description = `${elementType} with image has a descriptive accessible name from alt text`;
-    } else {
-      result.result = "pass";
-      result.description = `${elementType} has a descriptive accessible name`;
+  // Apply the result, downgrading to warning if hidden
+  if (!isVisible && resultObj.result === "fail") {
+    result.result = "warn";
+    result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                  "This is reported as a warning rather than an error because the element is not visible " +
+                  "to users, but would fail accessibility requirements if it becomes visible.";
+  } else {
+    result.result = resultObj.result;
+    result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
+    if (resultObj.details) {
+      result.details = resultObj.details;
+    }
+    if (resultObj.title) {
+      result.title = resultObj.title;
     }
   }
 
-  // Downgrade to warning if hidden and there's a failure
-  if (!isVisible && result.result === "fail") {
-    result.result = "warn";
-    result.description += " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
-  }
-  
   return result;
 }
 
 /**
- * Test a landmark element for an accessible name
- * @param {HTMLElement} element - Landmark element
+ * Test a media element for an accessible name
+ * @param {HTMLElement} element - Media element (audio/video)
  * @returns {Object} Test result
  */
-function testLandmark(element) {
+function testMedia(element) {
   const accessibleName = computeAccessibleName(element);
   const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
-
-  // Determine the type of landmark
-  let landmarkType = role;
-  if (!landmarkType) {
-    if (tagName === 'header') landmarkType = 'banner';
-    else if (tagName === 'footer') landmarkType = 'contentinfo';
-    else if (tagName === 'aside') landmarkType = 'complementary';
-    else if (tagName === 'nav') landmarkType = 'navigation';
-    else if (tagName === 'main') landmarkType = 'main';
-    else if (tagName === 'section') landmarkType = 'region';
-    else if (tagName === 'form') landmarkType = 'form';
-  }
-
+  const isAriaVideo = element.getAttribute('role') === 'video';
+  const elementType = isAriaVideo ? 'ARIA video' : tagName;
+  
   const result = {
     tagName: tagName,
-    role: role,
+    role: isAriaVideo ? 'video' : null,
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName
   };
-
-  // Special case for landmark elements that are in the page only once
-  // This matches the implementation in project_tester's accessible_names.py
-
-  // Check for header/banner elements
-  if (tagName === 'header' || landmarkType === 'banner') {
-    const bannerElements = document.querySelectorAll('header, [role="banner"]');
-    if (bannerElements.length <= 1 && !accessibleName) {
-      result.result = "pass";
-      result.description = "Single banner landmark doesn't require an accessible name";
-      return result;
-    }
-  }
-
-  // Check for footer/contentinfo elements
-  if (tagName === 'footer' || landmarkType === 'contentinfo') {
-    const contentinfoElements = document.querySelectorAll('footer, [role="contentinfo"]');
-    if (contentinfoElements.length <= 1 && !accessibleName) {
-      result.result = "pass";
-      result.description = "Single contentinfo landmark doesn't require an accessible name";
-      return result;
-    }
-  }
-
-  // Check for main elements
-  if (tagName === 'main' || landmarkType === 'main') {
-    const mainElements = document.querySelectorAll('main, [role="main"]');
-    if (mainElements.length <= 1 && !accessibleName) {
-      result.result = "pass";
-      result.description = "Single main landmark doesn't require an accessible name";
-      return result;
-    }
-  }
-
-  // Check for nav elements - special case that generates a warning
-  if (tagName === 'nav' || landmarkType === 'navigation') {
-    const navElements = document.querySelectorAll('nav, [role="navigation"]');
-    if (navElements.length <= 1 && !accessibleName) {
-      result.result = "warn";
-      result.description = "Single navigation landmark should have an accessible name for better user experience";
-      result.details = "While a single navigation landmark does not require an accessible name per WCAG, " +
-                       "providing one improves user experience with screen readers. The default announcement of " +
-                       "'navigation' is not as helpful as a descriptive name like 'Main Menu' or 'Site Navigation'.";
-      return result;
-    }
-  }
-
-  // Check if the landmark has an accessible name when needed
-  if (!accessibleName && (landmarkType === 'region' || landmarkType === 'form' ||
-      document.querySelectorAll(`[role="${landmarkType}"], ${tagName}`).length > 1)) {
-    result.result = "fail";
-
-    // Provide more specific guidance based on landmark type with explanations of why it matters
-    if (landmarkType === 'form') {
-      result.description = `Form is missing an accessible name - Essential for landmark navigation with screen readers. Add aria-label, aria-labelledby referencing a heading, or use a legend element with a fieldset`;
-    } else if (landmarkType === 'region') {
-      result.description = `Region landmark needs an accessible name - Without a name, users cannot distinguish between regions. Add aria-label or aria-labelledby referencing a heading`;
-    } else if (document.querySelectorAll(`[role="${landmarkType}"], ${tagName}`).length > 1) {
-      result.description = `${capitalizeFirstLetter(landmarkType)} landmark (${tagName}) requires a name when multiple instances exist - Users need to distinguish between multiple landmarks of the same type. Add aria-label or aria-labelledby referencing a heading`;
-    } else {
-      result.description = `${capitalizeFirstLetter(landmarkType)} landmark is missing an accessible name`;
-    }
-  } else if (accessibleName && accessibleName.trim() === '') {
-    result.result = "fail";
-    result.description = `${capitalizeFirstLetter(landmarkType)} landmark has empty or whitespace-only accessible name`;
-  } else if (!accessibleName) {
-    result.result = "pass";
-    result.description = `${capitalizeFirstLetter(landmarkType)} landmark doesn't require an accessible name`;
-  } else if (landmarkType === 'form' && isPunctuation(accessibleName)) {
-    // Check for punctuation-only accessible name in forms
-    result.result = "fail";
-    result.description = `Form has only punctuation as its accessible name: "${accessibleName}" - Punctuation alone is not meaningful to screen reader users. Add a descriptive accessible name that explains the form's purpose`;
-  } else if (landmarkType === 'form' && isFilenameInText(accessibleName)) {
-    // Check for filename-like accessible name in forms
-    result.result = "fail";
-    result.description = `Form has a filename as its accessible name: "${accessibleName}" - Filenames are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
-  } else if (landmarkType === 'form' && isUrlLike(accessibleName)) {
-    // Check for URL-like accessible name in forms
-    result.result = "fail";
-    result.description = `Form has a URL-like string as its accessible name: "${accessibleName}" - URLs are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
-  } else if (role === 'form' && isPunctuation(accessibleName)) {
-    // Check for punctuation-only accessible name in forms with role="form"
-    result.result = "fail";
-    result.description = `Form (role="form") has only punctuation as its accessible name: "${accessibleName}" - Punctuation alone is not meaningful to screen reader users. Add a descriptive accessible name that explains the form's purpose`;
-  } else if (role === 'form' && isFilenameInText(accessibleName)) {
-    // Check for filename-like accessible name in forms with role="form"
+  
+  // Check if the media element has an accessible name
+  if (!accessibleName) {
     result.result = "fail";
-    result.description = `Form (role="form") has a filename as its accessible name: "${accessibleName}" - Filenames are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
-  } else if (role === 'form' && isUrlLike(accessibleName)) {
-    // Check for URL-like accessible name in forms with role="form"
+    result.description = `${capitalizeFirstLetter(elementType)} is missing an accessible name`;
+    result.issueCode = 'media-missing-name';
+  } else if (accessibleName.trim() === '') {
     result.result = "fail";
-    result.description = `Form (role="form") has a URL-like string as its accessible name: "${accessibleName}" - URLs are not helpful to users. Add a descriptive accessible name that explains the form's purpose`;
-  } else if (element._accessibleNameFromTitleOnly) {
-    // Warning for title-only accessible names
-    result.result = "warn";
-    result.description = `${capitalizeFirstLetter(landmarkType)} landmark uses title attribute for its accessible name - Not recommended for accessibility. Title attributes may not be visible to all users and aren't consistently supported. Use aria-label or aria-labelledby instead`;
-    result.details = "Title attributes have several accessibility issues: they're not visible to screen magnifier users, aren't consistently exposed by all assistive technologies, may be difficult to discover for keyboard-only users, and only visible on hover/focus with potential timeout issues.";
+    result.description = `${capitalizeFirstLetter(elementType)} has empty or whitespace-only accessible name`;
+    result.issueCode = 'media-whitespace-name';
   } else {
     result.result = "pass";
-    result.description = `${capitalizeFirstLetter(landmarkType)} landmark has an accessible name`;
+    result.description = `${capitalizeFirstLetter(elementType)} has an accessible name`;
+    result.issueCode = 'name-ok';
   }
   
   return result;
 }
 
 /**
- * Test an ARIA widget for an accessible name
- * @param {HTMLElement} element - ARIA widget element
- * @returns {Object} Test result
- */
-/**
- * Test a dialog element for an accessible name and check for common dialog accessibility issues
- * @param {HTMLElement} element - Dialog element
+ * Test an element with tabindex for an accessible name
+ * @param {HTMLElement} element - Element with tabindex
  * @returns {Object} Test result
  */
-function testDialog(element) {
+function testElementWithTabindex(element) {
+  // Skip elements that are already interactive or have roles that don't require accessible names
+  // Elements with ARIA roles like "button" will be tested by their respective role-specific testers
+  if (element.tagName === 'A' || element.tagName === 'BUTTON' || element.tagName === 'INPUT' ||
+      element.tagName === 'SELECT' || element.tagName === 'TEXTAREA' || element.tagName === 'IFRAME' ||
+      element.getAttribute('role') === 'presentation' || element.getAttribute('role') === 'none' ||
+      // Skip elements with interactive roles as they'll be tested by their role-specific testers
+      element.getAttribute('role') === 'button' || element.getAttribute('role') === 'link' ||
+      element.getAttribute('role') === 'checkbox' || element.getAttribute('role') === 'menuitem' ||
+      element.getAttribute('role') === 'tab' || element.getAttribute('role') === 'menuitemcheckbox' ||
+      element.getAttribute('role') === 'menuitemradio' || element.getAttribute('role') === 'radio' ||
+      element.getAttribute('role') === 'switch' || element.getAttribute('role') === 'textbox') {
+    return null;
+  }
+
   const accessibleName = computeAccessibleName(element);
+  const tabindex = element.getAttribute('tabindex');
+
+  // Only test elements with non-negative tabindex (tabindex="0" or positive values)
+  if (tabindex && parseInt(tabindex) < 0) {
+    return null;
+  }
+
+  // Special handling for container elements like headings, which get their accessible name from their content
+  // This includes headings, list items, and other container elements
+  if (element.tagName === 'H1' || element.tagName === 'H2' || element.tagName === 'H3' ||
+      element.tagName === 'H4' || element.tagName === 'H5' || element.tagName === 'H6' ||
+      element.tagName === 'LI' || element.tagName === 'DT' || element.tagName === 'DD' ||
+      element.tagName === 'FIGURE' || element.tagName === 'FIGCAPTION' ||
+      element.tagName === 'P' || element.tagName === 'DIV' || element.tagName === 'SPAN' ||
+      element.getAttribute('role') === 'heading' || element.getAttribute('role') === 'listitem') {
+
+    // If the container element has text content, it has an accessible name
+    if (element.textContent && element.textContent.trim() !== '') {
+      return null;  // Skip the test as container elements with content have accessible names
+    }
+  }
 
   // Check if the element is hidden using our helper function
   const isHidden = isElementHidden(element);
@@ -1858,1032 +4523,1507 @@ function testDialog(element) {
 
   const result = {
     tagName: element.tagName.toLowerCase(),
-    role: "dialog",
+    role: element.getAttribute('role'),
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
     isVisible: isVisible
   };
 
-  // Check for broken aria-labelledby references
+  // Check for broken aria-labelledby references first
   if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
     // Add the broken IDs to the result
     result.brokenAriaLabelledby = true;
     result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
 
     // Create a specific error message for broken aria-labelledby
-    result.result = "fail";
-    result.description = "Broken aria-labelledby attribute";
-    result.details = `The dialog has an aria-labelledby attribute that references IDs that don't exist in the document: "${element._brokenAriaLabelledbyIds.join(', ')}". This causes the dialog's accessible name to be missing, making it difficult for screen reader users to identify the dialog's purpose.`;
+    result.result = "fail"; // This is an error, not a warning
+    result.description = `Element with tabindex=${tabindex} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`;
+    result.issueCode = 'labelledby-broken-ref';
   }
-  // If no broken aria-labelledby issues, check for missing accessible name
+  // Otherwise check if the element with tabindex has an accessible name
   else if (!accessibleName) {
-    result.result = "fail";
-    result.description = "Dialog missing accessible name";
-    result.details = "Dialogs require an accessible name via aria-label or aria-labelledby for screen reader users to understand the dialog's purpose. This is especially important for modal dialogs that capture focus.";
-  }
-  // Check for empty accessible name
-  else if (accessibleName.trim() === '') {
-    result.result = "fail";
-    result.description = "Dialog has empty accessible name";
-    result.details = "The dialog has an accessible name that is empty or contains only whitespace. This doesn't provide any meaningful information to screen reader users.";
-  }
-  // Check for punctuation-only accessible name
-  else if (isPunctuation(accessibleName)) {
-    result.result = "fail";
-    result.description = "Punctuation-only accessible name";
-    result.details = `The dialog has an accessible name consisting only of punctuation characters ("${accessibleName}"). This doesn't provide meaningful information to screen reader users.`;
-  }
-  // Check for redundant dialog label compared to visible heading
-  else {
-    // Check for redundancy between aria-label and visible heading
-    const headings = element.querySelectorAll('h1, h2, h3, h4, h5, h6');
-    let hasRedundantHeading = false;
-
-    if (headings.length > 0 && element.hasAttribute('aria-label')) {
-      // Check if any heading text matches the aria-label
-      for (const heading of headings) {
-        const headingText = heading.textContent.trim();
-        if (headingText === accessibleName) {
-          hasRedundantHeading = true;
-          break;
-        }
-      }
-    }
-
-    if (hasRedundantHeading) {
-      result.result = "warn";
-      result.description = "Dialog has redundant accessible name";
-      result.details = `The dialog's aria-label "${accessibleName}" duplicates visible heading text. This creates redundant announcements for screen reader users. Consider using aria-labelledby to reference the heading instead of duplicating the text in aria-label.`;
-    } else {
-      result.result = "pass";
-      result.description = "Dialog has appropriate accessible name";
-    }
+    result.result = "fail"; // Changed from "warn" to "fail" - missing name on focusable element is an error
+    result.description = `Element with tabindex=${tabindex} is missing an accessible name - Screen readers announce this as "clickable item" with no context. Add aria-label, aria-labelledby, or descriptive text content`;
+    result.issueCode = 'focusable-missing-name';
+  } else if (accessibleName.trim() === '') {
+    result.result = "fail"; // Changed from "warn" to "fail" - empty name on focusable element is an error
+    result.description = `Element with tabindex=${tabindex} has empty or whitespace-only accessible name - This provides no meaningful information to screen reader users. Add descriptive aria-label, aria-labelledby, or text content`;
+    result.issueCode = 'focusable-whitespace-name';
+  } else {
+    result.result = "pass";
+    result.description = `Element with tabindex=${tabindex} has an accessible name`;
+    result.issueCode = 'name-ok';
   }
 
-  // Downgrade to warning if the element is hidden
+  // If the element has an accessibility issue but is hidden, downgrade to a warning
   if (!isVisible && result.result === "fail") {
     result.result = "warn";
     result.description = result.description + " (hidden element)";
-    result.details = (result.details || "") + "\n\nThis element is currently hidden (display: none, visibility: hidden, or opacity: 0). This is reported as a warning rather than an error because the element is not visible to users, but would fail accessibility requirements if it becomes visible.";
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
   }
 
   return result;
 }
 
-function testAriaWidget(element) {
-  const accessibleName = computeAccessibleName(element);
-  const role = element.getAttribute('role');
+/**
+ * Test that an element's accessible name contains its visible label (WCAG 2.5.3 Label in Name)
+ * Speech input users activate controls by saying their visible label, which
+ * only works when the label is part of the accessible name. Only elements
+ * named with aria-label or aria-labelledby are tested, since a name taken
+ * from content or a <label> always contains the visible text.
+ * @param {HTMLElement} element - Element to test
+ * @returns {Object|null} Test result, or null if the element has no author-provided name or no visible label
+ */
+function testLabelInName(element) {
+  if (!element.hasAttribute('aria-label') && !element.hasAttribute('aria-labelledby')) {
+    return null;
+  }
+
+  const visibleLabel = getVisibleLabelText(element);
+  const normalizedLabel = normalizeLabelText(visibleLabel);
+  if (!normalizedLabel) {
+    return null;
+  }
 
-  // Check if the element is hidden using our helper function
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+  const accessibleName = computeAccessibleName(element);
+  const isVisible = !isElementHidden(element);
+  const elementType = capitalizeFirstLetter(getElementRole(element) || element.tagName.toLowerCase());
 
   const result = {
     tagName: element.tagName.toLowerCase(),
-    role: role,
+    role: element.getAttribute('role'),
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
+    visibleLabel: visibleLabel,
     isVisible: isVisible
   };
 
-  // Check for broken aria-labelledby references (set by computeAccessibleName)
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
-
-    // Create a specific error message for broken aria-labelledby
+  // Match whole words, so a label of "Go" isn't found inside a name of "Google"
+  if ((' ' + normalizeLabelText(accessibleName) + ' ').includes(' ' + normalizedLabel + ' ')) {
+    result.result = "pass";
+    result.description = `${elementType} accessible name contains its visible label "${visibleLabel}"`;
+    result.issueCode = 'name-ok';
+  } else {
     result.result = "fail";
-    result.description = `${capitalizeFirstLetter(role)} widget has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - fix these IDs or use aria-label instead`;
+    result.description = `${elementType} visible label "${visibleLabel}" is not part of its accessible name "${accessibleName}" - Speech input users who say the visible label cannot activate it. Include the visible text, ideally at the start, in aria-label or aria-labelledby`;
+    result.issueCode = 'label-not-in-name';
   }
-  // Otherwise check if the ARIA widget has an accessible name
-  else if (!accessibleName) {
-    result.result = "fail";
 
-    // Provide specific guidance based on widget type
-    if (role === 'checkbox' || role === 'radio' || role === 'switch') {
-      result.description = `${capitalizeFirstLetter(role)} is missing an accessible name - Screen reader users cannot identify its purpose. Add aria-label, aria-labelledby, or wrapped text content`;
-    } else if (role === 'combobox' || role === 'textbox' || role === 'listbox') {
-      result.description = `${capitalizeFirstLetter(role)} control needs an accessible name - Screen reader users cannot identify its purpose. Add aria-label, aria-labelledby, or a properly associated label`;
-    } else if (role === 'tab' || role === 'tabpanel') {
-      result.description = `${capitalizeFirstLetter(role)} requires a descriptive accessible name - Needed for navigation and orientation. Add aria-label or aria-labelledby referencing a heading`;
-    } else if (role === 'menu' || role === 'menuitem') {
-      result.description = `${capitalizeFirstLetter(role)} needs text content or an aria-label for proper identification - Menu items require descriptive names for screen reader users to navigate menus effectively`;
-    } else {
-      result.description = `${capitalizeFirstLetter(role)} widget is missing an accessible name - Screen reader users cannot identify its purpose. Add aria-label or aria-labelledby`;
-    }
-  } else if (accessibleName.trim() === '') {
-    result.result = "fail";
-    result.description = `${capitalizeFirstLetter(role)} widget has empty or whitespace-only accessible name - add meaningful text`;
-  } else if (isPunctuation(accessibleName)) {
-    // Handle punctuation-only accessible names
-    result.result = "fail";
-    result.description = "Punctuation-only accessible name";
-    result.details = `The ${role} has an accessible name consisting only of punctuation characters ("${accessibleName}"). This does not provide meaningful information to screen reader users. Use descriptive text instead.`;
-  } else if (role === 'tab' && hasAriaHiddenContent(element)) {
-    // Special check for tabs with only aria-hidden content (icon-only tabs)
-    result.result = "fail";
-    result.description = "Icon-only tab without accessible name";
-    result.details = `This tab contains content that is hidden from screen readers with aria-hidden="true" but has no accessible text alternative. Screen reader users cannot determine the tab's purpose. Add text content outside the aria-hidden element or use aria-label to provide an accessible name.`;
-  } else if (role === 'tabpanel' && tabpanelReferencesEmptyName(element)) {
-    // Get more specific information about the referenced elements to provide a better error message
-    const labelledbyIds = element.getAttribute('aria-labelledby').split(/\s+/);
-    const labelledbyInfo = getLabelledbyElementsInfo(element);
+  // If the element has an accessibility issue but is hidden, downgrade to a warning
+  if (!isVisible && result.result === "fail") {
+    result.result = "warn";
+    result.description = result.description + " (hidden element)";
+    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
+                   "This is reported as a warning rather than an error because the element is not visible " +
+                   "to users, but would fail accessibility requirements if it becomes visible.";
+  }
 
-    // Special check for tabpanels that reference elements with no accessible name
-    result.result = "fail";
+  return result;
+}
 
-    // Create a specific description based on the referenced elements
-    if (labelledbyInfo.hasEmptyAccessibleName) {
-      result.description = "Tabpanel references element with empty accessible name";
-    } else if (labelledbyInfo.hasAriaHiddenContentOnly) {
-      result.description = "Tabpanel references element with only aria-hidden content";
-    } else if (labelledbyInfo.hasNoAccessibleName) {
-      result.description = "Tabpanel references element with no accessible name";
-    } else {
-      result.description = "Tabpanel references element with inaccessible content";
-    }
+/**
+ * Get the label text shown on screen for an element: the value of input
+ * buttons, the text of the <label> elements of form fields, and the rendered
+ * text content of everything else
+ * @param {HTMLElement} element - Element to get the visible label of
+ * @returns {string} The visible label with whitespace collapsed, or an empty string
+ */
+function getVisibleLabelText(element) {
+  let text = '';
+
+  if (element.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(element.type)) {
+    // Browsers show "Submit" and "Reset" on buttons without a value
+    text = element.value || (element.type === 'submit' ? 'Submit' : element.type === 'reset' ? 'Reset' : '');
+  } else if (['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName)) {
+    // A wrapping label's text doesn't include the control itself (e.g. a select's options)
+    text = Array.from(element.labels || []).map(label => getVisibleText(label, element)).join(' ');
+  } else {
+    text = getVisibleText(element, null);
+  }
 
-    // Don't use the hidden content as the accessible name
-    result.accessibleName = '';
+  return text.replace(/\s+/g, ' ').trim();
+}
 
-    // Build detailed error message
-    let detailsMessage = `This tabpanel uses aria-labelledby="${element.getAttribute('aria-labelledby')}" to reference `;
+/**
+ * Get the rendered text inside a node, skipping hidden elements
+ * @param {Node} node - Node to get the text of
+ * @param {Element|null} excluded - Element whose text to leave out
+ * @returns {string} The text
+ */
+function getVisibleText(node, excluded) {
+  return getFlatTreeChildren(node).map(child => getVisibleNodeText(child, excluded)).join('');
+}
 
-    if (labelledbyInfo.hasEmptyAccessibleName) {
-      detailsMessage += `element(s) with empty accessible names. `;
-    } else if (labelledbyInfo.hasAriaHiddenContentOnly) {
-      detailsMessage += `element(s) that contain only aria-hidden content (like icon-only tabs). `;
-    } else if (labelledbyInfo.hasNoAccessibleName) {
-      detailsMessage += `element(s) with no accessible name or text content. `;
-    } else {
-      detailsMessage += `element(s) with inaccessible content. `;
+/**
+ * Get the rendered text of a single node, including the node itself
+ * @param {Node} node - Text node or element
+ * @param {Element|null} excluded - Element whose text to leave out
+ * @returns {string} The text
+ */
+function getVisibleNodeText(node, excluded) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE || node === excluded ||
+      TRANSCRIPT_SKIPPED_TAGS.includes(node.tagName) || isElementHidden(node)) {
+    return '';
+  }
+  // Block elements and line breaks separate words
+  if (node.tagName === 'BR') {
+    return ' ';
+  }
+  const text = getVisibleText(node, excluded);
+  return isBlockElement(node) ? ' ' + text + ' ' : text;
+}
+
+/**
+ * Normalise label text for comparison: lower case, with punctuation and
+ * symbols replaced by spaces and whitespace collapsed
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+function normalizeLabelText(text) {
+  return (text || '').toLowerCase().replace(/[\p{P}\p{S}]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Report link purpose problems; not registered, since they compare the links
+// collected in a run rather than testing one element
+const IDENTICAL_LINK_NAMES_RULE = {
+  id: 'link-identical-names',
+  wcag: ['2.4.4', '2.4.9'],
+  act: ['b20e66', 'fd3a94'],
+  description: 'Links with the same name go to the same place'
+};
+
+const REDUNDANT_ADJACENT_LINK_RULE = {
+  id: 'link-redundant-adjacent',
+  wcag: [],
+  act: [],
+  description: 'An image link is not next to a text link to the same place'
+};
+
+/**
+ * Compare links with each other and get their link purpose results
+ * Each link is named and compared once. Names are compared ignoring case,
+ * whitespace and punctuation, and destinations by their resolved URL.
+ * @param {Array} elements - Tested elements; those that aren't visible links are ignored
+ * @returns {Map} Map from each link with a problem to its results
+ */
+function getLinkPurposeResults(elements) {
+  const links = sortInFlatTreeOrder(elements.filter(element =>
+    element.matches('a[href], area[href]') && getElementRole(element) === 'link' &&
+    !isHiddenFromAccessibleName(element, true)));
+
+  const entries = links.map(link => ({
+    link: link,
+    accessibleName: computeAccessibleName(link),
+    href: link.href
+  }));
+
+  const byName = new Map();
+  entries.forEach(entry => {
+    entry.name = normalizeLabelText(entry.accessibleName);
+    if (!entry.name) return;
+    byName.set(entry.name, (byName.get(entry.name) || []).concat(entry));
+  });
+
+  const resultsByLink = new Map();
+  entries.forEach((entry, position) => {
+    const results = [];
+
+    const identical = testIdenticalLinkNames(entry, byName.get(entry.name) || []);
+    if (identical) {
+      results.push(stampRuleResult(IDENTICAL_LINK_NAMES_RULE, entry.link, identical));
     }
 
-    detailsMessage += `This creates an association that provides no meaningful information to screen reader users. `;
+    const redundant = testRedundantAdjacentLink(entry, [entries[position - 1], entries[position + 1]]);
+    if (redundant) {
+      results.push(stampRuleResult(REDUNDANT_ADJACENT_LINK_RULE, entry.link, redundant));
+    }
 
-    if (labelledbyInfo.hasAriaHiddenContentOnly) {
-      detailsMessage += `Add visible text content outside the aria-hidden elements or provide aria-label on the referenced elements. `;
-    } else {
-      detailsMessage += `Ensure the referenced elements have proper accessible names. `;
+    if (results.length > 0) {
+      resultsByLink.set(entry.link, results);
     }
+  });
 
-    detailsMessage += `Alternatively, use aria-label to provide a direct name for this tabpanel.`;
+  return resultsByLink;
+}
 
-    result.details = detailsMessage;
-  } else {
-    result.result = "pass";
-    result.description = `${capitalizeFirstLetter(role)} widget has an accessible name`;
-  }
+/**
+ * Summarise a link's link purpose results, to tell when they change
+ * @param {Array} results - Link purpose results
+ * @returns {string} Issue codes and descriptions, or an empty string if there are none
+ */
+function getLinkPurposeSignature(results) {
+  return results.map(result => `${result.issueCode}: ${result.description}`).join('\n');
+}
 
-  // Downgrade to warning if the element is hidden
-  if (!isVisible && result.result === "fail") {
-    result.result = "warn";
-    result.description = result.description + " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
+/**
+ * Test whether other links with the same accessible name go somewhere else
+ * Ten links all named "View details" that open ten different pages can't be
+ * told apart when listed out of context.
+ * @param {Object} entry - The link, its name and its destination
+ * @param {Array} sameName - Entries for every link with the same name
+ * @returns {Object|null} Test result, or null if no other link shares the name
+ */
+function testIdenticalLinkNames(entry, sameName) {
+  const otherDestinations = sameName
+    .filter(other => other.href !== entry.href)
+    .map(other => other.href);
+  if (otherDestinations.length === 0) {
+    return null;
   }
 
-  return result;
+  const element = entry.link;
+  const accessibleName = entry.accessibleName;
+  const destinations = Array.from(new Set(otherDestinations));
+
+  return {
+    tagName: element.tagName.toLowerCase(),
+    role: element.getAttribute('role'),
+    selector: generateSelector(element),
+    outerHTML: element.outerHTML,
+    accessibleName: accessibleName,
+    href: entry.href,
+    result: "warn",
+    issueCode: 'link-identical-name-different-href',
+    description: `Link "${accessibleName.trim()}" has the same name as ${otherDestinations.length} other ${otherDestinations.length === 1 ? 'link' : 'links'} that ${otherDestinations.length === 1 ? 'goes' : 'go'} somewhere else - Users navigating by a list of links can't tell them apart. Make each name describe its destination, e.g. with visually hidden text or aria-label`,
+    details: `This link goes to ${entry.href}. Other links with the same name go to: ` +
+             destinations.slice(0, 5).join(', ') + (destinations.length > 5 ? ` and ${destinations.length - 5} more` : '')
+  };
 }
 
 /**
- * Test an iframe for an accessible name
- * @param {HTMLElement} element - iframe element
- * @returns {Object} Test result
+ * Test whether an image link sits next to a text link to the same place
+ * A linked image followed by a linked caption (or the other way round) is
+ * announced twice and adds a redundant tab stop. The result is reported on
+ * the image link, since combining both into one link fixes it.
+ * @param {Object} entry - The link, its name and its destination
+ * @param {Array} neighbours - Entries for the links before and after it, if any
+ * @returns {Object|null} Test result, or null if the link isn't an image link next to a text link to the same place
  */
-function testIframe(element) {
-  const accessibleName = computeAccessibleName(element);
+function testRedundantAdjacentLink(entry, neighbours) {
+  const element = entry.link;
+  if (element.tagName !== 'A' || !isImageOnlyLink(element)) {
+    return null;
+  }
 
-  // Check if the element is hidden using our helper function
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+  const neighbour = neighbours.find(other =>
+    other && other.link.tagName === 'A' && other.href === entry.href && !isImageOnlyLink(other.link) &&
+    areAdjacentNodes(element, other.link));
+  if (!neighbour) {
+    return null;
+  }
 
-  const result = {
+  const accessibleName = entry.accessibleName;
+  const neighbourName = neighbour.accessibleName.trim();
+
+  return {
     tagName: element.tagName.toLowerCase(),
+    role: element.getAttribute('role'),
     selector: generateSelector(element),
     outerHTML: element.outerHTML,
     accessibleName: accessibleName,
-    isVisible: isVisible
+    href: entry.href,
+    result: "warn",
+    issueCode: 'link-redundant-adjacent',
+    description: `Image link ${accessibleName.trim() ? `"${accessibleName.trim()}"` : 'with no name'} is next to the text link "${neighbourName}" to the same place - Screen reader and keyboard users meet the same link twice. Put the image and text in a single link, with empty alt text on the image`
   };
+}
 
-  // Initialize resultObj
-  let resultObj;
+/**
+ * Check whether a link's content is only images, with no visible text
+ * @param {HTMLElement} link - Link to check
+ * @returns {boolean} True if the link contains an image and no text
+ */
+function isImageOnlyLink(link) {
+  return !getVisibleText(link, null).trim() &&
+    !!link.querySelector('img, svg, [role="img"], input[type="image"]');
+}
 
-  // Check for broken aria-labelledby references (set by computeAccessibleName)
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+/**
+ * Check whether two nodes have no rendered text between them
+ * Text in hidden elements doesn't separate the nodes.
+ * @param {Node} first - One node
+ * @param {Node} second - The other node
+ * @returns {boolean} True if no visible text separates the nodes
+ */
+function areAdjacentNodes(first, second) {
+  const [start, end] = sortInFlatTreeOrder([first, second]);
+  const startPath = getFlatTreePath(start);
+  const endPath = getFlatTreePath(end);
 
-    // Create a specific error message for broken aria-labelledby
-    resultObj = {
-      result: "fail",
-      description: `iframe has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`
-    };
+  let common = 0;
+  while (common < startPath.length && startPath[common] === endPath[common]) {
+    common++;
   }
-  // Otherwise determine result based on accessible name
-  else if (!accessibleName) {
-    resultObj = {
-      result: "fail",
-      description: "iframe is missing an accessible name - Screen readers announce frames with no context. Add a title attribute that describes the frame's purpose or content"
-    };
-  } else if (accessibleName.trim() === '') {
-    resultObj = {
-      result: "fail",
-      description: "iframe has empty or whitespace-only title attribute - add meaningful description"
-    };
-  } else if (isPunctuation(accessibleName)) {
-    resultObj = {
-      result: "fail",
-      description: `iframe has punctuation-only title "${accessibleName}" - Screen readers may not announce this. Add a descriptive title that explains the frame's purpose`,
-      details: "Titles consisting only of punctuation characters are not meaningful to screen reader users and may not be announced at all by some assistive technologies."
-    };
-  } else if (accessibleName.length < 5) {
-    resultObj = {
-      result: "warn",
-      description: `iframe title "${accessibleName}" is too short - use a more descriptive title`
-    };
+  if (common === 0 || common === startPath.length || common === endPath.length) {
+    return false;
+  }
+
+  // Text after the start node at each level up to the common ancestor, the
+  // common ancestor's children in between, then text before the end node
+  let text = '';
+  for (let depth = startPath.length - 1; depth > common; depth--) {
+    const siblings = getFlatTreeChildren(startPath[depth - 1]);
+    text += siblings.slice(siblings.indexOf(startPath[depth]) + 1)
+      .map(sibling => getVisibleNodeText(sibling, null)).join('');
+  }
+
+  const children = getFlatTreeChildren(startPath[common - 1]);
+  text += children.slice(children.indexOf(startPath[common]) + 1, children.indexOf(endPath[common]))
+    .map(child => getVisibleNodeText(child, null)).join('');
+
+  for (let depth = common + 1; depth < endPath.length; depth++) {
+    const siblings = getFlatTreeChildren(endPath[depth - 1]);
+    text += siblings.slice(0, siblings.indexOf(endPath[depth]))
+      .map(sibling => getVisibleNodeText(sibling, null)).join('');
+  }
+
+  return text.trim() === '';
+}
+
+/**
+ * Check if an element has an implicit label parent (is nested within a label element)
+ * @param {HTMLElement} element - Element to check for implicit label
+ * @returns {boolean} True if the element has an implicit label parent
+ */
+function hasImplicitLabelParent(element) {
+  // Find closest label ancestor
+  let parent = element.parentElement;
+  while (parent) {
+    if (parent.tagName === 'LABEL') {
+      // Check if this is truly an implicit label (no 'for' attribute or 'for' pointing to a different element)
+      const forAttribute = parent.getAttribute('for');
+      if (!forAttribute) {
+        // No 'for' attribute - this is an implicit label
+        return true;
+      } else if (element.id && forAttribute !== element.id) {
+        // 'for' attribute points to a different element - this is an explicit label for something else
+        return false;
+      }
+      // Otherwise, it's an explicit label for this element
+      return false;
+    }
+    parent = parent.parentElement;
+  }
+  return false;
+}
+
+/**
+ * Compute the accessible name for an element
+ *
+ * Implements the W3C Accessible Name and Description Computation 1.2
+ * (https://www.w3.org/TR/accname-1.2/), steps 2A to 2I, together with the
+ * host language rules from HTML-AAM and SVG-AAM.
+ *
+ * The element being tested is always computed, even when it is hidden, so that
+ * hidden elements can still be reported. The test functions also rely on the
+ * flags this function sets on the element (e.g. _hasBrokenAriaLabelledby).
+ * Each step consulted is recorded in element._accessibleNameTrace so the
+ * panel can show how the name was derived.
+ *
+ * @param {HTMLElement} element - Element to compute the accessible name for
+ * @returns {string} The element's accessible name
+ */
+function computeAccessibleName(element) {
+  // Clear flags left over from a previous computation
+  element._hasBrokenAriaLabelledby = false;
+  element._brokenAriaLabelledbyIds = [];
+  element._hasEmptyAriaLabel = false;
+  element._hasPunctuationOnlyAriaLabel = false;
+  element._accessibleNameFromTitleOnly = false;
+  element._accessibleNameFromPlaceholder = false;
+  element._accessibleNameFromLabel = false;
+  element._labelType = null;
+  element._accessibleNameTrace = [];
+
+  const name = computeTextAlternative(element, {
+    root: element,
+    path: new Set(),
+    inLabelledbyTraversal: false,
+    inNativeLabelTraversal: false,
+    inContentTraversal: false,
+    isDirectReference: false,
+    includeHidden: false,
+    trace: element._accessibleNameTrace,
+    depth: 0
+  });
+
+  // Whitespace-only names are kept as-is so callers can report them separately
+  // from a missing name
+  const flatName = name.replace(/\s+/g, ' ').trim();
+  const accessibleName = flatName || name;
+
+  addNameTraceEntry({ trace: element._accessibleNameTrace, depth: 0 }, element, 'Result',
+    'computed name', accessibleName, accessibleName ? null : 'No source provided a name');
+
+  return accessibleName;
+}
+
+/**
+ * Record a step of the name computation in the derivation trace
+ * @param {Object} context - Traversal state, holding the trace array (if any) and the depth
+ * @param {Node} node - The node that was consulted
+ * @param {string} step - The accname step, e.g. "2B"
+ * @param {string} source - The attribute or element consulted, e.g. "aria-labelledby"
+ * @param {string|null} text - The text the step contributed
+ * @param {string|null} skipped - Why the source was skipped, if it was
+ */
+function addNameTraceEntry(context, node, step, source, text, skipped = null) {
+  if (!context.trace) return;
+
+  const entry = {
+    step: step,
+    source: source,
+    node: describeTraceNode(node),
+    depth: context.depth,
+    text: text === null || text === undefined ? null : truncateTraceText(text),
+    skipped: skipped
+  };
+
+  if (context.traceCursor) {
+    context.trace.splice(context.traceCursor.index, 0, entry);
+    context.traceCursor.index++;
   } else {
-    resultObj = {
-      result: "pass",
-      description: "iframe has an accessible name"
-    };
+    context.trace.push(entry);
+  }
+}
+
+/**
+ * Describe a node briefly for the derivation trace, e.g. "label#email-label"
+ * @param {Node} node - Node to describe
+ * @returns {string} Short description of the node
+ */
+function describeTraceNode(node) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return '#text';
   }
 
-  // If the element has an accessibility issue but is hidden, downgrade to a warning
-  if (!isVisible && resultObj.result === "fail") {
-    result.result = "warn";
-    result.description = resultObj.description + " (hidden element)";
-    result.details = "This iframe is currently hidden (display: none, visibility: hidden, zero dimensions, or opacity: 0). " +
-                     "This is reported as a warning rather than an error because the element is not visible " +
-                     "to users, but would fail accessibility requirements if it becomes visible.";
-  } else {
-    result.result = resultObj.result;
-    result.description = resultObj.description;
+  let description = node.tagName.toLowerCase();
+  if (node.id) {
+    description += `#${node.id}`;
+  } else if (node.getAttribute('role')) {
+    description += `[role="${node.getAttribute('role')}"]`;
   }
+  return description;
+}
 
-  return result;
+/**
+ * Flatten and shorten text recorded in the derivation trace
+ * @param {string} text - Text to shorten
+ * @returns {string} Text with collapsed whitespace, at most 100 characters
+ */
+function truncateTraceText(text) {
+  const flatText = String(text).replace(/\s+/g, ' ').trim();
+  return flatText.length > 100 ? flatText.substring(0, 100) + '...' : flatText;
 }
 
 /**
- * Test a progress element for an accessible name
- * @param {HTMLElement} element - Progress element
- * @returns {Object} Test result
+ * Compute the text alternative of a node (accname 1.2 step 2)
+ * @param {Node} current - The node currently being visited
+ * @param {Object} context - Traversal state shared by the recursion
+ * @returns {string} The text alternative of the node
  */
-function testProgress(element) {
-  const accessibleName = computeAccessibleName(element);
-  const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
-  const isAriaProgress = role === 'progressbar' || role === 'meter';
-  const elementType = isAriaProgress ?
-    (role === 'meter' ? 'ARIA meter' : 'ARIA progressbar') :
-    'Progress';
+function computeTextAlternative(current, context) {
+  // Entries for this node are listed before those of its descendants, even
+  // though they are only known once the descendants have been visited
+  context = { ...context, traceCursor: { index: context.trace ? context.trace.length : 0 } };
+
+  // 2G: Text node
+  if (current.nodeType === Node.TEXT_NODE) {
+    if (current.textContent.trim()) {
+      addNameTraceEntry(context, current, '2G', 'text node', current.textContent);
+    }
+    return current.textContent;
+  }
 
-  // Check if the element is hidden
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+  if (current.nodeType !== Node.ELEMENT_NODE) {
+    return '';
+  }
 
-  // Get current value information if available
-  const hasValue = element.hasAttribute('value');
-  const value = hasValue ? element.getAttribute('value') : null;
-  const max = element.hasAttribute('max') ? element.getAttribute('max') : 100;
-  const percentValue = hasValue ? Math.round((parseInt(value) / parseInt(max)) * 100) + '%' : 'Unknown';
+  const isRoot = current === context.root && !context.inLabelledbyTraversal &&
+                 !context.inNativeLabelTraversal && !context.inContentTraversal;
 
-  const result = {
-    tagName: tagName,
-    role: role,
-    selector: generateSelector(element),
-    outerHTML: element.outerHTML,
-    accessibleName: accessibleName,
-    isVisible: isVisible,
-    value: value,
-    percentValue: percentValue
-  };
+  // Guard against cycles, e.g. a label that contains the control it labels
+  if (context.path.has(current) && !context.isDirectReference) {
+    addNameTraceEntry(context, current, '2A', 'cycle', null, 'Already visited in this traversal');
+    return '';
+  }
 
-  // Check for broken aria-labelledby references first
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+  // The labelled control never contributes to its own <label> text
+  if (current === context.root && context.inNativeLabelTraversal) {
+    addNameTraceEntry(context, current, '2C', 'labelled control', null, 'A control is not part of its own label');
+    return '';
+  }
 
-    // Create a specific error message for broken aria-labelledby
-    let resultObj = {
-      result: "fail",
-      description: `${elementType} element has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - Users cannot determine the progress bar's purpose`,
-      details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
-    };
+  // 2A: Hidden Not Referenced
+  if (!isRoot && !context.isDirectReference && !context.includeHidden && isHiddenFromAccessibleName(current)) {
+    addNameTraceEntry(context, current, '2A', 'hidden', null, 'Hidden and not directly referenced');
+    return '';
+  }
 
-    // Apply the result, downgrading to warning if hidden
-    if (!isVisible && resultObj.result === "fail") {
-      result.result = "warn";
-      result.description = resultObj.description + " (hidden element)";
-      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                    "This is reported as a warning rather than an error because the element is not visible " +
-                    "to users, but would fail accessibility requirements if it becomes visible.";
-    } else {
-      result.result = resultObj.result;
-      result.description = resultObj.description;
-      if (resultObj.details) {
-        result.details = resultObj.details;
+  context.path.add(current);
+  try {
+    return computeElementTextAlternative(current, context, isRoot);
+  } finally {
+    context.path.delete(current);
+  }
+}
+
+/**
+ * Compute the text alternative of an element node (accname 1.2 steps 2B to 2I)
+ * @param {Element} current - The element currently being visited
+ * @param {Object} context - Traversal state shared by the recursion
+ * @param {boolean} isRoot - Whether this is the element whose name is being computed
+ * @returns {string} The text alternative of the element
+ */
+function computeElementTextAlternative(current, context, isRoot) {
+  const root = context.root;
+  const role = getElementRole(current);
+  const childContext = { ...context, isDirectReference: false, depth: context.depth + 1 };
+
+  // 2B: LabelledBy - only followed once, never from inside another aria-labelledby traversal
+  if (context.inLabelledbyTraversal && current.hasAttribute('aria-labelledby')) {
+    addNameTraceEntry(context, current, '2B', 'aria-labelledby', null, 'Not followed inside another aria-labelledby traversal');
+  } else if (current.hasAttribute('aria-labelledby')) {
+    const ids = current.getAttribute('aria-labelledby').split(/\s+/).filter(id => id);
+    const referencedElements = [];
+    const brokenIds = [];
+
+    for (const id of ids) {
+      const referencedElement = getElementByIdInTree(current, id);
+      if (referencedElement) {
+        referencedElements.push(referencedElement);
+      } else {
+        brokenIds.push(id);
       }
     }
 
-    return result;
+    if (isRoot) {
+      root._hasBrokenAriaLabelledby = brokenIds.length > 0;
+      root._brokenAriaLabelledbyIds = brokenIds;
+    }
+
+    if (referencedElements.length > 0) {
+      if (brokenIds.length > 0) {
+        addNameTraceEntry(context, current, '2B', 'aria-labelledby', null, `No element found for ID(s): ${brokenIds.join(', ')}`);
+      }
+
+      const parts = referencedElements.map(referencedElement =>
+        computeTextAlternative(referencedElement, {
+          ...childContext,
+          inLabelledbyTraversal: true,
+          isDirectReference: true,
+          // Content of a hidden referenced node is used in full
+          includeHidden: isHiddenFromAccessibleName(referencedElement, true)
+        }).trim()
+      );
+
+      const text = parts.filter(part => part).join(' ');
+      if (text.trim()) {
+        addNameTraceEntry(context, current, '2B', 'aria-labelledby', text);
+        return text;
+      }
+      addNameTraceEntry(context, current, '2B', 'aria-labelledby', null, 'Referenced elements have no text');
+    } else {
+      addNameTraceEntry(context, current, '2B', 'aria-labelledby', null, `No element found for ID(s): ${brokenIds.join(', ')}`);
+    }
   }
 
-  let resultObj;
+  // 2C: Embedded Control - a control inside the label of another element contributes its value
+  if (!isRoot && current !== root) {
+    const embeddedValue = getEmbeddedControlValue(current, role);
+    if (embeddedValue !== null) {
+      addNameTraceEntry(context, current, '2C', `embedded ${role} value`, embeddedValue);
+      return embeddedValue;
+    }
+  }
 
-  // Check for presence of accessible name
-  if (!accessibleName) {
-    // No accessible name at all
-    resultObj = {
-      result: "fail",
-      description: `${elementType} element is missing an accessible name - Screen reader users cannot determine its purpose. Add aria-label, aria-labelledby, or a proper <label>`,
-      details: `Progress indicators need accessible names to identify what is being measured (e.g., "Download progress", "Upload status", etc). The current value is ${percentValue}.`
-    };
-  } else if (accessibleName.trim() === '') {
-    // Empty or whitespace-only accessible name
-    resultObj = {
-      result: "fail",
-      description: `${elementType} element has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
-      details: `Empty accessible names are not announced by screen readers, making it impossible for users to understand the purpose of the progress bar. The current value is ${percentValue}.`
-    };
-  } else if (isPunctuation(accessibleName)) {
-    // Punctuation-only accessible name
-    resultObj = {
-      result: "fail",
-      description: `${elementType} element has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
-      details: `Accessible names consisting only of punctuation characters don't convey the purpose of the progress bar to screen reader users. The current value is ${percentValue}.`
-    };
-  } else if (isGenericLabel(accessibleName)) {
-    // Generic accessible name
-    resultObj = {
-      result: "warn",
-      description: `${elementType} element has generic accessible name "${accessibleName}" - Not descriptive of its purpose. Add more specific text that indicates what is being measured`,
-      details: `Generic terms don't adequately describe what the progress indicator is measuring. The current value is ${percentValue}.`,
-      title: "Generic progress description"
-    };
-  } else if (element._accessibleNameFromTitleOnly) {
-    // Accessible name from title attribute only (not ideal but allowed)
-    resultObj = {
-      result: "warn",
-      description: `${elementType} element uses only title attribute for accessible name "${accessibleName}" - Screen readers handle title inconsistently. Use aria-label or aria-labelledby instead`,
-      details: "The title attribute is not reliably announced by all screen readers and is not visible on mobile devices. It's better to use aria-label or aria-labelledby for accessible names.",
-      title: "Relies on title attribute"
-    };
-  } else if (element._accessibleNameFromLabel && element._labelType === 'wrapped') {
-    // Wrapped labels can be problematic for voice control software
-    resultObj = {
-      result: "warn",
-      description: `${elementType} element is wrapped by a label - May not work with voice control software. Use label with 'for' attribute instead`,
-      details: "When a progress element is wrapped inside a label element, some voice control assistive technologies like Dragon Naturally Speaking may not recognize the association. Using a separate label with a 'for' attribute is more reliable.",
-      title: "Wrapped label may cause issues"
-    };
-  } else {
-    // Has a valid accessible name
-    resultObj = {
-      result: "pass",
-      description: `${elementType} element has an appropriate accessible name`
-    };
+  // 2D: AriaLabel
+  if (current.hasAttribute('aria-label')) {
+    const label = current.getAttribute('aria-label');
+
+    if (label.trim() === '') {
+      // Empty aria-label is ignored by the computation, but reported by the tests
+      if (isRoot) {
+        root._hasEmptyAriaLabel = true;
+      }
+      addNameTraceEntry(context, current, '2D', 'aria-label', null, 'Empty or whitespace-only');
+    } else {
+      if (isRoot && isPunctuation(label)) {
+        root._hasPunctuationOnlyAriaLabel = true;
+      }
+      addNameTraceEntry(context, current, '2D', 'aria-label', label);
+      return label;
+    }
   }
 
-  // Apply the result, downgrading to warning if hidden
-  if (!isVisible && resultObj.result === "fail") {
-    result.result = "warn";
-    result.description = resultObj.description + " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                  "This is reported as a warning rather than an error because the element is not visible " +
-                  "to users, but would fail accessibility requirements if it becomes visible.";
-  } else {
-    result.result = resultObj.result;
-    result.description = resultObj.description;
-    if (resultObj.details) {
-      result.details = resultObj.details;
+  // 2E: Host Language Label
+  if (role !== 'presentation' && role !== 'none') {
+    const nativeText = getNativeTextAlternative(current, context, isRoot);
+    if (nativeText !== null) {
+      return nativeText;
     }
-    if (resultObj.title) {
-      result.title = resultObj.title;
+  } else if (isRoot) {
+    addNameTraceEntry(context, current, '2E', 'native markup', null, `Ignored for role="${role}"`);
+  }
+
+  // 2F: Name From Content, and 2H: Recursive Name From Content for descendants
+  if (allowsNameFromContent(role) || context.inLabelledbyTraversal ||
+      context.inNativeLabelTraversal || context.inContentTraversal) {
+    const contentText = computeNameFromContent(current, childContext);
+    if (contentText.trim()) {
+      if (isRoot || context.isDirectReference) {
+        addNameTraceEntry(context, current, '2F', 'content', contentText);
+      }
+      return contentText;
+    }
+    if (isRoot) {
+      addNameTraceEntry(context, current, '2F', 'content', null, 'No text content');
     }
+  } else if (isRoot) {
+    addNameTraceEntry(context, current, '2F', 'content', null,
+      role ? `Role "${role}" does not allow name from content` : 'Element has no role that allows name from content');
   }
 
-  return result;
+  // 2I: Tooltip Attribute
+  const title = current.getAttribute('title');
+  if (title && title.trim()) {
+    if (isRoot) {
+      // Mark elements that use title-only for accessible name
+      root._accessibleNameFromTitleOnly = true;
+    }
+    addNameTraceEntry(context, current, '2I', 'title', title);
+    return title;
+  }
+
+  // HTML-AAM: text inputs fall back to their placeholder after the title
+  if (isRoot && (current.tagName === 'INPUT' || current.tagName === 'TEXTAREA' ||
+      role === 'textbox' || role === 'searchbox' || role === 'combobox')) {
+    const placeholder = current.getAttribute('placeholder') || current.getAttribute('aria-placeholder');
+    if (placeholder && placeholder.trim()) {
+      root._accessibleNameFromPlaceholder = true;
+      addNameTraceEntry(context, current, '2I', 'placeholder', placeholder);
+      return placeholder;
+    }
+  }
+
+  // HTML-AAM: image buttons with no other name are announced as "Submit"
+  if (current.tagName === 'INPUT' && current.type === 'image') {
+    addNameTraceEntry(context, current, '2I', 'default image button label', 'Submit');
+    return 'Submit';
+  }
+
+  return '';
 }
 
 /**
- * Test a meter element for an accessible name
- * @param {HTMLElement} element - Meter element
- * @returns {Object} Test result
+ * Get the text alternative defined by the host language (accname 1.2 step 2E)
+ * @param {Element} current - The element currently being visited
+ * @param {Object} context - Traversal state shared by the recursion
+ * @param {boolean} isRoot - Whether this is the element whose name is being computed
+ * @returns {string|null} The native text alternative, or null if the markup provides none
  */
-function testMeter(element) {
-  const accessibleName = computeAccessibleName(element);
-  const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
-  const isAriaMeter = role === 'meter';
-  const elementType = isAriaMeter ? 'ARIA meter' : 'Meter';
+function getNativeTextAlternative(current, context, isRoot) {
+  const root = context.root;
+  const tagName = current.tagName;
+  const childContext = { ...context, isDirectReference: false, depth: context.depth + 1 };
+
+  // Images and image map areas use their alt attribute, even when it is empty,
+  // except that an image with empty alt and a title is named by the title (HTML-AAM)
+  if ((tagName === 'IMG' || tagName === 'AREA') && current.hasAttribute('alt')) {
+    const alt = current.getAttribute('alt');
+    const title = current.getAttribute('title');
+    if (!alt && tagName === 'IMG' && title && title.trim()) {
+      addNameTraceEntry(context, current, '2E', 'alt', null, 'Empty alt, so the title is used instead');
+      return null;
+    }
+    addNameTraceEntry(context, current, '2E', 'alt', alt, alt ? null : 'Empty alt marks the image as decorative');
+    return alt;
+  }
 
-  // Check if the element is hidden
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+  if (tagName === 'INPUT') {
+    const type = current.type;
 
-  // Get current value information if available
-  const hasValue = element.hasAttribute('value');
-  const value = hasValue ? element.getAttribute('value') : null;
-  const min = element.hasAttribute('min') ? element.getAttribute('min') : 0;
-  const max = element.hasAttribute('max') ? element.getAttribute('max') : 1;
-  let percentValue = 'Unknown';
+    if (type === 'image' && current.getAttribute('alt')) {
+      addNameTraceEntry(context, current, '2E', 'alt', current.getAttribute('alt'));
+      return current.getAttribute('alt');
+    }
 
-  // Calculate percentage if we have all values
-  if (hasValue && min !== null && max !== null) {
-    const rawValue = parseFloat(value);
-    const rawMin = parseFloat(min);
-    const rawMax = parseFloat(max);
-    if (!isNaN(rawValue) && !isNaN(rawMin) && !isNaN(rawMax) && rawMax > rawMin) {
-      const percentage = ((rawValue - rawMin) / (rawMax - rawMin)) * 100;
-      percentValue = Math.round(percentage) + '%';
+    if (type === 'button' || type === 'submit' || type === 'reset') {
+      if (current.hasAttribute('value')) {
+        addNameTraceEntry(context, current, '2E', 'value', current.value || null, current.value ? null : 'Empty value');
+        return current.value ? current.value : null;
+      }
+      if (type === 'submit' || type === 'reset') {
+        const defaultLabel = type === 'submit' ? 'Submit' : 'Reset';
+        addNameTraceEntry(context, current, '2E', `default ${type} button label`, defaultLabel);
+        return defaultLabel;
+      }
     }
   }
 
-  const result = {
-    tagName: tagName,
-    role: role,
-    selector: generateSelector(element),
-    outerHTML: element.outerHTML,
-    accessibleName: accessibleName,
-    isVisible: isVisible,
-    value: value,
-    percentValue: percentValue
-  };
-
-  // Check for broken aria-labelledby references first
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+  // Labelable elements use their associated <label> elements (for/id and wrapping)
+  if (current.labels && current.labels.length > 0 && !(tagName === 'INPUT' && current.type === 'hidden')) {
+    const labels = Array.from(current.labels);
+    const text = labels
+      .map(label => computeTextAlternative(label, {
+        ...childContext,
+        inNativeLabelTraversal: true,
+        isDirectReference: true,
+        includeHidden: isHiddenFromAccessibleName(label, true)
+      }).trim())
+      .filter(part => part)
+      .join(' ');
+
+    if (text) {
+      if (isRoot) {
+        root._accessibleNameFromLabel = true;
+        // Wrapped labels can be problematic for voice control software
+        root._labelType = labels.some(label => label.contains(current)) ? 'wrapped' : 'external';
+      }
+      addNameTraceEntry(context, current, '2E', 'label element', text);
+      return text;
+    }
+    addNameTraceEntry(context, current, '2E', 'label element', null, 'Associated label has no text');
+  }
 
-    // Create a specific error message for broken aria-labelledby
-    let resultObj = {
-      result: "fail",
-      description: `${elementType} element has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}" - Users cannot determine the meter's purpose`,
-      details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
-    };
+  // Elements that take their name from a specific child element
+  let captionElement = null;
+  if (tagName === 'FIELDSET') {
+    captionElement = findChildByTagName(current, 'LEGEND');
+  } else if (tagName === 'FIGURE') {
+    captionElement = findChildByTagName(current, 'FIGCAPTION');
+  } else if (tagName === 'TABLE') {
+    captionElement = findChildByTagName(current, 'CAPTION');
+  }
 
-    // Apply the result, downgrading to warning if hidden
-    if (!isVisible && resultObj.result === "fail") {
-      result.result = "warn";
-      result.description = resultObj.description + " (hidden element)";
-      result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                    "This is reported as a warning rather than an error because the element is not visible " +
-                    "to users, but would fail accessibility requirements if it becomes visible.";
-    } else {
-      result.result = resultObj.result;
-      result.description = resultObj.description;
-      if (resultObj.details) {
-        result.details = resultObj.details;
-      }
+  if (captionElement) {
+    const text = computeTextAlternative(captionElement, {
+      ...childContext,
+      inNativeLabelTraversal: true
+    });
+    if (text.trim()) {
+      addNameTraceEntry(context, current, '2E', captionElement.tagName.toLowerCase(), text);
+      return text;
     }
+    addNameTraceEntry(context, current, '2E', captionElement.tagName.toLowerCase(), null, 'Element has no text');
+  }
 
-    return result;
+  if ((tagName === 'OPTGROUP' || tagName === 'OPTION') && current.getAttribute('label')) {
+    addNameTraceEntry(context, current, '2E', 'label attribute', current.getAttribute('label'));
+    return current.getAttribute('label');
+  }
+
+  // SVG elements use their <title> child
+  if (current.namespaceURI === 'http://www.w3.org/2000/svg') {
+    const svgTitle = Array.from(current.children).find(child => child.localName === 'title');
+    if (svgTitle && svgTitle.textContent.trim()) {
+      addNameTraceEntry(context, current, '2E', 'svg title', svgTitle.textContent);
+      return svgTitle.textContent;
+    }
   }
 
-  let resultObj;
+  return null;
+}
 
-  // Check for presence of accessible name
-  if (!accessibleName) {
-    // No accessible name at all
-    resultObj = {
-      result: "fail",
-      description: `${elementType} element is missing an accessible name - Screen reader users cannot determine its purpose. Add aria-label, aria-labelledby, or a proper <label>`,
-      details: `Meter elements need accessible names to identify what is being measured (e.g., "Battery level", "Storage space used", etc). The current value is ${percentValue}.`
-    };
-  } else if (accessibleName.trim() === '') {
-    // Empty or whitespace-only accessible name
-    resultObj = {
-      result: "fail",
-      description: `${elementType} element has empty or whitespace-only accessible name - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
-      details: `Empty accessible names are not announced by screen readers, making it impossible for users to understand the purpose of the meter. The current value is ${percentValue}.`
-    };
-  } else if (isPunctuation(accessibleName)) {
-    // Punctuation-only accessible name
-    resultObj = {
-      result: "fail",
-      description: `${elementType} element has punctuation-only accessible name "${accessibleName}" - Not meaningful to screen reader users. Add descriptive aria-label or aria-labelledby`,
-      details: `Accessible names consisting only of punctuation characters don't convey the purpose of the meter to screen reader users. The current value is ${percentValue}.`
-    };
-  } else if (isGenericLabel(accessibleName)) {
-    // Generic accessible name
-    resultObj = {
-      result: "warn",
-      description: `${elementType} element has generic accessible name "${accessibleName}" - Not descriptive of its purpose. Add more specific text that indicates what is being measured`,
-      details: `Generic terms don't adequately describe what the meter is measuring. The current value is ${percentValue}.`,
-      title: "Generic meter description"
-    };
-  } else if (element._accessibleNameFromTitleOnly) {
-    // Accessible name from title attribute only (not ideal but allowed)
-    resultObj = {
-      result: "warn",
-      description: `${elementType} element uses only title attribute for accessible name "${accessibleName}" - Screen readers handle title inconsistently. Use aria-label or aria-labelledby instead`,
-      details: "The title attribute is not reliably announced by all screen readers and is not visible on mobile devices. It's better to use aria-label or aria-labelledby for accessible names.",
-      title: "Relies on title attribute"
-    };
-  } else if (element._accessibleNameFromLabel && element._labelType === 'wrapped') {
-    // Wrapped labels can be problematic for voice control software
-    resultObj = {
-      result: "warn",
-      description: `${elementType} element is wrapped by a label - May not work with voice control software. Use label with 'for' attribute instead`,
-      details: "When a meter element is wrapped inside a label element, some voice control assistive technologies like Dragon Naturally Speaking may not recognize the association. Using a separate label with a 'for' attribute is more reliable.",
-      title: "Wrapped label may cause issues"
-    };
-  } else {
-    // Has a valid accessible name
-    resultObj = {
-      result: "pass",
-      description: `${elementType} element has an appropriate accessible name`
-    };
+/**
+ * Get the value an embedded control contributes to a name (accname 1.2 step 2C)
+ * @param {Element} current - The element currently being visited
+ * @param {string|null} role - The element's role
+ * @returns {string|null} The control's value, or null if the element is not an embedded control
+ */
+function getEmbeddedControlValue(current, role) {
+  if (role === 'textbox' || role === 'searchbox') {
+    if (current.tagName === 'INPUT' || current.tagName === 'TEXTAREA') {
+      return current.value;
+    }
+    return current.textContent;
   }
 
-  // Apply the result, downgrading to warning if hidden
-  if (!isVisible && resultObj.result === "fail") {
-    result.result = "warn";
-    result.description = resultObj.description + " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                  "This is reported as a warning rather than an error because the element is not visible " +
-                  "to users, but would fail accessibility requirements if it becomes visible.";
-  } else {
-    result.result = resultObj.result;
-    result.description = resultObj.description;
-    if (resultObj.details) {
-      result.details = resultObj.details;
+  if (role === 'combobox' || role === 'listbox') {
+    if (current.tagName === 'SELECT') {
+      return Array.from(current.selectedOptions).map(option => option.textContent.trim()).join(' ');
     }
-    if (resultObj.title) {
-      result.title = resultObj.title;
+    if (current.tagName === 'INPUT') {
+      return current.value;
     }
+    const selectedOptions = current.querySelectorAll('[role="option"][aria-selected="true"]');
+    return Array.from(selectedOptions).map(option => option.textContent.trim()).join(' ');
   }
 
-  return result;
+  const rangeRoles = ['slider', 'spinbutton', 'progressbar', 'scrollbar', 'meter'];
+  if (rangeRoles.includes(role)) {
+    if (current.hasAttribute('aria-valuetext')) {
+      return current.getAttribute('aria-valuetext');
+    }
+    if (current.hasAttribute('aria-valuenow')) {
+      return current.getAttribute('aria-valuenow');
+    }
+    if ('value' in current && current.value !== undefined) {
+      return String(current.value);
+    }
+    return '';
+  }
+
+  return null;
 }
 
 /**
- * Test a generic element with role="img" for an accessible name
- * @param {HTMLElement} element - Element with role="img" that is not an SVG
- * @returns {Object} Result object with pass/fail status and details
+ * Compute a name from the content of an element (accname 1.2 step 2F)
+ * @param {Element} current - The element whose content is used
+ * @param {Object} context - Traversal state shared by the recursion
+ * @returns {string} The accumulated text of the element's content
  */
-function testElementWithRoleImg(element) {
-  // More detailed debugging
-  console.log(`Testing element with role="img": ${element.tagName}, id="${element.id}", class="${element.className}"`);
+function computeNameFromContent(current, context) {
+  const childContext = { ...context, inContentTraversal: true };
+  let text = getPseudoElementText(current, '::before');
+  if (text.trim()) {
+    addNameTraceEntry(context, current, '2F', 'CSS ::before content', text);
+  }
 
-  const accessibleName = computeAccessibleName(element);
-  console.log(`  Accessible name: "${accessibleName}"`);
+  for (const child of getFlatTreeChildren(current)) {
+    let childText = computeTextAlternative(child, childContext);
 
-  // Check if the element is hidden using our helper function
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+    // Block-level elements and line breaks separate words
+    if (child.nodeType === Node.ELEMENT_NODE && (child.tagName === 'BR' || isBlockLevelElement(child))) {
+      childText = ` ${childText} `;
+    }
 
-  const result = {
-    tagName: element.tagName.toLowerCase(),
-    selector: generateSelector(element),
-    outerHTML: element.outerHTML,
-    accessibleName: accessibleName,
-    isVisible: isVisible
-  };
+    text += childText;
+  }
 
-  let resultObj = null;
+  const afterText = getPseudoElementText(current, '::after');
+  if (afterText.trim()) {
+    addNameTraceEntry(context, current, '2F', 'CSS ::after content', afterText);
+  }
 
-  // Create a more descriptive element label (div[role="img"], span[role="img"], etc.)
-  // Make it very prominent with uppercase and brackets for visibility in reports
-  const elementLabel = `【${element.tagName.toUpperCase()}[role="img"]】`;
+  return text + afterText;
+}
 
-  // Check for broken aria-labelledby references first
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+/**
+ * Get the children of a node in the flat tree: the contents of an open shadow
+ * root for shadow hosts, and the assigned nodes (or fallback content) for slots
+ * @param {Element} element - Element to get the children of
+ * @returns {Array} Array of child nodes
+ */
+function getFlatTreeChildren(element) {
+  if (element.shadowRoot) {
+    return Array.from(element.shadowRoot.childNodes);
+  }
 
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: Broken aria-labelledby reference`,
-      details: `The aria-labelledby attribute references IDs that don't exist: "${element._brokenAriaLabelledbyIds.join(', ')}". Screen readers cannot determine the element's purpose.`
-    };
-  } else if (!accessibleName) {
-    // Missing accessible name
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: Missing accessible name`,
-      details: "Elements with role=\"img\" must have an accessible name via aria-label, aria-labelledby, or other accessible name computation."
-    };
-  } else if (isWhitespaceOnly(accessibleName)) {
-    // Whitespace-only accessible name
-    // Override the accessibleName completely to prevent it from appearing in reports
-    result.accessibleName = '';
+  if (element.tagName === 'SLOT') {
+    const assignedNodes = element.assignedNodes({ flatten: true });
+    if (assignedNodes.length > 0) {
+      return assignedNodes;
+    }
+  }
 
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: Whitespace-only accessible name`,
-      details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the element inaccessible to screen reader users."
-    };
-  } else if (isPunctuation(accessibleName)) {
-    // Punctuation-only accessible name
-    // Override the accessibleName completely to prevent it from appearing in reports
-    result.accessibleName = '';
+  return Array.from(element.childNodes);
+}
 
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: Punctuation-only accessible name`,
-      details: "Accessible names consisting only of punctuation characters don't provide meaningful information to screen reader users."
-    };
-  } else if (accessibleName.includes('<') && accessibleName.includes('>')) {
-    // Don't include the actual accessible name in the result for HTML markup
-    result.accessibleName = ''; // Override the accessibleName in the result
+/**
+ * Get the text a CSS ::before or ::after pseudo-element adds to an element
+ * @param {Element} element - Element to check
+ * @param {string} pseudo - '::before' or '::after'
+ * @returns {string} The generated text, or an empty string
+ */
+function getPseudoElementText(element, pseudo) {
+  try {
+    const content = window.getComputedStyle(element, pseudo).content;
+    if (!content || content === 'none' || content === 'normal') {
+      return '';
+    }
 
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: HTML markup in accessible name`,
-      details: "HTML tags in accessible names are not rendered properly by screen readers and can cause confusion. Use plain text without markup in accessible names."
-    };
-  } else if (isFilenameInText(accessibleName)) {
-    // Filename as accessible name
-    // Override the accessibleName completely to prevent it from appearing in reports
-    result.accessibleName = '';
+    // Quoted strings only; counters, attr() and images are ignored.
+    // CSS alternative text ("content" / "alt") replaces the visible text.
+    const [visiblePart, altPart] = content.split(/\s\/\s/);
+    const source = altPart !== undefined ? altPart : visiblePart;
+    const strings = source.match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g) || [];
+    const text = strings.map(str => str.slice(1, -1)).join('');
 
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: Filename as accessible name`,
-      details: "Filenames do not adequately describe the content or purpose of an element to screen reader users."
-    };
-  } else if (isUrlInText(accessibleName)) {
-    // URL as accessible name
-    // Override the accessibleName completely to prevent it from appearing in reports
-    result.accessibleName = '';
+    if (!text) return '';
+    const display = window.getComputedStyle(element, pseudo).display;
+    return display && !display.startsWith('inline') ? ` ${text} ` : text;
+  } catch (e) {
+    return '';
+  }
+}
 
-    resultObj = {
-      result: "fail",
-      description: `${elementLabel}: URL as accessible name`,
-      details: "URLs do not adequately describe the content or purpose of an element to screen reader users."
-    };
-  } else if (accessibleName.toLowerCase().startsWith('image ') ||
-             accessibleName.toLowerCase().includes('image of')) {
-    // Redundant "image" text in accessible name
-    resultObj = {
-      result: "warn",
-      description: `${elementLabel}: Redundant "image" in accessible name`,
-      details: "Screen readers already announce the element as an image, so including 'image' or 'image of' in the accessible name is redundant and creates a poor user experience.",
-      title: "Redundant text"
-    };
-  } else if (isGenericLabel(accessibleName)) {
-    // Generic accessible name
-    resultObj = {
-      result: "warn",
-      description: `${elementLabel}: Generic accessible name`,
-      details: "Generic terms don't adequately describe the content or purpose of an element to screen reader users.",
-      title: "Generic description"
-    };
-  } else {
-    // Has an appropriate accessible name
-    resultObj = {
-      result: "pass",
-      description: `${elementLabel}: Has appropriate accessible name`
-    };
+/**
+ * Check if an element is rendered as a block, so its text is separated from its siblings
+ * @param {Element} element - Element to check
+ * @returns {boolean} True if the element is block-level
+ */
+function isBlockLevelElement(element) {
+  try {
+    const display = window.getComputedStyle(element).display;
+    return !!display && !display.startsWith('inline') && display !== 'contents' && display !== 'none';
+  } catch (e) {
+    return false;
   }
+}
 
-  // Apply the result, downgrading to warning if hidden
-  if (!isVisible && resultObj.result === "fail") {
-    result.result = "warn";
-    result.description = resultObj.description + " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                  "This is reported as a warning rather than an error because the element is not visible " +
-                  "to users, but would fail accessibility requirements if it becomes visible.";
-  } else {
-    result.result = resultObj.result;
-    result.description = resultObj.description;
-    if (resultObj.details) {
-      result.details = resultObj.details;
+/**
+ * Check if a node is hidden for the purposes of the accessible name computation.
+ * Unlike isElementHidden, opacity does not hide content from assistive technologies.
+ * @param {Element} element - Element to check
+ * @param {boolean} checkAncestors - Whether hidden ancestors also hide the element
+ * @returns {boolean} True if the element is hidden from assistive technologies
+ */
+function isHiddenFromAccessibleName(element, checkAncestors = false) {
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (current.getAttribute('aria-hidden') === 'true' || current.hasAttribute('hidden')) {
+      return true;
     }
-    if (resultObj.title) {
-      result.title = resultObj.title;
+
+    const computedStyle = window.getComputedStyle(current);
+    if (computedStyle.display === 'none') {
+      return true;
+    }
+
+    // Visibility is inherited, so only the element itself needs checking
+    if (current === element &&
+        (computedStyle.visibility === 'hidden' || computedStyle.visibility === 'collapse')) {
+      return true;
     }
+
+    if (!checkAncestors) break;
+    current = getFlatTreeParent(current);
+  }
+
+  return false;
+}
+
+/**
+ * Find an element by ID in the same document or shadow tree as another element
+ * @param {Element} element - Element whose tree is searched
+ * @param {string} id - ID to look for
+ * @returns {Element|null} The element with that ID
+ */
+function getElementByIdInTree(element, id) {
+  const rootNode = element.getRootNode();
+  if (rootNode && typeof rootNode.getElementById === 'function') {
+    return rootNode.getElementById(id);
+  }
+  return document.getElementById(id);
+}
+
+/**
+ * Find the first child element with the given tag name
+ * @param {Element} element - Parent element
+ * @param {string} tagName - Upper-case tag name to look for
+ * @returns {Element|null} The first matching child
+ */
+function findChildByTagName(element, tagName) {
+  return Array.from(element.children).find(child => child.tagName === tagName) || null;
+}
+
+/**
+ * Check if a role allows its name to be computed from its content (WAI-ARIA 1.2)
+ * @param {string|null} role - The element's role
+ * @returns {boolean} True if the role supports name from content
+ */
+function allowsNameFromContent(role) {
+  const rolesThatUseContent = [
+    'button', 'cell', 'checkbox', 'columnheader', 'gridcell', 'heading', 'link',
+    'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'radio', 'row',
+    'rowheader', 'switch', 'tab', 'tooltip', 'treeitem'
+  ];
+
+  return rolesThatUseContent.includes(role);
+}
+
+/**
+ * Get the role of an element - the first valid explicit role, otherwise its implicit role
+ * @param {Element} element - Element to get the role of
+ * @returns {string|null} The role, or null if the element has no role
+ */
+function getElementRole(element) {
+  const validRoles = [
+    'alert', 'alertdialog', 'application', 'article', 'banner', 'blockquote', 'button',
+    'caption', 'cell', 'checkbox', 'code', 'columnheader', 'combobox', 'complementary',
+    'contentinfo', 'definition', 'deletion', 'dialog', 'directory', 'document', 'emphasis',
+    'feed', 'figure', 'form', 'generic', 'grid', 'gridcell', 'group', 'heading', 'img',
+    'insertion', 'link', 'list', 'listbox', 'listitem', 'log', 'main', 'marquee', 'math',
+    'menu', 'menubar', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'meter', 'navigation',
+    'none', 'note', 'option', 'paragraph', 'presentation', 'progressbar', 'radio',
+    'radiogroup', 'region', 'row', 'rowgroup', 'rowheader', 'scrollbar', 'search',
+    'searchbox', 'separator', 'slider', 'spinbutton', 'status', 'strong', 'subscript',
+    'superscript', 'switch', 'tab', 'table', 'tablist', 'tabpanel', 'term', 'textbox',
+    'time', 'timer', 'toolbar', 'tooltip', 'tree', 'treegrid', 'treeitem', 'video'
+  ];
+
+  const explicitRoles = (element.getAttribute('role') || '').trim().toLowerCase().split(/\s+/);
+  const explicitRole = explicitRoles.find(role => validRoles.includes(role));
+  if (explicitRole) {
+    return explicitRole;
   }
 
-  return result;
+  return getImplicitRole(element);
 }
 
 /**
- * Test a media element for an accessible name
- * @param {HTMLElement} element - Media element (audio/video)
- * @returns {Object} Test result
+ * Get the implicit ARIA role of an element from its markup (HTML-AAM)
+ * @param {Element} element - Element to get the role of
+ * @returns {string|null} The implicit role, or null if the element has none
  */
-function testMedia(element) {
-  const accessibleName = computeAccessibleName(element);
+function getImplicitRole(element) {
   const tagName = element.tagName.toLowerCase();
-  const isAriaVideo = element.getAttribute('role') === 'video';
-  const elementType = isAriaVideo ? 'ARIA video' : tagName;
-  
-  const result = {
-    tagName: tagName,
-    role: isAriaVideo ? 'video' : null,
-    selector: generateSelector(element),
-    outerHTML: element.outerHTML,
-    accessibleName: accessibleName
-  };
-  
-  // Check if the media element has an accessible name
-  if (!accessibleName) {
-    result.result = "fail";
-    result.description = `${capitalizeFirstLetter(elementType)} is missing an accessible name`;
-  } else if (accessibleName.trim() === '') {
-    result.result = "fail";
-    result.description = `${capitalizeFirstLetter(elementType)} has empty or whitespace-only accessible name`;
-  } else {
-    result.result = "pass";
-    result.description = `${capitalizeFirstLetter(elementType)} has an accessible name`;
+
+  switch (tagName) {
+    case 'a':
+    case 'area':
+      return element.hasAttribute('href') ? 'link' : null;
+    case 'article': return 'article';
+    case 'aside': return 'complementary';
+    case 'blockquote': return 'blockquote';
+    case 'button': return 'button';
+    case 'caption': return 'caption';
+    case 'code': return 'code';
+    case 'dd': return 'definition';
+    case 'del': return 'deletion';
+    case 'details': return 'group';
+    case 'dialog': return 'dialog';
+    case 'dt': return 'term';
+    case 'em': return 'emphasis';
+    case 'fieldset': return 'group';
+    case 'figure': return 'figure';
+    case 'form': return 'form';
+    case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+      return 'heading';
+    case 'hr': return 'separator';
+    case 'img':
+      return element.getAttribute('alt') === '' && !element.hasAttribute('title') ? 'presentation' : 'img';
+    case 'ins': return 'insertion';
+    case 'li': return 'listitem';
+    case 'main': return 'main';
+    case 'menu': case 'ol': case 'ul':
+      return 'list';
+    case 'meter': return 'meter';
+    case 'nav': return 'navigation';
+    case 'optgroup': return 'group';
+    case 'option': return 'option';
+    case 'output': return 'status';
+    case 'p': return 'paragraph';
+    case 'progress': return 'progressbar';
+    case 'search': return 'search';
+    case 'strong': return 'strong';
+    case 'sub': return 'subscript';
+    case 'sup': return 'superscript';
+    case 'svg': return 'graphics-document';
+    case 'table': return 'table';
+    case 'tbody': case 'tfoot': case 'thead':
+      return 'rowgroup';
+    case 'td': return 'cell';
+    case 'textarea': return 'textbox';
+    case 'th':
+      return element.getAttribute('scope') === 'row' ? 'rowheader' : 'columnheader';
+    case 'time': return 'time';
+    case 'tr': return 'row';
+    case 'header':
+    case 'footer':
+      // Only scoped to the page when not inside sectioning content
+      if (element.closest('article, aside, main, nav, section')) {
+        return 'generic';
+      }
+      return tagName === 'header' ? 'banner' : 'contentinfo';
+    case 'section':
+      return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby') ||
+             element.hasAttribute('title') ? 'region' : 'generic';
+    case 'select':
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    case 'input':
+      return getInputRole(element);
+    default:
+      return null;
   }
-  
-  return result;
 }
 
 /**
- * Test an element with tabindex for an accessible name
- * @param {HTMLElement} element - Element with tabindex
- * @returns {Object} Test result
+ * Get the implicit role of an <input> element from its type
+ * @param {HTMLInputElement} element - Input element
+ * @returns {string|null} The implicit role
  */
-function testElementWithTabindex(element) {
-  // Skip elements that are already interactive or have roles that don't require accessible names
-  // Elements with ARIA roles like "button" will be tested by their respective role-specific testers
-  if (element.tagName === 'A' || element.tagName === 'BUTTON' || element.tagName === 'INPUT' ||
-      element.tagName === 'SELECT' || element.tagName === 'TEXTAREA' || element.tagName === 'IFRAME' ||
-      element.getAttribute('role') === 'presentation' || element.getAttribute('role') === 'none' ||
-      // Skip elements with interactive roles as they'll be tested by their role-specific testers
-      element.getAttribute('role') === 'button' || element.getAttribute('role') === 'link' ||
-      element.getAttribute('role') === 'checkbox' || element.getAttribute('role') === 'menuitem' ||
-      element.getAttribute('role') === 'tab' || element.getAttribute('role') === 'menuitemcheckbox' ||
-      element.getAttribute('role') === 'menuitemradio' || element.getAttribute('role') === 'radio' ||
-      element.getAttribute('role') === 'switch' || element.getAttribute('role') === 'textbox') {
-    return null;
+function getInputRole(element) {
+  const type = (element.getAttribute('type') || 'text').toLowerCase();
+
+  switch (type) {
+    case 'button':
+    case 'image':
+    case 'reset':
+    case 'submit':
+      return 'button';
+    case 'checkbox': return 'checkbox';
+    case 'radio': return 'radio';
+    case 'range': return 'slider';
+    case 'number': return 'spinbutton';
+    case 'search':
+      return element.hasAttribute('list') ? 'combobox' : 'searchbox';
+    case 'email':
+    case 'tel':
+    case 'text':
+    case 'url':
+      return element.hasAttribute('list') ? 'combobox' : 'textbox';
+    case 'hidden':
+      return null;
+    default:
+      return 'textbox';
   }
+}
 
-  const accessibleName = computeAccessibleName(element);
-  const tabindex = element.getAttribute('tabindex');
+/**
+ * Compute the accessible description for an element
+ *
+ * Follows the description rules of accname 1.2: aria-describedby, then
+ * aria-description, then host language sources (SVG <desc>, and the title
+ * and placeholder attributes when they were not already used for the name).
+ * Broken aria-describedby references are stored on the element as
+ * _brokenAriaDescribedbyIds.
+ *
+ * @param {HTMLElement} element - Element to compute the accessible description for
+ * @returns {string} The element's accessible description
+ */
+function computeAccessibleDescription(element) {
+  element._brokenAriaDescribedbyIds = [];
+  element._accessibleDescriptionSource = null;
+
+  // The name decides whether title and placeholder are still available as descriptions
+  computeAccessibleName(element);
+
+  const context = {
+    root: element,
+    path: new Set([element]),
+    inLabelledbyTraversal: true,
+    inNativeLabelTraversal: false,
+    inContentTraversal: false,
+    isDirectReference: true,
+    includeHidden: false,
+    trace: null,
+    depth: 0
+  };
 
-  // Only test elements with non-negative tabindex (tabindex="0" or positive values)
-  if (tabindex && parseInt(tabindex) < 0) {
-    return null;
-  }
+  // aria-describedby: compute the text alternative of each referenced node
+  if (element.hasAttribute('aria-describedby')) {
+    const ids = element.getAttribute('aria-describedby').split(/\s+/).filter(id => id);
+    const parts = [];
 
-  // Special handling for container elements like headings, which get their accessible name from their content
-  // This includes headings, list items, and other container elements
-  if (element.tagName === 'H1' || element.tagName === 'H2' || element.tagName === 'H3' ||
-      element.tagName === 'H4' || element.tagName === 'H5' || element.tagName === 'H6' ||
-      element.tagName === 'LI' || element.tagName === 'DT' || element.tagName === 'DD' ||
-      element.tagName === 'FIGURE' || element.tagName === 'FIGCAPTION' ||
-      element.tagName === 'P' || element.tagName === 'DIV' || element.tagName === 'SPAN' ||
-      element.getAttribute('role') === 'heading' || element.getAttribute('role') === 'listitem') {
+    for (const id of ids) {
+      const referencedElement = getElementByIdInTree(element, id);
+      if (!referencedElement) {
+        element._brokenAriaDescribedbyIds.push(id);
+        continue;
+      }
 
-    // If the container element has text content, it has an accessible name
-    if (element.textContent && element.textContent.trim() !== '') {
-      return null;  // Skip the test as container elements with content have accessible names
-    }
-  }
+      const text = computeTextAlternative(referencedElement, {
+        ...context,
+        // Content of a hidden referenced node is used in full
+        includeHidden: isHiddenFromAccessibleName(referencedElement, true)
+      }).trim();
 
-  // Check if the element is hidden using our helper function
-  const isHidden = isElementHidden(element);
-  const isVisible = !isHidden;
+      if (text) {
+        parts.push(text);
+      }
+    }
 
-  const result = {
-    tagName: element.tagName.toLowerCase(),
-    role: element.getAttribute('role'),
-    selector: generateSelector(element),
-    outerHTML: element.outerHTML,
-    accessibleName: accessibleName,
-    isVisible: isVisible
-  };
+    const description = parts.join(' ').replace(/\s+/g, ' ').trim();
+    if (description) {
+      element._accessibleDescriptionSource = 'aria-describedby';
+      return description;
+    }
+  }
 
-  // Check for broken aria-labelledby references first
-  if (element.hasAttribute('aria-labelledby') && element._hasBrokenAriaLabelledby) {
-    // Add the broken IDs to the result
-    result.brokenAriaLabelledby = true;
-    result.brokenAriaLabelledbyIds = element._brokenAriaLabelledbyIds;
+  const ariaDescription = (element.getAttribute('aria-description') || '').replace(/\s+/g, ' ').trim();
+  if (ariaDescription) {
+    element._accessibleDescriptionSource = 'aria-description';
+    return ariaDescription;
+  }
 
-    // Create a specific error message for broken aria-labelledby
-    result.result = "fail"; // This is an error, not a warning
-    result.description = `Element with tabindex=${tabindex} has aria-labelledby referencing non-existent IDs: "${element._brokenAriaLabelledbyIds.join(', ')}"`;
+  // SVG elements use their <desc> child
+  if (element.namespaceURI === 'http://www.w3.org/2000/svg') {
+    const svgDesc = Array.from(element.children).find(child => child.localName === 'desc');
+    if (svgDesc && svgDesc.textContent.trim()) {
+      element._accessibleDescriptionSource = 'desc';
+      return svgDesc.textContent.replace(/\s+/g, ' ').trim();
+    }
   }
-  // Otherwise check if the element with tabindex has an accessible name
-  else if (!accessibleName) {
-    result.result = "fail"; // Changed from "warn" to "fail" - missing name on focusable element is an error
-    result.description = `Element with tabindex=${tabindex} is missing an accessible name - Screen readers announce this as "clickable item" with no context. Add aria-label, aria-labelledby, or descriptive text content`;
-  } else if (accessibleName.trim() === '') {
-    result.result = "fail"; // Changed from "warn" to "fail" - empty name on focusable element is an error
-    result.description = `Element with tabindex=${tabindex} has empty or whitespace-only accessible name - This provides no meaningful information to screen reader users. Add descriptive aria-label, aria-labelledby, or text content`;
-  } else {
-    result.result = "pass";
-    result.description = `Element with tabindex=${tabindex} has an accessible name`;
+
+  const title = (element.getAttribute('title') || '').replace(/\s+/g, ' ').trim();
+  if (title && !element._accessibleNameFromTitleOnly) {
+    element._accessibleDescriptionSource = 'title';
+    return title;
   }
 
-  // If the element has an accessibility issue but is hidden, downgrade to a warning
-  if (!isVisible && result.result === "fail") {
-    result.result = "warn";
-    result.description = result.description + " (hidden element)";
-    result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
-                   "This is reported as a warning rather than an error because the element is not visible " +
-                   "to users, but would fail accessibility requirements if it becomes visible.";
+  if ((element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') && !element._accessibleNameFromPlaceholder) {
+    const placeholder = (element.getAttribute('placeholder') || '').replace(/\s+/g, ' ').trim();
+    if (placeholder) {
+      element._accessibleDescriptionSource = 'placeholder';
+      return placeholder;
+    }
   }
 
-  return result;
+  return '';
 }
 
+// Reports description problems; not registered, since it runs once for every tested element
+const DESCRIPTION_RULE = {
+  id: 'accessible-description',
+  wcag: [],
+  act: [],
+  description: 'Accessible descriptions reference existing IDs and add to the name'
+};
+
 /**
- * Check if an element has an implicit label parent (is nested within a label element)
- * @param {HTMLElement} element - Element to check for implicit label
- * @returns {boolean} True if the element has an implicit label parent
+ * Add an element's accessible description to each of its rule results and
+ * report description problems once for the element
+ *
+ * The description is computed once. When aria-describedby points at IDs that
+ * don't exist, or the description only repeats the name, a single warning is
+ * added alongside the rule results.
+ *
+ * @param {HTMLElement} element - The tested element
+ * @param {Array} results - The element's results from every rule that tested it
+ * @returns {Array} The results, plus a description result if there is a problem
  */
-function hasImplicitLabelParent(element) {
-  // Find closest label ancestor
-  let parent = element.parentElement;
-  while (parent) {
-    if (parent.tagName === 'LABEL') {
-      // Check if this is truly an implicit label (no 'for' attribute or 'for' pointing to a different element)
-      const forAttribute = parent.getAttribute('for');
-      if (!forAttribute) {
-        // No 'for' attribute - this is an implicit label
-        return true;
-      } else if (element.id && forAttribute !== element.id) {
-        // 'for' attribute points to a different element - this is an explicit label for something else
-        return false;
-      }
-      // Otherwise, it's an explicit label for this element
-      return false;
+function addDescriptionResults(element, results) {
+  if (results.length === 0) {
+    return results;
+  }
+
+  const accessibleDescription = computeAccessibleDescription(element);
+  const accessibleDescriptionSource = element._accessibleDescriptionSource;
+  const brokenIds = element._brokenAriaDescribedbyIds;
+  const accessibleName = (results[0].accessibleName || '').replace(/\s+/g, ' ').trim();
+  const descriptionDuplicatesName = !!accessibleDescription && !!accessibleName &&
+    accessibleDescription.toLowerCase() === accessibleName.toLowerCase();
+
+  const addDescription = (result) => {
+    result.accessibleDescription = accessibleDescription;
+    result.accessibleDescriptionSource = accessibleDescriptionSource;
+    result.descriptionDuplicatesName = descriptionDuplicatesName;
+    if (brokenIds.length > 0) {
+      result.brokenAriaDescribedby = true;
+      result.brokenAriaDescribedbyIds = brokenIds;
     }
-    parent = parent.parentElement;
+    result.announcement = computeAnnouncement(element, result.accessibleName, accessibleDescription);
+  };
+
+  results.forEach(addDescription);
+
+  if (brokenIds.length === 0 && !descriptionDuplicatesName) {
+    return results;
   }
-  return false;
+
+  const elementType = capitalizeFirstLetter(getElementRole(element) || element.tagName.toLowerCase());
+  const descriptionResult = {
+    tagName: element.tagName.toLowerCase(),
+    role: element.getAttribute('role'),
+    selector: results[0].selector,
+    outerHTML: results[0].outerHTML,
+    accessibleName: results[0].accessibleName,
+    result: "warn"
+  };
+
+  if (brokenIds.length > 0) {
+    descriptionResult.issueCode = 'describedby-broken-ref';
+    descriptionResult.description = `${elementType} has a broken aria-describedby reference`;
+    descriptionResult.details = `The aria-describedby attribute references IDs that don't exist: "${brokenIds.join(', ')}". Screen readers will not announce the intended description.`;
+  } else {
+    descriptionResult.issueCode = 'description-duplicates-name';
+    descriptionResult.description = `${elementType} accessible description duplicates the accessible name`;
+    descriptionResult.details = `The accessible description "${accessibleDescription}" repeats the accessible name, so screen readers announce the same text twice. Remove the duplicate or make the description add new information.`;
+  }
+
+  addDescription(descriptionResult);
+  return results.concat(stampRuleResult(DESCRIPTION_RULE, element, descriptionResult));
 }
 
+// How each role is spoken in the announcement preview
+// Roles not listed are spoken as-is; generic roles are not spoken at all
+const ROLE_ANNOUNCEMENTS = {
+  alertdialog: 'alert dialog',
+  banner: 'banner landmark',
+  columnheader: 'column header',
+  combobox: 'combo box',
+  complementary: 'complementary landmark',
+  contentinfo: 'content info landmark',
+  gridcell: 'cell',
+  img: 'image',
+  listbox: 'list box',
+  main: 'main landmark',
+  menuitem: 'menu item',
+  menuitemcheckbox: 'menu item checkbox',
+  menuitemradio: 'menu item radio',
+  navigation: 'navigation landmark',
+  progressbar: 'progress bar',
+  radio: 'radio button',
+  rowheader: 'row header',
+  search: 'search landmark',
+  searchbox: 'search edit text',
+  spinbutton: 'spin button',
+  tabpanel: 'tab panel',
+  textbox: 'edit text',
+  treeitem: 'tree item'
+};
+
+const UNSPOKEN_ROLES = ['generic', 'none', 'presentation', 'paragraph'];
+
+// Roles whose value is announced after their states
+const VALUE_ROLES = ['textbox', 'searchbox', 'combobox', 'slider', 'spinbutton', 'progressbar', 'meter', 'scrollbar'];
+
 /**
- * Compute the accessible name for an element
- * @param {HTMLElement} element - Element to compute the accessible name for
- * @returns {string} The element's accessible name
+ * Build a speech-style preview of what a screen reader announces for an
+ * element: name, role, states, value and description, e.g.
+ * "Subscribe, checkbox, not checked, required"
+ * Real screen readers differ in wording and order, so this is an approximation.
+ * @param {Element} element - Element to describe
+ * @param {string} accessibleName - The element's accessible name
+ * @param {string} accessibleDescription - The element's accessible description
+ * @returns {string} The announcement
  */
-function computeAccessibleName(element) {
-  // Special handling for fieldsets - legend must be first child to be considered valid
-  if (element.tagName === 'FIELDSET') {
-    const legend = element.querySelector('legend');
-    if (legend && legend === element.firstElementChild && legend.textContent.trim() !== '') {
-      return legend.textContent.trim();
+function computeAnnouncement(element, accessibleName, accessibleDescription) {
+  const role = getElementRole(element);
+  const parts = [];
+
+  const name = (accessibleName || '').replace(/\s+/g, ' ').trim();
+  if (name) {
+    parts.push(name);
+  }
+
+  if (role && !UNSPOKEN_ROLES.includes(role)) {
+    if (role === 'heading') {
+      parts.push(`heading level ${getHeadingLevel(element)}`);
+    } else {
+      parts.push(ROLE_ANNOUNCEMENTS[role] || role);
     }
   }
 
-  // Check for aria-labelledby
-  if (element.hasAttribute('aria-labelledby')) {
-    const ids = element.getAttribute('aria-labelledby').split(/\s+/);
-    let name = '';
+  parts.push(...getAnnouncedStates(element, role));
 
-    // Check for broken aria-labelledby references
-    let hasBrokenReferences = false;
-    let brokenIds = [];
+  const value = getAnnouncedValue(element, role);
+  if (value && value !== name) {
+    parts.push(value);
+  }
 
-    for (const id of ids) {
-      const labelElement = document.getElementById(id);
-      if (labelElement) {
-        name += (name ? ' ' : '') + labelElement.textContent.trim();
-      } else {
-        // Track broken references
-        hasBrokenReferences = true;
-        brokenIds.push(id);
-      }
-    }
+  const description = (accessibleDescription || '').replace(/\s+/g, ' ').trim();
+  if (description) {
+    parts.push(description);
+  }
 
-    // Store information about broken aria-labelledby references on the element
-    element._hasBrokenAriaLabelledby = hasBrokenReferences;
-    element._brokenAriaLabelledbyIds = brokenIds;
+  return parts.join(', ');
+}
 
-    if (name) return name;
-  }
-  
-  // Check for aria-label
-  if (element.hasAttribute('aria-label')) {
-    const label = element.getAttribute('aria-label');
-    // Store if aria-label exists but is empty or whitespace-only
-    if (label === '' || (label && label.trim() === '')) {
-      element._hasEmptyAriaLabel = true;
-      // Return empty string to properly trigger missing accessible name checks
-      return '';
+/**
+ * Get the states a screen reader announces for an element
+ * @param {Element} element - Element to describe
+ * @param {string|null} role - The element's role
+ * @returns {Array} State phrases, e.g. ['not checked', 'required']
+ */
+function getAnnouncedStates(element, role) {
+  const states = [];
+
+  // Checked state, from the native control or aria-checked
+  if (['checkbox', 'radio', 'switch', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+    let checked = element.getAttribute('aria-checked');
+    if (element.tagName === 'INPUT' && (element.type === 'checkbox' || element.type === 'radio')) {
+      checked = element.indeterminate ? 'mixed' : String(element.checked);
     }
-    // Check if aria-label contains only punctuation
-    if (label && isPunctuation(label)) {
-      element._hasPunctuationOnlyAriaLabel = true;
-      // We'll still return the label, but flag this as an issue
+
+    if (role === 'switch') {
+      states.push(checked === 'true' ? 'on' : 'off');
+    } else if (checked === 'mixed') {
+      states.push('partially checked');
+    } else {
+      states.push(checked === 'true' ? 'checked' : 'not checked');
     }
-    if (label) return label;
   }
-  
-  // Check for label element (for form controls and interactive elements)
-  if (element.id && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT' || element.tagName === 'PROGRESS' || element.tagName === 'METER')) {
-    const labelElement = document.querySelector(`label[for="${element.id}"]`);
-    if (labelElement) {
-      // Found a label referencing the element by ID
-      // For progress elements, just store the fact that a label is used
-      if (element.tagName === 'PROGRESS' || element.tagName === 'METER') {
-        element._accessibleNameFromLabel = true;
-        element._labelType = 'external'; // Label references element with 'for' attribute
-      }
-      return labelElement.textContent.trim();
-    }
 
-    // Check for wrapping label
-    const parentLabel = element.closest('label');
-    if (parentLabel) {
-      // Clone the label to avoid modifying the DOM
-      const labelClone = parentLabel.cloneNode(true);
+  const pressed = element.getAttribute('aria-pressed');
+  if (pressed === 'true' || pressed === 'false' || pressed === 'mixed') {
+    states.push({ true: 'pressed', false: 'not pressed', mixed: 'partially pressed' }[pressed]);
+  }
 
-      // Remove the element itself from the clone
-      const elementInLabel = labelClone.querySelector(`#${element.id}`);
-      if (elementInLabel) {
-        elementInLabel.parentNode.removeChild(elementInLabel);
-      }
+  // A <summary> is expanded when its <details> is open
+  let expanded = element.getAttribute('aria-expanded');
+  if (!expanded && element.tagName === 'SUMMARY' && element.parentElement && element.parentElement.tagName === 'DETAILS') {
+    expanded = String(element.parentElement.open);
+  }
+  if (expanded === 'true' || expanded === 'false') {
+    states.push(expanded === 'true' ? 'expanded' : 'collapsed');
+  }
 
-      // For progress elements, store the fact that a wrapping label is used
-      if (element.tagName === 'PROGRESS' || element.tagName === 'METER') {
-        element._accessibleNameFromLabel = true;
-        element._labelType = 'wrapped'; // Element is wrapped by a label
-      }
+  if (element.getAttribute('aria-selected') === 'true') {
+    states.push('selected');
+  }
 
-      return labelClone.textContent.trim();
-    }
+  if (element.matches(':disabled') || element.getAttribute('aria-disabled') === 'true') {
+    states.push('disabled');
   }
-  
-  // Check for alt text on images and image map areas
-  if ((element.tagName === 'IMG' || element.tagName === 'AREA') && element.hasAttribute('alt')) {
-    return element.getAttribute('alt');
+
+  if (element.required || element.getAttribute('aria-required') === 'true') {
+    states.push('required');
   }
 
-  // Check for value on buttons
-  if (element.tagName === 'INPUT' && 
-      (element.type === 'button' || element.type === 'submit' || element.type === 'reset') && 
-      element.hasAttribute('value')) {
-    return element.value;
+  const invalid = element.getAttribute('aria-invalid');
+  if (invalid && invalid !== 'false') {
+    states.push('invalid');
   }
-  
-  // Check for title on iframes
-  if (element.tagName === 'IFRAME' && element.hasAttribute('title')) {
-    return element.getAttribute('title');
+
+  return states;
+}
+
+/**
+ * Get the level of a heading from aria-level or its h1-h6 tag
+ * @param {Element} element - Heading element
+ * @returns {number} The level; headings without one default to 2
+ */
+function getHeadingLevel(element) {
+  const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+  if (ariaLevel > 0) {
+    return ariaLevel;
   }
-  
-  // Check for title attribute (less preferred, but still valid)
-  if (element.hasAttribute('title')) {
-    const title = element.getAttribute('title');
-    if (title) {
-      // Mark elements that use title-only for accessible name
-      element._accessibleNameFromTitleOnly = true;
-      return title;
-    }
+  return /^H[1-6]$/.test(element.tagName) ? Number(element.tagName[1]) : 2;
+}
+
+/**
+ * Get the value a screen reader announces for a form control or range
+ * @param {Element} element - Element to describe
+ * @param {string|null} role - The element's role
+ * @returns {string} The value, or '' if the element has none
+ */
+function getAnnouncedValue(element, role) {
+  if (!VALUE_ROLES.includes(role)) {
+    return '';
   }
-  
-  // For buttons, links, heading elements, and other container elements, use text content as accessible name
-  if (element.tagName === 'BUTTON' ||
-      element.tagName === 'A' ||
-      element.tagName === 'H1' || element.tagName === 'H2' || element.tagName === 'H3' ||
-      element.tagName === 'H4' || element.tagName === 'H5' || element.tagName === 'H6' ||
-      element.tagName === 'LI' || element.tagName === 'DT' || element.tagName === 'DD' ||
-      element.tagName === 'FIGURE' || element.tagName === 'FIGCAPTION' ||
-      element.getAttribute('role') === 'button' ||
-      element.getAttribute('role') === 'link' ||
-      element.getAttribute('role') === 'heading' ||
-      element.getAttribute('role') === 'listitem') {
-
-    // Special handling for links with images - needs to be prioritized higher than text content
-    if (element.tagName === 'A') {
-      const imgElement = element.querySelector('img[alt]:not([alt=""])');
-      if (imgElement && imgElement.getAttribute('alt')) {
-        const altText = imgElement.getAttribute('alt');
-        if (altText && altText.trim() !== '') {
-          // If the link contains an image with alt text, use that as the accessible name
-          // This follows WCAG guidelines for links with images
-          console.log(`Using alt text "${altText}" from image inside link:`, element);
-          return altText;
-        }
-      }
-    }
 
-    // Use text content for other cases
-    const textContent = element.textContent.trim();
-    if (textContent) {
-      return textContent;
-    }
+  const valueText = element.getAttribute('aria-valuetext') || element.getAttribute('aria-valuenow');
+  if (valueText) {
+    return valueText.trim();
   }
-  
-  // For elements with certain ARIA roles, use text content
-  const rolesThatUseTextContent = [
-    'checkbox', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
-    'option', 'radio', 'tab', 'treeitem'
-  ];
-  
-  if (element.hasAttribute('role') && rolesThatUseTextContent.includes(element.getAttribute('role'))) {
-    return element.textContent.trim();
+
+  if (element.tagName === 'SELECT') {
+    const selected = element.selectedOptions[0];
+    return selected ? selected.textContent.replace(/\s+/g, ' ').trim() : '';
   }
-  
-  // Default: return empty string (no accessible name found)
-  return '';
+
+  // Password values are not read out
+  if (element.tagName === 'INPUT' && element.type === 'password') {
+    return element.value ? 'protected' : '';
+  }
+
+  if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' ||
+      element.tagName === 'PROGRESS' || element.tagName === 'METER') {
+    return String(element.value === undefined ? '' : element.value).trim();
+  }
+
+  return element.isContentEditable ? element.textContent.replace(/\s+/g, ' ').trim() : '';
 }
 
 /**
@@ -2917,10 +6057,28 @@ function isElementHidden(element) {
 
 /**
  * Generate a CSS selector for an element
+ * For elements inside open shadow roots, the selector is a chain of selectors
+ * joined by ' >>> ' (host selector, then the selector inside its shadow root),
+ * which findElementBySelector can resolve.
  * @param {HTMLElement} element - Element to generate selector for
  * @returns {string} CSS selector
  */
 function generateSelector(element) {
+  const rootNode = element.getRootNode();
+  if (rootNode instanceof ShadowRoot) {
+    return `${generateSelector(rootNode.host)} >>> ${generateSelectorInRoot(element, rootNode)}`;
+  }
+
+  return generateSelectorInRoot(element, document);
+}
+
+/**
+ * Generate a CSS selector for an element that is unique within its document or shadow root
+ * @param {HTMLElement} element - Element to generate selector for
+ * @param {Document|ShadowRoot} root - The document or shadow root containing the element
+ * @returns {string} CSS selector
+ */
+function generateSelectorInRoot(element, root) {
   // Try ID first
   if (element.id) {
     return `#${CSS.escape(element.id)}`;
@@ -2930,7 +6088,7 @@ function generateSelector(element) {
   for (const attr of element.attributes) {
     if (attr.name.startsWith('data-') && attr.value) {
       // Check if this attribute value is unique
-      const matchingElements = document.querySelectorAll(`[${attr.name}="${attr.value}"]`);
+      const matchingElements = root.querySelectorAll(`[${attr.name}="${attr.value}"]`);
       if (matchingElements.length === 1) {
         return `[${attr.name}="${attr.value}"]`;
       }
@@ -2940,7 +6098,7 @@ function generateSelector(element) {
   // Try name attribute for form elements
   if ((element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') && 
       element.name) {
-    const matchingElements = document.querySelectorAll(`${element.tagName.toLowerCase()}[name="${element.name}"]`);
+    const matchingElements = root.querySelectorAll(`${element.tagName.toLowerCase()}[name="${element.name}"]`);
     if (matchingElements.length === 1) {
       return `${element.tagName.toLowerCase()}[name="${element.name}"]`;
     }
@@ -2996,7 +6154,9 @@ function generateSelector(element) {
       
       // Stop at body or if selector is getting too long
       if (currentElement === document.body || path.length > 5) {
-        path.unshift('body');
+        if (root === document) {
+          path.unshift('body');
+        }
         break;
       }
     }
@@ -3092,8 +6252,12 @@ function scrollElementIntoView(element) {
 /**
  * Create a highlight overlay for the given element rectangle
  * @param {DOMRect} rect - The rectangle to highlight
+ * @param {Object} options - Optional settings
+ * @param {string} options.label - Text for a tooltip attached to the overlay
+ * @param {string} options.labelColor - Background colour of the tooltip
+ * @param {boolean} options.animate - Whether the overlay pulses (defaults to true)
  */
-function createHighlightOverlay(rect) {
+function createHighlightOverlay(rect, options = {}) {
   // Create highlight overlay
   highlightOverlay = document.createElement('div');
 
@@ -3239,12 +6403,38 @@ function createHighlightOverlay(rect) {
     visibility: visible !important;
   `;
 
+  // Attach a tooltip below the highlight, or above it near the bottom of the viewport
+  if (options.label) {
+    const tooltip = document.createElement('div');
+    tooltip.className = 'carnforth-highlight-tooltip';
+    tooltip.textContent = options.label;
+    const placeAbove = rect.bottom > viewportHeight - 40;
+    tooltip.style.cssText = `
+      position: absolute !important;
+      left: -${borderWidth}px !important;
+      ${placeAbove ? 'bottom' : 'top'}: 100% !important;
+      margin: 2px 0 !important;
+      padding: 4px 8px !important;
+      max-width: 480px !important;
+      overflow: hidden !important;
+      text-overflow: ellipsis !important;
+      white-space: nowrap !important;
+      background-color: ${options.labelColor || '#202124'} !important;
+      color: white !important;
+      font: 14px/1.4 sans-serif !important;
+      border-radius: 3px !important;
+    `;
+    highlightOverlay.appendChild(tooltip);
+  }
+
   try {
     // Append the highlight to the container
     container.appendChild(highlightOverlay);
 
     // Create a pulsing animation effect
-    animateHighlight(highlightOverlay);
+    if (options.animate !== false) {
+      animateHighlight(highlightOverlay);
+    }
 
     // Set up an update interval to handle page changes
     setupPositionUpdateInterval(highlightOverlay, rect);
@@ -3634,7 +6824,7 @@ function getLabelledbyElementsInfo(element) {
   for (const id of labelledbyIds) {
     if (!id) continue;
 
-    const referencedElement = document.getElementById(id);
+    const referencedElement = getElementByIdInTree(element, id);
     if (!referencedElement) {
       result.hasNonExistentIds = true;
       continue;
@@ -3685,7 +6875,7 @@ function tabpanelReferencesEmptyName(element) {
   for (const id of labelledbyIds) {
     if (!id) continue;
 
-    const referencedElement = document.getElementById(id);
+    const referencedElement = getElementByIdInTree(element, id);
     if (!referencedElement) continue;
 
     // Calculate accessible name for the referenced element
@@ -3889,6 +7079,53 @@ function getXPath(element) {
   }
 }
 
+// Attributes that identify an element without being part of its accessible name,
+// so fixing a name doesn't change the element's fingerprint
+const FINGERPRINT_ATTRIBUTES = ['id', 'name', 'type', 'role', 'href', 'src', 'for', 'action', 'data-testid'];
+
+/**
+ * Generate a fingerprint that identifies an element across test runs
+ * Built from the element's tag, the shadow hosts around it and its identifying
+ * attributes. Elements with none of those attributes fall back to their XPath,
+ * which changes if the page structure changes. Several elements can share a
+ * fingerprint, so runs are compared by count.
+ * @param {HTMLElement} element - Element to fingerprint
+ * @returns {string} Fingerprint as a hex string
+ */
+function getElementFingerprint(element) {
+  const parts = [];
+
+  for (let current = element; current; ) {
+    const attributes = FINGERPRINT_ATTRIBUTES
+      .filter(name => current.hasAttribute(name))
+      .map(name => `${name}=${current.getAttribute(name)}`);
+
+    parts.unshift(current.tagName.toLowerCase() + (attributes.length > 0 ? `[${attributes.join('|')}]` : ''));
+    if (current === element && attributes.length === 0) {
+      parts.push(getXPath(element));
+    }
+
+    const root = current.getRootNode();
+    current = root instanceof ShadowRoot ? root.host : null;
+  }
+
+  return hashString(parts.join(' >>> '));
+}
+
+/**
+ * Hash a string with 32-bit FNV-1a
+ * @param {string} str - String to hash
+ * @returns {string} Hash as an 8-digit hex string
+ */
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
 /**
  * Generate debug information for an element
  * @param {HTMLElement} element - Element to debug
@@ -4023,9 +7260,11 @@ function testSVGImage(element) {
     if (accessibleName === '') {
       result.result = "pass";
       result.description = "Decorative SVG image correctly has no accessible name";
+      result.issueCode = 'decorative-ok';
     } else {
       result.result = "warn";
       result.description = "Decorative SVG image (with role='presentation' or 'none') should not have an accessible name";
+      result.issueCode = 'img-decorative-has-alt';
     }
     return result;
   }
@@ -4039,6 +7278,7 @@ function testSVGImage(element) {
     // Create a specific error message for broken aria-labelledby
     let resultObj = {
       result: "fail",
+      issueCode: 'labelledby-broken-ref',
       description: "Broken aria-labelledby references",
       details: "When aria-labelledby references IDs that don't exist in the document, screen readers cannot provide an accessible name for the element."
     };
@@ -4047,12 +7287,14 @@ function testSVGImage(element) {
     if (!isVisible && resultObj.result === "fail") {
       result.result = "warn";
       result.description = resultObj.description + " (hidden element)";
+      result.issueCode = resultObj.issueCode;
       result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                    "This is reported as a warning rather than an error because the element is not visible " +
                    "to users, but would fail accessibility requirements if it becomes visible.";
     } else {
       result.result = resultObj.result;
       result.description = resultObj.description;
+      result.issueCode = resultObj.issueCode;
       if (resultObj.details) {
         result.details = resultObj.details;
       }
@@ -4067,18 +7309,21 @@ function testSVGImage(element) {
   if (!accessibleName) {
     resultObj = {
       result: "fail",
+      issueCode: 'img-missing-alt',
       description: "Missing accessible name",
       details: "SVG images with role=\"img\" need an accessible name to make their content available to screen reader users. Add a <title> element as the first child of the SVG, or use aria-label or aria-labelledby attributes."
     };
   } else if (accessibleName.trim() === '') {
     resultObj = {
       result: "fail",
+      issueCode: 'img-whitespace-alt',
       description: "Whitespace-only accessible name",
       details: "Accessible names consisting only of whitespace characters are not announced by screen readers, making the image inaccessible to screen reader users."
     };
   } else if (isPunctuation(accessibleName)) {
     resultObj = {
       result: "fail",
+      issueCode: 'img-punctuation-alt',
       description: "Punctuation-only accessible name",
       details: "Accessible names consisting only of punctuation characters don't provide meaningful information to screen reader users."
     };
@@ -4088,18 +7333,21 @@ function testSVGImage(element) {
 
     resultObj = {
       result: "fail",
+      issueCode: 'img-html-alt',
       description: "HTML markup in SVG accessible name",
       details: "HTML tags in accessible names are not rendered properly by screen readers and can cause confusion. Use plain text without markup in accessible names."
     };
   } else if (isFilenameInText(accessibleName)) {
     resultObj = {
       result: "fail",
+      issueCode: 'img-filename-alt',
       description: "Filename as accessible name",
       details: "Filenames do not adequately describe the content or purpose of an image to screen reader users."
     };
   } else if (isGenericLabel(accessibleName)) {
     resultObj = {
       result: "warn",
+      issueCode: 'img-generic-alt',
       description: "Generic accessible name",
       details: "Generic terms don't adequately describe the content or purpose of an image to screen reader users.",
       title: "Generic image description"
@@ -4107,6 +7355,7 @@ function testSVGImage(element) {
   } else if (hasTitle && titleContent && titleContent.trim() === '' && accessibleName) {
     resultObj = {
       result: "warn",
+      issueCode: 'svg-empty-title',
       description: "Empty title element with alternative accessible name",
       details: "Having an empty <title> element along with other accessible name sources can create confusion. It's better to either use the <title> element properly or remove it.",
       title: "Empty title element"
@@ -4114,6 +7363,7 @@ function testSVGImage(element) {
   } else {
     resultObj = {
       result: "pass",
+      issueCode: 'name-ok',
       description: "SVG image has an appropriate accessible name"
     };
   }
@@ -4122,12 +7372,14 @@ function testSVGImage(element) {
   if (!isVisible && resultObj.result === "fail") {
     result.result = "warn";
     result.description = resultObj.description + " (hidden element)";
+    result.issueCode = resultObj.issueCode;
     result.details = "This element is currently hidden (display: none, visibility: hidden, or opacity: 0). " +
                    "This is reported as a warning rather than an error because the element is not visible " +
                    "to users, but would fail accessibility requirements if it becomes visible.";
   } else {
     result.result = resultObj.result;
     result.description = resultObj.description;
+    result.issueCode = resultObj.issueCode;
     if (resultObj.details) {
       result.details = resultObj.details;
     }
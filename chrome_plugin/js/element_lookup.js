@@ -0,0 +1,47 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - Element Lookup
+ *
+ * Shared by the DevTools panel and the background script, which both evaluate
+ * expressions in the inspected page to find an element from a test result.
+ */
+
+/**
+ * Build an expression that finds an element in the inspected page from its selector
+ * Selectors for elements inside shadow roots are chains joined by ' >>> '
+ * (see generateSelector in content.js), so each part is resolved inside the
+ * shadow root of the previous match.
+ * @param {string} selector - Selector from a test result
+ * @returns {string} JavaScript expression evaluating to the element, or null
+ */
+function buildElementLookupExpression(selector) {
+  return `(function(selector) {
+    const parts = selector.split(' >>> ');
+    let scope = document;
+    for (let i = 0; i < parts.length - 1; i++) {
+      const host = scope.querySelector(parts[i]);
+      if (!host || !host.shadowRoot) return null;
+      scope = host.shadowRoot;
+    }
+    return scope.querySelector(parts[parts.length - 1]);
+  })(${JSON.stringify(selector)})`;
+}
@@ -0,0 +1,416 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - Exporters
+ *
+ * Turns a results object from runAccessibilityTest (url, timestamp, elements,
+ * counts) into files that can be saved from the panel: raw JSON, CSV with one
+ * row per element, a self-contained HTML report, and SARIF 2.1.0 for
+ * code-scanning dashboards. Read Page transcripts are saved as plain text.
+ */
+
+// Columns written to the CSV export, in order
+const CSV_COLUMNS = [
+  { header: 'Result', value: el => el.result },
+  { header: 'Severity', value: el => el.severity },
+  { header: 'Issue code', value: el => el.issueCode },
+  { header: 'Rule', value: el => el.ruleId },
+  { header: 'WCAG', value: el => (el.wcag || []).join(' ') },
+  { header: 'ACT', value: el => (el.act || []).join(' ') },
+  { header: 'Tag', value: el => el.tagName },
+  { header: 'Role', value: el => el.role },
+  { header: 'Accessible name', value: el => el.accessibleName },
+  { header: 'Accessible description', value: el => el.accessibleDescription },
+  { header: 'Description', value: el => el.description },
+  { header: 'Details', value: el => el.details },
+  { header: 'Selector', value: el => el.selector },
+  { header: 'XPath', value: el => el.xpath },
+  { header: 'Frame', value: el => (el.framePath || []).join(' > ') },
+  { header: 'Visible', value: el => el.isVisible === false ? 'no' : 'yes' },
+  { header: 'Suppressed', value: el => el.suppressed ? 'yes' : 'no' },
+  { header: 'Suppression justification', value: el => el.suppressed ? el.suppression.justification : '' },
+  { header: 'HTML', value: el => el.outerHTML }
+];
+
+/**
+ * Build the JSON export
+ * @param {Object} results - Test results
+ * @returns {string} Pretty-printed JSON
+ */
+function buildJSONExport(results) {
+  return JSON.stringify(results, null, 2);
+}
+
+/**
+ * Build the CSV export, one row per tested element
+ * @param {Object} results - Test results
+ * @returns {string} CSV text
+ */
+function buildCSVExport(results) {
+  const rows = [CSV_COLUMNS.map(column => column.header)];
+
+  results.elements.forEach(element => {
+    rows.push(CSV_COLUMNS.map(column => column.value(element)));
+  });
+
+  return rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV field
+ * Values that spreadsheets would treat as formulas are prefixed with a quote.
+ * @param {*} value - Field value
+ * @returns {string} Quoted field
+ */
+function escapeCSVField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build a self-contained HTML report with summary stats, failures and
+ * warnings grouped by issue, and code snippets
+ * @param {Object} results - Test results
+ * @returns {string} HTML document
+ */
+function buildHTMLReport(results) {
+  const failures = results.elements.filter(el => el.result === 'fail');
+  const warnings = results.elements.filter(el => el.result === 'warn');
+  const passing = results.elements.filter(el => el.result === 'pass');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>Accessible name report - ${escapeHTML(results.url)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; font-size: 16px; line-height: 1.5; color: #1f1f1f; margin: 0 auto; max-width: 960px; padding: 24px; }
+  h1 { font-size: 1.5rem; }
+  h2 { font-size: 1.25rem; border-bottom: 1px solid #ccc; padding-bottom: 4px; margin-top: 32px; }
+  h3 { font-size: 1.1rem; margin-bottom: 4px; }
+  .stats { display: flex; gap: 24px; list-style: none; padding: 0; }
+  .stats li { border: 1px solid #ccc; border-radius: 4px; padding: 8px 16px; }
+  .stats strong { display: block; font-size: 1.5rem; }
+  .fail { color: #b00020; }
+  .warn { color: #8a5300; }
+  .pass { color: #1b6e20; }
+  .criteria { color: #555; margin-top: 0; }
+  .element { border: 1px solid #ccc; border-radius: 4px; padding: 8px 16px; margin: 8px 0; }
+  .element dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 16px; margin: 0; }
+  .element dt { font-weight: bold; }
+  .element dd { margin: 0; word-break: break-word; }
+  pre { background: #f5f5f5; padding: 8px; overflow-x: auto; white-space: pre-wrap; word-break: break-all; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+</style>
+</head>
+<body>
+<main>
+<h1>Accessible name report</h1>
+<p>Page: <a href="${escapeHTML(results.url)}">${escapeHTML(results.url)}</a><br>
+Tested: ${escapeHTML(new Date(results.timestamp).toLocaleString())}</p>
+<h2>Summary</h2>
+<ul class="stats">
+  <li><strong>${results.elements.length}</strong> Total elements</li>
+  <li><strong class="fail">${failures.length}</strong> Failures</li>
+  <li><strong class="warn">${warnings.length}</strong> Warnings</li>
+  <li><strong class="pass">${passing.length}</strong> Passing</li>
+</ul>
+<h2>Failures</h2>
+${buildReportIssueGroups(failures, 'No failures found.')}
+<h2>Warnings</h2>
+${buildReportIssueGroups(warnings, 'No warnings found.')}
+<h2>Passing elements</h2>
+${passing.length > 0 ? `<details>
+<summary>Show ${passing.length} passing element${passing.length === 1 ? '' : 's'}</summary>
+<table>
+<thead><tr><th scope="col">Element</th><th scope="col">Accessible name</th><th scope="col">Selector</th></tr></thead>
+<tbody>
+${passing.map(el => `<tr><td>${escapeHTML(el.tagName)}${el.role ? ` (${escapeHTML(el.role)})` : ''}</td><td>${escapeHTML(el.accessibleName)}</td><td><code>${escapeHTML(el.selector)}</code></td></tr>`).join('\n')}
+</tbody>
+</table>
+</details>` : '<p>No passing elements.</p>'}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Build the report sections for a list of failures or warnings, grouped by
+ * issue code
+ * @param {Array} elements - Test results with the same result value
+ * @param {string} emptyMessage - Text shown when there are no results
+ * @returns {string} HTML
+ */
+function buildReportIssueGroups(elements, emptyMessage) {
+  if (elements.length === 0) {
+    return `<p>${escapeHTML(emptyMessage)}</p>`;
+  }
+
+  const groups = new Map();
+  elements.forEach(element => {
+    const code = element.issueCode || 'unknown';
+    if (!groups.has(code)) {
+      groups.set(code, []);
+    }
+    groups.get(code).push(element);
+  });
+
+  return Array.from(groups.entries()).map(([code, groupElements]) => {
+    const issue = ISSUE_CODES[code];
+    const title = issue ? issue.title : groupElements[0].description;
+    const criteria = formatReportCriteria(groupElements[0]);
+
+    return `<section>
+<h3>${escapeHTML(title)} <code>${escapeHTML(code)}</code> (${groupElements.length})</h3>
+${criteria ? `<p class="criteria">${criteria}</p>` : ''}
+${groupElements.map(buildReportElement).join('\n')}
+</section>`;
+  }).join('\n');
+}
+
+/**
+ * Build the report entry for one element
+ * @param {Object} element - Test result
+ * @returns {string} HTML
+ */
+function buildReportElement(element) {
+  return `<div class="element">
+<dl>
+  <dt>Element</dt><dd>${escapeHTML(element.tagName)}${element.role ? ` (role="${escapeHTML(element.role)}")` : ''}</dd>
+  <dt>Selector</dt><dd><code>${escapeHTML(element.selector)}</code></dd>
+  ${element.framePath && element.framePath.length > 0 ? `<dt>Frame</dt><dd>${element.framePath.map(escapeHTML).join(' &rsaquo; ')}</dd>` : ''}
+  <dt>Accessible name</dt><dd>${element.accessibleName ? escapeHTML(element.accessibleName) : '<em>(none)</em>'}</dd>
+  <dt>Description</dt><dd>${escapeHTML(element.description)}</dd>
+  ${element.details ? `<dt>Details</dt><dd>${escapeHTML(element.details)}</dd>` : ''}
+  ${element.suppressed ? `<dt>Accepted</dt><dd>${escapeHTML(element.suppression.justification)}</dd>` : ''}
+</dl>
+<pre><code>${escapeHTML(element.outerHTML)}</code></pre>
+</div>`;
+}
+
+/**
+ * Format the WCAG criteria and ACT rules of a result for the report
+ * @param {Object} element - Test result
+ * @returns {string} HTML, or an empty string if the result has no mapping
+ */
+function formatReportCriteria(element) {
+  const parts = [];
+  if (element.wcag) {
+    parts.push(element.wcag.length > 0
+      ? `WCAG ${element.wcag.map(sc => escapeHTML(formatCriterion(sc))).join('; ')}`
+      : 'Best practice (no WCAG criterion)');
+  }
+  if (element.act && element.act.length > 0) {
+    parts.push(`ACT ${element.act.map(id => `<a href="${getActRuleUrl(id)}">${escapeHTML(id)}</a>`).join(', ')}`);
+  }
+  return parts.join(' - ');
+}
+
+// SARIF levels for failing and warning results
+const SARIF_LEVELS = {
+  fail: 'error',
+  warn: 'warning'
+};
+
+/**
+ * Build a SARIF 2.1.0 log of the failures and warnings
+ * Each issue code is a SARIF rule; each result is located by the page URL
+ * and the element's CSS selector and XPath.
+ * @param {Object} results - Test results
+ * @returns {string} SARIF JSON
+ */
+function buildSARIFExport(results) {
+  const issues = results.elements.filter(el => SARIF_LEVELS[el.result]);
+  const rules = buildSARIFRules(issues);
+  const ruleIndexes = new Map(rules.map((rule, index) => [rule.id, index]));
+
+  const sarif = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: 'Carnforth Accessible Name Tester',
+          informationUri: 'https://github.com/bobdodd/CarnforthGPL',
+          version: getExtensionVersion(),
+          rules: rules
+        }
+      },
+      invocations: [{
+        executionSuccessful: true,
+        endTimeUtc: results.timestamp
+      }],
+      artifacts: [{
+        location: { uri: results.url }
+      }],
+      results: issues.map(element => {
+        const code = element.issueCode || element.ruleId;
+        const sarifResult = {
+          ruleId: code,
+          ruleIndex: ruleIndexes.get(code),
+          level: SARIF_LEVELS[element.result],
+          message: { text: element.description || code },
+          locations: [{
+            physicalLocation: {
+              artifactLocation: { uri: element.frameUrl || results.url }
+            },
+            logicalLocations: [{
+              kind: 'element',
+              name: element.selector,
+              fullyQualifiedName: element.xpath || element.selector
+            }]
+          }],
+          properties: {
+            selector: element.selector,
+            xpath: element.xpath,
+            accessibleName: element.accessibleName,
+            rule: element.ruleId,
+            snippet: element.outerHTML
+          }
+        };
+
+        // Accepted issues are reported as externally suppressed
+        if (element.suppressed) {
+          sarifResult.suppressions = [{
+            kind: 'external',
+            justification: element.suppression.justification
+          }];
+        }
+        return sarifResult;
+      }),
+      properties: {
+        url: results.url,
+        timestamp: results.timestamp
+      }
+    }]
+  };
+
+  return JSON.stringify(sarif, null, 2);
+}
+
+/**
+ * Build the SARIF rules: one per issue code in the catalogue that can fail or
+ * warn, plus any other codes found in the results (e.g. from added rules)
+ * @param {Array} issues - Failing and warning results
+ * @returns {Array} SARIF reportingDescriptor objects
+ */
+function buildSARIFRules(issues) {
+  const codes = Object.keys(ISSUE_CODES).filter(code => ISSUE_CODES[code].severity !== 'none');
+  issues.forEach(element => {
+    const code = element.issueCode || element.ruleId;
+    if (!codes.includes(code)) {
+      codes.push(code);
+    }
+  });
+
+  return codes.map(code => {
+    const issue = ISSUE_CODES[code];
+    const example = issues.find(el => (el.issueCode || el.ruleId) === code);
+    const wcag = issue && issue.wcag ? issue.wcag : (example ? example.wcag || [] : []);
+    const act = issue && issue.act ? issue.act : (example ? example.act || [] : []);
+    const rule = {
+      id: code,
+      shortDescription: { text: issue ? issue.title : (example ? example.description : code) },
+      defaultConfiguration: { level: issue && issue.severity === 'warning' ? 'warning' : 'error' },
+      properties: {
+        tags: ['accessibility'].concat(wcag.map(sc => `wcag${sc.replace(/\./g, '')}`)),
+        wcag: wcag,
+        act: act
+      }
+    };
+
+    if (wcag.length > 0) {
+      rule.fullDescription = { text: `WCAG ${wcag.map(formatCriterion).join('; ')}` };
+    }
+    if (act.length > 0) {
+      rule.helpUri = getActRuleUrl(act[0]);
+    }
+    return rule;
+  });
+}
+
+/**
+ * Build a plain-text transcript of the page as a screen reader's virtual cursor reads it
+ * @param {Object} transcript - Transcript from buildTranscript, with url, timestamp, title and lines
+ * @returns {string} One line per transcript line, indented by nesting
+ */
+function buildTranscriptExport(transcript) {
+  const header = [
+    `Read page transcript: ${transcript.title || transcript.url}`,
+    `URL: ${transcript.url}`,
+    `Read: ${new Date(transcript.timestamp).toLocaleString()}`,
+    ''
+  ];
+  const lines = transcript.lines.map(line => '  '.repeat(line.depth) + line.text);
+  return header.concat(lines).join('\n') + '\n';
+}
+
+/**
+ * Get the extension's version from its manifest
+ * @returns {string} Version, or an empty string outside the extension
+ */
+function getExtensionVersion() {
+  try {
+    return chrome.runtime.getManifest().version;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Build a file name for an export, e.g. "carnforth-example.com-2025-01-31T12-00-00.csv"
+ * @param {Object} results - Test results
+ * @param {string} extension - File extension without the dot
+ * @returns {string} File name
+ */
+function getExportFilename(results, extension) {
+  let host = 'page';
+  try {
+    host = new URL(results.url).hostname || host;
+  } catch (e) {
+    // Keep the default for URLs without a host
+  }
+  const timestamp = (results.timestamp || new Date().toISOString()).replace(/\.\d+Z$/, '').replace(/:/g, '-');
+  return `carnforth-${host}-${timestamp}.${extension}`;
+}
+
+/**
+ * Save text as a file through the browser's download mechanism
+ * @param {string} content - File content
+ * @param {string} filename - File name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, filename, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,262 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - Run History
+ *
+ * Stores each test run in chrome.storage.local, keyed by page URL, and
+ * compares runs to find issues that were introduced, fixed or unchanged.
+ * Issues are matched by issue code and element fingerprint, not by position.
+ */
+
+// Number of runs kept for each URL
+const HISTORY_LIMIT = 20;
+
+// Most a single page's history may take up; its oldest runs are dropped first
+const HISTORY_PAGE_BYTES_LIMIT = 1024 * 1024;
+
+// Most chrome.storage.local may hold before the histories of the pages tested
+// longest ago are removed. The quota is 10MB, and settings and suppressions
+// need room too.
+const HISTORY_STORAGE_BYTES_LIMIT = 8 * 1024 * 1024;
+
+// Fields of each issue kept in the history: what diffRuns matches on, and what
+// the History tab shows for fixed issues
+const HISTORY_ELEMENT_FIELDS = ['issueCode', 'ruleId', 'fingerprint', 'frameUrl', 'selector', 'result',
+                                'description', 'tagName', 'role'];
+
+/**
+ * Get the storage key for a page's history
+ * The fragment is ignored so in-page links share a history.
+ * @param {string} url - Page URL
+ * @returns {string} Storage key
+ */
+function getHistoryKey(url) {
+  return `history:${String(url).split('#')[0]}`;
+}
+
+/**
+ * Load the stored runs for a page, newest first
+ * @param {string} url - Page URL
+ * @param {Function} callback - Called with an array of runs
+ */
+function loadHistory(url, callback) {
+  const key = getHistoryKey(url);
+  chrome.storage.local.get(key, (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading history:", chrome.runtime.lastError);
+      callback([]);
+      return;
+    }
+    callback(data[key] || []);
+  });
+}
+
+/**
+ * Add a run to a page's history, dropping the oldest runs over HISTORY_LIMIT
+ * Only failures and warnings are stored, since passes aren't compared, and
+ * only the fields in HISTORY_ELEMENT_FIELDS.
+ * @param {Object} results - Test results
+ * @param {Function} callback - Called with the updated array of runs, newest
+ *   first, and an error message if the run couldn't be saved
+ */
+function saveRunToHistory(results, callback) {
+  const run = {
+    url: results.url,
+    timestamp: results.timestamp,
+    counts: results.counts,
+    elements: results.elements
+      .filter(element => element.result === 'fail' || element.result === 'warn')
+      .map(element => {
+        const stored = {};
+        HISTORY_ELEMENT_FIELDS.forEach(field => {
+          if (element[field] !== undefined) {
+            stored[field] = element[field];
+          }
+        });
+        return stored;
+      })
+  };
+
+  loadHistory(results.url, (runs) => {
+    const updatedRuns = [run, ...runs].slice(0, HISTORY_LIMIT);
+    while (updatedRuns.length > 1 && getStoredSize(getHistoryKey(results.url), updatedRuns) > HISTORY_PAGE_BYTES_LIMIT) {
+      updatedRuns.pop();
+    }
+
+    storeHistory(getHistoryKey(results.url), updatedRuns, (error) => {
+      callback(updatedRuns, error);
+    });
+  });
+}
+
+/**
+ * Store a page's runs, making room by removing other pages' histories
+ * If the write fails, e.g. because the quota is full, the oldest histories are
+ * removed and the write is tried once more.
+ * @param {string} key - Storage key of the page's history
+ * @param {Array} runs - Runs to store
+ * @param {Function} callback - Called with an error message, or null once stored
+ */
+function storeHistory(key, runs, callback) {
+  chrome.storage.local.set({ [key]: runs }, () => {
+    if (!chrome.runtime.lastError) {
+      chrome.storage.local.getBytesInUse(null, (bytesInUse) => {
+        if (bytesInUse > HISTORY_STORAGE_BYTES_LIMIT) {
+          evictOldestHistories(key, bytesInUse - HISTORY_STORAGE_BYTES_LIMIT, () => callback(null));
+        } else {
+          callback(null);
+        }
+      });
+      return;
+    }
+
+    console.error("Error saving history:", chrome.runtime.lastError);
+    evictOldestHistories(key, getStoredSize(key, runs), () => {
+      chrome.storage.local.set({ [key]: runs }, () => {
+        if (chrome.runtime.lastError) {
+          console.error("Error saving history:", chrome.runtime.lastError);
+          callback(chrome.runtime.lastError.message);
+          return;
+        }
+        callback(null);
+      });
+    });
+  });
+}
+
+/**
+ * Remove the histories of the pages tested longest ago
+ * @param {string} keepKey - Storage key of the history to keep
+ * @param {number} bytesToFree - How much to remove, at least
+ * @param {Function} callback - Called once the histories have been removed
+ */
+function evictOldestHistories(keepKey, bytesToFree, callback) {
+  chrome.storage.local.get(null, (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading history:", chrome.runtime.lastError);
+      callback();
+      return;
+    }
+
+    const lastRunTime = key => new Date((data[key][0] || {}).timestamp || 0).getTime();
+    const keys = Object.keys(data)
+      .filter(key => key.startsWith('history:') && key !== keepKey && Array.isArray(data[key]))
+      .sort((a, b) => lastRunTime(a) - lastRunTime(b));
+
+    const removedKeys = [];
+    let freed = 0;
+    for (const key of keys) {
+      if (freed >= bytesToFree) break;
+      removedKeys.push(key);
+      freed += getStoredSize(key, data[key]);
+    }
+
+    if (removedKeys.length === 0) {
+      callback();
+      return;
+    }
+
+    chrome.storage.local.remove(removedKeys, () => {
+      if (chrome.runtime.lastError) {
+        console.error("Error clearing history:", chrome.runtime.lastError);
+      }
+      callback();
+    });
+  });
+}
+
+/**
+ * Estimate the bytes an item takes up in chrome.storage.local, which counts
+ * the key and the JSON of the value
+ * @param {string} key - Storage key
+ * @param {*} value - Stored value
+ * @returns {number} Size in bytes
+ */
+function getStoredSize(key, value) {
+  return key.length + new TextEncoder().encode(JSON.stringify(value)).length;
+}
+
+/**
+ * Delete a page's history
+ * @param {string} url - Page URL
+ * @param {Function} callback - Called when the history has been removed
+ */
+function clearHistory(url, callback) {
+  chrome.storage.local.remove(getHistoryKey(url), () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error clearing history:", chrome.runtime.lastError);
+    }
+    callback();
+  });
+}
+
+/**
+ * Get the key an issue is matched on between runs
+ * @param {Object} element - Test result
+ * @returns {string} Match key
+ */
+function getIssueMatchKey(element) {
+  return [element.issueCode || element.ruleId, element.frameUrl || '', element.fingerprint || element.selector].join('|');
+}
+
+/**
+ * Compare the failures and warnings of two runs
+ * Issues with the same match key are paired off one to one, so if an issue
+ * occurs on more elements than before, the extra ones are new.
+ * @param {Object|null} previousRun - Earlier run, or null if there is none
+ * @param {Object} currentRun - Later run
+ * @returns {Object} { introduced, fixed, unchanged } arrays of results
+ */
+function diffRuns(previousRun, currentRun) {
+  const isIssue = element => element.result === 'fail' || element.result === 'warn';
+  const currentIssues = currentRun.elements.filter(isIssue);
+
+  if (!previousRun) {
+    return { introduced: currentIssues, fixed: [], unchanged: [] };
+  }
+
+  // Group the previous run's issues by match key
+  const previousByKey = new Map();
+  previousRun.elements.filter(isIssue).forEach(element => {
+    const key = getIssueMatchKey(element);
+    if (!previousByKey.has(key)) {
+      previousByKey.set(key, []);
+    }
+    previousByKey.get(key).push(element);
+  });
+
+  const introduced = [];
+  const unchanged = [];
+  currentIssues.forEach(element => {
+    const matches = previousByKey.get(getIssueMatchKey(element));
+    if (matches && matches.length > 0) {
+      matches.shift();
+      unchanged.push(element);
+    } else {
+      introduced.push(element);
+    }
+  });
+
+  // Whatever wasn't paired off no longer occurs
+  const fixed = Array.from(previousByKey.values()).flat();
+
+  return { introduced, fixed, unchanged };
+}
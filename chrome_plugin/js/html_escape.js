@@ -0,0 +1,40 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - HTML Escaping
+ *
+ * Shared by the DevTools panel, the Elements sidebar pane and the HTML report
+ * export, which all build markup from text taken from the tested page.
+ */
+
+/**
+ * Escape text for safe use inside HTML
+ * @param {*} str - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHTML(str) {
+  if (str === null || str === undefined) return '';
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
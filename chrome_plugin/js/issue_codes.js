@@ -0,0 +1,216 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - Issue Codes
+ *
+ * Catalogue of the stable issue codes attached to every test result, and of
+ * the WCAG success criteria and W3C ACT rules they map to.
+ * Loaded into the page alongside the content script and into the panel, so
+ * both sides agree on what each code means.
+ *
+ * Each entry has:
+ *   - title: short human-readable summary of the issue
+ *   - severity: 'error' for failures, 'warning' for advisories and
+ *     'none' for passing outcomes (hidden elements are always reported as
+ *     warnings, whatever the issue's severity)
+ *   - wcag: (optional) WCAG success criteria the issue fails, overriding the
+ *     rule's; an empty array marks a best-practice issue with no criterion
+ *   - act: (optional) W3C ACT rules the issue corresponds to, overriding the
+ *     rule's; issues that override wcag without giving act have no ACT rule
+ *
+ * Codes are part of the results format: never rename or reuse one, add a
+ * new code instead.
+ */
+
+// Declared with var so re-injecting the script into a page doesn't throw
+var ISSUE_CODES = {
+  // Passing outcomes
+  'name-ok': { title: 'Has an appropriate accessible name', severity: 'none' },
+  'name-not-required': { title: 'Accessible name not required', severity: 'none' },
+  'decorative-ok': { title: 'Decorative image correctly has no accessible name', severity: 'none' },
+
+  // Issues shared by every element type
+  'labelledby-broken-ref': { title: 'aria-labelledby references non-existent IDs', severity: 'error' },
+  'labelledby-empty-ref': { title: 'aria-labelledby references an element with no text', severity: 'error' },
+  'aria-label-empty': { title: 'Empty aria-label', severity: 'error' },
+  'aria-label-punctuation-only': { title: 'Punctuation-only aria-label', severity: 'error' },
+  'name-from-title-only': { title: 'Accessible name comes only from the title attribute', severity: 'warning', wcag: [] },
+  'label-wrapped': { title: 'Wrapped (implicit) label may not work with voice control', severity: 'warning', wcag: [] },
+  'describedby-broken-ref': { title: 'aria-describedby references non-existent IDs', severity: 'warning', wcag: ['1.3.1'] },
+  'description-duplicates-name': { title: 'Accessible description duplicates the accessible name', severity: 'warning', wcag: [] },
+  'label-not-in-name': { title: 'Visible label is not part of the accessible name', severity: 'error' },
+
+  // Images (img, svg, role="img" and image maps)
+  'img-decorative-has-alt': { title: 'Decorative image has an accessible name', severity: 'warning', wcag: ['1.1.1'], act: ['46ca7f'] },
+  'img-missing-alt': { title: 'Image missing alt text', severity: 'error' },
+  'img-filename-alt': { title: 'Image alt text is a filename', severity: 'error', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'img-whitespace-alt': { title: 'Image alt text is whitespace only', severity: 'error' },
+  'img-punctuation-alt': { title: 'Image alt text is punctuation only', severity: 'error', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'img-html-alt': { title: 'HTML markup in image alt text', severity: 'error', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'img-url-alt': { title: 'Image alt text is a URL', severity: 'error', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'img-redundant-alt': { title: 'Redundant "image" in alt text', severity: 'warning', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'img-generic-alt': { title: 'Generic image alt text', severity: 'warning', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'img-short-alt': { title: 'Very short image alt text', severity: 'warning', wcag: ['1.1.1'], act: ['qt1vmo'] },
+  'svg-empty-title': { title: 'Empty SVG title element', severity: 'warning', wcag: [] },
+
+  // Form controls
+  'control-missing-name': { title: 'Form control missing accessible name', severity: 'error' },
+  'control-placeholder-only': { title: 'Form control labelled only by placeholder', severity: 'error', wcag: ['3.3.2', '4.1.2'], act: ['e086e5'] },
+  'control-whitespace-name': { title: 'Form control name is whitespace only', severity: 'error' },
+  'control-punctuation-name': { title: 'Form control name is punctuation only', severity: 'error', wcag: ['2.4.6'] },
+  'control-generic-name': { title: 'Generic form control name', severity: 'error', wcag: ['2.4.6'] },
+  'control-filename-name': { title: 'Form control name is a filename', severity: 'warning', wcag: ['2.4.6'] },
+  'control-url-name': { title: 'Form control name is a URL', severity: 'warning', wcag: ['2.4.6'] },
+  'radio-no-group': { title: 'Radio button not in a group', severity: 'error', wcag: ['1.3.1'] },
+  'select-empty-first-option': { title: 'Select has an empty first option', severity: 'error', wcag: ['4.1.2'] },
+  'select-whitespace-option': { title: 'Select has a whitespace-only option', severity: 'error', wcag: ['4.1.2'] },
+  'image-input-missing-alt': { title: 'Image button missing alt text', severity: 'error' },
+  'image-input-empty-alt': { title: 'Image button has empty alt text', severity: 'error' },
+  'image-input-whitespace-alt': { title: 'Image button alt text is whitespace only', severity: 'error' },
+  'image-input-punctuation-alt': { title: 'Image button alt text is punctuation only', severity: 'error', wcag: ['1.1.1'] },
+  'image-input-generic-alt': { title: 'Generic image button alt text', severity: 'warning', wcag: ['1.1.1'] },
+  'image-input-filename-alt': { title: 'Image button alt text is a filename', severity: 'error', wcag: ['1.1.1'] },
+
+  // Forms and groups
+  'form-missing-name': { title: 'Form missing accessible name', severity: 'error' },
+  'form-whitespace-name': { title: 'Form name is whitespace only', severity: 'error' },
+  'form-punctuation-name': { title: 'Form name is punctuation only', severity: 'error' },
+  'form-filename-name': { title: 'Form name is a filename', severity: 'error' },
+  'form-url-name': { title: 'Form name is a URL', severity: 'error' },
+  'group-legend-not-first': { title: 'Legend is not the first child of fieldset', severity: 'error', wcag: ['1.3.1'] },
+  'group-redundant-label': { title: 'Fieldset has both a legend and an ARIA label', severity: 'warning', wcag: [] },
+  'group-empty-legend': { title: 'Empty legend', severity: 'error' },
+  'group-missing-name': { title: 'Group missing accessible name', severity: 'error' },
+  'group-whitespace-name': { title: 'Group name is whitespace only', severity: 'error' },
+  'group-punctuation-name': { title: 'Group name is punctuation only', severity: 'error' },
+  'group-filename-name': { title: 'Group name is a filename', severity: 'error' },
+  'group-url-name': { title: 'Group name is a URL', severity: 'error' },
+
+  // Buttons
+  'button-missing-value': { title: 'Button missing value attribute', severity: 'error' },
+  'button-missing-name': { title: 'Button missing accessible name', severity: 'error' },
+  'button-whitespace-name': { title: 'Button name is whitespace only', severity: 'error' },
+  'button-icon-only': { title: 'Icon-only button', severity: 'error' },
+  'button-generic-name': { title: 'Generic button text', severity: 'warning', wcag: ['2.4.6'] },
+
+  // Links and image map areas
+  'link-img-missing-alt': { title: 'Link image missing alt text', severity: 'error' },
+  'link-missing-name': { title: 'Link missing accessible name', severity: 'error' },
+  'link-whitespace-name': { title: 'Link name is whitespace only', severity: 'error' },
+  'link-punctuation-name': { title: 'Link name is punctuation only', severity: 'error', wcag: ['2.4.4'], act: ['5effbb'] },
+  'link-icon-only': { title: 'Icon-only link', severity: 'error', wcag: ['2.4.4'], act: ['5effbb'] },
+  'link-generic-text': { title: 'Generic link text', severity: 'warning', wcag: ['2.4.4'], act: ['5effbb'] },
+  'link-url-text': { title: 'URL as link text', severity: 'warning', wcag: ['2.4.4'], act: ['5effbb'] },
+  'link-identical-name-different-href': { title: 'Links with the same name go to different places', severity: 'warning' },
+  'link-redundant-adjacent': { title: 'Adjacent image and text links go to the same place', severity: 'warning', wcag: [] },
+  'area-missing-name': { title: 'Image map area missing accessible name', severity: 'error' },
+  'area-whitespace-name': { title: 'Image map area name is whitespace only', severity: 'error' },
+  'area-punctuation-name': { title: 'Image map area name is punctuation only', severity: 'error', wcag: ['2.4.4'] },
+  'area-filename-name': { title: 'Image map area name is a filename', severity: 'error', wcag: ['2.4.4'] },
+  'area-generic-name': { title: 'Generic image map area name', severity: 'warning', wcag: ['2.4.4'] },
+
+  // Landmarks and dialogs
+  'landmark-nav-unnamed': { title: 'Navigation landmark has no accessible name', severity: 'warning', wcag: [] },
+  'landmark-missing-name': { title: 'Landmark missing accessible name', severity: 'error' },
+  'landmark-multiple-unnamed': { title: 'Multiple landmarks of the same type without names', severity: 'error' },
+  'landmark-whitespace-name': { title: 'Landmark name is whitespace only', severity: 'error' },
+  'dialog-missing-name': { title: 'Dialog missing accessible name', severity: 'error' },
+  'dialog-whitespace-name': { title: 'Dialog name is whitespace only', severity: 'error' },
+  'dialog-punctuation-name': { title: 'Dialog name is punctuation only', severity: 'error' },
+  'dialog-redundant-name': { title: 'Dialog aria-label repeats its heading', severity: 'warning', wcag: [] },
+
+  // ARIA widgets
+  'widget-missing-name': { title: 'Widget missing accessible name', severity: 'error' },
+  'widget-whitespace-name': { title: 'Widget name is whitespace only', severity: 'error' },
+  'widget-punctuation-name': { title: 'Widget name is punctuation only', severity: 'error' },
+  'tab-icon-only': { title: 'Icon-only tab', severity: 'error' },
+  'tabpanel-ref-empty-name': { title: 'Tabpanel labelled by an element with an empty name', severity: 'error' },
+  'tabpanel-ref-hidden-content': { title: 'Tabpanel labelled by aria-hidden content', severity: 'error' },
+  'tabpanel-ref-no-name': { title: 'Tabpanel labelled by an element with no name', severity: 'error' },
+  'tabpanel-ref-inaccessible': { title: 'Tabpanel labelled by inaccessible content', severity: 'error' },
+
+  // Frames, progress bars, meters, media and focusable elements
+  'iframe-missing-title': { title: 'Frame missing title', severity: 'error' },
+  'iframe-whitespace-title': { title: 'Frame title is whitespace only', severity: 'error' },
+  'iframe-punctuation-title': { title: 'Frame title is punctuation only', severity: 'error' },
+  'iframe-short-title': { title: 'Frame title is too short', severity: 'warning' },
+  'progress-missing-name': { title: 'Progress bar missing accessible name', severity: 'error' },
+  'progress-whitespace-name': { title: 'Progress bar name is whitespace only', severity: 'error' },
+  'progress-punctuation-name': { title: 'Progress bar name is punctuation only', severity: 'error' },
+  'progress-generic-name': { title: 'Generic progress bar name', severity: 'warning', wcag: ['2.4.6'] },
+  'meter-missing-name': { title: 'Meter missing accessible name', severity: 'error' },
+  'meter-whitespace-name': { title: 'Meter name is whitespace only', severity: 'error' },
+  'meter-punctuation-name': { title: 'Meter name is punctuation only', severity: 'error' },
+  'meter-generic-name': { title: 'Generic meter name', severity: 'warning', wcag: ['2.4.6'] },
+  'media-missing-name': { title: 'Media player missing accessible name', severity: 'error' },
+  'media-whitespace-name': { title: 'Media player name is whitespace only', severity: 'error' },
+  'focusable-missing-name': { title: 'Focusable element missing accessible name', severity: 'error' },
+  'focusable-whitespace-name': { title: 'Focusable element name is whitespace only', severity: 'error' }
+};
+
+// WCAG 2.2 success criteria referenced by rules and issue codes
+var WCAG_CRITERIA = {
+  '1.1.1': { name: 'Non-text Content', level: 'A' },
+  '1.3.1': { name: 'Info and Relationships', level: 'A' },
+  '2.4.4': { name: 'Link Purpose (In Context)', level: 'A' },
+  '2.4.6': { name: 'Headings and Labels', level: 'AA' },
+  '2.4.9': { name: 'Link Purpose (Link Only)', level: 'AAA' },
+  '2.5.3': { name: 'Label in Name', level: 'A' },
+  '3.3.2': { name: 'Labels or Instructions', level: 'A' },
+  '4.1.2': { name: 'Name, Role, Value', level: 'A' }
+};
+
+// W3C ACT rules referenced by rules and issue codes
+var ACT_RULES = {
+  '23a2a8': 'Image has non-empty accessible name',
+  '2ee8b8': 'Visible label is part of accessible name',
+  '46ca7f': 'Element marked as decorative is not exposed',
+  '59796f': 'Image button has non-empty accessible name',
+  '5effbb': 'Link in context is descriptive',
+  '7d6734': 'SVG element with explicit role has non-empty accessible name',
+  '97a4e1': 'Button has non-empty accessible name',
+  'b20e66': 'Links with identical accessible names have equivalent purpose',
+  'c487ae': 'Link has non-empty accessible name',
+  'cae760': 'Iframe element has non-empty accessible name',
+  'e086e5': 'Form field has non-empty accessible name',
+  'fd3a94': 'Links with identical accessible names and same context serve equivalent purpose',
+  'qt1vmo': 'Image accessible name is descriptive'
+};
+
+/**
+ * Format a WCAG success criterion for display, e.g.
+ * "1.1.1 Non-text Content (Level A)"
+ * @param {string} sc - Success criterion number
+ * @returns {string} Criterion number, name and level
+ */
+function formatCriterion(sc) {
+  const criterion = WCAG_CRITERIA[sc];
+  return criterion ? `${sc} ${criterion.name} (Level ${criterion.level})` : sc;
+}
+
+/**
+ * Get the URL of a W3C ACT rule
+ * @param {string} id - ACT rule ID
+ * @returns {string} Rule URL
+ */
+function getActRuleUrl(id) {
+  return `https://www.w3.org/WAI/standards-guidelines/act/rules/${id}/`;
+}
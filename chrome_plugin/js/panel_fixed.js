@@ -56,17 +56,23 @@ if (inspectedTabId) {
 
 // DOM elements
 const runTestBtn = document.getElementById('run-test-btn');
+const runSelectedTestBtn = document.getElementById('run-selected-test-btn');
+const watchBtn = document.getElementById('watch-btn');
+const pickElementBtn = document.getElementById('pick-element-btn');
 const statusEl = document.getElementById('status');
 const summarySection = document.getElementById('summary-section');
+const scopeNoteEl = document.getElementById('scope-note');
 const totalCountEl = document.getElementById('total-count');
 const failCountEl = document.getElementById('fail-count');
 const warnCountEl = document.getElementById('warn-count');
 const passCountEl = document.getElementById('pass-count');
+const suppressedCountEl = document.getElementById('suppressed-count');
 const resultsLiveRegion = document.getElementById('results-live-region');
 const elementsPanelAnnouncement = document.getElementById('elements-panel-announcement');
 const failuresList = document.getElementById('failures-list');
 const warningsList = document.getElementById('warnings-list');
 const allList = document.getElementById('all-list');
+const historyContent = document.getElementById('history-content');
 const tabButtons = document.querySelectorAll('.tab-btn');
 const tabContents = document.querySelectorAll('.tab-content');
 const detailsPanel = document.getElementById('details-panel');
@@ -74,13 +80,77 @@ const resizeHandle = document.getElementById('resize-handle');
 const closeDetailsBtn = document.getElementById('close-details');
 const elementInfoEl = document.getElementById('element-info');
 const accessibleNameEl = document.getElementById('accessible-name');
+const accessibleDescriptionEl = document.getElementById('accessible-description');
+const announcementEl = document.getElementById('announcement');
+const speakAnnouncementBtn = document.getElementById('speak-announcement');
 const issueDetailsEl = document.getElementById('issue-details');
+const suppressionSection = document.getElementById('suppression-section');
+const suppressionDetailsEl = document.getElementById('suppression-details');
 // Note: elementHtmlEl will be replaced by a div during operation
 let elementHtmlEl = document.getElementById('element-html');
 const inspectElementBtn = document.getElementById('inspect-element');
+const compareChromeSetting = document.getElementById('compare-chrome-setting');
+const autoRunSetting = document.getElementById('auto-run-setting');
+const autoRunDelaySetting = document.getElementById('auto-run-delay-setting');
+const criterionFilter = document.getElementById('criterion-filter');
+const exportBtn = document.getElementById('export-btn');
+const exportMenu = document.getElementById('export-menu');
+const groupByCriterionSetting = document.getElementById('group-by-criterion-setting');
+const showSuppressedSetting = document.getElementById('show-suppressed-setting');
+const showAllBtn = document.getElementById('show-all-btn');
+const rotorListSelect = document.getElementById('rotor-list-select');
+const refreshRotorBtn = document.getElementById('refresh-rotor-btn');
+const rotorSummaryEl = document.getElementById('rotor-summary');
+const rotorList = document.getElementById('rotor-list');
+const refreshTranscriptBtn = document.getElementById('refresh-transcript-btn');
+const exportTranscriptBtn = document.getElementById('export-transcript-btn');
+const transcriptSummaryEl = document.getElementById('transcript-summary');
+const transcriptList = document.getElementById('transcript-list');
+const refreshLandmarksBtn = document.getElementById('refresh-landmarks-btn');
+const landmarkSummaryEl = document.getElementById('landmark-summary');
+const landmarkList = document.getElementById('landmark-list');
+const outsideLandmarkList = document.getElementById('outside-landmark-list');
 
 // Store the test results for reference
 let testResults = null;
+
+// User settings, persisted in chrome.storage.local
+let settings = {
+  compareWithChrome: false,
+  autoRun: false,
+  autoRunDelay: 2, // Seconds to wait after navigation before an automatic run
+  groupByCriterion: false,
+  showSuppressed: false
+};
+
+// Accepted issues, kept in sync with chrome.storage.local
+let suppressions = [];
+
+// Whether the page is being re-tested as it changes (watch mode)
+let watching = false;
+
+// Whether the page is waiting for an element to be picked
+let picking = false;
+
+// Whether every issue is annotated on the page with a numbered badge
+let showingAnnotations = false;
+
+// Counter for the IDs of result list items, so IDs stay unique when the same
+// result is listed in several groups or lists
+let nextResultItemId = 1;
+
+// Pending automatic run after navigation, and whether it should resume watch mode
+let autoRunTimer = null;
+let autoRunResumesWatch = false;
+
+// Links, form fields, headings, landmarks and buttons on the page, loaded when the Rotor tab opens
+let rotorData = null;
+
+// The page read in reading order, loaded when the Read Page tab opens
+let transcriptData = null;
+
+// The page's landmark outline, loaded when the Landmarks tab opens
+let landmarkOutline = null;
 let selectedElement = null;
 
 // Variables for resizing functionality
@@ -100,12 +170,68 @@ function init() {
     }
   });
   
+  runSelectedTestBtn.addEventListener('click', runSelectedSubtreeTest);
+  watchBtn.addEventListener('click', toggleWatch);
+  pickElementBtn.addEventListener('click', togglePicker);
+  
   closeDetailsBtn.addEventListener('click', hideDetailsPanel);
   inspectElementBtn.addEventListener('click', inspectElementInDevTools);
+  speakAnnouncementBtn.addEventListener('click', speakAnnouncement);
+
+  // Load saved settings and keep them in sync with the settings controls
+  loadSettings();
+  compareChromeSetting.addEventListener('change', () => {
+    settings.compareWithChrome = compareChromeSetting.checked;
+    saveSettings();
+  });
+  autoRunSetting.addEventListener('change', () => {
+    settings.autoRun = autoRunSetting.checked;
+    saveSettings();
+    if (!settings.autoRun) {
+      cancelAutoRun();
+    }
+  });
+  autoRunDelaySetting.addEventListener('change', () => {
+    const delay = parseFloat(autoRunDelaySetting.value);
+    settings.autoRunDelay = isNaN(delay) ? 2 : Math.min(Math.max(delay, 0), 60);
+    autoRunDelaySetting.value = settings.autoRunDelay;
+    saveSettings();
+  });
+  groupByCriterionSetting.addEventListener('change', () => {
+    settings.groupByCriterion = groupByCriterionSetting.checked;
+    saveSettings();
+    renderResultLists();
+  });
+
+  showSuppressedSetting.addEventListener('change', () => {
+    settings.showSuppressed = showSuppressedSetting.checked;
+    saveSettings();
+    renderResultLists();
+  });
+
+  // Load accepted issues so they can be hidden from the results
+  loadSuppressions((list) => {
+    suppressions = list;
+    refreshSuppressions();
+  });
+
+  // Re-render the result lists when the criterion filter changes
+  criterionFilter.addEventListener('change', renderResultLists);
+
+  showAllBtn.addEventListener('click', toggleAnnotations);
+
+  rotorListSelect.addEventListener('change', renderRotor);
+  refreshRotorBtn.addEventListener('click', loadRotor);
+  refreshTranscriptBtn.addEventListener('click', loadTranscript);
+  exportTranscriptBtn.addEventListener('click', exportTranscript);
+  refreshLandmarksBtn.addEventListener('click', loadLandmarkOutline);
 
   // Set up resize handle functionality
   setupResizeHandling();
 
+  // Set up the export menu
+  setupExportMenu();
+
   // Tab switching functionality following WAI-ARIA Authoring Practices
   tabButtons.forEach(button => {
     // Handle click events for mouse users
@@ -163,6 +289,41 @@ function init() {
       processTestResults(message.results);
     }
 
+    if (message.action === "watchUpdate") {
+      applyWatchUpdate(message);
+    }
+
+    if (message.action === "annotationClicked") {
+      selectAnnotatedItem(message.number);
+    }
+
+    if (message.action === "elementPicked") {
+      showPickedElement(message.element, message.url);
+    }
+
+    if (message.action === "pickerCancelled") {
+      setPicking(false);
+      statusEl.textContent = message.error ? "Error picking an element: " + message.error : "Picking cancelled";
+    }
+
+    if (message.action === "rotorResults") {
+      processRotorResults(message);
+    }
+
+    if (message.action === "transcriptResults") {
+      processTranscriptResults(message);
+    }
+
+    if (message.action === "landmarkOutlineResults") {
+      processLandmarkOutline(message);
+    }
+
+    if (message.action === "contentScriptInjected" && pendingInjectionCallback) {
+      const callback = pendingInjectionCallback;
+      pendingInjectionCallback = null;
+      callback(message.error);
+    }
+
     if (message.action === "debugInfo") {
       updateDebugInfo(message.debugData);
     }
@@ -170,7 +331,7 @@ function init() {
     // Handle navigation events
     if (message.action === "pageNavigated") {
       // Reset the panel when the page navigates
-      handlePageNavigation(message.url);
+      handlePageNavigation(message.url, message.loading);
     }
   });
 
@@ -282,15 +443,198 @@ function setupResizeHandling() {
   });
 }
 
+/**
+ * Set up the export menu button following the WAI-ARIA menu button pattern
+ */
+function setupExportMenu() {
+  const menuItems = Array.from(exportMenu.querySelectorAll('[role="menuitem"]'));
+
+  exportBtn.addEventListener('click', () => {
+    if (exportMenu.hidden) {
+      openExportMenu(0);
+    } else {
+      closeExportMenu();
+    }
+  });
+
+  exportBtn.addEventListener('keydown', (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      openExportMenu(event.key === 'ArrowDown' ? 0 : menuItems.length - 1);
+    }
+  });
+
+  menuItems.forEach((item, index) => {
+    item.addEventListener('click', () => {
+      closeExportMenu();
+      exportResults(item.dataset.format);
+    });
+
+    item.addEventListener('keydown', (event) => {
+      switch (event.key) {
+        case 'ArrowDown':
+          event.preventDefault();
+          menuItems[(index + 1) % menuItems.length].focus();
+          break;
+        case 'ArrowUp':
+          event.preventDefault();
+          menuItems[(index - 1 + menuItems.length) % menuItems.length].focus();
+          break;
+        case 'Home':
+          event.preventDefault();
+          menuItems[0].focus();
+          break;
+        case 'End':
+          event.preventDefault();
+          menuItems[menuItems.length - 1].focus();
+          break;
+        case 'Enter':
+        case ' ':
+          event.preventDefault();
+          closeExportMenu();
+          exportResults(item.dataset.format);
+          break;
+        case 'Escape':
+          event.preventDefault();
+          closeExportMenu();
+          break;
+        case 'Tab':
+          closeExportMenu(false);
+          break;
+      }
+    });
+  });
+
+  // Close the menu when clicking anywhere else
+  document.addEventListener('click', (event) => {
+    if (!exportMenu.hidden && !exportMenu.parentElement.contains(event.target)) {
+      closeExportMenu(false);
+    }
+  });
+}
+
+/**
+ * Open the export menu and focus one of its items
+ * @param {number} index - Index of the menu item to focus
+ */
+function openExportMenu(index) {
+  exportMenu.hidden = false;
+  exportBtn.setAttribute('aria-expanded', 'true');
+  exportMenu.querySelectorAll('[role="menuitem"]')[index].focus();
+}
+
+/**
+ * Close the export menu
+ * @param {boolean} restoreFocus - Whether to move focus back to the menu button
+ */
+function closeExportMenu(restoreFocus = true) {
+  exportMenu.hidden = true;
+  exportBtn.setAttribute('aria-expanded', 'false');
+  if (restoreFocus) {
+    exportBtn.focus();
+  }
+}
+
+/**
+ * Download the current test results in the given format
+ * @param {string} format - 'json', 'csv', 'html' or 'sarif'
+ */
+function exportResults(format) {
+  if (!testResults) {
+    return;
+  }
+
+  try {
+    if (format === 'json') {
+      downloadFile(buildJSONExport(testResults), getExportFilename(testResults, 'json'), 'application/json');
+    } else if (format === 'csv') {
+      downloadFile(buildCSVExport(testResults), getExportFilename(testResults, 'csv'), 'text/csv');
+    } else if (format === 'html') {
+      downloadFile(buildHTMLReport(testResults), getExportFilename(testResults, 'html'), 'text/html');
+    } else if (format === 'sarif') {
+      downloadFile(buildSARIFExport(testResults), getExportFilename(testResults, 'sarif'), 'application/sarif+json');
+    }
+  } catch (error) {
+    console.error("Error exporting results:", error);
+    statusEl.textContent = "Error exporting results: " + error.message;
+  }
+}
+
 // Run the accessibility test
 function runTest() {
   console.log("Run test button clicked");
-  
+  cancelAutoRun();
+  prepareForTestRun();
+
+  // Wait briefly to ensure cleanup has time to complete
+  setTimeout(() => {
+    sendRunTestMessage({});
+  }, 100);
+}
+
+/**
+ * Test only the element selected in the Elements panel and its descendants
+ * The content script is injected first, then the selected node ($0) is stored
+ * in the content script's context, where runAccessibilityTest picks it up.
+ */
+function runSelectedSubtreeTest() {
+  console.log("Test selected subtree button clicked");
+  cancelAutoRun();
+
+  // Watch mode covers the whole page, so a scoped run ends it
+  if (watching) {
+    stopWatch();
+  }
+
+  prepareForTestRun();
+  statusEl.textContent = "Running test on the selected element...";
+
+  pendingInjectionCallback = (error) => {
+    if (error) {
+      showRunError("Error starting test: " + error);
+      return;
+    }
+
+    chrome.devtools.inspectedWindow.eval(
+      "(function() { window.carnforthTestScope = $0 || null; return !!$0; })()",
+      { useContentScriptContext: true },
+      (hasSelection, exceptionInfo) => {
+        if (exceptionInfo) {
+          showRunError("Error reading the selected element: " + (exceptionInfo.value || exceptionInfo.description || "unknown error"));
+          return;
+        }
+        if (!hasSelection) {
+          showRunError("Select an element in the Elements panel first");
+          return;
+        }
+        sendRunTestMessage({ scopeToSelection: true });
+      }
+    );
+  };
+
+  try {
+    port.postMessage({ action: "injectContentScript", tabId: inspectedTabId });
+  } catch (error) {
+    console.error("Error sending injectContentScript message:", error);
+    pendingInjectionCallback = null;
+    showRunError("Error starting test: " + error.message);
+  }
+}
+
+// Called when the background script has injected the content script for a scoped run
+let pendingInjectionCallback = null;
+
+/**
+ * Reset the panel before a test run
+ */
+function prepareForTestRun() {
   // Update UI state for the div-based button
   runTestBtn.setAttribute('aria-disabled', 'true');
   runTestBtn.classList.add('disabled');
   // Set tabindex to -1 to prevent focus while disabled
   runTestBtn.setAttribute('tabindex', '-1');
+  runSelectedTestBtn.disabled = true;
+  watchBtn.disabled = true;
   statusEl.textContent = "Running test...";
 
   // Clear previous results
@@ -307,63 +651,277 @@ function runTest() {
 
   // Clean up any existing highlights before starting new test
   removeHighlightFromPage();
+}
 
-  // Wait briefly to ensure cleanup has time to complete
-  setTimeout(() => {
-    try {
-      // Request test to be run - include tabId if we have it stored
-      const message = { action: "runTest" };
-      
-      // Use the stored inspectedTabId if available
-      if (inspectedTabId) {
-        message.tabId = inspectedTabId;
-      }
-      
-      console.log("Sending runTest message:", message);
-      port.postMessage(message);
-    } catch (error) {
-      console.error("Error sending runTest message:", error);
-      // Handle error, display a message to the user
-      statusEl.textContent = "Error starting test: " + error.message;
-      
-      // Re-enable the run button
-      runTestBtn.removeAttribute('aria-disabled');
-      runTestBtn.classList.remove('disabled');
-      runTestBtn.setAttribute('tabindex', '0');
+/**
+ * Ask the background script to run the test
+ * @param {Object} options - Extra message fields, e.g. { scopeToSelection: true }
+ */
+function sendRunTestMessage(options) {
+  try {
+    // Request test to be run - include tabId if we have it stored
+    const message = { action: "runTest", ...options };
+    
+    // Use the stored inspectedTabId if available
+    if (inspectedTabId) {
+      message.tabId = inspectedTabId;
     }
-  }, 100);
+
+    // Ask the background script to cross-check names with Chrome's accessibility tree
+    if (settings.compareWithChrome) {
+      message.compareWithChrome = true;
+    }
+
+    // Keep watching the page for changes after the test
+    if (watching) {
+      message.watch = true;
+    }
+    
+    console.log("Sending runTest message:", message);
+    port.postMessage(message);
+  } catch (error) {
+    console.error("Error sending runTest message:", error);
+    // Handle error, display a message to the user
+    showRunError("Error starting test: " + error.message);
+  }
 }
 
-// Process the test results
-function processTestResults(results) {
-  // Reset UI state for the div-based button
+/**
+ * Show an error that stopped a test run and re-enable the run buttons
+ * @param {string} message - Error message
+ */
+function showRunError(message) {
+  statusEl.textContent = message;
+  enableRunButtons();
+}
+
+/**
+ * Re-enable the run buttons after a test run
+ */
+function enableRunButtons() {
   runTestBtn.removeAttribute('aria-disabled');
   runTestBtn.classList.remove('disabled');
   // Restore focus ability
   runTestBtn.setAttribute('tabindex', '0');
+  runSelectedTestBtn.disabled = false;
+  watchBtn.disabled = false;
+}
+
+// Settings, kept in chrome.storage.local
+/**
+ * Load settings from chrome.storage.local and update the settings controls
+ */
+function loadSettings() {
+  chrome.storage.local.get('settings', (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading settings:", chrome.runtime.lastError);
+      return;
+    }
+
+    settings = { ...settings, ...(data.settings || {}) };
+    compareChromeSetting.checked = settings.compareWithChrome;
+    autoRunSetting.checked = settings.autoRun;
+    autoRunDelaySetting.value = settings.autoRunDelay;
+    groupByCriterionSetting.checked = settings.groupByCriterion;
+    showSuppressedSetting.checked = settings.showSuppressed;
+  });
+}
+
+/**
+ * Save the current settings to chrome.storage.local
+ */
+function saveSettings() {
+  chrome.storage.local.set({ settings: settings }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving settings:", chrome.runtime.lastError);
+    }
+  });
+}
+
+/**
+ * Start or stop watch mode
+ * Starting runs a full test; the content script then re-tests the parts of the
+ * page that change and sends the results as watchUpdate messages.
+ */
+function toggleWatch() {
+  if (watching) {
+    stopWatch();
+    statusEl.textContent = "Stopped watching the page for changes";
+    return;
+  }
+
+  startWatch();
+}
+
+/**
+ * Enter watch mode and run a full test to start the content script observing
+ */
+function startWatch() {
+  watching = true;
+  watchBtn.setAttribute('aria-pressed', 'true');
+  watchBtn.textContent = "Stop Watching";
+  runTest();
+}
+
+/**
+ * Leave watch mode and stop the content script observing the page
+ */
+function stopWatch() {
+  watching = false;
+  watchBtn.setAttribute('aria-pressed', 'false');
+  watchBtn.textContent = "Watch";
+
+  try {
+    port.postMessage({ action: "stopWatch", tabId: inspectedTabId });
+  } catch (error) {
+    console.error("Error sending stopWatch message:", error);
+  }
+}
+
+/**
+ * Start or stop picking an element on the page
+ * While picking, hovering over the page shows each element's role, name and
+ * verdict, and clicking an element opens its details here.
+ */
+function togglePicker() {
+  if (picking) {
+    setPicking(false);
+    statusEl.textContent = "Picking cancelled";
+    try {
+      port.postMessage({ action: "stopPicker", tabId: inspectedTabId });
+    } catch (error) {
+      console.error("Error sending stopPicker message:", error);
+    }
+    return;
+  }
+
+  setPicking(true);
+  statusEl.textContent = "Hover over the page and click an element to test it (Escape to cancel)";
+  statusEl.style.color = "";
+
+  try {
+    port.postMessage({ action: "startPicker", tabId: inspectedTabId });
+  } catch (error) {
+    console.error("Error sending startPicker message:", error);
+    setPicking(false);
+    statusEl.textContent = "Error picking an element: " + error.message;
+  }
+}
+
+/**
+ * Update the picker state and its button
+ * @param {boolean} value - Whether the page is being picked from
+ */
+function setPicking(value) {
+  picking = value;
+  pickElementBtn.setAttribute('aria-pressed', value ? 'true' : 'false');
+  pickElementBtn.textContent = value ? "Cancel Picking" : "Pick Element";
+}
+
+/**
+ * Open the details dialog for the element clicked while picking
+ * @param {Object} element - Test result for the picked element
+ * @param {string} url - URL of the page, for matching accepted issues
+ */
+function showPickedElement(element, url) {
+  setPicking(false);
+  applySuppressions({ url: url, elements: [element] }, suppressions);
+  statusEl.textContent = `Picked ${element.selector}: ${element.result.toUpperCase()}`;
+  statusEl.style.color = `var(--${element.result}-color)`;
+
+  highlightElementOnPage(element, false);
+  showElementDetails(element);
+}
+
+/**
+ * Merge re-tested results from watch mode into the stored results
+ * The results of each re-tested or removed element replace its old ones.
+ * Failures and warnings that weren't reported before are flagged as new.
+ * @param {Object} message - watchUpdate message with frameId, frameUrl, framePath and update
+ */
+function applyWatchUpdate(message) {
+  // Updates only apply to whole-page results
+  if (!watching || !testResults || testResults.scope) {
+    return;
+  }
+
+  const update = message.update;
+  const replacedIds = new Set([...update.retestedIds, ...update.removedIds]);
+  const isReplaced = el => el.frameId === message.frameId && replacedIds.has(el.watchId);
+
+  // Previous results for the replaced elements, by element and issue code
+  const previous = new Map();
+  testResults.elements.filter(isReplaced).forEach(el => {
+    previous.set(`${el.watchId}|${el.issueCode}`, el);
+  });
+
+  const updatedElements = update.elements.map(element => {
+    const earlier = previous.get(`${element.watchId}|${element.issueCode}`);
+    return {
+      ...element,
+      frameId: message.frameId,
+      frameUrl: message.frameUrl,
+      framePath: message.framePath,
+      watchNew: element.result !== 'pass' && (!earlier || !!earlier.watchNew)
+    };
+  });
+
+  testResults.elements = testResults.elements.filter(el => !isReplaced(el)).concat(updatedElements);
+  testResults.counts = {
+    total: testResults.elements.length,
+    failed: testResults.elements.filter(el => el.result === "fail").length,
+    warnings: testResults.elements.filter(el => el.result === "warn").length,
+    passing: testResults.elements.filter(el => el.result === "pass").length
+  };
+
+  applySuppressions(testResults, suppressions);
+  const counts = updateSummaryCounts();
+  updateCriterionFilter(testResults.elements);
+  renderResultLists();
+
+  // Only announce issues that appeared with this update
+  const newIssues = updatedElements.filter(el => el.watchNew && !el.suppressed &&
+    !previous.has(`${el.watchId}|${el.issueCode}`));
+  statusEl.textContent = `Watching: ${counts.fail} errors, ${counts.warn} warnings` +
+    (newIssues.length > 0 ? ` - ${newIssues.length} new issue${newIssues.length === 1 ? '' : 's'} at ${new Date(update.timestamp).toLocaleTimeString()}` : '');
+  statusEl.style.color = counts.fail > 0 ? "var(--fail-color)" : counts.warn > 0 ? "var(--warn-color)" : "var(--pass-color)";
+
+  if (newIssues.length > 0) {
+    resultsLiveRegion.textContent = '';
+    setTimeout(() => {
+      resultsLiveRegion.textContent = `${newIssues.length} new accessibility issue${newIssues.length === 1 ? '' : 's'} found.`;
+    }, 50);
+  }
+}
+
+// Process the test results
+function processTestResults(results) {
+  // Reset UI state for the run buttons
+  enableRunButtons();
   
   if (!results || results.error) {
     statusEl.textContent = "Error: " + (results?.error || "Unknown error");
+    if (watching) {
+      stopWatch();
+    }
     return;
   }
   
   // Store results for reference
   testResults = results;
+  exportBtn.disabled = false;
+  showAllBtn.disabled = false;
   
-  // Count issues by type
-  const counts = {
-    total: results.elements.length,
-    fail: results.elements.filter(el => el.result === "fail").length,
-    warn: results.elements.filter(el => el.result === "warn").length,
-    pass: results.elements.filter(el => el.result === "pass").length
-  };
-  
-  // Update summary stats
-  totalCountEl.textContent = counts.total;
-  failCountEl.textContent = counts.fail;
-  warnCountEl.textContent = counts.warn;
-  passCountEl.textContent = counts.pass;
+  // Mark accepted issues and count issues by type
+  applySuppressions(results, suppressions);
+  const counts = updateSummaryCounts();
   
+  // Say when the results only cover the element selected in the Elements panel
+  scopeNoteEl.hidden = !results.scope;
+  scopeNoteEl.innerHTML = results.scope
+    ? `Results for the selected element and its descendants: <code>${escapeHTML(results.scope.selector)}</code>`
+    : '';
+
   // Show summary section
   summarySection.classList.remove('hidden');
   
@@ -376,38 +934,534 @@ function processTestResults(results) {
     statusEl.textContent = statusMessage;
     statusEl.style.color = counts.fail > 0 ? "var(--fail-color)" : "var(--warn-color)";
   } else {
-    statusMessage = "No accessibility issues found";
-    statusEl.textContent = statusMessage;
-    statusEl.style.color = "var(--pass-color)";
+    statusMessage = "No accessibility issues found";
+    statusEl.textContent = statusMessage;
+    statusEl.style.color = "var(--pass-color)";
+  }
+
+  // Report names that differ from Chrome's accessibility tree
+  if (results.chromeComparisonError) {
+    statusEl.textContent += ` (Chrome comparison failed: ${results.chromeComparisonError})`;
+  } else if (results.nameMismatchCount > 0) {
+    statusEl.textContent += ` - ${results.nameMismatchCount} name${results.nameMismatchCount === 1 ? '' : 's'} differ from Chrome`;
+  }
+
+  // Frames that couldn't be injected (e.g. about:blank or browser pages) are not covered by the results
+  if (results.untestedFrames && results.untestedFrames.length > 0) {
+    statusEl.textContent += ` (${results.untestedFrames.length} frame${results.untestedFrames.length === 1 ? '' : 's'} could not be tested)`;
+  }
+
+  if (watching) {
+    statusEl.textContent += " - watching for changes";
+  }
+  
+  // Clear and update the ARIA live region to ensure it's announced
+  // First empty it to ensure change is detected
+  resultsLiveRegion.textContent = '';
+  
+  // Force browser to process the empty state
+  setTimeout(() => {
+    // Use a clear, concise message that prioritizes the most important information first
+    resultsLiveRegion.textContent = `Test complete. ${counts.fail} failures, ${counts.warn} warnings found out of ${counts.total} elements tested.` +
+      (counts.suppressed > 0 ? ` ${counts.suppressed} accepted issues are suppressed.` : '');
+  }, 50);
+  
+  // Populate result lists
+  updateCriterionFilter(results.elements);
+  renderResultLists();
+
+  // Record the run and compare it with the previous one
+  // Runs scoped to a subtree aren't recorded, since they'd show every other issue as fixed
+  if (!results.scope) {
+    saveRunToHistory(results, (runs, error) => {
+      const diff = renderHistory(results.url, runs, results);
+      if (diff && runs.length > 1) {
+        statusEl.textContent += ` - ${diff.introduced.length} new, ${diff.fixed.length} fixed since the last run`;
+      }
+      if (error) {
+        statusEl.textContent += ` - This run couldn't be saved to the history: ${error}`;
+      }
+    });
+  }
+  
+  // Switch to the failures tab if there are any failures
+  if (counts.fail > 0) {
+    // Use our new activateTab function
+    const failuresTab = document.getElementById('tab-failures');
+    activateTab(failuresTab);
+  }
+}
+
+/**
+ * Count the stored results by type and update the summary stats
+ * Suppressed failures and warnings are counted separately.
+ * @returns {Object} { total, fail, warn, pass, suppressed }
+ */
+function updateSummaryCounts() {
+  const elements = testResults.elements;
+  const counts = {
+    total: elements.length,
+    fail: elements.filter(el => el.result === "fail" && !el.suppressed).length,
+    warn: elements.filter(el => el.result === "warn" && !el.suppressed).length,
+    pass: elements.filter(el => el.result === "pass").length,
+    suppressed: elements.filter(el => el.suppressed).length
+  };
+
+  totalCountEl.textContent = counts.total;
+  failCountEl.textContent = counts.fail;
+  warnCountEl.textContent = counts.warn;
+  passCountEl.textContent = counts.pass;
+  suppressedCountEl.textContent = counts.suppressed;
+
+  return counts;
+}
+
+/**
+ * Re-apply the suppressions to the stored results and update the summary and
+ * result lists
+ */
+function refreshSuppressions() {
+  if (!testResults) {
+    return;
+  }
+
+  applySuppressions(testResults, suppressions);
+  updateSummaryCounts();
+  renderResultLists();
+}
+
+/**
+ * Remove suppressed results from a list unless they are being shown
+ * @param {Array} elements - Test results
+ * @returns {Array} Results to display
+ */
+function filterSuppressed(elements) {
+  return settings.showSuppressed ? elements : elements.filter(el => !el.suppressed);
+}
+
+/**
+ * Show the accept form, or the acceptance details, for a result in the
+ * details dialog
+ * @param {Object} element - Test result
+ */
+function renderSuppressionDetails(element) {
+  // Only failures and warnings can be accepted
+  suppressionSection.hidden = element.result === 'pass';
+  if (suppressionSection.hidden) {
+    suppressionDetailsEl.innerHTML = '';
+    return;
+  }
+
+  if (element.suppressed) {
+    const suppression = element.suppression;
+    suppressionDetailsEl.innerHTML = `
+      <div><strong>Accepted:</strong> ${escapeHTML(new Date(suppression.created).toLocaleString())}</div>
+      <div><strong>Justification:</strong> ${escapeHTML(suppression.justification)}</div>
+      <div><strong>Pages:</strong> <code>${escapeHTML(suppression.urlPattern)}</code></div>
+      <div><strong>Expires:</strong> ${suppression.expires ? escapeHTML(suppression.expires) : 'Never'}</div>
+      <button type="button" id="remove-suppression-btn" class="secondary-btn">Stop accepting this issue</button>
+    `;
+
+    document.getElementById('remove-suppression-btn').addEventListener('click', () => {
+      removeSuppression(suppression.id, (list) => {
+        suppressions = list;
+        refreshSuppressions();
+        renderSuppressionDetails(element);
+        updateDetailsFocusableElements();
+        document.getElementById('suppression-justification').focus();
+        resultsLiveRegion.textContent = 'Issue is no longer accepted';
+      });
+    });
+    return;
+  }
+
+  suppressionDetailsEl.innerHTML = `
+    <p>Accepted issues are hidden from the results on matching pages until they expire.</p>
+    <form id="suppression-form" class="suppression-form">
+      <label for="suppression-justification">Justification</label>
+      <textarea id="suppression-justification" rows="2" required></textarea>
+      <label for="suppression-url-pattern">Pages (* matches any characters)</label>
+      <input type="text" id="suppression-url-pattern" required
+             value="${escapeHTML(getDefaultUrlPattern(testResults ? testResults.url : ''))}">
+      <label for="suppression-expires">Expires (optional)</label>
+      <input type="date" id="suppression-expires">
+      <button type="submit" class="secondary-btn">Accept issue</button>
+    </form>
+  `;
+
+  document.getElementById('suppression-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+
+    const justification = document.getElementById('suppression-justification').value.trim();
+    const urlPattern = document.getElementById('suppression-url-pattern').value.trim();
+    if (!justification || !urlPattern) {
+      return;
+    }
+
+    addSuppression(element, {
+      justification: justification,
+      urlPattern: urlPattern,
+      expires: document.getElementById('suppression-expires').value
+    }, (list) => {
+      suppressions = list;
+      refreshSuppressions();
+      renderSuppressionDetails(element);
+      updateDetailsFocusableElements();
+      document.getElementById('remove-suppression-btn').focus();
+      resultsLiveRegion.textContent = element.suppressed
+        ? 'Issue accepted'
+        : 'Issue accepted, but the pattern does not match this page';
+    });
+  });
+}
+
+/**
+ * Get the WCAG criteria a result is grouped and filtered under
+ * Results with no criterion are best-practice findings.
+ * @param {Object} element - Test result
+ * @returns {Array} Success criterion numbers, or ['best-practice']
+ */
+function getResultCriteria(element) {
+  return element.wcag && element.wcag.length > 0 ? element.wcag : ['best-practice'];
+}
+
+/**
+ * Get the display label for a criterion key from getResultCriteria
+ * @param {string} key - Success criterion number or 'best-practice'
+ * @returns {string} Label
+ */
+function getCriterionLabel(key) {
+  return key === 'best-practice' ? 'Best practice (no WCAG criterion)' : formatCriterion(key);
+}
+
+/**
+ * Compare criterion keys so they sort in WCAG order, best practice last
+ */
+function compareCriteria(a, b) {
+  if (a === 'best-practice' || b === 'best-practice') {
+    return (a === 'best-practice') - (b === 'best-practice');
+  }
+  const partsA = a.split('.').map(Number);
+  const partsB = b.split('.').map(Number);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    if ((partsA[i] || 0) !== (partsB[i] || 0)) {
+      return (partsA[i] || 0) - (partsB[i] || 0);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Fill the criterion filter with the criteria found in the results,
+ * keeping the current selection if it is still present
+ * @param {Array} elements - Test results
+ */
+function updateCriterionFilter(elements) {
+  const selected = criterionFilter.value;
+  const criteria = Array.from(new Set(elements.flatMap(getResultCriteria))).sort(compareCriteria);
+
+  criterionFilter.innerHTML = '<option value="">All criteria</option>';
+  criteria.forEach(key => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = getCriterionLabel(key);
+    criterionFilter.appendChild(option);
+  });
+
+  criterionFilter.value = criteria.includes(selected) ? selected : '';
+}
+
+/**
+ * Render the failures, warnings and all lists from the stored test results,
+ * applying the criterion filter and grouping
+ */
+function renderResultLists() {
+  if (!testResults) {
+    return;
+  }
+
+  numberAnnotations();
+
+  const criterion = criterionFilter.value;
+  const elements = criterion
+    ? testResults.elements.filter(el => getResultCriteria(el).includes(criterion))
+    : testResults.elements;
+
+  renderResultList(failuresList, elements.filter(el => el.result === "fail"));
+  renderResultList(warningsList, elements.filter(el => el.result === "warn"));
+  renderResultList(allList, elements);
+
+  if (showingAnnotations) {
+    sendAnnotations();
+  }
+}
+
+/**
+ * Show or hide numbered badges on every failing and warning element on the page
+ */
+function toggleAnnotations() {
+  showingAnnotations = !showingAnnotations;
+  showAllBtn.setAttribute('aria-pressed', showingAnnotations ? 'true' : 'false');
+  showAllBtn.textContent = showingAnnotations ? "Hide All on Page" : "Show All on Page";
+
+  if (showingAnnotations) {
+    // Numbers the results, re-renders the lists with them and sends the annotations
+    renderResultLists();
+    return;
+  }
+
+  try {
+    port.postMessage({ action: "hideAnnotations", tabId: inspectedTabId });
+  } catch (error) {
+    console.error("Error sending hideAnnotations message:", error);
+  }
+  renderResultLists();
+}
+
+/**
+ * Number the failures and warnings shown in the lists, in result order, so
+ * each list item can show the number of its badge on the page
+ */
+function numberAnnotations() {
+  let number = 0;
+  const shown = new Set(filterSuppressed(testResults.elements));
+
+  testResults.elements.forEach(element => {
+    delete element.annotationNumber;
+    if (showingAnnotations && shown.has(element) && (element.result === "fail" || element.result === "warn")) {
+      element.annotationNumber = ++number;
+    }
+  });
+}
+
+/**
+ * Ask the background script to draw the numbered badges on the page
+ */
+function sendAnnotations() {
+  const annotations = testResults.elements
+    .filter(element => element.annotationNumber)
+    .map(element => ({
+      number: element.annotationNumber,
+      frameId: element.frameId || 0,
+      selector: element.selector,
+      result: element.result,
+      accessibleName: element.accessibleName
+    }));
+
+  try {
+    port.postMessage({ action: "showAnnotations", tabId: inspectedTabId, annotations: annotations });
+  } catch (error) {
+    console.error("Error sending showAnnotations message:", error);
+  }
+}
+
+/**
+ * Select the list item for a badge clicked on the page
+ * The item is selected in the current tab if it's listed there, otherwise in
+ * the All tab.
+ * @param {number} number - Badge number
+ */
+function selectAnnotatedItem(number) {
+  const itemSelector = `.issue-item[data-annotation="${Number(number)}"]`;
+  const activePanel = document.querySelector('.tab-content.active');
+  let item = activePanel ? activePanel.querySelector(itemSelector) : null;
+
+  if (!item) {
+    activateTab(document.getElementById('tab-all'));
+    item = allList.querySelector(itemSelector);
+  }
+  if (!item) {
+    return;
+  }
+
+  item.scrollIntoView({ block: 'nearest' });
+  item.focus();
+  item.click();
+}
+
+/**
+ * Render a results list, grouped by WCAG criterion when that setting is on
+ * Results mapped to several criteria appear under each of them.
+ * @param {HTMLElement} listElement - List to render into
+ * @param {Array} elements - Test results
+ */
+function renderResultList(listElement, elements) {
+  if (!settings.groupByCriterion || filterSuppressed(elements).length === 0) {
+    populateResultsList(listElement, elements);
+    return;
+  }
+
+  const groups = new Map();
+  filterSuppressed(elements).forEach(element => {
+    getResultCriteria(element).forEach(key => {
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(element);
+    });
+  });
+
+  // When filtering, only show the group for the selected criterion
+  const keys = Array.from(groups.keys())
+    .filter(key => !criterionFilter.value || key === criterionFilter.value)
+    .sort(compareCriteria);
+
+  listElement.innerHTML = '';
+  keys.forEach(key => {
+    const label = getCriterionLabel(key);
+    const groupItem = document.createElement('li');
+    groupItem.className = 'criterion-group';
+    groupItem.innerHTML = `<h3 class="criterion-heading">${escapeHTML(label)} (${groups.get(key).length})</h3>`;
+
+    const groupList = document.createElement('ul');
+    groupList.className = 'issue-list';
+    groupList.setAttribute('aria-label', label);
+    populateResultsList(groupList, groups.get(key));
+
+    groupItem.appendChild(groupList);
+    listElement.appendChild(groupItem);
+  });
+}
+
+/**
+ * Render the History tab for a page
+ * @param {string} url - Page URL
+ * @param {Array} runs - Stored runs, newest first
+ * @param {Object|null} currentResults - Results shown in the panel, which runs[0] records,
+ *   or null if the panel shows no run. Stored runs only keep a few fields of each
+ *   issue, so new and unchanged issues are taken from these results.
+ * @returns {Object|null} The diff against the previous run, or null if there is no current run
+ */
+function renderHistory(url, runs, currentResults) {
+  historyContent.innerHTML = '';
+
+  if (runs.length === 0) {
+    historyContent.innerHTML = '<p class="empty-message">Run the test to start recording history for this page</p>';
+    return null;
+  }
+
+  let diff = null;
+  if (currentResults) {
+    diff = diffRuns(runs[1] || null, currentResults);
+
+    const summary = document.createElement('p');
+    summary.className = 'history-summary';
+    summary.textContent = runs.length > 1
+      ? `Compared with the run on ${new Date(runs[1].timestamp).toLocaleString()}: ${diff.introduced.length} new, ${diff.fixed.length} fixed and ${diff.unchanged.length} unchanged issues.`
+      : 'This is the first recorded run for this page, so every issue is new.';
+    historyContent.appendChild(summary);
+
+    appendHistoryIssueList('New issues', diff.introduced, true);
+    if (runs.length > 1) {
+      appendHistoryIssueList('Fixed issues', diff.fixed, false);
+      appendHistoryIssueList('Unchanged issues', diff.unchanged, true);
+    }
+  } else {
+    const summary = document.createElement('p');
+    summary.className = 'history-summary';
+    summary.textContent = 'Run the test to compare this page with its last recorded run.';
+    historyContent.appendChild(summary);
   }
-  
-  // Clear and update the ARIA live region to ensure it's announced
-  // First empty it to ensure change is detected
-  resultsLiveRegion.textContent = '';
-  
-  // Force browser to process the empty state
-  setTimeout(() => {
-    // Use a clear, concise message that prioritizes the most important information first
-    resultsLiveRegion.textContent = `Test complete. ${counts.fail} failures, ${counts.warn} warnings found out of ${counts.total} elements tested.`;
-  }, 50);
-  
-  // Populate result lists
-  populateResultsList(failuresList, results.elements.filter(el => el.result === "fail"));
-  populateResultsList(warningsList, results.elements.filter(el => el.result === "warn"));
-  populateResultsList(allList, results.elements);
-  
-  // Switch to the failures tab if there are any failures
-  if (counts.fail > 0) {
-    // Use our new activateTab function
-    const failuresTab = document.getElementById('tab-failures');
-    activateTab(failuresTab);
+
+  // Table of stored runs
+  const runsHeading = document.createElement('h3');
+  runsHeading.textContent = 'Recorded runs';
+  historyContent.appendChild(runsHeading);
+
+  const table = document.createElement('table');
+  table.className = 'history-runs';
+  table.innerHTML = `
+    <thead>
+      <tr><th scope="col">Date</th><th scope="col">Failures</th><th scope="col">Warnings</th><th scope="col">Passing</th></tr>
+    </thead>
+    <tbody>
+      ${runs.map(run => `
+        <tr>
+          <td>${escapeHTML(new Date(run.timestamp).toLocaleString())}</td>
+          <td>${run.counts.failed}</td>
+          <td>${run.counts.warnings}</td>
+          <td>${run.counts.passing}</td>
+        </tr>`).join('')}
+    </tbody>
+  `;
+  historyContent.appendChild(table);
+
+  const clearBtn = document.createElement('button');
+  clearBtn.className = 'secondary-btn';
+  clearBtn.textContent = 'Clear history for this page';
+  clearBtn.addEventListener('click', () => {
+    clearHistory(url, () => {
+      renderHistory(url, [], null);
+      resultsLiveRegion.textContent = 'History cleared';
+    });
+  });
+  historyContent.appendChild(clearBtn);
+
+  return diff;
+}
+
+/**
+ * Add a heading and list of issues to the History tab
+ * @param {string} title - Heading text
+ * @param {Array} elements - Test results
+ * @param {boolean} selectable - Whether the elements are on the page and can be selected
+ */
+function appendHistoryIssueList(title, elements, selectable) {
+  const heading = document.createElement('h3');
+  heading.textContent = `${title} (${elements.length})`;
+  historyContent.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.className = 'issue-list';
+  list.setAttribute('aria-label', title);
+  historyContent.appendChild(list);
+
+  if (selectable) {
+    populateResultsList(list, elements);
+    return;
+  }
+
+  // Fixed issues are no longer on the page, so they are listed without interaction
+  if (elements.length === 0) {
+    list.innerHTML = '<li class="empty-message">No issues found</li>';
+    return;
+  }
+  list.innerHTML = elements.map(element => `
+    <li class="issue-item ${element.result}">
+      <h3 class="issue-title">${getElementDescription(element)}</h3>
+      <div class="issue-description">${escapeHTML(element.description)}</div>
+      <div class="issue-element">${escapeHTML(element.selector)}</div>
+    </li>`).join('');
+}
+
+/**
+ * Format the WCAG criteria and ACT rules of a result as plain text
+ * @param {Object} element - Test result
+ * @returns {string} e.g. "WCAG 1.1.1 (A), 4.1.2 (A) - ACT 23a2a8"
+ */
+function formatResultCriteria(element) {
+  const parts = [];
+  if (element.wcagCriteria && element.wcagCriteria.length > 0) {
+    parts.push(`WCAG ${element.wcagCriteria.map(c => c.level ? `${c.sc} (${c.level})` : c.sc).join(', ')}`);
+  } else if (element.wcag) {
+    parts.push('Best practice');
+  }
+  if (element.act && element.act.length > 0) {
+    parts.push(`ACT ${element.act.join(', ')}`);
   }
+  return parts.join(' - ');
 }
 
 // Populate a results list with elements
 function populateResultsList(listElement, elements) {
+  // Accepted issues are hidden unless the user asks to see them
+  const hiddenCount = elements.length - filterSuppressed(elements).length;
+  elements = filterSuppressed(elements);
+
   if (elements.length === 0) {
-    listElement.innerHTML = '<li class="empty-message">No issues found</li>';
+    listElement.innerHTML = hiddenCount > 0
+      ? `<li class="empty-message">No issues found (${hiddenCount} suppressed)</li>`
+      : '<li class="empty-message">No issues found</li>';
     return;
   }
   
@@ -415,8 +1469,11 @@ function populateResultsList(listElement, elements) {
   
   elements.forEach((element, index) => {
     const item = document.createElement('li');
-    item.className = `issue-item ${element.result}`;
+    item.className = `issue-item ${element.result}${element.suppressed ? ' suppressed' : ''}`;
     item.dataset.index = index;
+    if (element.annotationNumber) {
+      item.dataset.annotation = element.annotationNumber;
+    }
     item.setAttribute('role', 'button');
     item.setAttribute('tabindex', '0'); // Make it keyboard focusable
     
@@ -424,17 +1481,15 @@ function populateResultsList(listElement, elements) {
                         element.result === "warn" ? "status-warn" : "status-pass";
     
     // Generate unique IDs for various elements
-    const issueTypeId = `issue-type-${element.result}-${index}`;
-    const issueTitleId = `issue-title-${element.result}-${index}`;
-    const selectorDescId = `selector-desc-${element.result}-${index}`;
+    const itemId = nextResultItemId++;
     
     // Set a clear accessible name using aria-label
-    const accessibleName = `${element.result === "fail" ? "Failure" : element.result === "warn" ? "Warning" : "Pass"}: ${getElementDescription(element).replace(/<[^>]*>/g, '')}. Click to open details`;
+    const accessibleName = `${element.annotationNumber ? `${element.annotationNumber}. ` : ""}${element.suppressed ? "Suppressed " : ""}${element.watchNew ? "New " : ""}${element.result === "fail" ? "Failure" : element.result === "warn" ? "Warning" : "Pass"}: ${getElementDescription(element).replace(/<[^>]*>/g, '')}. Click to open details`;
     item.setAttribute('aria-label', accessibleName);
     
     // Create an ID for the description section
-    const descriptionId = `issue-desc-${element.result}-${index}`;
-    const elementSelectorId = `element-selector-${element.result}-${index}`;
+    const descriptionId = `issue-desc-${element.result}-${itemId}`;
+    const elementSelectorId = `element-selector-${element.result}-${itemId}`;
     
     // Use aria-describedby to ensure the description is read after the label
     item.setAttribute('aria-describedby', `${descriptionId} ${elementSelectorId}`);
@@ -442,10 +1497,15 @@ function populateResultsList(listElement, elements) {
     item.innerHTML = `
       <h3 class="issue-title">
         <span class="issue-status ${statusClass}" aria-hidden="true"></span>
+        ${element.annotationNumber ? `<span class="annotation-number ${element.result}" aria-hidden="true">${element.annotationNumber}</span>` : ''}
         ${getElementDescription(element)}
+        ${element.watchNew ? '<span class="new-badge" aria-hidden="true">New</span>' : ''}
       </h3>
       <div id="${descriptionId}" class="issue-description">${element.description || 'No description'}</div>
       <div id="${elementSelectorId}" class="issue-element">${element.selector}</div>
+      ${element.wcag ? `<div class="issue-criteria">${formatResultCriteria(element)}</div>` : ''}
+      ${element.suppressed ? `<div class="issue-suppression">Accepted: ${escapeHTML(element.suppression.justification)}</div>` : ''}
+      ${element.nameMismatch ? `<div class="name-mismatch">Name differs from Chrome: "${escapeHTML(element.chromeAccessibleName)}"</div>` : ''}
     `;
     
     // Helper function to select an item and handle all operations in a consistent order
@@ -466,40 +1526,8 @@ function populateResultsList(listElement, elements) {
       // 4. First remove any existing highlight
       removeHighlightFromPage();
 
-      // 5. DIRECT SCROLLING APPROACH: Directly scroll the element into view using eval
-      // This bypasses all the message passing that might be causing issues
-      if (elementData.selector) {
-        console.log("Using direct DOM access to find and scroll to element");
-        chrome.devtools.inspectedWindow.eval(
-          `
-          (function() {
-            try {
-              const element = document.querySelector('${elementData.selector.replace(/'/g, "\\'")}');
-              if (element) {
-                console.log("Found element to scroll to:", element);
-                element.scrollIntoView({behavior: 'auto', block: 'center'});
-                return "Element found and scrolled into view";
-              } else {
-                return "Element not found with selector: ${elementData.selector}";
-              }
-            } catch(e) {
-              return "Error scrolling: " + e.message;
-            }
-          })()
-          `,
-          function(result, isException) {
-            console.log("Direct scroll result:", result, isException ? "Exception!" : "");
-
-            // After scrolling is done, send the highlight message
-            setTimeout(() => {
-              highlightElementOnPage(elementData, false);
-            }, 300);
-          }
-        );
-      } else {
-        // Just highlight if no selector available
-        highlightElementOnPage(elementData, false);
-      }
+      // 5. Scroll the element into view and highlight it
+      scrollToAndHighlightElement(elementData);
     }
 
     // Make issue item focusable
@@ -540,40 +1568,433 @@ function populateResultsList(listElement, elements) {
   });
 }
 
+// Labels for the rotor lists, used in the list's name and the summary
+const ROTOR_LIST_LABELS = {
+  links: 'Links',
+  formFields: 'Form fields',
+  headings: 'Headings',
+  landmarks: 'Landmarks',
+  buttons: 'Buttons'
+};
+
+/**
+ * Ask the background script for the page's rotor lists
+ * The results arrive as a rotorResults message
+ */
+function loadRotor() {
+  rotorSummaryEl.textContent = 'Loading...';
+  rotorList.innerHTML = '';
+  port.postMessage({ action: "getRotor", tabId: inspectedTabId });
+}
+
+/**
+ * Store the rotor lists from the page, flag their entries and show the selected list
+ * @param {Object} message - rotorResults message with a rotor or an error
+ */
+function processRotorResults(message) {
+  if (message.error || !message.rotor) {
+    rotorData = null;
+    rotorSummaryEl.textContent = 'Could not list the page\'s elements: ' + (message.error || 'no response');
+    return;
+  }
+
+  rotorData = message.rotor;
+  Object.keys(ROTOR_LIST_LABELS).forEach(list => {
+    flagRotorEntries(rotorData[list], list);
+  });
+  renderRotor();
+}
+
+/**
+ * Flag rotor entries that have no name or share a name with another entry in the same list
+ * Landmarks don't need a name, so their duplicates are compared by role and name
+ * and their empty names aren't flagged.
+ * @param {Array} entries - Entries in one rotor list
+ * @param {string} list - Which rotor list the entries are from
+ */
+function flagRotorEntries(entries, list) {
+  const getKey = (entry) => {
+    const name = entry.accessibleName.toLowerCase();
+    if (list === 'landmarks') return entry.role + ':' + name;
+    return name || null;
+  };
+
+  const entriesByKey = new Map();
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    if (key === null) return;
+    entriesByKey.set(key, (entriesByKey.get(key) || []).concat(entry));
+  });
+
+  entries.forEach(entry => {
+    const key = getKey(entry);
+    const matches = key === null ? [] : entriesByKey.get(key);
+
+    entry.empty = list !== 'landmarks' && !entry.accessibleName;
+    entry.duplicate = matches.length > 1;
+    // Links with the same name are only ambiguous when they go to different places
+    entry.differentDestinations = list === 'links' && matches.some(other => other.href !== entry.href);
+  });
+}
+
+/**
+ * Show the selected rotor list
+ * Entries are reached with the arrow keys and highlight their element on the page when focused.
+ */
+function renderRotor() {
+  const list = rotorListSelect.value;
+  const label = ROTOR_LIST_LABELS[list];
+  rotorList.setAttribute('aria-label', label);
+  rotorList.innerHTML = '';
+
+  if (!rotorData) {
+    rotorSummaryEl.textContent = '';
+    rotorList.innerHTML = '<li class="empty-message">Select Refresh to list the page\'s elements</li>';
+    return;
+  }
+
+  const entries = rotorData[list] || [];
+  const emptyCount = entries.filter(entry => entry.empty).length;
+  const duplicateCount = entries.filter(entry => entry.duplicate).length;
+  rotorSummaryEl.textContent = `${label}: ${entries.length}` +
+    (emptyCount ? `, ${emptyCount} without a name` : '') +
+    (duplicateCount ? `, ${duplicateCount} with duplicate names` : '');
+
+  if (entries.length === 0) {
+    rotorList.innerHTML = `<li class="empty-message">No ${label.toLowerCase()} found</li>`;
+    return;
+  }
+
+  entries.forEach((entry, index) => {
+    const item = document.createElement('li');
+    item.className = 'rotor-item';
+    item.tabIndex = index === 0 ? 0 : -1;
+
+    const prefix = list === 'headings' ? `H${entry.level}` : (list === 'links' || list === 'buttons' ? '' : entry.role);
+    if (list === 'headings') {
+      item.style.marginLeft = `${(Math.min(entry.level, 6) - 1) * 16}px`;
+    }
+
+    const flags = [];
+    if (entry.empty) flags.push({ className: 'fail', text: 'No name' });
+    if (entry.duplicate) {
+      flags.push({
+        className: 'warn',
+        text: entry.differentDestinations ? 'Duplicate, different destinations' : 'Duplicate'
+      });
+    }
+
+    item.innerHTML = `
+      ${prefix ? `<span class="rotor-role">${escapeHTML(prefix)}</span>` : ''}
+      <span class="rotor-name">${entry.accessibleName ? escapeHTML(entry.accessibleName) : '<em>(no name)</em>'}</span>
+      ${flags.map(flag => `<span class="rotor-flag ${flag.className}">${flag.text}</span>`).join('')}
+      ${entry.framePath && entry.framePath.length > 0 ? '<span class="rotor-frame">in frame</span>' : ''}
+    `;
+    item.setAttribute('aria-label', [
+      prefix,
+      entry.accessibleName || 'no name',
+      ...flags.map(flag => flag.text)
+    ].filter(Boolean).join(', '));
+
+    item.addEventListener('focus', () => {
+      rotorList.querySelectorAll('.rotor-item').forEach(other => {
+        other.tabIndex = other === item ? 0 : -1;
+      });
+      removeHighlightFromPage();
+      scrollToAndHighlightElement(entry);
+    });
+    item.addEventListener('keydown', handleListItemKeydown);
+
+    rotorList.appendChild(item);
+  });
+}
+
+// Move between the focusable items of a rotor or transcript list with the arrow, Home and End keys
+function handleListItemKeydown(event) {
+  const items = Array.from(event.currentTarget.parentElement.querySelectorAll(':scope > [tabindex]'));
+  const index = items.indexOf(event.currentTarget);
+  let next = null;
+
+  switch (event.key) {
+    case 'ArrowDown':
+      next = items[Math.min(index + 1, items.length - 1)];
+      break;
+    case 'ArrowUp':
+      next = items[Math.max(index - 1, 0)];
+      break;
+    case 'Home':
+      next = items[0];
+      break;
+    case 'End':
+      next = items[items.length - 1];
+      break;
+  }
+
+  if (next) {
+    event.preventDefault();
+    next.focus();
+  }
+}
+
+/**
+ * Ask the background script to read the page
+ * The transcript arrives as a transcriptResults message
+ */
+function loadTranscript() {
+  transcriptSummaryEl.textContent = 'Reading the page...';
+  transcriptList.innerHTML = '';
+  exportTranscriptBtn.disabled = true;
+  port.postMessage({ action: "getTranscript", tabId: inspectedTabId });
+}
+
+/**
+ * Store the transcript from the page and show it
+ * @param {Object} message - transcriptResults message with a transcript or an error
+ */
+function processTranscriptResults(message) {
+  if (message.error || !message.transcript) {
+    transcriptData = null;
+    transcriptSummaryEl.textContent = 'Could not read the page: ' + (message.error || 'no response');
+    return;
+  }
+
+  transcriptData = message.transcript;
+  renderTranscript();
+}
+
+/**
+ * Show the transcript, one line per list item, indented by nesting
+ * Lines are reached with the arrow keys and highlight their element on the page when focused.
+ */
+function renderTranscript() {
+  transcriptList.innerHTML = '';
+  exportTranscriptBtn.disabled = !transcriptData;
+
+  if (!transcriptData) {
+    transcriptSummaryEl.textContent = '';
+    transcriptList.innerHTML = '<li class="empty-message">Select Read Again to read the page</li>';
+    return;
+  }
+
+  const lines = transcriptData.lines;
+  transcriptSummaryEl.textContent = `${lines.length} ${lines.length === 1 ? 'line' : 'lines'}`;
+
+  if (lines.length === 0) {
+    transcriptList.innerHTML = '<li class="empty-message">Nothing on the page is read</li>';
+    return;
+  }
+
+  lines.forEach((line, index) => {
+    const item = document.createElement('li');
+    item.className = `transcript-line ${line.type}`;
+    item.tabIndex = index === 0 ? 0 : -1;
+    item.style.marginLeft = `${line.depth * 16}px`;
+    item.textContent = line.text;
+
+    item.addEventListener('focus', () => {
+      transcriptList.querySelectorAll('.transcript-line').forEach(other => {
+        other.tabIndex = other === item ? 0 : -1;
+      });
+      removeHighlightFromPage();
+      if (line.selector) {
+        scrollToAndHighlightElement(line);
+      }
+    });
+    item.addEventListener('keydown', handleListItemKeydown);
+
+    transcriptList.appendChild(item);
+  });
+}
+
+// Download the transcript as a text file
+function exportTranscript() {
+  if (!transcriptData) {
+    return;
+  }
+
+  try {
+    downloadFile(buildTranscriptExport(transcriptData), getExportFilename(transcriptData, 'txt'), 'text/plain');
+  } catch (error) {
+    console.error("Error exporting transcript:", error);
+    transcriptSummaryEl.textContent = "Error exporting transcript: " + error.message;
+  }
+}
+
+/**
+ * Ask the background script for the page's landmark outline
+ * The outline arrives as a landmarkOutlineResults message
+ */
+function loadLandmarkOutline() {
+  landmarkSummaryEl.textContent = 'Loading...';
+  landmarkList.innerHTML = '';
+  outsideLandmarkList.innerHTML = '';
+  port.postMessage({ action: "getLandmarkOutline", tabId: inspectedTabId });
+}
+
+/**
+ * Store the landmark outline from the page and show it
+ * @param {Object} message - landmarkOutlineResults message with an outline or an error
+ */
+function processLandmarkOutline(message) {
+  if (message.error || !message.outline) {
+    landmarkOutline = null;
+    landmarkSummaryEl.textContent = 'Could not outline the page\'s landmarks: ' + (message.error || 'no response');
+    return;
+  }
+
+  landmarkOutline = message.outline;
+  renderLandmarkOutline();
+}
+
+/**
+ * Show the nested landmarks with their structural issues, then the content outside any landmark
+ * Entries are reached with the arrow keys and highlight their element on the page when focused.
+ */
+function renderLandmarkOutline() {
+  landmarkList.innerHTML = '';
+  outsideLandmarkList.innerHTML = '';
+
+  if (!landmarkOutline) {
+    landmarkSummaryEl.textContent = '';
+    landmarkList.innerHTML = '<li class="empty-message">Select Refresh to outline the page\'s landmarks</li>';
+    return;
+  }
+
+  const { landmarks, outsideContent } = landmarkOutline;
+  const issueCount = landmarks.reduce((count, landmark) => count + landmark.issues.length, 0);
+  landmarkSummaryEl.textContent = `${landmarks.length} ${landmarks.length === 1 ? 'landmark' : 'landmarks'}, ` +
+    `${issueCount} structural ${issueCount === 1 ? 'issue' : 'issues'}, ` +
+    `${outsideContent.length} ${outsideContent.length === 1 ? 'piece' : 'pieces'} of content outside landmarks`;
+
+  if (landmarks.length === 0) {
+    landmarkList.innerHTML = '<li class="empty-message">No landmarks found</li>';
+  }
+
+  let currentFrameUrl = null;
+  landmarks.forEach((landmark, index) => {
+    // Landmarks in other frames are grouped under their frame's URL
+    if (landmark.frameUrl && landmark.frameUrl !== currentFrameUrl) {
+      currentFrameUrl = landmark.frameUrl;
+      const frameHeading = document.createElement('li');
+      frameHeading.className = 'landmark-frame';
+      frameHeading.textContent = `In frame ${landmark.frameUrl}`;
+      landmarkList.appendChild(frameHeading);
+    }
+
+    const item = createOutlineItem(landmark, index === 0, landmarkList);
+    item.style.marginLeft = `${landmark.depth * 16}px`;
+    item.innerHTML = `
+      <span class="landmark-role">${escapeHTML(landmark.role)}</span>
+      <span class="landmark-name">${landmark.accessibleName ? escapeHTML(landmark.accessibleName) : '<em>(no name)</em>'}</span>
+      ${landmark.issues.map(issue => `<span class="landmark-issue">${escapeHTML(issue)}</span>`).join('')}
+    `;
+    item.setAttribute('aria-label', [
+      `${landmark.role} landmark`,
+      landmark.accessibleName || 'no name',
+      ...landmark.issues
+    ].join(', '));
+  });
+
+  if (outsideContent.length === 0) {
+    outsideLandmarkList.innerHTML = '<li class="empty-message">All content is inside landmarks</li>';
+  }
+
+  outsideContent.forEach((content, index) => {
+    const item = createOutlineItem(content, index === 0, outsideLandmarkList);
+    item.innerHTML = `
+      <span class="landmark-role">${escapeHTML(content.tagName)}</span>
+      <span class="landmark-name">${content.text ? escapeHTML(content.text) : '<em>(no name)</em>'}</span>
+    `;
+    item.setAttribute('aria-label', `${content.tagName}, ${content.text || 'no name'}`);
+  });
+}
+
+/**
+ * Add a focusable entry to a landmark outline list that highlights its element when focused
+ * @param {Object} entry - Landmark or content entry with a selector and frameId
+ * @param {boolean} first - Whether the entry is the first in its list, and so in the tab order
+ * @param {HTMLElement} listElement - List to add the entry to
+ * @returns {HTMLElement} The list item, for the caller to fill in
+ */
+function createOutlineItem(entry, first, listElement) {
+  const item = document.createElement('li');
+  item.className = 'landmark-item';
+  item.tabIndex = first ? 0 : -1;
+
+  item.addEventListener('focus', () => {
+    listElement.querySelectorAll('.landmark-item').forEach(other => {
+      other.tabIndex = other === item ? 0 : -1;
+    });
+    removeHighlightFromPage();
+    scrollToAndHighlightElement(entry);
+  });
+  item.addEventListener('keydown', handleListItemKeydown);
+
+  listElement.appendChild(item);
+  return item;
+}
+
+/**
+ * Scroll an element into view on the page, then highlight it
+ * Scrolling uses inspectedWindow.eval directly, which bypasses the message
+ * passing to the content script.
+ * @param {Object} elementData - Result or entry with a selector and frameId
+ */
+function scrollToAndHighlightElement(elementData) {
+  if (!elementData.selector) {
+    // Just highlight if no selector available
+    highlightElementOnPage(elementData, false);
+    return;
+  }
+
+  console.log("Using direct DOM access to find and scroll to element");
+  chrome.devtools.inspectedWindow.eval(
+    `
+    (function() {
+      try {
+        const element = ${buildElementLookupExpression(elementData.selector)};
+        if (element) {
+          console.log("Found element to scroll to:", element);
+          element.scrollIntoView({behavior: 'auto', block: 'center'});
+          return "Element found and scrolled into view";
+        } else {
+          return "Element not found with selector: " + ${JSON.stringify(elementData.selector)};
+        }
+      } catch(e) {
+        return "Error scrolling: " + e.message;
+      }
+    })()
+    `,
+    getFrameEvalOptions(elementData),
+    function(result, isException) {
+      console.log("Direct scroll result:", result, isException ? "Exception!" : "");
+
+      // After scrolling is done, send the highlight message
+      setTimeout(() => {
+        highlightElementOnPage(elementData, false);
+      }, 300);
+    }
+  );
+}
+
 // Get a human-readable description of an element
 function getElementDescription(element) {
   const tag = element.tagName || 'Element';
   const role = element.role ? ` (role="${element.role}")` : '';
 
-  // Check if the description already contains a specific issue type
-  if (element.description && (
-      element.description.includes("HTML markup") ||
-      element.description.includes("Filename as") ||
-      element.description.includes("URL as") ||
-      element.description.includes("Punctuation-only") ||
-      element.description.includes("Whitespace-only") ||
-      element.description.includes("Generic") ||
-      element.description.includes("Redundant") ||
-      element.description.includes("Broken aria-labelledby") ||
-      element.description.includes("Icon-only") ||
-      element.description === "Punctuation-only accessible name" ||
-      element.description === "Dialog missing accessible name" ||
-      element.description === "Dialog has empty accessible name" ||
-      element.description === "Dialog has redundant accessible name" ||
-      element.description === "Tabpanel references element with empty accessible name" ||
-      element.description === "Tabpanel references element with only aria-hidden content" ||
-      element.description === "Tabpanel references element with no accessible name" ||
-      element.description.includes("Tabpanel references")
-  )) {
-    // Extract the issue type for the title
-    const issueMatch = element.description.match(/(HTML markup|Filename as|URL as|Punctuation-only|Whitespace-only|Generic|Redundant|Broken aria-labelledby|Icon-only|Punctuation-only accessible name|Dialog missing accessible name|Dialog has empty accessible name|Dialog has redundant accessible name|Tabpanel references element with empty accessible name|Tabpanel references element with only aria-hidden content|Tabpanel references element with no accessible name|Tabpanel references)[^\n]*/);
-    const issueType = issueMatch ? issueMatch[0] : "Issue with accessible name";
+  const issue = ISSUE_CODES[element.issueCode];
+
+  // Failures and warnings are summarised by their issue code's title
+  if (element.result !== 'pass') {
+    const issueType = issue
+      ? issue.title
+      : (element.description || 'Issue with accessible name').split(' - ')[0];
 
     return `<span title="${issueType}">${tag}${role}: ${issueType}</span>`;
   } else if (element.accessibleName) {
     return `<span title="${element.accessibleName}">${tag}${role}: "${truncateString(element.accessibleName, 30)}"</span>`;
   } else {
-    return `${tag}${role}: Missing accessible name`;
+    return `${tag}${role}: ${issue ? issue.title : 'Missing accessible name'}`;
   }
 }
 
@@ -592,19 +2013,71 @@ function showElementDetails(element) {
 
   // Populate details
   elementInfoEl.innerHTML = `
-    <div><strong>Tag:</strong> ${element.tagName || 'Unknown'}</div>
-    ${element.role ? `<div><strong>Role:</strong> ${element.role}</div>` : ''}
-    <div><strong>Selector:</strong> ${element.selector}</div>
+    <div><strong>Tag:</strong> ${escapeHTML(element.tagName || 'Unknown')}</div>
+    ${element.role ? `<div><strong>Role:</strong> ${escapeHTML(element.role)}</div>` : ''}
+    <div><strong>Selector:</strong> ${escapeHTML(element.selector)}</div>
+    ${element.framePath && element.framePath.length > 0
+      ? `<div><strong>Frame:</strong> ${element.framePath.map(escapeHTML).join(' &rsaquo; ')}</div>`
+      : ''}
   `;
 
   accessibleNameEl.innerHTML = element.accessibleName
-    ? `<div class="accessible-name">${element.accessibleName}</div>`
+    ? `<div class="accessible-name">${escapeHTML(element.accessibleName)}</div>`
     : '<div class="missing-name">Missing accessible name</div>';
 
+  // Show the name Chrome computed next to ours when the comparison was run
+  if (element.chromeAccessibleName !== undefined || element.chromeNameUnavailable) {
+    accessibleNameEl.innerHTML += `
+      <table class="name-comparison${element.nameMismatch ? ' mismatch' : ''}">
+        <caption class="visually-hidden">Accessible name comparison</caption>
+        <tr><th scope="row">Carnforth</th><td>${escapeHTML(element.accessibleName) || '<em>(none)</em>'}</td></tr>
+        <tr><th scope="row">Chrome</th><td>${element.chromeNameUnavailable
+          ? `<em>${escapeHTML(element.chromeNameUnavailable)}</em>`
+          : element.chromeIgnored
+            ? '<em>(not in the accessibility tree)</em>'
+            : escapeHTML(element.chromeAccessibleName) || '<em>(none)</em>'}</td></tr>
+      </table>
+      ${element.nameMismatch ? '<div class="warn-color">The computed name differs from Chrome\'s</div>' : ''}
+    `;
+  }
+
+  // Show how the name was derived, step by step
+  if (element.nameTrace && element.nameTrace.length > 0) {
+    accessibleNameEl.innerHTML += `
+      <details class="name-trace">
+        <summary>How this name was computed</summary>
+        <ol class="name-trace-list">
+          ${element.nameTrace.map(formatNameTraceEntry).join('')}
+        </ol>
+      </details>
+    `;
+  }
+
+  accessibleDescriptionEl.innerHTML = `
+    ${element.accessibleDescription
+      ? `<div class="accessible-description">${escapeHTML(element.accessibleDescription)}</div>
+         ${element.accessibleDescriptionSource ? `<div><strong>Source:</strong> ${escapeHTML(element.accessibleDescriptionSource)}</div>` : ''}`
+      : '<div>No accessible description</div>'}
+    ${element.descriptionDuplicatesName ? '<div class="warn-color">Description duplicates the accessible name</div>' : ''}
+    ${element.brokenAriaDescribedby ? `<div class="fail-color">aria-describedby references missing IDs: ${escapeHTML(element.brokenAriaDescribedbyIds.join(', '))}</div>` : ''}
+  `;
+
+  // Preview what a screen reader says for the element
+  announcementEl.textContent = element.announcement || 'No announcement available';
+  speakAnnouncementBtn.hidden = !element.announcement || !window.speechSynthesis;
+
   issueDetailsEl.innerHTML = `
-    <div><strong>Result:</strong> <span class="${element.result}-color">${element.result.toUpperCase()}</span></div>
-    <div><strong>Description:</strong> ${element.description || 'No description'}</div>
-    ${element.details ? `<div><strong>Details:</strong> ${element.details}</div>` : ''}
+    <div><strong>Result:</strong> <span class="${escapeHTML(element.result)}-color">${escapeHTML(element.result.toUpperCase())}</span></div>
+    <div><strong>Description:</strong> ${escapeHTML(element.description || 'No description')}</div>
+    ${element.issueCode ? `<div><strong>Issue code:</strong> <code>${escapeHTML(element.issueCode)}</code></div>` : ''}
+    ${element.severity ? `<div><strong>Severity:</strong> ${escapeHTML(element.severity)}</div>` : ''}
+    ${element.ruleId ? `<div><strong>Rule:</strong> <code>${escapeHTML(element.ruleId)}</code></div>` : ''}
+    ${element.wcag ? `<div><strong>WCAG:</strong> ${element.wcag.length > 0
+      ? element.wcag.map(sc => escapeHTML(formatCriterion(sc))).join('; ')
+      : 'Best practice (no WCAG criterion)'}</div>` : ''}
+    ${element.act && element.act.length > 0 ? `<div><strong>ACT rules:</strong> ${element.act.map(id =>
+      `<a href="${escapeHTML(getActRuleUrl(id))}" target="_blank" rel="noopener">${escapeHTML(id)}${ACT_RULES[id] ? ` ${escapeHTML(ACT_RULES[id])}` : ''}</a>`).join('; ')}</div>` : ''}
+    ${element.details ? `<div><strong>Details:</strong> ${escapeHTML(element.details)}</div>` : ''}
   `;
 
   // Debug section removed as requested
@@ -617,14 +2090,14 @@ function showElementDetails(element) {
   elementHtmlEl.setAttribute('aria-label', 'HTML code example, non-interactive');
   elementHtmlEl.setAttribute('aria-hidden', 'true'); // Hide from screen readers since it's just example code
 
+  renderSuppressionDetails(element);
+
   // Show the panel
   detailsPanel.classList.remove('hidden');
   detailsPanel.classList.add('visible');
   
   // Find all focusable elements within the dialog
-  focusableElements = Array.from(detailsPanel.querySelectorAll(
-    'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-  ));
+  updateDetailsFocusableElements();
   
   // Set focus on the close button
   setTimeout(() => {
@@ -635,6 +2108,13 @@ function showElementDetails(element) {
   document.addEventListener('keydown', trapFocus);
 }
 
+// Find all focusable elements within the dialog, for trapping focus
+function updateDetailsFocusableElements() {
+  focusableElements = Array.from(detailsPanel.querySelectorAll(
+    'button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])'
+  )).filter(el => !el.closest('[hidden]'));
+}
+
 // Trap focus within the modal dialog
 function trapFocus(event) {
   // Check for the Escape key to close the dialog
@@ -674,8 +2154,26 @@ function trapFocus(event) {
   }
 }
 
+/**
+ * Speak the selected element's announcement preview with the Web Speech API
+ * Speech is generated locally by the browser.
+ */
+function speakAnnouncement() {
+  if (!selectedElement || !selectedElement.announcement || !window.speechSynthesis) {
+    return;
+  }
+
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new SpeechSynthesisUtterance(selectedElement.announcement));
+}
+
 // Hide the details panel
 function hideDetailsPanel() {
+  // Stop any announcement that is still being spoken
+  if (window.speechSynthesis) {
+    window.speechSynthesis.cancel();
+  }
+
   // Remove the dialog from view
   detailsPanel.classList.remove('visible');
   detailsPanel.classList.add('hidden');
@@ -699,8 +2197,11 @@ let isHighlightInProgress = false;
 
 // Highlight an element on the page
 function highlightElementOnPage(element, scrollIntoView = true) {
+  // The same selector can exist in several frames, so track both
+  const highlightKey = `${element.frameId || 0}:${element.selector}`;
+
   // If this is already the highlighted element, don't re-highlight
-  if (currentlyHighlighted === element.selector && isHighlightInProgress) {
+  if (currentlyHighlighted === highlightKey && isHighlightInProgress) {
     return;
   }
 
@@ -717,12 +2218,12 @@ function highlightElementOnPage(element, scrollIntoView = true) {
   lastHighlightTime = now;
 
   // Reset tracking and remove existing highlight
-  if (currentlyHighlighted !== element.selector) {
+  if (currentlyHighlighted !== highlightKey) {
     removeHighlightFromPage();
   }
 
   // Set this as the currently highlighted element
-  currentlyHighlighted = element.selector;
+  currentlyHighlighted = highlightKey;
 
   // Ensure we have a valid selector
   const selector = element.selector || '';
@@ -751,6 +2252,7 @@ function highlightElementOnPage(element, scrollIntoView = true) {
     chrome.runtime.sendMessage({
       action: "highlightElement",
       selector: selector,
+      frameId: element.frameId || 0,
       scrollIntoView: false,  // Always false since scrolling is handled directly in panel.js
       additionalData: additionalData
     });
@@ -789,7 +2291,8 @@ function inspectElementInDevTools() {
   // Use the inspect function to inspect the element
   try {
     chrome.devtools.inspectedWindow.eval(
-      `inspect(document.querySelector('${selectedElement.selector.replace(/'/g, "\\'")}'))`,
+      `inspect(${buildElementLookupExpression(selectedElement.selector)})`,
+      getFrameEvalOptions(selectedElement),
       function(result, isException) {
         if (isException) {
           console.error('Error inspecting element:', isException);
@@ -806,11 +2309,23 @@ function inspectElementInDevTools() {
   }
 }
 
+/**
+ * Get the inspectedWindow.eval options that target the frame an element was found in
+ * @param {Object} element - Element data from the test results
+ * @returns {Object} Options for chrome.devtools.inspectedWindow.eval
+ */
+function getFrameEvalOptions(element) {
+  if (element.frameId && element.frameUrl) {
+    return { frameURL: element.frameUrl };
+  }
+  return {};
+}
+
 /**
  * Handle page navigation events - reset the panel UI
  * @param {string} url - The URL of the new page
  */
-function handlePageNavigation(url) {
+function handlePageNavigation(url, loading = false) {
   console.log("Page navigated to:", url);
   
   // Update the tab ID if available from devtools
@@ -827,6 +2342,16 @@ function handlePageNavigation(url) {
     console.error("Error in handlePageNavigation:", e);
   }
   
+  // The new page isn't being picked from
+  setPicking(false);
+
+  // The content script's observer doesn't survive a page load
+  // An automatic run starts watching again
+  const resumeWatch = watching || autoRunResumesWatch;
+  if (watching) {
+    stopWatch();
+  }
+
   // Reset UI state
   statusEl.textContent = "Page changed - Run test to check accessibility";
   statusEl.style.color = ""; // Reset to default color
@@ -834,7 +2359,8 @@ function handlePageNavigation(url) {
   // Clear results and summary
   summarySection.classList.add('hidden');
   
-  // Reset results lists
+  // Reset the criterion filter and results lists
+  criterionFilter.innerHTML = '<option value="">All criteria</option>';
   failuresList.innerHTML = '<li class="empty-message">Run the test to see results</li>';
   warningsList.innerHTML = '<li class="empty-message">Run the test to see results</li>';
   allList.innerHTML = '<li class="empty-message">Run the test to see results</li>';
@@ -842,18 +2368,103 @@ function handlePageNavigation(url) {
   // Clear any selected element and details panel
   selectedElement = null;
   hideDetailsPanel();
+
+  // Show the stored runs for the new page
+  if (url) {
+    loadHistory(url, (runs) => renderHistory(url, runs, null));
+  }
   
-  // Reset the test results
+  // The rotor lists, transcript and landmark outline belong to the old page
+  rotorData = null;
+  renderRotor();
+  transcriptData = null;
+  renderTranscript();
+  landmarkOutline = null;
+  renderLandmarkOutline();
+
+  // Reset the test results and remove their annotations
   testResults = null;
+  exportBtn.disabled = true;
+  showAllBtn.disabled = true;
+  if (showingAnnotations) {
+    toggleAnnotations();
+  }
   
   // Reset the live region announcement but add a message for screen readers
   resultsLiveRegion.textContent = ''; 
   setTimeout(() => {
-    resultsLiveRegion.textContent = 'Page has changed. Please run the test again to check accessibility.';
+    resultsLiveRegion.textContent = settings.autoRun
+      ? 'Page has changed. The test will run again when the page has settled.'
+      : 'Page has changed. Please run the test again to check accessibility.';
   }, 50);
   
   // Remove any highlight from the previous page
   removeHighlightFromPage();
+
+  // Run the test again once the page has settled
+  if (settings.autoRun) {
+    scheduleAutoRun(loading, resumeWatch);
+  }
+}
+
+/**
+ * Run the test automatically once the page has loaded and the idle delay has
+ * passed
+ * Each navigation restarts the wait, so a burst of route changes only runs
+ * the test once.
+ * @param {boolean} loading - Whether the page is still loading
+ * @param {boolean} resumeWatch - Whether to start watch mode again with the run
+ */
+function scheduleAutoRun(loading, resumeWatch) {
+  clearTimeout(autoRunTimer);
+  autoRunTimer = null;
+  autoRunResumesWatch = resumeWatch;
+
+  if (loading) {
+    // Another pageNavigated message arrives when loading completes
+    statusEl.textContent = "Page loading - the test will run when it has settled";
+    return;
+  }
+
+  statusEl.textContent = `Page changed - running the test in ${settings.autoRunDelay} seconds`;
+  autoRunTimer = setTimeout(() => {
+    const watch = autoRunResumesWatch;
+    autoRunTimer = null;
+    autoRunResumesWatch = false;
+
+    if (watch) {
+      startWatch();
+    } else {
+      runTest();
+    }
+  }, settings.autoRunDelay * 1000);
+}
+
+/**
+ * Cancel a pending automatic run
+ */
+function cancelAutoRun() {
+  clearTimeout(autoRunTimer);
+  autoRunTimer = null;
+  autoRunResumesWatch = false;
+}
+
+/**
+ * Format one step of the name derivation trace as a list item
+ * @param {Object} entry - Trace entry with step, source, node, depth, text and skipped
+ * @returns {string} HTML for the list item
+ */
+function formatNameTraceEntry(entry) {
+  const outcome = entry.skipped
+    ? `<span class="name-trace-skipped">skipped: ${escapeHTML(entry.skipped)}</span>`
+    : `<span class="name-trace-text">"${escapeHTML(entry.text || '')}"</span>`;
+
+  return `
+    <li style="margin-left: ${entry.depth * 16}px">
+      <strong>${escapeHTML(entry.step)}</strong> ${escapeHTML(entry.source)}
+      on <code>${escapeHTML(entry.node)}</code>: ${outcome}
+    </li>
+  `;
 }
 
 // Helper function to truncate strings
@@ -916,6 +2527,17 @@ function activateTab(tabElement) {
   
   // Also remove any highlight on the page
   removeHighlightFromPage();
+
+  // The rotor lists are loaded the first time the tab is opened on a page
+  if (tabId === 'rotor' && !rotorData) {
+    loadRotor();
+  }
+  if (tabId === 'transcript' && !transcriptData) {
+    loadTranscript();
+  }
+  if (tabId === 'landmarks' && !landmarkOutline) {
+    loadLandmarkOutline();
+  }
 }
 
 // Initialize the panel
@@ -0,0 +1,153 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - Elements Sidebar Script
+ *
+ * This script runs in the "Accessible Name" sidebar pane of the Elements panel.
+ * Whenever the Elements selection changes it asks the content script for a
+ * report on $0 and shows its name, name source, description, role and issues.
+ */
+
+// Get DOM elements
+const sidebarContentEl = document.getElementById('sidebar-content');
+
+// Expression evaluated in the content script context of the inspected page
+const ELEMENT_REPORT_EXPRESSION = `(function() {
+  if (typeof getElementReport !== 'function') return { notInjected: true };
+  if (!$0 || $0.nodeType !== Node.ELEMENT_NODE) return { noElement: true };
+  if ($0.ownerDocument !== document) return { inFrame: true };
+  return getElementReport($0);
+})()`;
+
+// Update whenever the Elements panel selection changes
+chrome.devtools.panels.elements.onSelectionChanged.addListener(() => {
+  updateSidebar();
+});
+
+updateSidebar();
+
+/**
+ * Evaluate the selected element and render the report
+ * Injects the content script and tries once more if it is not on the page yet.
+ * @param {boolean} retried - Whether the content script was just injected
+ */
+function updateSidebar(retried = false) {
+  chrome.devtools.inspectedWindow.eval(
+    ELEMENT_REPORT_EXPRESSION,
+    { useContentScriptContext: true },
+    (report, exceptionInfo) => {
+      if ((exceptionInfo || (report && report.notInjected)) && !retried) {
+        chrome.runtime.sendMessage({
+          action: "injectContentScript",
+          tabId: chrome.devtools.inspectedWindow.tabId
+        }, (response) => {
+          if (chrome.runtime.lastError || !response || response.error) {
+            renderMessage(`Could not test this page: ${(response && response.error) ||
+              (chrome.runtime.lastError && chrome.runtime.lastError.message) || 'unknown error'}`);
+            return;
+          }
+          updateSidebar(true);
+        });
+        return;
+      }
+
+      if (exceptionInfo || !report || report.notInjected) {
+        console.error("Error evaluating the selected element:", exceptionInfo);
+        renderMessage('Could not test the selected element.');
+      } else if (report.noElement) {
+        renderMessage('Select an element in the Elements panel.');
+      } else if (report.inFrame) {
+        renderMessage('The selected element is inside a frame. Use Run Test in the Accessible Names panel to test frames.');
+      } else {
+        renderReport(report);
+      }
+    }
+  );
+}
+
+/**
+ * Show a single line of text in place of a report
+ * @param {string} message - Text to show
+ */
+function renderMessage(message) {
+  sidebarContentEl.innerHTML = `<p>${escapeHTML(message)}</p>`;
+}
+
+/**
+ * Render the report for the selected element
+ * @param {Object} report - Report from getElementReport in the content script
+ */
+function renderReport(report) {
+  const nameSource = report.nameSource
+    ? `${escapeHTML(report.nameSource.source)} (step ${escapeHTML(report.nameSource.step)})`
+    : 'None';
+
+  // Passing results only confirm the name, so list the problems
+  const issues = report.results.filter(result => result.result !== 'pass');
+
+  sidebarContentEl.innerHTML = `
+    <dl class="sidebar-facts">
+      <dt>Element</dt>
+      <dd><code>${escapeHTML(report.selector)}</code></dd>
+      <dt>Role</dt>
+      <dd>${report.role ? escapeHTML(report.role) : '<em>(none)</em>'}</dd>
+      <dt>Accessible name</dt>
+      <dd>${report.accessibleName
+        ? `<span class="accessible-name">${escapeHTML(report.accessibleName)}</span>`
+        : '<span class="missing-name">Missing accessible name</span>'}</dd>
+      <dt>Name source</dt>
+      <dd>${nameSource}</dd>
+      <dt>Screen reader preview</dt>
+      <dd>${report.announcement ? escapeHTML(report.announcement) : '<em>(nothing announced)</em>'}</dd>
+      <dt>Accessible description</dt>
+      <dd>${report.accessibleDescription
+        ? `${escapeHTML(report.accessibleDescription)} (${escapeHTML(report.accessibleDescriptionSource)})`
+        : '<em>(none)</em>'}</dd>
+    </dl>
+    <h2>Issues</h2>
+    ${report.results.length === 0
+      ? '<p>No accessible name test applies to this element.</p>'
+      : issues.length === 0
+        ? '<p class="pass-color">No issues found</p>'
+        : `<ul class="issue-list">${issues.map(formatIssue).join('')}</ul>`}
+  `;
+}
+
+/**
+ * Format one failing or warning result as a list item
+ * @param {Object} result - Test result for the selected element
+ * @returns {string} HTML for the list item
+ */
+function formatIssue(result) {
+  const issue = ISSUE_CODES[result.issueCode];
+  const criteria = result.wcag && result.wcag.length > 0
+    ? result.wcag.map(formatCriterion).join('; ')
+    : 'Best practice (no WCAG criterion)';
+
+  return `
+    <li class="issue-item ${result.result}">
+      <div class="issue-title">${escapeHTML(issue ? issue.title : result.title || result.issueCode)}</div>
+      <div class="issue-description">${escapeHTML(result.description)}</div>
+      <div class="issue-criteria">${escapeHTML(criteria)}</div>
+      <div class="issue-element"><code>${escapeHTML(result.issueCode)}</code> from rule <code>${escapeHTML(result.ruleId)}</code></div>
+    </li>
+  `;
+}
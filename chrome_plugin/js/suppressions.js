@@ -0,0 +1,164 @@
+/* 
+ * JavaScript/CSS GPL License Header
+ * --------------------------------
+ * Carnforth Accessible Name Tester
+ * Copyright (C) 2025 Bob Dodd
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <https://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Carnforth Accessible Name Tester - Suppressions
+ *
+ * Lets users accept known issues (e.g. from third-party widgets) so they stop
+ * drowning out new ones. A suppression matches results by issue code, element
+ * fingerprint and a URL pattern, carries a justification and can expire.
+ * Suppressions are stored in chrome.storage.local under "suppressions".
+ */
+
+/**
+ * Load all stored suppressions, including expired ones
+ * @param {Function} callback - Called with an array of suppressions
+ */
+function loadSuppressions(callback) {
+  chrome.storage.local.get('suppressions', (data) => {
+    if (chrome.runtime.lastError) {
+      console.error("Error loading suppressions:", chrome.runtime.lastError);
+      callback([]);
+      return;
+    }
+    callback(data.suppressions || []);
+  });
+}
+
+/**
+ * Save the list of suppressions
+ * @param {Array} suppressions - All suppressions
+ * @param {Function} callback - Called with the saved suppressions
+ */
+function saveSuppressions(suppressions, callback) {
+  chrome.storage.local.set({ suppressions: suppressions }, () => {
+    if (chrome.runtime.lastError) {
+      console.error("Error saving suppressions:", chrome.runtime.lastError);
+    }
+    callback(suppressions);
+  });
+}
+
+/**
+ * Accept an issue
+ * @param {Object} element - Test result to suppress
+ * @param {Object} options - { urlPattern, justification, expires } where expires
+ *   is a YYYY-MM-DD date or empty for no expiry
+ * @param {Function} callback - Called with the updated suppressions
+ */
+function addSuppression(element, options, callback) {
+  const suppression = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    issueCode: element.issueCode,
+    fingerprint: element.fingerprint,
+    urlPattern: options.urlPattern,
+    justification: options.justification,
+    expires: options.expires || null,
+    created: new Date().toISOString()
+  };
+
+  loadSuppressions((suppressions) => {
+    saveSuppressions([...suppressions, suppression], callback);
+  });
+}
+
+/**
+ * Remove a suppression
+ * @param {string} id - Id of the suppression
+ * @param {Function} callback - Called with the updated suppressions
+ */
+function removeSuppression(id, callback) {
+  loadSuppressions((suppressions) => {
+    saveSuppressions(suppressions.filter(suppression => suppression.id !== id), callback);
+  });
+}
+
+/**
+ * Check whether a suppression is still in effect
+ * A suppression expires at the end of its expiry date.
+ * @param {Object} suppression - Suppression
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the suppression hasn't expired
+ */
+function isSuppressionActive(suppression, now = new Date()) {
+  return !suppression.expires || new Date(`${suppression.expires}T23:59:59.999`) >= now;
+}
+
+/**
+ * Get the default URL pattern for suppressing an issue on a page: the page
+ * without its query string or fragment
+ * @param {string} url - Page URL
+ * @returns {string} URL pattern
+ */
+function getDefaultUrlPattern(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}*`;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Check a URL against a pattern, where * matches any run of characters
+ * @param {string} pattern - URL pattern, e.g. "https://example.com/shop/*"
+ * @param {string} url - URL to check
+ * @returns {boolean} True if the whole URL matches
+ */
+function urlMatchesPattern(pattern, url) {
+  const regex = new RegExp('^' + pattern.split('*').map(part =>
+    part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+  return regex.test(url);
+}
+
+/**
+ * Mark the failures and warnings in a set of results that match an active
+ * suppression, setting element.suppressed and element.suppression
+ * @param {Object} results - Test results
+ * @param {Array} suppressions - All suppressions
+ * @returns {number} Number of suppressed results
+ */
+function applySuppressions(results, suppressions) {
+  const now = new Date();
+  const active = suppressions.filter(suppression => isSuppressionActive(suppression, now));
+  let count = 0;
+
+  results.elements.forEach(element => {
+    delete element.suppressed;
+    delete element.suppression;
+
+    if (element.result !== 'fail' && element.result !== 'warn') {
+      return;
+    }
+
+    const match = active.find(suppression =>
+      suppression.issueCode === element.issueCode &&
+      suppression.fingerprint === element.fingerprint &&
+      urlMatchesPattern(suppression.urlPattern, results.url));
+
+    if (match) {
+      element.suppressed = true;
+      element.suppression = match;
+      count++;
+    }
+  });
+
+  return count;
+}